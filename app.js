@@ -9,6 +9,8 @@ const fs = require('fs');
 const { configurePassport, configureSession } = require('./auth');
 const setupDatabase = require('./db-setup').setup;
 const { getConnection } = require('./db');
+const scheduler = require('./services/scheduler');
+const jobs = require('./services/jobs');
 
 // Initialize the app
 const app = express();
@@ -103,8 +105,14 @@ app.use('/api/stocks', stockApiRouter);
 // User data APIs
 const watchlistRouter = require('./routes/watchlist');
 const portfolioRouter = require('./routes/portfolio');
+const newsRouter = require('./routes/news');
+const screensRouter = require('./routes/screens');
+const notificationsRouter = require('./routes/notifications');
 app.use('/api/watchlist', watchlistRouter);
 app.use('/api/portfolios', portfolioRouter);
+app.use('/api/news', newsRouter);
+app.use('/api/screens', screensRouter);
+app.use('/api/notifications', notificationsRouter);
 
 // Admin API - restricted access
 const adminRouter = require('./routes/admin');
@@ -208,6 +216,14 @@ app.use(function (err, req, res, next) {
       await new Promise(resolve => setTimeout(resolve, 2000));
     }
   }
+
+  // Background jobs need the database schema
+  try {
+    jobs.registerJobs();
+    await scheduler.start();
+  } catch (err) {
+    console.error('❌ Job scheduler failed to start:', err.message);
+  }
 })();
 
 // Graceful shutdown to close database connections
@@ -215,6 +231,8 @@ process.on('SIGINT', () => {
   console.log('Application shutdown initiated...');
 
   try {
+    scheduler.stop();
+
     const db = getConnection();
     if (db) {
       console.log('Closing database connection...');
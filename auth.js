@@ -172,6 +172,7 @@ function ensureAuthenticated(req, res, next) {
   if (req.xhr || req.path.startsWith('/api/') ||
     req.headers['content-type'] === 'application/json' ||
     req.headers['accept'] === 'application/json' ||
+    req.headers['accept'] === 'text/event-stream' ||
     req.headers['user-agent']?.includes('axios')) {
     return res.status(401).json({ success: false, error: 'Unauthorized' });
   }
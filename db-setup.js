@@ -30,6 +30,7 @@ async function initializeDatabase() {
             avatar TEXT,
             address TEXT,
             dark_mode INTEGER DEFAULT 0,
+            base_currency TEXT NOT NULL DEFAULT 'USD',
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             last_login TIMESTAMP,
             google_id TEXT UNIQUE
@@ -70,6 +71,7 @@ async function initializeDatabase() {
             purchase_price REAL NOT NULL,
             purchase_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             notes TEXT,
+            currency TEXT,
             FOREIGN KEY (portfolio_id) REFERENCES portfolio(id) ON DELETE CASCADE
         )
       `);
@@ -81,6 +83,7 @@ async function initializeDatabase() {
             user_id INTEGER NOT NULL,
             name TEXT NOT NULL,
             criteria TEXT NOT NULL,
+            watch INTEGER NOT NULL DEFAULT 0,
             created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
             FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
         )
@@ -113,6 +116,11 @@ async function initializeDatabase() {
         )
       `);
 
+      await db.update(`
+        CREATE INDEX IF NOT EXISTS idx_api_logs_request_time
+        ON api_logs (request_time)
+      `);
+
       // Restricted stocks
       await db.update(`
         CREATE TABLE IF NOT EXISTS restricted_stocks (
@@ -151,6 +159,353 @@ async function initializeDatabase() {
         )
       `);
 
+      // Cached market data responses from the market data provider
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS market_data_cache (
+            cache_key TEXT PRIMARY KEY,
+            category TEXT NOT NULL,
+            data TEXT NOT NULL,
+            fetched_at INTEGER NOT NULL,
+            expires_at INTEGER NOT NULL
+        )
+      `);
+
+      await db.update(`
+        CREATE INDEX IF NOT EXISTS idx_market_data_cache_category
+        ON market_data_cache (category)
+      `);
+
+      // Daily OHLCV bars per symbol, synced incrementally from the market data provider
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS price_history (
+            symbol TEXT NOT NULL,
+            date TEXT NOT NULL,
+            open REAL,
+            high REAL,
+            low REAL,
+            close REAL NOT NULL,
+            volume INTEGER,
+            PRIMARY KEY (symbol, date)
+        )
+      `);
+
+      // Last price history sync per symbol, and the earliest date its history was fetched from
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS price_history_sync (
+            symbol TEXT PRIMARY KEY,
+            synced_at INTEGER NOT NULL,
+            bars_added INTEGER NOT NULL DEFAULT 0,
+            covered_from TEXT
+        )
+      `);
+
+      // Financial statements per symbol, statement type and period (annual or quarter)
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS financial_statements (
+            symbol TEXT NOT NULL,
+            statement TEXT NOT NULL,
+            period_type TEXT NOT NULL,
+            date TEXT NOT NULL,
+            calendar_year TEXT,
+            period TEXT,
+            data TEXT NOT NULL,
+            PRIMARY KEY (symbol, statement, period_type, date)
+        )
+      `);
+
+      // Last financial statements sync per symbol, statement type and period
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS financial_statements_sync (
+            symbol TEXT NOT NULL,
+            statement TEXT NOT NULL,
+            period_type TEXT NOT NULL,
+            synced_at INTEGER NOT NULL,
+            PRIMARY KEY (symbol, statement, period_type)
+        )
+      `);
+
+      // Dividend history per symbol, keyed by ex-dividend date
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS dividends (
+            symbol TEXT NOT NULL,
+            ex_date TEXT NOT NULL,
+            dividend REAL NOT NULL,
+            adj_dividend REAL,
+            record_date TEXT,
+            payment_date TEXT,
+            declaration_date TEXT,
+            PRIMARY KEY (symbol, ex_date)
+        )
+      `);
+
+      // Stock split history per symbol
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS stock_splits (
+            symbol TEXT NOT NULL,
+            date TEXT NOT NULL,
+            numerator REAL NOT NULL,
+            denominator REAL NOT NULL,
+            PRIMARY KEY (symbol, date)
+        )
+      `);
+
+      // Last dividend and split sync per symbol
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS corporate_actions_sync (
+            symbol TEXT PRIMARY KEY,
+            synced_at INTEGER NOT NULL
+        )
+      `);
+
+      // Splits applied to portfolio positions, so each split is applied only once
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS position_split_adjustments (
+            position_id INTEGER NOT NULL,
+            split_date TEXT NOT NULL,
+            ratio REAL NOT NULL,
+            applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (position_id, split_date),
+            FOREIGN KEY (position_id) REFERENCES portfolio_positions(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Dividend income received by portfolio positions
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS dividend_income (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            position_id INTEGER NOT NULL,
+            portfolio_id INTEGER NOT NULL,
+            symbol TEXT NOT NULL,
+            ex_date TEXT NOT NULL,
+            payment_date TEXT,
+            shares REAL NOT NULL,
+            dividend REAL NOT NULL,
+            amount REAL NOT NULL,
+            recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (position_id) REFERENCES portfolio_positions(id) ON DELETE CASCADE,
+            FOREIGN KEY (portfolio_id) REFERENCES portfolio(id) ON DELETE CASCADE,
+            UNIQUE(position_id, ex_date)
+        )
+      `);
+
+      // Earnings announcements with estimated EPS and, once reported, actual EPS
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS earnings (
+            symbol TEXT NOT NULL,
+            date TEXT NOT NULL,
+            time TEXT,
+            eps_estimated REAL,
+            eps_actual REAL,
+            revenue_estimated REAL,
+            revenue_actual REAL,
+            fiscal_date_ending TEXT,
+            updated_at INTEGER NOT NULL,
+            reported_at INTEGER,
+            PRIMARY KEY (symbol, date)
+        )
+      `);
+
+      await db.update(`
+        CREATE INDEX IF NOT EXISTS idx_earnings_date
+        ON earnings (date)
+      `);
+
+      // Local symbol directory, refreshed from the provider's stock list
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS symbols (
+            symbol TEXT PRIMARY KEY,
+            name TEXT,
+            exchange TEXT,
+            exchange_short_name TEXT,
+            type TEXT,
+            sector TEXT,
+            updated_at INTEGER NOT NULL
+        )
+      `);
+
+      // Full-text indexes over the directory: words with prefix queries, and trigrams for fuzzy matches
+      await db.update(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS symbols_fts USING fts5(
+            symbol, name, content='symbols', content_rowid='rowid', prefix='1 2 3'
+        )
+      `);
+
+      await db.update(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS symbols_trigram USING fts5(
+            symbol, name, content='symbols', content_rowid='rowid', tokenize='trigram'
+        )
+      `);
+
+      // Keep the indexes in sync with the directory
+      await db.update(`
+        CREATE TRIGGER IF NOT EXISTS symbols_ai AFTER INSERT ON symbols BEGIN
+            INSERT INTO symbols_fts (rowid, symbol, name) VALUES (new.rowid, new.symbol, new.name);
+            INSERT INTO symbols_trigram (rowid, symbol, name) VALUES (new.rowid, new.symbol, new.name);
+        END
+      `);
+
+      await db.update(`
+        CREATE TRIGGER IF NOT EXISTS symbols_ad AFTER DELETE ON symbols BEGIN
+            INSERT INTO symbols_fts (symbols_fts, rowid, symbol, name) VALUES ('delete', old.rowid, old.symbol, old.name);
+            INSERT INTO symbols_trigram (symbols_trigram, rowid, symbol, name) VALUES ('delete', old.rowid, old.symbol, old.name);
+        END
+      `);
+
+      await db.update(`
+        CREATE TRIGGER IF NOT EXISTS symbols_au AFTER UPDATE OF symbol, name ON symbols
+        WHEN old.symbol IS NOT new.symbol OR old.name IS NOT new.name BEGIN
+            INSERT INTO symbols_fts (symbols_fts, rowid, symbol, name) VALUES ('delete', old.rowid, old.symbol, old.name);
+            INSERT INTO symbols_trigram (symbols_trigram, rowid, symbol, name) VALUES ('delete', old.rowid, old.symbol, old.name);
+            INSERT INTO symbols_fts (rowid, symbol, name) VALUES (new.rowid, new.symbol, new.name);
+            INSERT INTO symbols_trigram (rowid, symbol, name) VALUES (new.rowid, new.symbol, new.name);
+        END
+      `);
+
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS symbols_sync (
+            provider TEXT PRIMARY KEY,
+            synced_at INTEGER NOT NULL,
+            symbol_count INTEGER NOT NULL DEFAULT 0
+        )
+      `);
+
+      // News articles, one row per article URL; sentiment_score runs from -1 (negative) to 1 (positive)
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS news_articles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            url TEXT NOT NULL UNIQUE,
+            title TEXT NOT NULL,
+            text TEXT,
+            site TEXT,
+            image TEXT,
+            published_at TEXT NOT NULL,
+            fetched_at INTEGER NOT NULL,
+            sentiment_score REAL,
+            sentiment_label TEXT
+        )
+      `);
+
+      await db.update(`
+        CREATE INDEX IF NOT EXISTS idx_news_articles_published_at
+        ON news_articles (published_at)
+      `);
+
+      // Symbols each news article is about
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS news_article_symbols (
+            article_id INTEGER NOT NULL,
+            symbol TEXT NOT NULL,
+            PRIMARY KEY (article_id, symbol),
+            FOREIGN KEY (article_id) REFERENCES news_articles(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.update(`
+        CREATE INDEX IF NOT EXISTS idx_news_article_symbols_symbol
+        ON news_article_symbols (symbol)
+      `);
+
+      // Last news sync per symbol, or for general market news under an empty symbol
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS news_sync (
+            symbol TEXT PRIMARY KEY,
+            synced_at INTEGER NOT NULL
+        )
+      `);
+
+      // Background jobs: schedule_type is interval (every schedule_minutes) or market-close
+      // (schedule_minutes after each market close)
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS scheduled_jobs (
+            name TEXT PRIMARY KEY,
+            description TEXT,
+            schedule_type TEXT NOT NULL,
+            schedule_minutes INTEGER NOT NULL,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            last_run_at INTEGER,
+            next_run_at INTEGER,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Run history of background jobs
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS job_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_name TEXT NOT NULL,
+            trigger TEXT NOT NULL,
+            status TEXT NOT NULL,
+            started_at INTEGER NOT NULL,
+            finished_at INTEGER,
+            result TEXT,
+            error_message TEXT,
+            triggered_by INTEGER,
+            FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL
+        )
+      `);
+
+      await db.update(`
+        CREATE INDEX IF NOT EXISTS idx_job_runs_job_started
+        ON job_runs (job_name, started_at)
+      `);
+
+      // Daily portfolio values in the owner's base currency
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS portfolio_snapshots (
+            portfolio_id INTEGER NOT NULL,
+            date TEXT NOT NULL,
+            currency TEXT NOT NULL,
+            cost_basis REAL,
+            market_value REAL,
+            gain REAL,
+            day_change REAL,
+            unpriced_positions INTEGER NOT NULL DEFAULT 0,
+            created_at INTEGER NOT NULL,
+            PRIMARY KEY (portfolio_id, date),
+            FOREIGN KEY (portfolio_id) REFERENCES portfolio(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Runs of watched screens: matching symbols, and those that entered or left since the previous run
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS screen_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            screen_id INTEGER NOT NULL,
+            trigger TEXT NOT NULL,
+            run_at INTEGER NOT NULL,
+            universe INTEGER NOT NULL,
+            symbols TEXT NOT NULL,
+            symbols_entered TEXT NOT NULL,
+            symbols_left TEXT NOT NULL,
+            FOREIGN KEY (screen_id) REFERENCES screening_criteria(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.update(`
+        CREATE INDEX IF NOT EXISTS idx_screen_runs_screen_id
+        ON screen_runs (screen_id, run_at)
+      `);
+
+      // Notifications shown to users, e.g. changes in watched screens
+      await db.update(`
+        CREATE TABLE IF NOT EXISTS notifications (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            type TEXT NOT NULL,
+            title TEXT NOT NULL,
+            message TEXT NOT NULL,
+            data TEXT,
+            created_at INTEGER NOT NULL,
+            read_at INTEGER,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.update(`
+        CREATE INDEX IF NOT EXISTS idx_notifications_user_id
+        ON notifications (user_id, created_at)
+      `);
+
       // Commit transaction
       await db.update('COMMIT');
       console.log('Database schema initialized successfully');
@@ -166,6 +521,34 @@ async function initializeDatabase() {
   }
 }
 
+/**
+ * Add columns introduced after a table was first created to databases set up by an earlier version
+ */
+async function addMissingColumns() {
+  const columns = [
+    { table: 'users', column: 'base_currency', definition: "TEXT NOT NULL DEFAULT 'USD'" },
+    { table: 'portfolio_positions', column: 'currency', definition: 'TEXT' },
+    { table: 'price_history_sync', column: 'covered_from', definition: 'TEXT' },
+    { table: 'news_articles', column: 'sentiment_score', definition: 'REAL' },
+    { table: 'news_articles', column: 'sentiment_label', definition: 'TEXT' },
+    { table: 'screening_criteria', column: 'watch', definition: 'INTEGER NOT NULL DEFAULT 0' }
+  ];
+
+  try {
+    for (const { table, column, definition } of columns) {
+      const existing = await db.query(`PRAGMA table_info(${table})`);
+
+      if (!existing.some(info => info.name === column)) {
+        await db.update(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        console.log(`Added column ${table}.${column}`);
+      }
+    }
+  } catch (error) {
+    console.error('Error adding missing columns:', error);
+    throw error;
+  }
+}
+
 /**
  * Create initial admin user if no users exist in the database
  */
@@ -197,13 +580,121 @@ async function createAdminUserIfNeeded() {
   }
 }
 
+// Default application settings, created on first setup so admins can tune them
+const DEFAULT_SETTINGS = [
+  {
+    key: 'cache_ttl_quote_seconds',
+    value: '60',
+    description: 'How long cached stock quotes, market summary data and intraday bars stay fresh, in seconds'
+  },
+  {
+    key: 'stream_poll_seconds',
+    value: '15',
+    description: 'How often prices streamed to open dashboards are checked for changes, in seconds; quotes still come from the cache'
+  },
+  {
+    key: 'cache_ttl_movers_seconds',
+    value: '120',
+    description: 'How long cached market gainers, losers and most active lists stay fresh, in seconds'
+  },
+  {
+    key: 'cache_ttl_sectors_minutes',
+    value: '15',
+    description: 'How long calculated sector and industry performance stays fresh, in minutes'
+  },
+  {
+    key: 'cache_ttl_fx_minutes',
+    value: '60',
+    description: 'How long cached current exchange rates stay fresh, in minutes'
+  },
+  {
+    key: 'sector_universe',
+    value: '',
+    description: 'Comma-separated symbols used for sector and industry performance; leave empty for the built-in large cap list'
+  },
+  {
+    key: 'cache_ttl_profile_days',
+    value: '7',
+    description: 'How long cached company profiles stay fresh, in days'
+  },
+  {
+    key: 'cache_ttl_search_hours',
+    value: '24',
+    description: 'How long cached stock search results stay fresh, in hours'
+  },
+  {
+    key: 'cache_ttl_news_minutes',
+    value: '15',
+    description: 'How long cached financial news stays fresh, in minutes'
+  },
+  {
+    key: 'cache_ttl_earnings_hours',
+    value: '6',
+    description: 'How long a fetched earnings calendar range stays fresh, in hours'
+  },
+  {
+    key: 'symbols_refresh_days',
+    value: '7',
+    description: 'How often the local symbol directory used for search is refreshed from the provider, in days'
+  },
+  {
+    key: 'financials_refresh_days',
+    value: '7',
+    description: 'How long stored financial statements are used before checking the provider for new filings, in days'
+  },
+  {
+    key: 'watch_screens_max_quotes',
+    value: '200',
+    description: 'Maximum number of outdated quotes the watch-screens job refreshes per run; the rest are screened on their stored quotes'
+  },
+  {
+    key: 'log_retention_days',
+    value: '90',
+    description: 'How long API logs and background job run history are kept, in days'
+  },
+  {
+    key: 'api_quota_per_minute',
+    value: '30',
+    description: 'Maximum upstream market data API requests per minute'
+  },
+  {
+    key: 'api_quota_per_day',
+    value: '250',
+    description: 'Maximum upstream market data API requests per day (UTC)'
+  },
+  {
+    key: 'api_quota_max_wait_seconds',
+    value: '10',
+    description: 'How long a request may queue for the per-minute quota before cached data is served instead'
+  }
+];
+
+/**
+ * Create default application settings that do not exist yet
+ */
+async function seedDefaultSettings() {
+  try {
+    for (const setting of DEFAULT_SETTINGS) {
+      await db.update(`
+        INSERT OR IGNORE INTO app_settings (setting_key, setting_value, description)
+        VALUES (?, ?, ?)
+      `, [setting.key, setting.value, setting.description]);
+    }
+  } catch (error) {
+    console.error('Error seeding default settings:', error);
+    throw error;
+  }
+}
+
 /**
  * Initialize database and seed with initial data
  */
 async function setup() {
   try {
     await initializeDatabase();
+    await addMissingColumns();
     await createAdminUserIfNeeded();
+    await seedDefaultSettings();
     console.log('Database setup completed successfully');
   } catch (error) {
     console.error('Database setup failed:', error);
@@ -217,6 +708,8 @@ if (require.main === module) {
 
 module.exports = {
   initializeDatabase,
+  addMissingColumns,
   createAdminUserIfNeeded,
+  seedDefaultSettings,
   setup
 };
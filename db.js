@@ -7,6 +7,7 @@ const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
 const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Ensure the data directory exists
 const dataDir = path.join(__dirname, 'data');
@@ -19,6 +20,10 @@ const dbPath = path.join(dataDir, 'stockinfo.db');
 let db = null;
 let isConnected = false;
 
+// Queries made inside a transaction run in this context; other queries wait until it has finished
+const transactionContext = new AsyncLocalStorage();
+let activeTransaction = null;
+
 /**
  * Create and initialize the database connection
  */
@@ -57,13 +62,29 @@ function initConnection() {
     }
 }
 
+/**
+ * Wrap a query function so that, while a transaction runs, queries from outside it wait for it to finish
+ * All queries share one connection, so they would otherwise become part of the transaction
+ * @param {Function} run - Query function (sql, params)
+ * @returns {Function} - Wrapped query function
+ */
+function outsideTransaction(run) {
+    const wrapped = (sql, params) => {
+        if (activeTransaction && !transactionContext.getStore()) {
+            return activeTransaction.then(() => wrapped(sql, params));
+        }
+        return run(sql, params);
+    };
+    return wrapped;
+}
+
 /**
  * Execute a query with parameters
  * @param {string} sql - SQL query to execute
  * @param {Array|Object} params - Query parameters
  * @returns {Promise<any>} - Query result
  */
-const query = (sql, params = []) => {
+const query = outsideTransaction((sql, params = []) => {
     return new Promise((resolve, reject) => {
         const connection = getConnection();
         if (!connection) {
@@ -80,7 +101,7 @@ const query = (sql, params = []) => {
             resolve(rows);
         });
     });
-};
+});
 
 /**
  * Get a single row from the database
@@ -88,7 +109,7 @@ const query = (sql, params = []) => {
  * @param {Array|Object} params - Query parameters
  * @returns {Promise<any>} - Single row or null
  */
-const getOne = (sql, params = []) => {
+const getOne = outsideTransaction((sql, params = []) => {
     return new Promise((resolve, reject) => {
         const connection = getConnection();
         if (!connection) {
@@ -105,7 +126,7 @@ const getOne = (sql, params = []) => {
             resolve(row);
         });
     });
-};
+});
 
 /**
  * Insert data and return the last inserted ID
@@ -113,7 +134,7 @@ const getOne = (sql, params = []) => {
  * @param {Array|Object} params - Insert parameters
  * @returns {Promise<number>} - Last inserted ID
  */
-const insert = (sql, params = []) => {
+const insert = outsideTransaction((sql, params = []) => {
     return new Promise((resolve, reject) => {
         const connection = getConnection();
         if (!connection) {
@@ -130,7 +151,7 @@ const insert = (sql, params = []) => {
             resolve(this.lastID);
         });
     });
-};
+});
 
 /**
  * Update data and return the number of changes
@@ -138,7 +159,7 @@ const insert = (sql, params = []) => {
  * @param {Array|Object} params - Update parameters
  * @returns {Promise<number>} - Number of changes
  */
-const update = (sql, params = []) => {
+const update = outsideTransaction((sql, params = []) => {
     return new Promise((resolve, reject) => {
         const connection = getConnection();
         if (!connection) {
@@ -159,7 +180,43 @@ const update = (sql, params = []) => {
             });
         });
     });
-};
+});
+
+/**
+ * Run a function in a transaction: its queries are committed together, or rolled back when it throws
+ * Transactions run one at a time, and a transaction started inside another joins it
+ * @param {Function} fn - Async function making the queries
+ * @returns {Promise<any>} - Result of the function
+ */
+async function transaction(fn) {
+    if (transactionContext.getStore()) {
+        return fn();
+    }
+
+    while (activeTransaction) {
+        await activeTransaction;
+    }
+
+    let finish;
+    activeTransaction = new Promise(resolve => { finish = resolve; });
+
+    try {
+        return await transactionContext.run(true, async () => {
+            await update('BEGIN IMMEDIATE');
+            try {
+                const result = await fn();
+                await update('COMMIT');
+                return result;
+            } catch (error) {
+                await update('ROLLBACK');
+                throw error;
+            }
+        });
+    } finally {
+        activeTransaction = null;
+        finish();
+    }
+}
 
 /**
  * Get the database connection
@@ -204,6 +261,7 @@ module.exports = {
     getOne,
     insert,
     update,
+    transaction,
     getConnection,
     closeConnection
 };
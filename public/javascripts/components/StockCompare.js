@@ -0,0 +1,212 @@
+// StockCompare component
+app.component('stock-compare', {
+  mixins: [stockFormatters],
+  props: {
+    comparison: {
+      type: Object,
+      default: null
+    },
+    symbols: {
+      type: Array,
+      default: () => []
+    },
+    range: {
+      type: String,
+      default: '1Y'
+    },
+    loading: {
+      type: Boolean,
+      default: false
+    }
+  },
+  emits: ['compare', 'view-stock', 'back'],
+  data() {
+    return {
+      symbolsInput: this.symbols.join(', '),
+      selectedRange: this.range,
+      ranges: ['1M', '3M', '6M', 'YTD', '1Y', '3Y'],
+      colors: ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563', '#65a30d', '#9333ea']
+    };
+  },
+  watch: {
+    comparison() {
+      this.$nextTick(this.renderChart);
+    },
+    symbols(symbols) {
+      this.symbolsInput = symbols.join(', ');
+    }
+  },
+  mounted() {
+    this.renderChart();
+  },
+  beforeUnmount() {
+    if (this.chart) {
+      this.chart.destroy();
+    }
+  },
+  methods: {
+    submit() {
+      const symbols = this.symbolsInput
+        .split(/[\s,]+/)
+        .map(symbol => symbol.trim().toUpperCase())
+        .filter(Boolean);
+
+      this.$emit('compare', { symbols, range: this.selectedRange });
+    },
+    selectRange(range) {
+      this.selectedRange = range;
+      this.submit();
+    },
+    viewStock(symbol) {
+      this.$emit('view-stock', symbol);
+    },
+    goBack() {
+      this.$emit('back');
+    },
+    renderChart() {
+      if (this.chart) {
+        this.chart.destroy();
+        this.chart = null;
+      }
+      if (!this.comparison || !this.$refs.chart) return;
+
+      // Series can have different trading days, so plot them against the union of dates
+      const dates = [...new Set(this.comparison.series.flatMap(item => item.data.map(point => point.date)))].sort();
+
+      this.chart = new Chart(this.$refs.chart, {
+        type: 'line',
+        data: {
+          labels: dates,
+          datasets: this.comparison.series.map((item, i) => {
+            const values = new Map(item.data.map(point => [point.date, point.value]));
+            return {
+              label: item.symbol,
+              data: dates.map(date => (values.has(date) ? values.get(date) : null)),
+              borderColor: this.colors[i % this.colors.length],
+              backgroundColor: this.colors[i % this.colors.length],
+              borderWidth: 2,
+              pointRadius: 0,
+              spanGaps: true
+            };
+          })
+        },
+        options: {
+          responsive: true,
+          interaction: { mode: 'index', intersect: false },
+          scales: {
+            x: { ticks: { maxTicksLimit: 12 } },
+            y: { title: { display: true, text: 'Rebased to 100' } }
+          }
+        }
+      });
+    }
+  },
+  template: `
+    <div class="stock-compare">
+      <div class="stock-detail-header">
+        <button @click="goBack" class="back-button"><i class="fas fa-arrow-left"></i> Back to List</button>
+      </div>
+
+      <h1 class="page-title">Compare Stocks</h1>
+
+      <form class="compare-form" @submit.prevent="submit">
+        <input v-model="symbolsInput" type="text" placeholder="Symbols, e.g. AAPL, MSFT, GOOGL">
+        <button type="submit" class="btn btn-primary btn-sm"><i class="fas fa-balance-scale"></i> Compare</button>
+      </form>
+
+      <div class="tab-headers">
+        <button v-for="option in ranges" :key="option" type="button"
+          :class="['tab-btn', { active: selectedRange === option }]" @click="selectRange(option)">
+          {{ option }}
+        </button>
+      </div>
+
+      <div v-if="loading" class="loading">
+        <div class="loading-spinner"></div>
+        <span>Loading comparison...</span>
+      </div>
+
+      <div v-else-if="comparison">
+        <p class="compare-start">Performance since {{ comparison.startDate }}, rebased to 100</p>
+        <div class="compare-chart">
+          <canvas ref="chart"></canvas>
+        </div>
+
+        <div class="stock-table-container">
+          <table class="stock-table compare-table">
+            <thead>
+              <tr>
+                <th></th>
+                <th v-for="item in comparison.metrics" :key="item.symbol">
+                  <button @click="viewStock(item.symbol)" class="detail-link">{{ item.symbol }}</button>
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td>Company</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">{{ item.name || 'N/A' }}</td>
+              </tr>
+              <tr>
+                <td>Sector</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">{{ item.sector || 'N/A' }}</td>
+              </tr>
+              <tr>
+                <td>Price</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol" class="price">{{ formatPrice(item.price, item.currency) }}</td>
+              </tr>
+              <tr>
+                <td>Change Today</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol"
+                  :class="item.changesPercentage >= 0 ? 'positive' : 'negative'">
+                  {{ formatChangePercent(item.changesPercentage) }}
+                </td>
+              </tr>
+              <tr>
+                <td>Performance</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol"
+                  :class="item.performance >= 0 ? 'positive' : 'negative'">
+                  {{ formatChangePercent(item.performance) }}
+                </td>
+              </tr>
+              <tr>
+                <td>Max Drawdown</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">{{ formatPercent(item.maxDrawdown) }}</td>
+              </tr>
+              <tr>
+                <td>Market Cap</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">{{ formatMarketCap(item.marketCap, item.currency) }}</td>
+              </tr>
+              <tr>
+                <td>P/E Ratio</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">{{ formatNumber(item.pe) }}</td>
+              </tr>
+              <tr>
+                <td>EPS</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">{{ formatNumber(item.eps) }}</td>
+              </tr>
+              <tr>
+                <td>Beta</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">{{ formatNumber(item.beta) }}</td>
+              </tr>
+              <tr>
+                <td>Dividend Yield</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">{{ formatPercent(item.dividendYield) }}</td>
+              </tr>
+              <tr>
+                <td>52 Week Range</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">
+                  {{ formatPrice(item.yearLow, item.currency) }} - {{ formatPrice(item.yearHigh, item.currency) }}
+                </td>
+              </tr>
+              <tr>
+                <td>Avg Volume</td>
+                <td v-for="item in comparison.metrics" :key="item.symbol">{{ formatVolume(item.avgVolume) }}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  `
+});
@@ -1,5 +1,45 @@
+// Line items shown per financial statement in the company tab; per-share items are prices
+const FINANCIAL_LINE_ITEMS = [
+  {
+    statement: 'income-statement',
+    title: 'Income Statement',
+    items: [
+      { field: 'revenue', label: 'Revenue' },
+      { field: 'grossProfit', label: 'Gross Profit' },
+      { field: 'operatingIncome', label: 'Operating Income' },
+      { field: 'ebitda', label: 'EBITDA' },
+      { field: 'netIncome', label: 'Net Income' },
+      { field: 'eps', label: 'EPS', perShare: true },
+      { field: 'epsdiluted', label: 'Diluted EPS', perShare: true }
+    ]
+  },
+  {
+    statement: 'balance-sheet',
+    title: 'Balance Sheet',
+    items: [
+      { field: 'cashAndCashEquivalents', label: 'Cash & Equivalents' },
+      { field: 'totalAssets', label: 'Total Assets' },
+      { field: 'totalLiabilities', label: 'Total Liabilities' },
+      { field: 'totalStockholdersEquity', label: 'Shareholders\' Equity' },
+      { field: 'totalDebt', label: 'Total Debt' }
+    ]
+  },
+  {
+    statement: 'cash-flow',
+    title: 'Cash Flow',
+    items: [
+      { field: 'operatingCashFlow', label: 'Operating Cash Flow' },
+      { field: 'capitalExpenditure', label: 'Capital Expenditure' },
+      { field: 'freeCashFlow', label: 'Free Cash Flow' },
+      { field: 'dividendsPaid', label: 'Dividends Paid' },
+      { field: 'commonStockRepurchased', label: 'Share Buybacks' }
+    ]
+  }
+];
+
 // StockDetail component
 app.component('stock-detail', {
+  mixins: [stockFormatters],
   props: {
     stock: {
       type: Object,
@@ -13,6 +53,14 @@ app.component('stock-detail', {
       type: Object,
       default: null
     },
+    news: {
+      type: Object,
+      default: () => ({ articles: [], page: 0, hasMore: false, loading: false })
+    },
+    financials: {
+      type: Object,
+      default: () => ({ period: 'annual', statements: {}, growth: [], loaded: false, loading: false })
+    },
     loading: {
       type: Boolean,
       default: false
@@ -22,45 +70,77 @@ app.component('stock-detail', {
       default: false
     }
   },
-  emits: ['add-to-watchlist', 'remove-from-watchlist', 'back'],
+  emits: ['add-to-watchlist', 'remove-from-watchlist', 'load-news', 'load-financials', 'back'],
+  data() {
+    return {
+      activeTab: 'overview',
+      lineItems: FINANCIAL_LINE_ITEMS
+    };
+  },
+  computed: {
+    // Growth rows for the line items, in the order of the statement tables
+    growthItems() {
+      return FINANCIAL_LINE_ITEMS.flatMap(group => group.items);
+    },
+    hasFinancials() {
+      return this.financials.growth.length > 0 ||
+        Object.values(this.financials.statements).some(statements => statements.length > 0);
+    }
+  },
+  watch: {
+    'stock.symbol'() {
+      this.activeTab = 'overview';
+    }
+  },
   methods: {
-    formatPrice(price) {
-      if (!price && price !== 0) return 'N/A';
-      return '$' + parseFloat(price).toFixed(2);
-    },
-    formatChange(change) {
-      if (!change && change !== 0) return 'N/A';
-      return (change > 0 ? '+' : '') + parseFloat(change).toFixed(2);
-    },
-    formatChangePercent(changePercent) {
-      if (!changePercent && changePercent !== 0) return 'N/A';
-      return (changePercent > 0 ? '+' : '') + parseFloat(changePercent).toFixed(2) + '%';
-    },
-    formatVolume(volume) {
-      if (!volume) return 'N/A';
-      if (volume >= 1000000000) {
-        return (volume / 1000000000).toFixed(2) + 'B';
-      }
-      if (volume >= 1000000) {
-        return (volume / 1000000).toFixed(2) + 'M';
+    selectTab(tab) {
+      this.activeTab = tab;
+
+      // News is loaded the first time the tab is opened for a stock
+      if (tab === 'news' && this.news.page === 0) {
+        this.$emit('load-news');
       }
-      if (volume >= 1000) {
-        return (volume / 1000).toFixed(2) + 'K';
+
+      // Financial statements likewise load when the company tab is first opened
+      if (tab === 'company' && !this.financials.loaded) {
+        this.$emit('load-financials');
       }
-      return volume.toString();
     },
-    formatMarketCap(marketCap) {
-      if (!marketCap) return 'N/A';
-      if (marketCap >= 1000000000000) {
-        return '$' + (marketCap / 1000000000000).toFixed(2) + 'T';
-      }
-      if (marketCap >= 1000000000) {
-        return '$' + (marketCap / 1000000000).toFixed(2) + 'B';
-      }
-      if (marketCap >= 1000000) {
-        return '$' + (marketCap / 1000000).toFixed(2) + 'M';
+    selectPeriod(period) {
+      if (period !== this.financials.period) {
+        this.$emit('load-financials', period);
       }
-      return '$' + marketCap.toString();
+    },
+    periodLabel(item) {
+      return item.period === 'FY' ? `FY ${item.calendarYear}` : `${item.period} ${item.calendarYear}`;
+    },
+    // Reported amounts with a sign, scaled to thousands, millions, billions or trillions
+    formatAmount(value, currency = 'USD') {
+      if (value === null || value === undefined) return 'N/A';
+      const sign = value < 0 ? '-' : '';
+      const amount = Math.abs(value);
+      const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+      const [divisor, suffix] = units.find(([size]) => amount >= size) || [1, ''];
+      return sign + this.currencySymbol(currency) + (amount / divisor).toFixed(2) + suffix;
+    },
+    formatLineItem(statement, item) {
+      const value = statement[item.field];
+      return item.perShare ? this.formatPrice(value, statement.reportedCurrency) : this.formatAmount(value, statement.reportedCurrency);
+    },
+    growthClass(value) {
+      if (value === null || value === undefined) return '';
+      return value >= 0 ? 'positive' : 'negative';
+    },
+    formatNewsDate(value) {
+      const date = new Date(String(value).replace(' ', 'T'));
+      if (isNaN(date.getTime())) return value;
+      return date.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+      });
     },
     addToWatchlist() {
       this.$emit('add-to-watchlist', this.stock.symbol);
@@ -98,7 +178,7 @@ app.component('stock-detail', {
         
         <div class="stock-price-info">
           <div class="price-container">
-            <p class="current-price">{{ formatPrice(stock.price) }}</p>
+            <p class="current-price">{{ formatPrice(stock.price, stock.currency) }}</p>
             <p :class="['price-change', stock.change >= 0 ? 'positive' : 'negative']">
               <span>{{ formatChange(stock.change) }}</span>
               <span>({{ formatChangePercent(stock.changesPercentage) }})</span>
@@ -109,33 +189,124 @@ app.component('stock-detail', {
       
       <div class="stock-detail-tabs">
         <div class="tab-headers">
-          <button class="tab-btn active">Overview</button>
+          <button :class="['tab-btn', { active: activeTab === 'overview' }]" @click="selectTab('overview')">Overview</button>
           <button class="tab-btn">Charts</button>
-          <button class="tab-btn">News</button>
-          <button class="tab-btn">Company</button>
+          <button :class="['tab-btn', { active: activeTab === 'news' }]" @click="selectTab('news')">News</button>
+          <button :class="['tab-btn', { active: activeTab === 'company' }]" @click="selectTab('company')">Company</button>
         </div>
         
         <div class="tab-content">
-          <div class="tab-pane active">
+          <div v-if="activeTab === 'news'" class="tab-pane active">
+            <div v-if="news.articles.length > 0" class="news-list">
+              <a v-for="article in news.articles" :key="article.url" :href="article.url"
+                target="_blank" rel="noopener" class="news-item">
+                <img v-if="article.image" :src="article.image" alt="" class="news-image" loading="lazy">
+                <div class="news-body">
+                  <h3 class="news-title">{{ article.title }}</h3>
+                  <p class="news-meta">
+                    <span v-if="article.site">{{ article.site }} &middot; </span>{{ formatNewsDate(article.publishedDate) }}
+                    <span v-if="article.sentiment" :class="['news-sentiment', article.sentiment]">{{ article.sentiment }}</span>
+                  </p>
+                  <p v-if="article.text" class="news-text">{{ article.text }}</p>
+                  <div v-if="article.symbols && article.symbols.length > 1" class="news-symbols">
+                    <span v-for="symbol in article.symbols" :key="symbol" class="news-symbol">{{ symbol }}</span>
+                  </div>
+                </div>
+              </a>
+            </div>
+            <div v-else-if="!news.loading" class="empty-state">
+              <p>No news found for {{ stock.symbol }}.</p>
+            </div>
+
+            <div v-if="news.loading" class="loading">
+              <div class="loading-spinner"></div>
+              <span>Loading news...</span>
+            </div>
+            <div v-else-if="news.hasMore" class="news-more">
+              <button @click="$emit('load-news')" class="btn btn-primary btn-sm">Load more</button>
+            </div>
+          </div>
+
+          <div v-else-if="activeTab === 'company'" class="tab-pane active">
+            <div class="tab-headers">
+              <button :class="['tab-btn', { active: financials.period === 'annual' }]" @click="selectPeriod('annual')">Annual</button>
+              <button :class="['tab-btn', { active: financials.period === 'quarter' }]" @click="selectPeriod('quarter')">Quarterly</button>
+            </div>
+
+            <div v-if="financials.loading" class="loading">
+              <div class="loading-spinner"></div>
+              <span>Loading financial statements...</span>
+            </div>
+            <div v-else-if="financials.loaded && !hasFinancials" class="empty-state">
+              <p>No financial statements found for {{ stock.symbol }}.</p>
+            </div>
+            <template v-else-if="financials.loaded">
+              <div v-for="group in lineItems" :key="group.statement" class="stock-table-container">
+                <h3 class="financials-title">{{ group.title }}</h3>
+                <table v-if="financials.statements[group.statement] && financials.statements[group.statement].length > 0"
+                  class="stock-table financials-table">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th v-for="statement in financials.statements[group.statement]" :key="statement.date">
+                        {{ periodLabel(statement) }}
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr v-for="item in group.items" :key="item.field">
+                      <td>{{ item.label }}</td>
+                      <td v-for="statement in financials.statements[group.statement]" :key="statement.date" class="price">
+                        {{ formatLineItem(statement, item) }}
+                      </td>
+                    </tr>
+                  </tbody>
+                </table>
+                <p v-else class="financials-empty">Not available.</p>
+              </div>
+
+              <div v-if="financials.growth.length > 0" class="stock-table-container">
+                <h3 class="financials-title">Year-over-Year Growth</h3>
+                <table class="stock-table financials-table">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th v-for="entry in financials.growth" :key="entry.date">{{ periodLabel(entry) }}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr v-for="item in growthItems" :key="item.field">
+                      <td>{{ item.label }}</td>
+                      <td v-for="entry in financials.growth" :key="entry.date" :class="['price', growthClass(entry.growth[item.field])]">
+                        {{ formatChangePercent(entry.growth[item.field]) }}
+                      </td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+            </template>
+          </div>
+
+          <div v-else class="tab-pane active">
             <div class="stock-data-grid">
               <div class="data-box">
                 <h3>Open</h3>
-                <p>{{ formatPrice(stock.open) }}</p>
+                <p>{{ formatPrice(stock.open, stock.currency) }}</p>
               </div>
               
               <div class="data-box">
                 <h3>Previous Close</h3>
-                <p>{{ formatPrice(stock.previousClose) }}</p>
+                <p>{{ formatPrice(stock.previousClose, stock.currency) }}</p>
               </div>
               
               <div class="data-box">
                 <h3>Day Range</h3>
-                <p>{{ formatPrice(stock.dayLow) }} - {{ formatPrice(stock.dayHigh) }}</p>
+                <p>{{ formatPrice(stock.dayLow, stock.currency) }} - {{ formatPrice(stock.dayHigh, stock.currency) }}</p>
               </div>
               
               <div class="data-box">
                 <h3>52 Week Range</h3>
-                <p>{{ formatPrice(stock.yearLow) }} - {{ formatPrice(stock.yearHigh) }}</p>
+                <p>{{ formatPrice(stock.yearLow, stock.currency) }} - {{ formatPrice(stock.yearHigh, stock.currency) }}</p>
               </div>
               
               <div class="data-box">
@@ -150,7 +321,7 @@ app.component('stock-detail', {
               
               <div class="data-box">
                 <h3>Market Cap</h3>
-                <p>{{ formatMarketCap(stock.marketCap) }}</p>
+                <p>{{ formatMarketCap(stock.marketCap, stock.currency) }}</p>
               </div>
               
               <div class="data-box">
@@ -1,5 +1,6 @@
 // StockList component
 app.component('stock-list', {
+  mixins: [stockFormatters],
   props: {
     stocks: {
       type: Array,
@@ -8,19 +9,14 @@ app.component('stock-list', {
     loading: {
       type: Boolean,
       default: false
+    },
+    showVolume: {
+      type: Boolean,
+      default: false
     }
   },
   emits: ['view-stock'],
   methods: {
-    formatPrice(price) {
-      return '$' + parseFloat(price).toFixed(2);
-    },
-    formatChange(change) {
-      return (change > 0 ? '+' : '') + parseFloat(change).toFixed(2);
-    },
-    formatChangePercent(changePercent) {
-      return (changePercent > 0 ? '+' : '') + parseFloat(changePercent).toFixed(2) + '%';
-    },
     viewStock(symbol) {
       this.$emit('view-stock', symbol);
     }
@@ -30,6 +26,9 @@ app.component('stock-list', {
       <div v-if="loading" class="loading">
         <span>Loading stocks...</span>
       </div>
+      <div v-else-if="stocks.length === 0" class="empty-state">
+        <span>No stocks to show.</span>
+      </div>
       <table v-else class="stock-table">
         <thead>
           <tr>
@@ -38,6 +37,7 @@ app.component('stock-list', {
             <th>Price</th>
             <th>Change</th>
             <th>Change %</th>
+            <th v-if="showVolume">Volume</th>
             <th>Action</th>
           </tr>
         </thead>
@@ -45,13 +45,14 @@ app.component('stock-list', {
           <tr v-for="stock in stocks" :key="stock.symbol">
             <td class="symbol">{{ stock.symbol }}</td>
             <td>{{ stock.name }}</td>
-            <td class="price">{{ formatPrice(stock.price) }}</td>
+            <td class="price">{{ formatPrice(stock.price, stock.currency) }}</td>
             <td :class="stock.change >= 0 ? 'positive' : 'negative'">
               {{ formatChange(stock.change) }}
             </td>
-            <td :class="stock.changePercent >= 0 ? 'positive' : 'negative'">
-              {{ formatChangePercent(stock.changePercent) }}
+            <td :class="stock.changesPercentage >= 0 ? 'positive' : 'negative'">
+              {{ formatChangePercent(stock.changesPercentage) }}
             </td>
+            <td v-if="showVolume">{{ formatVolume(stock.volume) }}</td>
             <td>
               <button @click="viewStock(stock.symbol)" class="detail-link">View Details</button>
             </td>
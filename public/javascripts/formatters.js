@@ -0,0 +1,70 @@
+// Currencies quoted in hundredths of another, e.g. London listings priced in pence
+const MINOR_CURRENCY_UNITS = { GBp: 'GBP', GBX: 'GBP' };
+
+// Formatting helpers shared by the main app and the stock components
+const stockFormatters = {
+  methods: {
+    formatPrice(price, currency = 'USD') {
+      if (!price && price !== 0) return 'N/A';
+      if (MINOR_CURRENCY_UNITS[currency]) {
+        return parseFloat(price).toFixed(2) + 'p';
+      }
+      return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: currency || 'USD',
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+      }).format(price);
+    },
+    currencySymbol(currency = 'USD') {
+      const parts = new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: MINOR_CURRENCY_UNITS[currency] || currency || 'USD'
+      }).formatToParts(0);
+      return parts.find(part => part.type === 'currency').value;
+    },
+    formatChange(change) {
+      if (!change && change !== 0) return 'N/A';
+      return (change > 0 ? '+' : '') + parseFloat(change).toFixed(2);
+    },
+    formatChangePercent(changePercent) {
+      if (!changePercent && changePercent !== 0) return 'N/A';
+      return (changePercent > 0 ? '+' : '') + parseFloat(changePercent).toFixed(2) + '%';
+    },
+    formatPercent(percent) {
+      if (!percent && percent !== 0) return 'N/A';
+      return parseFloat(percent).toFixed(2) + '%';
+    },
+    formatNumber(value) {
+      if (!value && value !== 0) return 'N/A';
+      return parseFloat(value).toFixed(2);
+    },
+    formatVolume(volume) {
+      if (!volume) return 'N/A';
+      if (volume >= 1000000000) {
+        return (volume / 1000000000).toFixed(2) + 'B';
+      }
+      if (volume >= 1000000) {
+        return (volume / 1000000).toFixed(2) + 'M';
+      }
+      if (volume >= 1000) {
+        return (volume / 1000).toFixed(2) + 'K';
+      }
+      return volume.toString();
+    },
+    formatMarketCap(marketCap, currency = 'USD') {
+      if (!marketCap) return 'N/A';
+      const symbol = this.currencySymbol(currency);
+      if (marketCap >= 1000000000000) {
+        return symbol + (marketCap / 1000000000000).toFixed(2) + 'T';
+      }
+      if (marketCap >= 1000000000) {
+        return symbol + (marketCap / 1000000000).toFixed(2) + 'B';
+      }
+      if (marketCap >= 1000000) {
+        return symbol + (marketCap / 1000000).toFixed(2) + 'M';
+      }
+      return symbol + marketCap.toString();
+    }
+  }
+};
@@ -1,46 +1,117 @@
 // Main Vue application file
 const { createApp } = Vue;
 
+// Articles loaded per page in the stock news tab
+const NEWS_PAGE_SIZE = 10;
+
+// Reporting periods shown in the stock company tab
+const FINANCIALS_LIMIT = 5;
+const FINANCIAL_STATEMENTS = ['income-statement', 'balance-sheet', 'cash-flow'];
+
 // Create the main Vue application
 const app = createApp({
+  mixins: [stockFormatters],
   data() {
     return {
-      stocks: [],
+      movers: [],
+      moversType: 'gainers',
+      moverTabs: [
+        { type: 'gainers', label: 'Top Gainers' },
+        { type: 'losers', label: 'Top Losers' },
+        { type: 'actives', label: 'Most Active' }
+      ],
       featuredStocks: [],
       selectedStock: null,
       stockHistory: null,
       stockProfile: null,
+      stockNews: {
+        symbol: null,
+        articles: [],
+        page: 0,
+        hasMore: false,
+        loading: false
+      },
+      stockFinancials: {
+        symbol: null,
+        period: 'annual',
+        statements: {},
+        growth: [],
+        loaded: false,
+        loading: false
+      },
       watchlist: [],
       isInWatchlist: false,
       loading: {
-        stocks: false,
+        movers: false,
         stockDetails: false,
         watchlist: false
       },
+      compare: {
+        active: false,
+        symbols: [],
+        range: '1Y',
+        result: null,
+        loading: false
+      },
       error: null,
       user: null,
-      marketSummary: []
+      marketSummary: [],
+      priceStream: {
+        source: null,
+        retryDelay: 1000,
+        retryTimer: null
+      }
     };
   },
+  computed: {
+    // Symbols whose prices are on screen, as a stable key for the price stream
+    streamSymbols() {
+      const symbols = new Set([
+        ...(this.selectedStock ? [this.selectedStock.symbol] : []),
+        ...this.watchlist.map(item => item.symbol),
+        ...this.marketSummary.map(index => index.symbol)
+      ].filter(Boolean).map(symbol => symbol.toUpperCase()));
+
+      return [...symbols].sort().join(',');
+    }
+  },
+  watch: {
+    streamSymbols() {
+      this.openPriceStream();
+    }
+  },
   methods: {
     async fetchStocks() {
-      this.loading.stocks = true;
+      await Promise.allSettled([
+        this.fetchMarketSummary(),
+        this.fetchMovers(this.moversType),
+        axios.get('/api/stocks/featured')
+          .then(response => {
+            this.featuredStocks = response.data;
+          })
+          .catch(err => {
+            console.warn('Featured stocks not available:', err);
+          })
+      ]);
+    },
+
+    async fetchMovers(type) {
+      this.moversType = type;
+      this.loading.movers = true;
       try {
-        const response = await axios.get('/api/stocks/market-summary');
-        this.stocks = response.data;
-
-        // Also fetch featured stocks if available
-        try {
-          const featuredResponse = await axios.get('/api/stocks/featured');
-          this.featuredStocks = featuredResponse.data;
-        } catch (featuredErr) {
-          console.warn('Featured stocks not available:', featuredErr);
+        const response = await axios.get('/api/stocks/movers', { params: { type, limit: 10 } });
+
+        // Ignore responses for a tab that is no longer selected
+        if (this.moversType === type) {
+          this.movers = response.data.movers;
         }
       } catch (err) {
-        this.error = 'Error loading stocks. Please try again.';
-        console.error('Error fetching stocks:', err);
+        this.error = 'Error loading market movers. Please try again.';
+        console.error('Error fetching market movers:', err);
       } finally {
-        this.loading.stocks = false;
+        if (this.moversType === type) {
+          this.loading.movers = false;
+        }
       }
     },
 
@@ -80,10 +151,13 @@ const app = createApp({
     },
 
     async viewStockDetails(symbol) {
+      this.compare.active = false;
       this.loading.stockDetails = true;
       try {
         const quoteResponse = await axios.get(`/api/stocks/quote/${symbol}`);
         this.selectedStock = quoteResponse.data;
+        this.resetStockNews(this.selectedStock.symbol);
+        this.resetStockFinancials(this.selectedStock.symbol);
 
         // Fetch company profile in parallel
         const profilePromise = axios.get(`/api/stocks/profile/${symbol}`)
@@ -126,11 +200,150 @@ const app = createApp({
         this.loading.stockDetails = false;
       }
     },
+    resetStockNews(symbol = null) {
+      this.stockNews = { symbol, articles: [], page: 0, hasMore: false, loading: false };
+    },
+
+    // Load the next page of archived news for the selected stock
+    async fetchStockNews() {
+      const news = this.stockNews;
+      if (!news.symbol || news.loading) return;
+
+      const page = news.page + 1;
+      news.loading = true;
+      try {
+        const response = await axios.get(`/api/stocks/news/${news.symbol}`, {
+          params: { page, limit: NEWS_PAGE_SIZE }
+        });
+
+        // Pages for a stock that is no longer selected are dropped with their state
+        news.articles.push(...response.data);
+        news.page = page;
+        news.hasMore = response.data.length === NEWS_PAGE_SIZE;
+      } catch (err) {
+        console.error('Error fetching stock news:', err);
+        this.showNotification(err.response?.data?.message || 'Error loading news. Please try again.', 'error');
+      } finally {
+        news.loading = false;
+      }
+    },
+    resetStockFinancials(symbol = null, period = 'annual') {
+      this.stockFinancials = { symbol, period, statements: {}, growth: [], loaded: false, loading: false };
+    },
+
+    // Load the financial statements and year-over-year growth of the selected stock
+    async fetchStockFinancials(period = this.stockFinancials.period) {
+      if (!this.stockFinancials.symbol) return;
+      if (period !== this.stockFinancials.period) {
+        this.resetStockFinancials(this.stockFinancials.symbol, period);
+      }
+
+      const financials = this.stockFinancials;
+      if (financials.loading) return;
+
+      const symbol = financials.symbol;
+      const params = { period, limit: FINANCIALS_LIMIT };
+
+      // Stocks without filings return 404, which leaves that statement empty
+      const load = url => axios.get(url, { params })
+        .then(response => response.data)
+        .catch(err => {
+          if (err.response?.status === 404) return null;
+          throw err;
+        });
+
+      financials.loading = true;
+      try {
+        const [growth, ...statements] = await Promise.all([
+          load(`/api/stocks/financials/${symbol}/growth`),
+          ...FINANCIAL_STATEMENTS.map(statement => load(`/api/stocks/financials/${symbol}/${statement}`))
+        ]);
+
+        // Results for a stock or period that is no longer selected are dropped with their state
+        FINANCIAL_STATEMENTS.forEach((statement, i) => {
+          financials.statements[statement] = statements[i] ? statements[i].statements : [];
+        });
+        financials.growth = growth ? growth.growth : [];
+        financials.loaded = true;
+      } catch (err) {
+        console.error('Error fetching financial statements:', err);
+        this.showNotification(err.response?.data?.message || 'Error loading financial statements. Please try again.', 'error');
+      } finally {
+        financials.loading = false;
+      }
+    },
     backToList() {
       this.selectedStock = null;
       this.stockProfile = null;
       this.stockHistory = null;
+      this.resetStockNews();
+      this.resetStockFinancials();
+      this.compare.active = false;
       window.history.pushState({}, 'Stock List', '/');
+
+      if (this.movers.length === 0) {
+        this.fetchStocks();
+      }
+    },
+
+    openCompare(symbols = [], range = '1Y') {
+      this.selectedStock = null;
+      this.compare.active = true;
+      this.compare.symbols = symbols;
+      this.compare.range = range;
+      this.compare.result = null;
+
+      if (symbols.length > 1) {
+        this.fetchComparison({ symbols, range });
+      }
+    },
+
+    // Get the start date of a comparison range
+    getRangeStart(range) {
+      const date = new Date();
+      if (range === 'YTD') {
+        return `${date.getFullYear() - 1}-12-31`;
+      }
+
+      const months = { '1M': 1, '3M': 3, '6M': 6, '1Y': 12, '3Y': 36 }[range] || 12;
+      date.setMonth(date.getMonth() - months);
+      return date.toISOString().slice(0, 10);
+    },
+
+    async fetchComparison({ symbols, range }) {
+      if (symbols.length < 2) {
+        this.showNotification('Enter at least two symbols to compare', 'error');
+        return;
+      }
+
+      this.compare.symbols = symbols;
+      this.compare.range = range;
+      this.compare.loading = true;
+      try {
+        const response = await axios.get('/api/stocks/compare', {
+          params: { symbols: symbols.join(','), from: this.getRangeStart(range) }
+        });
+        this.compare.result = response.data;
+
+        // Update URL without page reload (for bookmarking)
+        window.history.pushState(
+          { compare: symbols },
+          `Compare: ${symbols.join(', ')}`,
+          `/compare?symbols=${symbols.join(',')}&range=${range}`
+        );
+      } catch (err) {
+        console.error('Error comparing stocks:', err);
+        this.showNotification(err.response?.data?.message || 'Error comparing stocks. Please try again.', 'error');
+      } finally {
+        this.compare.loading = false;
+      }
+    },
+
+    // Open the comparison described by the current URL
+    openCompareFromUrl() {
+      const params = new URLSearchParams(window.location.search);
+      const symbols = (params.get('symbols') || '').split(',').filter(Boolean);
+      this.openCompare(symbols, params.get('range') || '1Y');
     },
 
     // Handle browser back/forward buttons
@@ -138,10 +351,13 @@ const app = createApp({
       const pathParts = window.location.pathname.split('/');
       if (pathParts[1] === 'stock' && pathParts[2]) {
         this.viewStockDetails(pathParts[2]);
+      } else if (pathParts[1] === 'compare') {
+        this.openCompareFromUrl();
       } else {
         this.selectedStock = null;
         this.stockProfile = null;
         this.stockHistory = null;
+        this.compare.active = false;
       }
     },
 
@@ -196,6 +412,60 @@ const app = createApp({
       }
     },
 
+    // Subscribe to live prices for the symbols on screen, replacing any previous stream
+    openPriceStream() {
+      this.closePriceStream();
+      if (!this.streamSymbols) return;
+
+      const source = new EventSource(`/api/stocks/stream?symbols=${encodeURIComponent(this.streamSymbols)}`);
+      this.priceStream.source = source;
+
+      source.addEventListener('open', () => {
+        this.priceStream.retryDelay = 1000;
+      });
+
+      source.addEventListener('quotes', event => {
+        this.applyQuotes(JSON.parse(event.data));
+      });
+
+      // The browser retries dropped connections itself, but gives up on errors such as an
+      // expired session; retry those with a growing delay
+      source.addEventListener('error', () => {
+        if (source.readyState !== EventSource.CLOSED || this.priceStream.source !== source) return;
+
+        this.priceStream.retryTimer = setTimeout(() => this.openPriceStream(), this.priceStream.retryDelay);
+        this.priceStream.retryDelay = Math.min(this.priceStream.retryDelay * 2, 60000);
+      });
+    },
+
+    closePriceStream() {
+      clearTimeout(this.priceStream.retryTimer);
+      this.priceStream.retryTimer = null;
+
+      if (this.priceStream.source) {
+        this.priceStream.source.close();
+        this.priceStream.source = null;
+      }
+    },
+
+    // Update the prices on screen with streamed quotes
+    applyQuotes(quotes) {
+      const quotesBySymbol = new Map(quotes.map(quote => [quote.symbol, quote]));
+
+      if (this.selectedStock && quotesBySymbol.has(this.selectedStock.symbol)) {
+        this.selectedStock = { ...this.selectedStock, ...quotesBySymbol.get(this.selectedStock.symbol) };
+      }
+
+      this.watchlist = this.watchlist.map(item => {
+        const quote = quotesBySymbol.get(item.symbol);
+        return quote ? { ...item, price: quote.price, change: quote.changesPercentage } : item;
+      });
+
+      this.marketSummary = this.marketSummary.map(index =>
+        quotesBySymbol.has(index.symbol) ? { ...index, ...quotesBySymbol.get(index.symbol) } : index
+      );
+    },
+
     showNotification(message, type = 'info') {
       this.error = message;
 
@@ -212,6 +482,8 @@ const app = createApp({
     const pathParts = window.location.pathname.split('/');
     if (pathParts[1] === 'stock' && pathParts[2]) {
       this.viewStockDetails(pathParts[2]);
+    } else if (pathParts[1] === 'compare') {
+      this.openCompareFromUrl();
     } else {
       this.fetchStocks();
     }
@@ -221,6 +493,7 @@ const app = createApp({
   },
   beforeUnmount() {
     window.removeEventListener('popstate', this.handlePopState);
+    this.closePriceStream();
   }
 });
 
@@ -1,12 +1,19 @@
 /**
  * Admin routes for StockInfo application
- * Handles admin-only operations such as user management and app settings
+ * Handles admin-only operations such as user management, app settings and background jobs
  */
 
 const express = require('express');
 const storage = require('../storage');
+const cache = require('../services/cache');
+const quota = require('../services/quota');
+const upstream = require('../services/upstream');
+const scheduler = require('../services/scheduler');
 const router = express.Router();
 
+// Maximum number of job runs returned at once
+const MAX_JOB_RUNS = 200;
+
 // Middleware to ensure user is an admin
 const ensureAdmin = async (req, res, next) => {
     if (!req.user) {
@@ -450,4 +457,265 @@ router.get('/logs', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/cache
+ * Get market data cache statistics and TTLs
+ */
+router.get('/cache', async (req, res) => {
+    try {
+        const stats = await cache.getStats();
+        res.json(stats);
+    } catch (error) {
+        console.error('Error fetching cache stats:', error);
+        res.status(500).json({
+            error: 'Failed to fetch cache stats',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Clear the market data cache, optionally only one category (?category=quote)
+ */
+router.delete('/cache', async (req, res) => {
+    const category = req.query.category || null;
+
+    if (category && !cache.CATEGORIES.includes(category)) {
+        return res.status(400).json({
+            error: `Invalid cache category. Expected one of: ${cache.CATEGORIES.join(', ')}`
+        });
+    }
+
+    try {
+        const cleared = await cache.clear(category);
+
+        res.json({
+            success: true,
+            message: `Cleared ${cleared} cache entries`
+        });
+    } catch (error) {
+        console.error('Error clearing cache:', error);
+        res.status(500).json({
+            error: 'Failed to clear cache',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/quota
+ * Get upstream API quota usage and remaining budgets
+ */
+router.get('/quota', async (req, res) => {
+    try {
+        const status = await quota.getStatus();
+        res.json(status);
+    } catch (error) {
+        console.error('Error fetching quota status:', error);
+        res.status(500).json({
+            error: 'Failed to fetch quota status',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/circuit-breakers
+ * Get the circuit breaker state of each upstream data provider
+ */
+router.get('/circuit-breakers', (req, res) => {
+    res.json(upstream.getBreakerStates());
+});
+
+/**
+ * POST /api/admin/circuit-breakers/:name/reset
+ * Manually close a circuit breaker
+ */
+router.post('/circuit-breakers/:name/reset', (req, res) => {
+    const reset = upstream.resetBreaker(req.params.name);
+
+    if (!reset) {
+        return res.status(404).json({
+            error: 'Circuit breaker not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        message: `Circuit breaker ${req.params.name} reset`
+    });
+});
+
+/**
+ * Parse the limit query parameter for job run lists
+ * @param {string} value - Query parameter value
+ * @returns {number} Limit between 1 and MAX_JOB_RUNS, 50 by default
+ */
+function parseRunLimit(value) {
+    const limit = parseInt(value) || 50;
+    return Math.min(Math.max(limit, 1), MAX_JOB_RUNS);
+}
+
+/**
+ * GET /api/admin/jobs
+ * Get all background jobs with their schedule and latest run
+ */
+router.get('/jobs', async (req, res) => {
+    try {
+        const jobs = await scheduler.listJobs();
+        res.json(jobs);
+    } catch (error) {
+        console.error('Error fetching jobs:', error);
+        res.status(500).json({
+            error: 'Failed to fetch jobs',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/jobs/failures?job=purge-logs&limit=50
+ * Get the latest failed job runs, optionally for one job
+ */
+router.get('/jobs/failures', async (req, res) => {
+    try {
+        const runs = await storage.getJobRuns(
+            { jobName: req.query.job || null, status: 'failed' },
+            parseRunLimit(req.query.limit)
+        );
+        res.json(runs);
+    } catch (error) {
+        console.error('Error fetching job failures:', error);
+        res.status(500).json({
+            error: 'Failed to fetch job failures',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/jobs/:name
+ * Get a background job with its schedule and latest run
+ */
+router.get('/jobs/:name', async (req, res) => {
+    try {
+        const job = await scheduler.getJob(req.params.name);
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        res.json(job);
+    } catch (error) {
+        console.error('Error fetching job:', error);
+        res.status(500).json({
+            error: 'Failed to fetch job',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/admin/jobs/:name
+ * Enable or disable a background job, or change its schedule in minutes
+ */
+router.put('/jobs/:name', async (req, res) => {
+    const { enabled, scheduleMinutes } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return res.status(400).json({
+            error: 'enabled must be true or false'
+        });
+    }
+
+    if (scheduleMinutes !== undefined && (!Number.isInteger(scheduleMinutes) || scheduleMinutes < 1)) {
+        return res.status(400).json({
+            error: 'scheduleMinutes must be a positive whole number'
+        });
+    }
+
+    try {
+        const job = await scheduler.updateJob(req.params.name, { enabled, scheduleMinutes });
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        res.json(job);
+    } catch (error) {
+        console.error('Error updating job:', error);
+        res.status(500).json({
+            error: 'Failed to update job',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/admin/jobs/:name/runs?limit=50
+ * Get the run history of a background job, newest first
+ */
+router.get('/jobs/:name/runs', async (req, res) => {
+    try {
+        const job = await storage.getScheduledJob(req.params.name);
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        const runs = await storage.getJobRuns({ jobName: job.name }, parseRunLimit(req.query.limit));
+        res.json(runs);
+    } catch (error) {
+        console.error('Error fetching job runs:', error);
+        res.status(500).json({
+            error: 'Failed to fetch job runs',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/admin/jobs/:name/run
+ * Run a background job now, whether or not it is enabled
+ * Responds once the run has started; follow it with GET /api/admin/jobs/:name/runs
+ */
+router.post('/jobs/:name/run', async (req, res) => {
+    try {
+        const job = await scheduler.getJob(req.params.name);
+
+        if (!job) {
+            return res.status(404).json({
+                error: 'Job not found'
+            });
+        }
+
+        if (!job.registered) {
+            return res.status(409).json({
+                error: 'Job is no longer available'
+            });
+        }
+
+        const { run } = await scheduler.startJob(job.name, { trigger: 'manual', triggeredBy: req.user.id });
+
+        res.status(202).json({
+            success: true,
+            message: `Job ${job.name} started`,
+            run
+        });
+    } catch (error) {
+        console.error('Error starting job:', error);
+        res.status(500).json({
+            error: 'Failed to start job',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
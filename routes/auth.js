@@ -6,6 +6,7 @@ const express = require('express');
 const passport = require('passport');
 const storage = require('../storage');
 const { ensureAuthenticated } = require('../auth');
+const { SUPPORTED_CURRENCIES } = require('../services/currency');
 const router = express.Router();
 
 /**
@@ -198,6 +199,17 @@ router.put('/user', ensureAuthenticated, async (req, res) => {
   try {
     const userId = req.user.id;
     const { fullName, email, avatar, address, darkMode } = req.body;
+    const baseCurrency = typeof req.body.baseCurrency === 'string'
+      ? req.body.baseCurrency.toUpperCase()
+      : req.body.baseCurrency;
+
+    // Portfolio totals are reported in the base currency, so it must be one we have rates for
+    if (baseCurrency !== undefined && !SUPPORTED_CURRENCIES.includes(baseCurrency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid base currency. Expected one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+      });
+    }
 
     // Only allow updating certain fields
     const updateData = {};
@@ -206,6 +218,7 @@ router.put('/user', ensureAuthenticated, async (req, res) => {
     if (avatar !== undefined) updateData.avatar = avatar;
     if (address !== undefined) updateData.address = address;
     if (darkMode !== undefined) updateData.dark_mode = !!darkMode;
+    if (baseCurrency !== undefined) updateData.base_currency = baseCurrency;
 
     // Update user in database
     const updatedUser = await storage.updateUser(userId, updateData);
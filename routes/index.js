@@ -9,10 +9,10 @@ router.get('/', function (req, res, next) {
 });
 
 // Protect all dashboard routes
-router.use(['/dashboard', '/stock'], ensureAuthenticated);
+router.use(['/dashboard', '/stock', '/compare'], ensureAuthenticated);
 
 /* GET dashboard page - serve the SPA */
-router.get(['/dashboard', '/stock/:symbol'], function (req, res, next) {
+router.get(['/dashboard', '/stock/:symbol', '/compare'], function (req, res, next) {
   // For a single page application, we just need to serve the main HTML file
   // The Vue application will handle the routing on the client side
   res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -0,0 +1,75 @@
+/**
+ * News routes for stockInfo application
+ * Serves the archived news feed and news sentiment shifts for the symbols a user follows
+ */
+
+const express = require('express');
+const { ensureAuthenticated } = require('../auth');
+const newsArchive = require('../services/news');
+const router = express.Router();
+
+// All news routes require authentication
+router.use(ensureAuthenticated);
+
+/**
+ * GET /api/news/feed?page=1&limit=20
+ * Get archived news for every symbol in the user's watchlist and portfolios, newest first
+ * Query parameters:
+ * - page: page number, starting at 1
+ * - limit: articles per page (default 20, at most 50)
+ * - sentiment: only positive, negative or neutral articles
+ * - refresh: fetch news for every symbol again, even if recently synced
+ */
+router.get('/feed', async (req, res, next) => {
+    try {
+        const { page, limit, sentiment } = req.query;
+
+        const validationError = newsArchive.validateNewsQuery({ page, limit, sentiment });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const feed = await newsArchive.getFeed(req.user.id, {
+            page,
+            limit,
+            sentiment,
+            refresh: req.query.refresh === 'true' || req.query.refresh === '1'
+        });
+
+        res.json(feed);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/news/sentiment?days=7
+ * Compare each followed symbol's news sentiment over the last N days with the N days before,
+ * largest shifts first
+ */
+router.get('/sentiment', async (req, res, next) => {
+    try {
+        const { days = 7 } = req.query;
+
+        if (!(Number.isInteger(Number(days)) && days >= 1 && days <= newsArchive.MAX_SHIFT_DAYS)) {
+            return res.status(400).json({
+                success: false,
+                message: `The days must be a whole number between 1 and ${newsArchive.MAX_SHIFT_DAYS}`
+            });
+        }
+
+        const shifts = await newsArchive.getSentimentShifts(req.user.id, {
+            days: Number(days),
+            refresh: req.query.refresh === 'true' || req.query.refresh === '1'
+        });
+
+        res.json(shifts);
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+/**
+ * Notification routes for StockInfo application
+ * Lists the current user's notifications, e.g. changes in watched screens, and marks them as read
+ */
+
+const express = require('express');
+const { ensureAuthenticated } = require('../auth');
+const storage = require('../storage');
+const router = express.Router();
+
+// Maximum number of notifications returned at once
+const MAX_NOTIFICATIONS = 200;
+
+// All notification routes require authentication
+router.use(ensureAuthenticated);
+
+/**
+ * GET /api/notifications?unread=true&limit=50
+ * Get the current user's notifications, newest first, with the number still unread
+ */
+router.get('/', async (req, res) => {
+    // Limit between 1 and MAX_NOTIFICATIONS, 50 by default
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_NOTIFICATIONS);
+    const unread = req.query.unread === 'true' || req.query.unread === '1';
+
+    try {
+        const [notifications, unreadCount] = await Promise.all([
+            storage.getUserNotifications(req.user.id, { unread }, limit),
+            storage.countUnreadNotifications(req.user.id)
+        ]);
+
+        res.json({ unread: unreadCount, notifications });
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({
+            error: 'Failed to fetch notifications',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/notifications/read
+ * Mark all of the current user's notifications as read
+ */
+router.post('/read', async (req, res) => {
+    try {
+        const updated = await storage.markNotificationsRead(req.user.id);
+        res.json({ success: true, updated });
+    } catch (error) {
+        console.error('Error marking notifications as read:', error);
+        res.status(500).json({
+            error: 'Failed to mark notifications as read',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/notifications/:id/read
+ * Mark one of the current user's notifications as read
+ */
+router.post('/:id/read', async (req, res) => {
+    const notificationId = parseInt(req.params.id);
+
+    if (isNaN(notificationId)) {
+        return res.status(400).json({
+            error: 'Invalid notification ID'
+        });
+    }
+
+    try {
+        const updated = await storage.markNotificationsRead(req.user.id, notificationId);
+        res.json({ success: true, updated });
+    } catch (error) {
+        console.error('Error marking notification as read:', error);
+        res.status(500).json({
+            error: 'Failed to mark notification as read',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -6,11 +6,26 @@
 const express = require('express');
 const { ensureAuthenticated } = require('../auth');
 const storage = require('../storage');
+const portfolioValuation = require('../services/portfolio-valuation');
+const corporateActions = require('../services/corporate-actions');
+const fx = require('../services/fx');
+const { SUPPORTED_CURRENCIES, normalizeCurrency } = require('../services/currency');
 const router = express.Router();
 
 // All portfolio routes require authentication
 router.use(ensureAuthenticated);
 
+/**
+ * Get the positions of a portfolio with stock splits and dividend income applied
+ * @param {number} portfolioId - Portfolio ID
+ * @param {number} userId - User ID for logging
+ * @returns {Promise<Array>} Portfolio positions
+ */
+async function getAdjustedPositions(portfolioId, userId) {
+    await corporateActions.syncPositions(await storage.getPortfolioPositions(portfolioId), userId);
+    return storage.getPortfolioPositions(portfolioId);
+}
+
 /**
  * GET /api/portfolio
  * Get all portfolios for current user
@@ -58,7 +73,7 @@ router.get('/:id', async (req, res) => {
         }
 
         // Get positions for the portfolio
-        const positions = await storage.getPortfolioPositions(portfolioId);
+        const positions = await getAdjustedPositions(portfolioId, req.user.id);
 
         res.json({
             ...portfolio,
@@ -224,7 +239,7 @@ router.get('/:id/positions', async (req, res) => {
         }
 
         // Get positions
-        const positions = await storage.getPortfolioPositions(portfolioId);
+        const positions = await getAdjustedPositions(portfolioId, req.user.id);
 
         res.json(positions);
     } catch (error) {
@@ -236,13 +251,166 @@ router.get('/:id/positions', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/portfolio/:id/valuation?currency=EUR
+ * Value all positions of a portfolio at current market prices
+ * Totals are in the requested currency, defaulting to the user's base currency
+ */
+router.get('/:id/valuation', async (req, res) => {
+    const portfolioId = parseInt(req.params.id);
+    const baseCurrency = req.query.currency === undefined
+        ? req.user.base_currency || 'USD'
+        : String(req.query.currency).toUpperCase();
+
+    if (isNaN(portfolioId)) {
+        return res.status(400).json({
+            error: 'Invalid portfolio ID'
+        });
+    }
+
+    if (!SUPPORTED_CURRENCIES.includes(baseCurrency)) {
+        return res.status(400).json({
+            error: 'Invalid currency'
+        });
+    }
+
+    try {
+        // Check if portfolio exists and belongs to user
+        const portfolio = await storage.getPortfolio(portfolioId);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                error: 'Portfolio not found'
+            });
+        }
+
+        if (portfolio.user_id !== req.user.id) {
+            return res.status(403).json({
+                error: 'Access denied'
+            });
+        }
+
+        const positions = await getAdjustedPositions(portfolioId, req.user.id);
+        const valuation = await portfolioValuation.valuePositions(positions, req.user.id, { baseCurrency });
+
+        res.json({
+            ...portfolio,
+            ...valuation
+        });
+    } catch (error) {
+        console.error('Error valuing portfolio:', error);
+        res.status(500).json({
+            error: 'Failed to value portfolio',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/portfolio/:id/dividends
+ * Get dividend income received by the positions of a portfolio
+ */
+router.get('/:id/dividends', async (req, res) => {
+    const portfolioId = parseInt(req.params.id);
+
+    if (isNaN(portfolioId)) {
+        return res.status(400).json({
+            error: 'Invalid portfolio ID'
+        });
+    }
+
+    try {
+        // Check if portfolio exists and belongs to user
+        const portfolio = await storage.getPortfolio(portfolioId);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                error: 'Portfolio not found'
+            });
+        }
+
+        if (portfolio.user_id !== req.user.id) {
+            return res.status(403).json({
+                error: 'Access denied'
+            });
+        }
+
+        // Record any dividends paid since the last sync
+        await getAdjustedPositions(portfolioId, req.user.id);
+        const income = await storage.getPortfolioDividendIncome(portfolioId);
+
+        res.json({
+            portfolioId,
+            totalIncome: Math.round(income.reduce((total, item) => total + item.amount, 0) * 100) / 100,
+            income
+        });
+    } catch (error) {
+        console.error('Error fetching dividend income:', error);
+        res.status(500).json({
+            error: 'Failed to fetch dividend income',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/portfolio/:id/snapshots?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Get the daily values of a portfolio recorded after each market close, oldest first
+ */
+router.get('/:id/snapshots', async (req, res) => {
+    const portfolioId = parseInt(req.params.id);
+    const { from, to } = req.query;
+
+    if (isNaN(portfolioId)) {
+        return res.status(400).json({
+            error: 'Invalid portfolio ID'
+        });
+    }
+
+    if ([from, to].some(date => date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+        return res.status(400).json({
+            error: 'Dates must use the YYYY-MM-DD format'
+        });
+    }
+
+    try {
+        // Check if portfolio exists and belongs to user
+        const portfolio = await storage.getPortfolio(portfolioId);
+
+        if (!portfolio) {
+            return res.status(404).json({
+                error: 'Portfolio not found'
+            });
+        }
+
+        if (portfolio.user_id !== req.user.id) {
+            return res.status(403).json({
+                error: 'Access denied'
+            });
+        }
+
+        const snapshots = await storage.getPortfolioSnapshots(portfolioId, from || null, to || null);
+
+        res.json({
+            portfolioId,
+            snapshots
+        });
+    } catch (error) {
+        console.error('Error fetching portfolio snapshots:', error);
+        res.status(500).json({
+            error: 'Failed to fetch portfolio snapshots',
+            message: error.message
+        });
+    }
+});
+
 /**
  * POST /api/portfolio/:id/positions
  * Add a position to a portfolio
  */
 router.post('/:id/positions', async (req, res) => {
     const portfolioId = parseInt(req.params.id);
-    const { symbol, shares, purchase_price, purchase_date, notes } = req.body;
+    const { symbol, shares, purchase_price, purchase_date, notes, currency } = req.body;
 
     if (isNaN(portfolioId) || !symbol || !shares || !purchase_price) {
         return res.status(400).json({
@@ -250,6 +418,12 @@ router.post('/:id/positions', async (req, res) => {
         });
     }
 
+    if (currency !== undefined && !normalizeCurrency(currency)) {
+        return res.status(400).json({
+            error: 'Invalid currency'
+        });
+    }
+
     try {
         // Check if portfolio exists and belongs to user
         const portfolio = await storage.getPortfolio(portfolioId);
@@ -273,10 +447,17 @@ router.post('/:id/positions', async (req, res) => {
             shares,
             purchase_price,
             purchase_date,
-            notes
+            notes,
+            // The purchase price is in the listing's currency unless another one is given
+            currency: currency === undefined
+                ? await fx.getSymbolCurrency(symbol, req.user.id)
+                : normalizeCurrency(currency)
         });
 
-        res.status(201).json(position);
+        // Adjust for splits since the purchase date and record dividends received
+        await corporateActions.syncPositions([position], req.user.id);
+
+        res.status(201).json(await storage.getPosition(position.id));
     } catch (error) {
         console.error('Error adding position:', error);
         res.status(500).json({
@@ -288,12 +469,12 @@ router.post('/:id/positions', async (req, res) => {
 
 /**
  * PUT /api/portfolio/:portfolioId/positions/:id
- * Update a position
+ * Update a position; shares and purchase price are split-adjusted, as positions are returned
  */
 router.put('/:portfolioId/positions/:id', async (req, res) => {
     const portfolioId = parseInt(req.params.portfolioId);
     const positionId = parseInt(req.params.id);
-    const { shares, purchase_price, purchase_date, notes } = req.body;
+    const { shares, purchase_price, purchase_date, notes, currency } = req.body;
 
     if (isNaN(portfolioId) || isNaN(positionId)) {
         return res.status(400).json({
@@ -301,6 +482,12 @@ router.put('/:portfolioId/positions/:id', async (req, res) => {
         });
     }
 
+    if (currency !== undefined && !normalizeCurrency(currency)) {
+        return res.status(400).json({
+            error: 'Invalid currency'
+        });
+    }
+
     try {
         // Check if portfolio exists and belongs to user
         const portfolio = await storage.getPortfolio(portfolioId);
@@ -332,15 +519,19 @@ router.put('/:portfolioId/positions/:id', async (req, res) => {
             });
         }
 
-        // Update position
-        const updatedPosition = await storage.updatePosition(positionId, {
+        // Splits and dividend income are redone from stored data, in one transaction
+        const updatedPosition = await corporateActions.updatePosition(positionId, {
             shares,
             purchase_price,
             purchase_date,
-            notes
+            notes,
+            currency: currency === undefined ? undefined : normalizeCurrency(currency)
         });
 
-        res.json(updatedPosition);
+        // Then check the provider for new splits and dividends since the purchase date
+        await corporateActions.syncPositions([updatedPosition], req.user.id);
+
+        res.json(await storage.getPosition(positionId));
     } catch (error) {
         console.error('Error updating position:', error);
         res.status(500).json({
@@ -0,0 +1,314 @@
+/**
+ * Stock screen routes for StockInfo application
+ * Handles saving, updating and running users' stock screens, and the run history of watched screens
+ */
+
+const express = require('express');
+const { ensureAuthenticated } = require('../auth');
+const storage = require('../storage');
+const screener = require('../services/screener');
+const router = express.Router();
+
+// Maximum number of runs returned by the run history endpoint
+const MAX_SCREEN_RUNS = 200;
+
+// All screen routes require authentication
+router.use(ensureAuthenticated);
+
+/**
+ * Load a screen from the route's :id parameter and check that it belongs to the current user
+ * Sends the error response itself when the screen can't be used
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Screen, or null when a response has been sent
+ */
+async function getOwnScreen(req, res) {
+    const screenId = parseInt(req.params.id);
+
+    if (isNaN(screenId)) {
+        res.status(400).json({
+            error: 'Invalid screen ID'
+        });
+        return null;
+    }
+
+    const screen = await storage.getScreen(screenId);
+
+    if (!screen) {
+        res.status(404).json({
+            error: 'Screen not found'
+        });
+        return null;
+    }
+
+    if (screen.user_id !== req.user.id) {
+        res.status(403).json({
+            error: 'Access denied'
+        });
+        return null;
+    }
+
+    return screen;
+}
+
+/**
+ * Run criteria and send one page of results
+ * @param {Object} criteria - Validated criteria
+ * @param {Object} req - Express request with page and limit query parameters
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Page of results, or null when the query was invalid and a response has been sent
+ */
+async function runPage(criteria, req, res) {
+    const { page, limit } = req.query;
+    const validationError = screener.validatePageQuery({ page, limit });
+
+    if (validationError) {
+        res.status(400).json({
+            error: validationError
+        });
+        return null;
+    }
+
+    return screener.runScreen(criteria, { page, limit });
+}
+
+/**
+ * GET /api/screens
+ * Get the current user's saved screens
+ */
+router.get('/', async (req, res) => {
+    try {
+        const screens = await storage.getUserScreens(req.user.id);
+        res.json(screens);
+    } catch (error) {
+        console.error('Error fetching screens:', error);
+        res.status(500).json({
+            error: 'Failed to fetch screens',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/screens/run?page=1&limit=25
+ * Run criteria without saving them, e.g. to preview a screen
+ */
+router.post('/run', async (req, res) => {
+    const { criteria } = req.body;
+    const criteriaError = screener.validateCriteria(criteria);
+
+    if (criteriaError) {
+        return res.status(400).json({
+            error: criteriaError
+        });
+    }
+
+    try {
+        const results = await runPage(criteria, req, res);
+        if (!results) return;
+
+        res.json(results);
+    } catch (error) {
+        console.error('Error running screen:', error);
+        res.status(500).json({
+            error: 'Failed to run screen',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/screens/:id
+ * Get a saved screen
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const screen = await getOwnScreen(req, res);
+        if (!screen) return;
+
+        res.json(screen);
+    } catch (error) {
+        console.error('Error fetching screen:', error);
+        res.status(500).json({
+            error: 'Failed to fetch screen',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/screens
+ * Save a screen
+ */
+router.post('/', async (req, res) => {
+    const { name, criteria, watch = false } = req.body;
+
+    if (!name || criteria === undefined) {
+        return res.status(400).json({
+            error: 'Missing required fields: name, criteria'
+        });
+    }
+
+    if (typeof watch !== 'boolean') {
+        return res.status(400).json({
+            error: 'watch must be true or false'
+        });
+    }
+
+    const criteriaError = screener.validateCriteria(criteria);
+    if (criteriaError) {
+        return res.status(400).json({
+            error: criteriaError
+        });
+    }
+
+    try {
+        const screen = await storage.createScreen({
+            user_id: req.user.id,
+            name,
+            criteria,
+            watch
+        });
+
+        res.status(201).json(screen);
+    } catch (error) {
+        console.error('Error creating screen:', error);
+        res.status(500).json({
+            error: 'Failed to create screen',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/screens/:id
+ * Update a screen's name, criteria or watch flag; watched screens are rerun after each market close
+ */
+router.put('/:id', async (req, res) => {
+    const { name, criteria, watch } = req.body;
+
+    if (name !== undefined && !name) {
+        return res.status(400).json({
+            error: 'Name must not be empty'
+        });
+    }
+
+    if (watch !== undefined && typeof watch !== 'boolean') {
+        return res.status(400).json({
+            error: 'watch must be true or false'
+        });
+    }
+
+    if (criteria !== undefined) {
+        const criteriaError = screener.validateCriteria(criteria);
+        if (criteriaError) {
+            return res.status(400).json({
+                error: criteriaError
+            });
+        }
+    }
+
+    try {
+        const screen = await getOwnScreen(req, res);
+        if (!screen) return;
+
+        const updatedScreen = await storage.updateScreen(screen.id, { name, criteria, watch });
+        res.json(updatedScreen);
+    } catch (error) {
+        console.error('Error updating screen:', error);
+        res.status(500).json({
+            error: 'Failed to update screen',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/screens/:id
+ * Delete a screen
+ */
+router.delete('/:id', async (req, res) => {
+    try {
+        const screen = await getOwnScreen(req, res);
+        if (!screen) return;
+
+        await storage.deleteScreen(screen.id);
+        res.json({
+            success: true,
+            message: 'Screen deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting screen:', error);
+        res.status(500).json({
+            error: 'Failed to delete screen',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/screens/:id/run?page=1&limit=25
+ * Run a saved screen against the locally stored quotes and profiles
+ */
+router.get('/:id/run', async (req, res) => {
+    try {
+        const screen = await getOwnScreen(req, res);
+        if (!screen) return;
+
+        const results = await runPage(screen.criteria, req, res);
+        if (!results) return;
+
+        res.json({ screen: { id: screen.id, name: screen.name }, ...results });
+    } catch (error) {
+        console.error('Error running screen:', error);
+        res.status(500).json({
+            error: 'Failed to run screen',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/screens/:id/runs?limit=50
+ * Get the run history of a screen, newest first, with the symbols that entered or left at each run
+ */
+router.get('/:id/runs', async (req, res) => {
+    // Limit between 1 and MAX_SCREEN_RUNS, 50 by default
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_SCREEN_RUNS);
+
+    try {
+        const screen = await getOwnScreen(req, res);
+        if (!screen) return;
+
+        const runs = await storage.getScreenRuns(screen.id, limit);
+        res.json(runs);
+    } catch (error) {
+        console.error('Error fetching screen runs:', error);
+        res.status(500).json({
+            error: 'Failed to fetch screen runs',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/screens/:id/runs
+ * Run a screen now and record the run, as the watch-screens job does after the close
+ */
+router.post('/:id/runs', async (req, res) => {
+    try {
+        const screen = await getOwnScreen(req, res);
+        if (!screen) return;
+
+        const run = await screener.recordRun(screen, { trigger: 'manual' });
+        res.status(201).json(run);
+    } catch (error) {
+        console.error('Error recording screen run:', error);
+        res.status(500).json({
+            error: 'Failed to run screen',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
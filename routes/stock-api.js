@@ -1,16 +1,82 @@
 /**
  * API routes for stock information
- * Handles fetching stock quotes, profiles, historical data and search
+ * Handles fetching stock quotes, profiles, historical data, technical indicators,
+ * financial statements, key metrics, dividends, splits, the earnings calendar, market movers,
+ * sector performance, comparisons, correlations, exchange rates, market status, search,
+ * live quote streaming, news and news sentiment
  */
 
 const express = require('express');
 const router = express.Router();
 const { ensureAuthenticated } = require('../auth');
-const fmpApi = require('../services/fmp-api');
+const marketData = require('../services/market-data');
+const historical = require('../services/historical');
+const indicators = require('../services/indicators');
+const financials = require('../services/financials');
+const metrics = require('../services/metrics');
+const corporateActions = require('../services/corporate-actions');
+const earnings = require('../services/earnings');
+const movers = require('../services/movers');
+const sectors = require('../services/sectors');
+const compare = require('../services/compare');
+const correlation = require('../services/correlation');
+const symbolDirectory = require('../services/symbols');
+const fx = require('../services/fx');
+const { SUPPORTED_CURRENCIES } = require('../services/currency');
+const tradingCalendar = require('../services/trading-calendar');
+const priceStream = require('../services/price-stream');
+const newsArchive = require('../services/news');
+const storage = require('../storage');
+
+// Maximum number of symbols accepted by the batch quote endpoint
+const MAX_BATCH_SYMBOLS = 200;
+
+// Maximum number of periods returned by the financial statement and metrics endpoints
+const MAX_STATEMENT_LIMIT = 40;
+
+// Maximum number of stocks returned by the market movers endpoint
+const MAX_MOVERS_LIMIT = 50;
+
+// Maximum number of symbols compared at once
+const MAX_COMPARE_SYMBOLS = 10;
+
+// Maximum number of symbols in a correlation matrix
+const MAX_CORRELATION_SYMBOLS = 50;
+
+// Maximum number of results returned by the search endpoint
+const MAX_SEARCH_LIMIT = 50;
+
+// Maximum number of symbols one price stream can subscribe to
+const MAX_STREAM_SYMBOLS = 100;
+
+// How long browsers wait before reconnecting a dropped price stream, in milliseconds
+const STREAM_RECONNECT_DELAY = 5000;
+
+// Comment lines sent on idle price streams, so proxies don't close them
+const STREAM_HEARTBEAT_INTERVAL = 25000;
 
 // All routes require authentication
 router.use(ensureAuthenticated);
 
+/**
+ * Build market data cache options from the request
+ * Pass ?refresh=true to bypass the cache and fetch fresh data
+ * @param {object} req - Express request
+ * @returns {object} Cache options
+ */
+function getCacheOptions(req) {
+    return { refresh: req.query.refresh === 'true' || req.query.refresh === '1' };
+}
+
+/**
+ * Check that a query parameter is a valid YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {boolean} True if the date is valid
+ */
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
 /**
  * GET /api/stocks/quote/:symbol
  * Get stock quote by symbol
@@ -18,7 +84,7 @@ router.use(ensureAuthenticated);
 router.get('/quote/:symbol', async (req, res, next) => {
     try {
         const symbol = req.params.symbol.toUpperCase();
-        const quote = await fmpApi.fetchStockQuote(symbol, req.user?.id);
+        const quote = await marketData.fetchStockQuote(symbol, req.user?.id, getCacheOptions(req));
 
         if (!quote) {
             return res.status(404).json({
@@ -33,6 +99,122 @@ router.get('/quote/:symbol', async (req, res, next) => {
     }
 });
 
+/**
+ * GET /api/stocks/quotes?symbols=AAPL,MSFT,GOOGL
+ * Get stock quotes for many symbols in one request
+ */
+router.get('/quotes', async (req, res, next) => {
+    try {
+        const symbols = (req.query.symbols || '')
+            .split(',')
+            .map(symbol => symbol.trim().toUpperCase())
+            .filter(Boolean);
+
+        if (symbols.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one symbol is required, e.g. ?symbols=AAPL,MSFT'
+            });
+        }
+
+        if (symbols.length > MAX_BATCH_SYMBOLS) {
+            return res.status(400).json({
+                success: false,
+                message: `A maximum of ${MAX_BATCH_SYMBOLS} symbols can be requested at once`
+            });
+        }
+
+        const quotes = await marketData.fetchQuotes(symbols, req.user?.id, getCacheOptions(req));
+        res.json(quotes);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/stream?symbols=AAPL,MSFT
+ * Stream quotes for many symbols as Server-Sent Events, authenticated with the session cookie
+ * A quotes event carries the current quotes on connect, then the quotes that changed after each poll.
+ * Browsers reconnect dropped streams on their own; change symbols by opening a new stream.
+ */
+router.get('/stream', (req, res) => {
+    const symbols = [...new Set((req.query.symbols || '')
+        .split(',')
+        .map(symbol => symbol.trim().toUpperCase())
+        .filter(Boolean))];
+
+    if (symbols.length === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'At least one symbol is required, e.g. ?symbols=AAPL,MSFT'
+        });
+    }
+
+    if (symbols.length > MAX_STREAM_SYMBOLS) {
+        return res.status(400).json({
+            success: false,
+            message: `A maximum of ${MAX_STREAM_SYMBOLS} symbols can be streamed at once`
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop reverse proxies from buffering events
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${STREAM_RECONNECT_DELAY}\n\n`);
+
+    const unsubscribe = priceStream.subscribe(symbols, quotes => {
+        res.write(`event: quotes\ndata: ${JSON.stringify(quotes)}\n\n`);
+    });
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+/**
+ * GET /api/stocks/featured
+ * Get active featured stocks with their current quotes
+ */
+router.get('/featured', async (req, res, next) => {
+    try {
+        const featuredStocks = await storage.getFeaturedStocks();
+        const quotes = await marketData.fetchQuotes(
+            featuredStocks.map(stock => stock.symbol),
+            req.user?.id,
+            getCacheOptions(req)
+        );
+        const quotesBySymbol = new Map(quotes.map(quote => [quote.symbol, quote]));
+
+        // Only featured stocks with quote data can be displayed
+        const featured = featuredStocks
+            .filter(stock => quotesBySymbol.has(stock.symbol))
+            .map(stock => {
+                const quote = quotesBySymbol.get(stock.symbol);
+                return {
+                    id: stock.id,
+                    symbol: stock.symbol,
+                    title: stock.title,
+                    description: stock.description,
+                    name: quote.name,
+                    price: quote.price,
+                    change: quote.change,
+                    changesPercentage: quote.changesPercentage
+                };
+            });
+
+        res.json(featured);
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * GET /api/stocks/profile/:symbol
  * Get company profile by symbol
@@ -40,7 +222,7 @@ router.get('/quote/:symbol', async (req, res, next) => {
 router.get('/profile/:symbol', async (req, res, next) => {
     try {
         const symbol = req.params.symbol.toUpperCase();
-        const profile = await fmpApi.fetchCompanyProfile(symbol, req.user?.id);
+        const profile = await marketData.fetchCompanyProfile(symbol, req.user?.id, getCacheOptions(req));
 
         if (!profile) {
             return res.status(404).json({
@@ -49,6 +231,7 @@ router.get('/profile/:symbol', async (req, res, next) => {
             });
         }
 
+        await symbolDirectory.recordProfile(profile);
         res.json(profile);
     } catch (error) {
         next(error);
@@ -56,13 +239,42 @@ router.get('/profile/:symbol', async (req, res, next) => {
 });
 
 /**
- * GET /api/stocks/historical/:symbol
- * Get historical price data for a stock
+ * GET /api/stocks/historical/:symbol?from=YYYY-MM-DD&to=YYYY-MM-DD&interval=daily
+ * Get historical OHLCV bars for a stock
+ * interval: 1min, 5min, 1hour (intraday), daily (default), weekly or monthly
  */
 router.get('/historical/:symbol', async (req, res, next) => {
     try {
         const symbol = req.params.symbol.toUpperCase();
-        const historicalData = await fmpApi.fetchHistoricalData(symbol, req.user?.id);
+        const { from, to, interval = 'daily' } = req.query;
+
+        if (!historical.INTERVALS.includes(interval)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid interval. Expected one of: ${historical.INTERVALS.join(', ')}`
+            });
+        }
+
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must use the YYYY-MM-DD format'
+            });
+        }
+
+        if (from && to && from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'The from date must not be after the to date'
+            });
+        }
+
+        const historicalData = await historical.getHistoricalPrices(
+            symbol,
+            { from, to, interval },
+            req.user?.id,
+            getCacheOptions(req)
+        );
 
         if (!historicalData) {
             return res.status(404).json({
@@ -78,21 +290,449 @@ router.get('/historical/:symbol', async (req, res, next) => {
 });
 
 /**
- * GET /api/stocks/search
- * Search for stocks by query
+ * GET /api/stocks/compare?symbols=AAPL,MSFT,GOOGL&from=2025-01-01
+ * Compare stocks: price history rebased to 100 on the start date (default: one year ago)
+ * and a table of key quote and profile figures
+ */
+router.get('/compare', async (req, res, next) => {
+    try {
+        const symbols = [...new Set((req.query.symbols || '')
+            .split(',')
+            .map(symbol => symbol.trim().toUpperCase())
+            .filter(Boolean))];
+        const { to } = req.query;
+
+        if (symbols.length < 2 || symbols.length > MAX_COMPARE_SYMBOLS) {
+            return res.status(400).json({
+                success: false,
+                message: `Between 2 and ${MAX_COMPARE_SYMBOLS} symbols are required, e.g. ?symbols=AAPL,MSFT`
+            });
+        }
+
+        if ((req.query.from && !isValidDate(req.query.from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must use the YYYY-MM-DD format'
+            });
+        }
+
+        const oneYearAgo = new Date();
+        oneYearAgo.setUTCFullYear(oneYearAgo.getUTCFullYear() - 1);
+        const from = req.query.from || oneYearAgo.toISOString().slice(0, 10);
+
+        if (to && from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'The from date must not be after the to date'
+            });
+        }
+
+        const comparison = await compare.getComparison(symbols, { from, to }, req.user?.id, getCacheOptions(req));
+
+        if (comparison.missing) {
+            return res.status(404).json({
+                success: false,
+                message: `No historical data found in the date range for: ${comparison.missing.join(', ')}`
+            });
+        }
+
+        res.json(comparison);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Get the symbols a correlation request is for: an explicit list, a portfolio's
+ * positions or the user's watchlist
+ * @param {object} query - Request query
+ * @param {number} userId - User ID
+ * @returns {Promise<object>} { symbols } or { status, message } when the request is invalid
+ */
+async function getCorrelationSymbols(query, userId) {
+    if (query.portfolioId !== undefined) {
+        const portfolioId = parseInt(query.portfolioId);
+        const portfolio = isNaN(portfolioId) ? null : await storage.getPortfolio(portfolioId);
+
+        // Other users' portfolios are reported as missing
+        if (!portfolio || portfolio.user_id !== userId) {
+            return { status: 404, message: `Portfolio not found: ${query.portfolioId}` };
+        }
+
+        const positions = await storage.getPortfolioPositions(portfolioId);
+        return { symbols: positions.map(position => position.symbol.toUpperCase()) };
+    }
+
+    if (query.watchlist === 'true' || query.watchlist === '1') {
+        const watchlist = await storage.getUserWatchlist(userId);
+        return { symbols: watchlist.map(item => item.symbol.toUpperCase()) };
+    }
+
+    return {
+        symbols: (query.symbols || '')
+            .split(',')
+            .map(symbol => symbol.trim().toUpperCase())
+            .filter(Boolean)
+    };
+}
+
+/**
+ * GET /api/stocks/correlation?symbols=AAPL,MSFT&benchmark=^GSPC&lookback=252
+ * GET /api/stocks/correlation?portfolioId=1
+ * GET /api/stocks/correlation?watchlist=true
+ * Get pairwise daily return correlations and each stock's beta against a benchmark
+ * over the last lookback trading days of stored history
+ */
+router.get('/correlation', async (req, res, next) => {
+    try {
+        const benchmark = (req.query.benchmark || correlation.DEFAULT_BENCHMARK).toUpperCase();
+        const lookback = Number(req.query.lookback || correlation.DEFAULT_LOOKBACK);
+
+        if (!(Number.isInteger(lookback) && lookback >= correlation.MIN_LOOKBACK && lookback <= correlation.MAX_LOOKBACK)) {
+            return res.status(400).json({
+                success: false,
+                message: `The lookback must be a whole number of days between ${correlation.MIN_LOOKBACK} and ${correlation.MAX_LOOKBACK}`
+            });
+        }
+
+        const result = await getCorrelationSymbols(req.query, req.user.id);
+        if (result.status) {
+            return res.status(result.status).json({ success: false, message: result.message });
+        }
+
+        const symbols = [...new Set(result.symbols)];
+
+        if (symbols.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one symbol is required: pass symbols, a portfolioId or watchlist=true'
+            });
+        }
+
+        if (symbols.length > MAX_CORRELATION_SYMBOLS) {
+            return res.status(400).json({
+                success: false,
+                message: `A maximum of ${MAX_CORRELATION_SYMBOLS} symbols can be correlated at once`
+            });
+        }
+
+        const correlations = await correlation.getCorrelation(
+            symbols,
+            { benchmark, lookback },
+            req.user.id,
+            getCacheOptions(req)
+        );
+
+        if (correlations.missing) {
+            return res.status(404).json({
+                success: false,
+                message: `No historical data found for: ${correlations.missing.join(', ')}`
+            });
+        }
+
+        if (correlations.insufficient !== undefined) {
+            return res.status(404).json({
+                success: false,
+                message: `Not enough overlapping price history: ${correlations.insufficient} common trading days, at least ${correlation.MIN_LOOKBACK} are needed`
+            });
+        }
+
+        res.json(correlations);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/indicators/:symbol?type=rsi&period=14&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Get technical indicators calculated from daily history, aligned by date
+ * type: comma-separated list of sma, ema, rsi, macd, bollinger and atr, each with
+ * optional colon-separated parameters (e.g. sma:50,macd:12:26:9,bollinger:20:2)
+ */
+router.get('/indicators/:symbol', async (req, res, next) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const { type, period, from, to } = req.query;
+
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must use the YYYY-MM-DD format'
+            });
+        }
+
+        if (from && to && from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'The from date must not be after the to date'
+            });
+        }
+
+        const indicatorData = await indicators.getIndicators(
+            symbol,
+            { type, period, from, to },
+            req.user?.id,
+            getCacheOptions(req)
+        );
+
+        if (!indicatorData) {
+            return res.status(404).json({
+                success: false,
+                message: `No historical data found for symbol: ${symbol}`
+            });
+        }
+
+        res.json(indicatorData);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * Validate the period and limit query parameters of the financial statement and metrics endpoints
+ * @param {object} query - Request query
+ * @returns {string|null} Error message, or null when the parameters are valid
+ */
+function validateStatementQuery({ period, limit }) {
+    if (period && !financials.PERIODS.includes(period)) {
+        return `Invalid period. Expected one of: ${financials.PERIODS.join(', ')}`;
+    }
+
+    if (limit !== undefined && !(Number.isInteger(Number(limit)) && limit >= 1 && limit <= MAX_STATEMENT_LIMIT)) {
+        return `The limit must be a whole number between 1 and ${MAX_STATEMENT_LIMIT}`;
+    }
+
+    return null;
+}
+
+/**
+ * GET /api/stocks/financials/:symbol/growth?period=annual&limit=5
+ * Get year-over-year growth of key income statement, balance sheet and cash flow items
+ */
+router.get('/financials/:symbol/growth', async (req, res, next) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const { period = 'annual', limit } = req.query;
+
+        const validationError = validateStatementQuery(req.query);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const growth = await financials.getGrowth(
+            symbol,
+            { period, limit: limit && Number(limit) },
+            req.user?.id,
+            getCacheOptions(req)
+        );
+
+        if (!growth) {
+            return res.status(404).json({
+                success: false,
+                message: `No financial statements found for symbol: ${symbol}`
+            });
+        }
+
+        res.json(growth);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/financials/:symbol/:statement?period=annual&limit=5
+ * Get income statements, balance sheets or cash flow statements with year-over-year growth
+ * statement: income-statement, balance-sheet or cash-flow; period: annual (default) or quarter
+ */
+router.get('/financials/:symbol/:statement', async (req, res, next) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const { statement } = req.params;
+        const { period = 'annual', limit } = req.query;
+
+        if (!financials.STATEMENTS.includes(statement)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid statement. Expected one of: ${financials.STATEMENTS.join(', ')}`
+            });
+        }
+
+        const validationError = validateStatementQuery(req.query);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const statements = await financials.getStatements(
+            symbol,
+            statement,
+            { period, limit: limit && Number(limit) },
+            req.user?.id,
+            getCacheOptions(req)
+        );
+
+        if (!statements) {
+            return res.status(404).json({
+                success: false,
+                message: `No ${statement.replace('-', ' ')} data found for symbol: ${symbol}`
+            });
+        }
+
+        res.json(statements);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/metrics/:symbol?period=annual&limit=5
+ * Get margins, returns, leverage, liquidity and valuation ratios, currently and per reporting period
+ */
+router.get('/metrics/:symbol', async (req, res, next) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const { period = 'annual', limit } = req.query;
+
+        const validationError = validateStatementQuery(req.query);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const keyMetrics = await metrics.getMetrics(
+            symbol,
+            { period, limit: limit && Number(limit) },
+            req.user?.id,
+            getCacheOptions(req)
+        );
+
+        if (!keyMetrics) {
+            return res.status(404).json({
+                success: false,
+                message: `No financial statements found for symbol: ${symbol}`
+            });
+        }
+
+        res.json(keyMetrics);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/dividends/:symbol
+ * Get dividend history for a stock, newest ex-dividend date first
+ */
+router.get('/dividends/:symbol', async (req, res, next) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const dividends = await corporateActions.getDividends(symbol, req.user?.id, getCacheOptions(req));
+
+        res.json(dividends);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/splits/:symbol
+ * Get stock split history for a stock, newest first
+ */
+router.get('/splits/:symbol', async (req, res, next) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const splits = await corporateActions.getSplits(symbol, req.user?.id, getCacheOptions(req));
+
+        res.json(splits);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/earnings-calendar
+ * Get earnings announcements between two dates (default: the next two weeks)
+ * Pass scope=watchlist or scope=portfolio to only include the user's symbols
+ */
+router.get('/earnings-calendar', async (req, res, next) => {
+    try {
+        const { scope = 'all' } = req.query;
+
+        if (!earnings.SCOPES.includes(scope)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid scope. Expected one of: ${earnings.SCOPES.join(', ')}`
+            });
+        }
+
+        if ((req.query.from && !isValidDate(req.query.from)) || (req.query.to && !isValidDate(req.query.to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must use the YYYY-MM-DD format'
+            });
+        }
+
+        const from = req.query.from || new Date().toISOString().slice(0, 10);
+        const to = req.query.to || new Date(Date.parse(from) + 14 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+        if (from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'The from date must not be after the to date'
+            });
+        }
+
+        if (Date.parse(to) - Date.parse(from) > earnings.MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+                success: false,
+                message: `The date range must not exceed ${earnings.MAX_RANGE_DAYS} days`
+            });
+        }
+
+        const calendar = await earnings.getEarningsCalendar({ from, to, scope }, req.user?.id, getCacheOptions(req));
+        res.json(calendar);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/search?query=app&limit=10
+ * Search for stocks by symbol or company name in the local symbol directory
  */
 router.get('/search', async (req, res, next) => {
     try {
-        const { query } = req.query;
+        const { limit = 10 } = req.query;
+        const query = typeof req.query.query === 'string' ? req.query.query.trim() : '';
+
+        if (!query) {
+            return res.status(400).json({
+                success: false,
+                message: 'Search query is required'
+            });
+        }
 
-        if (!query || query.length < 2) {
+        if (!(Number.isInteger(Number(limit)) && limit >= 1 && limit <= MAX_SEARCH_LIMIT)) {
             return res.status(400).json({
                 success: false,
-                message: 'Search query must be at least 2 characters long'
+                message: `The limit must be a whole number between 1 and ${MAX_SEARCH_LIMIT}`
             });
         }
 
-        const results = await fmpApi.searchStocks(query, req.user?.id);
+        const results = await symbolDirectory.searchSymbols(
+            query,
+            { limit: Number(limit) },
+            req.user?.id,
+            getCacheOptions(req)
+        );
+
         res.json(results);
     } catch (error) {
         next(error);
@@ -105,24 +745,265 @@ router.get('/search', async (req, res, next) => {
  */
 router.get('/market-summary', async (req, res, next) => {
     try {
-        const marketSummary = await fmpApi.fetchMarketSummary(req.user?.id);
+        const marketSummary = await marketData.fetchMarketSummary(req.user?.id, getCacheOptions(req));
         res.json(marketSummary);
     } catch (error) {
         next(error);
     }
 });
 
+/**
+ * GET /api/stocks/market-status?exchange=NASDAQ
+ * Get whether a market is open, today's session, the next open and close and upcoming holidays
+ * The exchange can be an exchange short name or a calendar ID and defaults to the US markets
+ */
+router.get('/market-status', (req, res, next) => {
+    try {
+        const exchange = req.query.exchange || tradingCalendar.DEFAULT_CALENDAR;
+        const calendarId = tradingCalendar.getCalendarId(exchange);
+
+        if (!calendarId) {
+            return res.status(400).json({
+                success: false,
+                message: `No trading calendar for exchange ${exchange}. Expected one of: ` +
+                    Object.entries(tradingCalendar.CALENDARS)
+                        .map(([id, calendar]) => [id, ...calendar.exchanges].join(', '))
+                        .join(', ')
+            });
+        }
+
+        res.json(tradingCalendar.getMarketStatus(calendarId));
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/fx/rates?base=EUR
+ * Get current exchange rates, as units of each currency one unit of the base currency buys
+ * The base defaults to the user's base currency
+ */
+router.get('/fx/rates', async (req, res, next) => {
+    try {
+        const base = String(req.query.base || req.user?.base_currency || 'USD').toUpperCase();
+
+        if (!SUPPORTED_CURRENCIES.includes(base)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid base currency. Expected one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+            });
+        }
+
+        const rates = await fx.getRates(base, req.user?.id, getCacheOptions(req));
+
+        if (!rates) {
+            return res.status(404).json({
+                success: false,
+                message: `No exchange rates found for ${base}`
+            });
+        }
+
+        res.json(rates);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/fx/history/:currency?base=USD&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Get the daily value of a currency in the base currency, oldest first
+ */
+router.get('/fx/history/:currency', async (req, res, next) => {
+    try {
+        const currency = req.params.currency.toUpperCase();
+        const base = String(req.query.base || req.user?.base_currency || 'USD').toUpperCase();
+        const { from, to } = req.query;
+
+        if (!SUPPORTED_CURRENCIES.includes(currency) || !SUPPORTED_CURRENCIES.includes(base)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid currency. Expected one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+            });
+        }
+
+        if (currency === base) {
+            return res.status(400).json({
+                success: false,
+                message: 'The currency and base currency must be different'
+            });
+        }
+
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must use the YYYY-MM-DD format'
+            });
+        }
+
+        const history = await fx.getRateHistory(currency, base, { from, to }, req.user?.id, getCacheOptions(req));
+
+        if (!history) {
+            return res.status(404).json({
+                success: false,
+                message: `No exchange rate history found for ${currency}/${base}`
+            });
+        }
+
+        res.json(history);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/movers?type=gainers&limit=10&exchange=NASDAQ
+ * Get today's biggest gainers, losers or most actively traded stocks
+ */
+router.get('/movers', async (req, res, next) => {
+    try {
+        const { type = 'gainers', limit = 10, exchange } = req.query;
+
+        if (!movers.MOVER_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid type. Expected one of: ${movers.MOVER_TYPES.join(', ')}`
+            });
+        }
+
+        if (!(Number.isInteger(Number(limit)) && limit >= 1 && limit <= MAX_MOVERS_LIMIT)) {
+            return res.status(400).json({
+                success: false,
+                message: `The limit must be a whole number between 1 and ${MAX_MOVERS_LIMIT}`
+            });
+        }
+
+        if (exchange !== undefined && !/^[A-Za-z]{2,10}$/.test(exchange)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid exchange'
+            });
+        }
+
+        const result = await movers.getMovers(
+            { type, limit: Number(limit), exchange },
+            req.user?.id,
+            getCacheOptions(req)
+        );
+
+        res.json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/sectors?groupBy=sector
+ * Get market cap weighted sector or industry performance over several periods
+ */
+router.get('/sectors', async (req, res, next) => {
+    try {
+        const { groupBy = 'sector' } = req.query;
+
+        if (!sectors.GROUP_BY.includes(groupBy)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid groupBy. Expected one of: ${sectors.GROUP_BY.join(', ')}`
+            });
+        }
+
+        const performance = await sectors.getPerformance({ groupBy }, req.user?.id, getCacheOptions(req));
+        res.json(performance);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/sectors/heatmap?period=1D
+ * Get constituents grouped by sector with market cap weights and performance, for heatmaps
+ */
+router.get('/sectors/heatmap', async (req, res, next) => {
+    try {
+        const { period = '1D' } = req.query;
+
+        if (!sectors.PERIODS.includes(period)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid period. Expected one of: ${sectors.PERIODS.join(', ')}`
+            });
+        }
+
+        const heatmap = await sectors.getHeatmap({ period }, req.user?.id, getCacheOptions(req));
+        res.json(heatmap);
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/stocks/sentiment/:symbol?from=2026-01-01&to=2026-03-31
+ * Get the daily news sentiment of a stock next to its closing prices (defaults to the last 90 days)
+ */
+router.get('/sentiment/:symbol', async (req, res, next) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const { from, to } = req.query;
+
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Dates must use the YYYY-MM-DD format'
+            });
+        }
+
+        if (from && to && from > to) {
+            return res.status(400).json({
+                success: false,
+                message: 'The from date must not be after the to date'
+            });
+        }
+
+        const trend = await newsArchive.getSentimentTrend(symbol, req.user?.id, {
+            from,
+            to,
+            ...getCacheOptions(req)
+        });
+
+        res.json(trend);
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * GET /api/stocks/news
  * GET /api/stocks/news/:symbol
- * Get financial news, optionally filtered by symbol
+ * Get archived financial news, newest first, optionally filtered by symbol
+ * Query parameters:
+ * - page: page number, starting at 1
+ * - limit: articles per page (default 20, at most 50)
+ * - sentiment: only positive, negative or neutral articles
  */
 router.get('/news/:symbol?', async (req, res, next) => {
     try {
         const { symbol } = req.params;
-        const news = await fmpApi.fetchFinancialNews(symbol, req.user?.id);
+        const { page, limit, sentiment } = req.query;
+
+        const validationError = newsArchive.validateNewsQuery({ page, limit, sentiment });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const options = { ...getCacheOptions(req), page, limit, sentiment };
+
+        const news = symbol
+            ? await newsArchive.getSymbolNews(symbol, req.user?.id, options)
+            : await newsArchive.getGeneralNews(req.user?.id, options);
 
-        res.json(news);
+        res.json(news.articles);
     } catch (error) {
         next(error);
     }
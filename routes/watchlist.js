@@ -6,7 +6,7 @@
 const express = require('express');
 const storage = require('../storage');
 const { ensureAuthenticated } = require('../auth');
-const fmpApi = require('../services/fmp-api');
+const marketData = require('../services/market-data');
 const router = express.Router();
 
 // All watchlist routes require authentication
@@ -21,32 +21,29 @@ router.get('/items', async (req, res, next) => {
         const userId = req.user.id;
         const watchlist = await storage.getUserWatchlist(userId);
 
-        // Get stock data for each item in watchlist
-        const watchlistWithDetails = await Promise.all(
-            watchlist.map(async (item) => {
-                try {
-                    // Get current stock data
-                    const stockData = await fmpApi.fetchStockQuote(item.symbol, userId);
-
-                    return {
-                        id: item.id,
-                        symbol: item.symbol,
-                        createdAt: item.created_at,
-                        price: stockData?.price || null,
-                        name: stockData?.name || null,
-                        change: stockData?.changesPercentage || null
-                    };
-                } catch (error) {
-                    // If API fails for a specific stock, return basic info
-                    console.error(`Error fetching data for ${item.symbol}:`, error);
-                    return {
-                        id: item.id,
-                        symbol: item.symbol,
-                        createdAt: item.created_at
-                    };
-                }
-            })
-        );
+        // Get stock data for all watchlist items in one batch
+        let quotesBySymbol = new Map();
+        try {
+            const quotes = await marketData.fetchQuotes(watchlist.map(item => item.symbol), userId);
+            quotesBySymbol = new Map(quotes.map(quote => [quote.symbol, quote]));
+        } catch (error) {
+            // If the API fails, return the items without stock data
+            console.error('Error fetching watchlist quotes:', error);
+        }
+
+        const watchlistWithDetails = watchlist.map(item => {
+            const stockData = quotesBySymbol.get(item.symbol);
+
+            return {
+                id: item.id,
+                symbol: item.symbol,
+                createdAt: item.created_at,
+                price: stockData?.price || null,
+                currency: stockData?.currency || null,
+                name: stockData?.name || null,
+                change: stockData?.changesPercentage || null
+            };
+        });
 
         res.json(watchlistWithDetails);
     } catch (error) {
@@ -72,7 +69,7 @@ router.post('/items', async (req, res, next) => {
 
         // Check if the stock exists by fetching its data
         try {
-            const stockData = await fmpApi.fetchStockQuote(symbol, userId);
+            const stockData = await marketData.fetchStockQuote(symbol, userId);
 
             if (!stockData) {
                 return res.status(404).json({
@@ -103,6 +100,7 @@ router.post('/items', async (req, res, next) => {
                 symbol: item.symbol,
                 createdAt: item.createdAt,
                 price: stockData.price,
+                currency: stockData.currency || null,
                 name: stockData.name,
                 change: stockData.changesPercentage
             };
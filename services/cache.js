@@ -0,0 +1,389 @@
+/**
+ * Market Data Cache Service
+ * Persists market data responses in SQLite with per-category TTLs and tracks hit/miss stats
+ */
+
+const storage = require('../storage');
+const tradingCalendar = require('./trading-calendar');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// TTL policy per cache category; setting-based TTLs can be tuned in app_settings.
+// Prices can't change while their market is closed, so marketHours TTLs last until it next opens.
+const TTL_POLICIES = {
+    quote: { setting: 'cache_ttl_quote_seconds', defaultValue: 60, unit: SECOND, marketHours: true },
+    'market-summary': { setting: 'cache_ttl_quote_seconds', defaultValue: 60, unit: SECOND, marketHours: true },
+    profile: { setting: 'cache_ttl_profile_days', defaultValue: 7, unit: DAY },
+    search: { setting: 'cache_ttl_search_hours', defaultValue: 24, unit: HOUR },
+    news: { setting: 'cache_ttl_news_minutes', defaultValue: 15, unit: MINUTE },
+    intraday: { setting: 'cache_ttl_quote_seconds', defaultValue: 60, unit: SECOND, marketHours: true },
+    movers: { setting: 'cache_ttl_movers_seconds', defaultValue: 120, unit: SECOND, marketHours: true },
+    sectors: { setting: 'cache_ttl_sectors_minutes', defaultValue: 15, unit: MINUTE },
+    fx: { setting: 'cache_ttl_fx_minutes', defaultValue: 60, unit: MINUTE },
+    historical: { untilNextClose: true },
+    indicators: { untilNextClose: true },
+    ratios: { setting: 'financials_refresh_days', defaultValue: 7, unit: DAY },
+    earnings: { setting: 'cache_ttl_earnings_hours', defaultValue: 6, unit: HOUR }
+};
+
+// In-memory hit/miss counters per category since the process started
+const stats = {};
+
+// Calls in progress, keyed by the caller's key, so concurrent requests share one upstream call
+const pendingCalls = new Map();
+
+/**
+ * Increment a stat counter for a category
+ * @param {string} category - Cache category
+ * @param {string} counter - Counter name (hits, misses, refreshes, stale)
+ */
+function recordStat(category, counter) {
+    if (!stats[category]) {
+        stats[category] = { hits: 0, misses: 0, refreshes: 0, stale: 0 };
+    }
+    stats[category][counter]++;
+}
+
+/**
+ * Get the policy for a cache category
+ * @param {string} category - Cache category
+ * @returns {Object} - TTL policy
+ */
+function getPolicy(category) {
+    const policy = TTL_POLICIES[category];
+
+    if (!policy) {
+        throw new Error(`Unknown cache category: ${category}`);
+    }
+
+    return policy;
+}
+
+/**
+ * Get the TTL for a cache category before market hours are taken into account
+ * @param {Object} policy - TTL policy
+ * @param {number} now - Current time in milliseconds
+ * @returns {Promise<number>} - TTL in milliseconds
+ */
+async function getBaseTtl(policy, now) {
+    if (policy.untilNextClose) {
+        return tradingCalendar.getNextClose(now) - now;
+    }
+
+    const value = await storage.getNumericAppSetting(policy.setting, policy.defaultValue);
+    return value * policy.unit;
+}
+
+/**
+ * Extend a TTL until the market next opens when it is closed
+ * Data for a single listing uses the listing's calendar; lists use the default calendar
+ * @param {Object} policy - TTL policy
+ * @param {number} ttl - TTL in milliseconds
+ * @param {number} now - Current time in milliseconds
+ * @param {any} data - Data being cached
+ * @returns {number} - TTL in milliseconds
+ */
+function applyMarketHours(policy, ttl, now, data) {
+    if (!policy.marketHours) return ttl;
+
+    const calendarId = data && !Array.isArray(data) && data.symbol
+        ? tradingCalendar.getListingCalendarId(data.symbol, data.exchange)
+        : tradingCalendar.DEFAULT_CALENDAR;
+
+    if (!calendarId || tradingCalendar.isOpen(now, calendarId)) {
+        return ttl;
+    }
+
+    return Math.max(ttl, tradingCalendar.getNextOpen(now, calendarId) - now);
+}
+
+/**
+ * Get the TTL for a cache category
+ * @param {string} category - Cache category
+ * @param {number} now - Current time in milliseconds
+ * @param {any} data - Data being cached, to find the market it trades on
+ * @returns {Promise<number>} - TTL in milliseconds
+ */
+async function getTtl(category, now = Date.now(), data = null) {
+    const policy = getPolicy(category);
+    return applyMarketHours(policy, await getBaseTtl(policy, now), now, data);
+}
+
+/**
+ * Check whether fetched data is empty and should not be cached
+ * @param {any} data - Fetched data
+ * @returns {boolean} - True when the data is empty
+ */
+function isEmpty(data) {
+    return data === null || data === undefined || (Array.isArray(data) && data.length === 0);
+}
+
+/**
+ * Read a cache entry, fresh or expired
+ * @param {string} category - Cache category
+ * @param {string} key - Cache key, unique within the category
+ * @returns {Promise<Object|null>} - Cache entry, or null when missing
+ */
+async function readEntry(category, key) {
+    const cacheKey = `${category}:${key}`;
+
+    try {
+        return (await storage.getCacheEntry(cacheKey)) || null;
+    } catch (error) {
+        console.error(`Failed to read cache entry ${cacheKey}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Check whether a failed fetch may fall back to expired cache entries
+ * @param {Error} error - Fetch error
+ * @returns {boolean} - True when stale data should be served instead
+ */
+function canServeStale(error) {
+    return error.code === 'QUOTA_EXCEEDED' || error.code === 'CIRCUIT_OPEN';
+}
+
+/**
+ * Share one call between concurrent callers, e.g. a sync of stored data
+ * @param {string} key - Call key, prefixed with the caller's name, e.g. price-history:AAPL
+ * @param {Function} fn - Async function making the call
+ * @returns {Promise<any>} - Result of the call in progress, or of a new one
+ */
+function dedupe(key, fn) {
+    if (!pendingCalls.has(key)) {
+        const call = Promise.resolve()
+            .then(fn)
+            .finally(() => pendingCalls.delete(key));
+        pendingCalls.set(key, call);
+    }
+
+    return pendingCalls.get(key);
+}
+
+/**
+ * Sync stored data before it is read, falling back to the stored data when the provider is unavailable
+ * @param {Function} sync - Async function bringing the stored data up to date
+ * @param {Function} hasStored - Async function checking whether any data is stored
+ * @param {string} description - What is served, for the log, e.g. price history for AAPL
+ * @returns {Promise<boolean>} - True when the sync failed and the stored data may be out of date
+ */
+async function syncOrServeStored(sync, hasStored, description) {
+    try {
+        await sync();
+        return false;
+    } catch (error) {
+        if (!canServeStale(error) || !(await hasStored())) {
+            throw error;
+        }
+
+        console.warn(`Serving stored ${description}: ${error.message}`);
+        return true;
+    }
+}
+
+/**
+ * Flag expired cache data as stale before serving it
+ * Objects get stale and cachedAt fields; arrays get a stale field on each item
+ * @param {Object} entry - Expired cache entry
+ * @returns {any} - Flagged copy of the entry data
+ */
+function markStale(entry) {
+    const cachedAt = new Date(entry.fetched_at).toISOString();
+
+    if (Array.isArray(entry.data)) {
+        return entry.data.map(item => (item && typeof item === 'object' ? { ...item, stale: true, cachedAt } : item));
+    }
+
+    if (entry.data && typeof entry.data === 'object') {
+        return { ...entry.data, stale: true, cachedAt };
+    }
+
+    return entry.data;
+}
+
+/**
+ * Write a cache entry, logging rather than throwing on failure
+ * @param {string} category - Cache category
+ * @param {string} key - Cache key, unique within the category
+ * @param {any} data - Data to cache
+ * @param {number} now - Current time in milliseconds
+ * @param {number} ttl - TTL in milliseconds
+ */
+async function writeEntry(category, key, data, now, ttl) {
+    const cacheKey = `${category}:${key}`;
+
+    try {
+        await storage.saveCacheEntry({
+            cacheKey,
+            category,
+            data,
+            fetchedAt: now,
+            expiresAt: now + ttl
+        });
+    } catch (error) {
+        console.error(`Failed to write cache entry ${cacheKey}:`, error);
+    }
+}
+
+/**
+ * Get data from the cache, or fetch and cache it when missing or expired
+ * @param {string} category - Cache category
+ * @param {string} key - Cache key, unique within the category
+ * @param {Function} fetcher - Async function returning fresh data
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - Bypass the cache and fetch fresh data
+ * @returns {Promise<any>} - Cached or fresh data
+ */
+async function getOrFetch(category, key, fetcher, { refresh = false } = {}) {
+    const now = Date.now();
+    const entry = await readEntry(category, key);
+
+    if (refresh) {
+        recordStat(category, 'refreshes');
+    } else if (entry && entry.expires_at > now) {
+        recordStat(category, 'hits');
+        return entry.data;
+    } else {
+        recordStat(category, 'misses');
+    }
+
+    let data;
+    try {
+        data = await fetcher();
+    } catch (error) {
+        if (entry && canServeStale(error)) {
+            recordStat(category, 'stale');
+            return markStale(entry);
+        }
+        throw error;
+    }
+
+    // Don't cache empty responses, so unknown symbols are retried, or data built from stale inputs
+    if (isEmpty(data) || data.stale) {
+        return data;
+    }
+
+    await writeEntry(category, key, data, now, await getTtl(category, now, data));
+    return data;
+}
+
+/**
+ * Get many entries from the cache, fetching all missing or expired ones in a single call
+ * @param {string} category - Cache category
+ * @param {Array<string>} keys - Cache keys, unique within the category
+ * @param {Function} fetcher - Async function receiving the missing keys and returning an object keyed by key
+ * @param {Object} options - Options
+ * @param {boolean} options.refresh - Bypass the cache and fetch fresh data
+ * @returns {Promise<Object>} - Cached or fresh data keyed by key; keys without data are omitted
+ */
+async function getOrFetchMany(category, keys, fetcher, { refresh = false } = {}) {
+    const now = Date.now();
+    const results = {};
+    const expired = {};
+    const missing = [];
+
+    for (const key of keys) {
+        const entry = await readEntry(category, key);
+
+        if (refresh) {
+            recordStat(category, 'refreshes');
+        } else if (entry && entry.expires_at > now) {
+            recordStat(category, 'hits');
+            results[key] = entry.data;
+            continue;
+        } else {
+            recordStat(category, 'misses');
+        }
+
+        if (entry) expired[key] = entry;
+        missing.push(key);
+    }
+
+    if (missing.length === 0) {
+        return results;
+    }
+
+    let fetched;
+    try {
+        fetched = await fetcher(missing);
+    } catch (error) {
+        const staleKeys = missing.filter(key => expired[key]);
+        if (staleKeys.length === 0 || !canServeStale(error)) {
+            throw error;
+        }
+
+        staleKeys.forEach(key => {
+            recordStat(category, 'stale');
+            results[key] = markStale(expired[key]);
+        });
+        return results;
+    }
+
+    const policy = getPolicy(category);
+    const ttl = await getBaseTtl(policy, now);
+
+    for (const key of missing) {
+        const data = fetched[key];
+        if (isEmpty(data)) continue;
+
+        results[key] = data;
+        await writeEntry(category, key, data, now, applyMarketHours(policy, ttl, now, data));
+    }
+
+    return results;
+}
+
+/**
+ * Get cache statistics: hit/miss counters, stored entries and current TTLs
+ * @returns {Promise<Object>} - Cache statistics
+ */
+async function getStats() {
+    const now = Date.now();
+    const entries = await storage.getCacheSummary(now);
+
+    const categories = {};
+    for (const category of Object.keys(TTL_POLICIES)) {
+        const counters = stats[category] || { hits: 0, misses: 0, refreshes: 0, stale: 0 };
+        const lookups = counters.hits + counters.misses;
+        const stored = entries.find(entry => entry.category === category);
+
+        categories[category] = {
+            ...counters,
+            hitRate: lookups > 0 ? counters.hits / lookups : null,
+            entries: stored ? stored.entries : 0,
+            expired: stored ? stored.expired : 0,
+            ttlSeconds: Math.round(await getTtl(category, now) / SECOND),
+            setting: TTL_POLICIES[category].setting || null
+        };
+    }
+
+    return { categories };
+}
+
+/**
+ * Clear cached entries
+ * @param {string|null} category - Optional category to clear
+ * @returns {Promise<number>} - Number of cleared entries
+ */
+async function clear(category = null) {
+    if (category && !TTL_POLICIES[category]) {
+        throw new Error(`Unknown cache category: ${category}`);
+    }
+    return storage.clearCacheEntries(category);
+}
+
+module.exports = {
+    CATEGORIES: Object.keys(TTL_POLICIES),
+    getOrFetch,
+    getOrFetchMany,
+    getTtl,
+    canServeStale,
+    dedupe,
+    syncOrServeStored,
+    getStats,
+    clear
+};
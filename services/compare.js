@@ -0,0 +1,143 @@
+/**
+ * Stock Comparison Service
+ * Rebases the price history of several stocks to 100 on a common start date
+ * and collects their key quote and profile figures side by side
+ */
+
+const marketData = require('./market-data');
+const historical = require('./historical');
+
+/**
+ * Round a value to 2 decimals, keeping nulls
+ * @param {number|null} value - Value to round
+ * @returns {number|null} - Rounded value
+ */
+function round(value) {
+    return value === null || value === undefined || !isFinite(value) ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Find the first date on or after the requested start on which every stock has a close
+ * @param {Array<Array>} barSets - Daily bars per stock, oldest first
+ * @returns {string|null} - Common start date
+ */
+function findCommonStart(barSets) {
+    const dateSets = barSets.map(bars => new Set(bars.map(bar => bar.date)));
+    const candidates = barSets[0].map(bar => bar.date);
+
+    return candidates.find(date => dateSets.every(dates => dates.has(date))) || null;
+}
+
+/**
+ * Build the comparison table row for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {Object|null} quote - Stock quote
+ * @param {Object|null} profile - Company profile
+ * @param {Array} data - Rebased series
+ * @returns {Object} - Key figures
+ */
+function buildMetrics(symbol, quote, profile, data) {
+    const price = quote?.price ?? null;
+    const closes = data.map(point => point.close);
+    const last = data[data.length - 1];
+
+    // Largest fall from a previous high within the range, in percent
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    closes.forEach(close => {
+        peak = Math.max(peak, close);
+        maxDrawdown = Math.min(maxDrawdown, (close - peak) / peak);
+    });
+
+    return {
+        symbol,
+        name: quote?.name || profile?.companyName || null,
+        exchange: quote?.exchange || profile?.exchangeShortName || null,
+        currency: quote?.currency || profile?.currency || null,
+        sector: profile?.sector || null,
+        industry: profile?.industry || null,
+        price,
+        change: quote?.change ?? null,
+        changesPercentage: quote?.changesPercentage ?? null,
+        marketCap: quote?.marketCap ?? profile?.mktCap ?? null,
+        pe: quote?.pe ?? null,
+        eps: quote?.eps ?? null,
+        beta: profile?.beta ?? null,
+        dividendYield: price && profile?.lastDiv ? round((profile.lastDiv / price) * 100) : null,
+        yearLow: quote?.yearLow ?? null,
+        yearHigh: quote?.yearHigh ?? null,
+        volume: quote?.volume ?? null,
+        avgVolume: quote?.avgVolume ?? null,
+        performance: last ? round(last.value - 100) : null,
+        maxDrawdown: closes.length > 0 ? round(maxDrawdown * 100) : null
+    };
+}
+
+/**
+ * Compare several stocks over a date range
+ * @param {Array<string>} symbols - Stock symbols
+ * @param {Object} range - Date range
+ * @param {string} range.from - Start date (YYYY-MM-DD)
+ * @param {string} range.to - Optional end date (YYYY-MM-DD)
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { from, to, startDate, series, metrics }, or { missing } when
+ *   some symbols have no price history in the range
+ */
+async function getComparison(symbols, { from, to } = {}, userId = null, options = {}) {
+    const [quotes, histories] = await Promise.all([
+        marketData.fetchQuotes(symbols, userId, options),
+        Promise.all(symbols.map(symbol => historical.getDailyBars(symbol, { from, to }, userId, options)))
+    ]);
+
+    const missing = symbols.filter((symbol, i) => histories[i].bars.length === 0);
+    if (missing.length > 0) {
+        return { missing };
+    }
+
+    const barSets = histories.map(history => history.bars);
+    const startDate = findCommonStart(barSets);
+    if (!startDate) {
+        return { missing: symbols };
+    }
+
+    const quotesBySymbol = new Map(quotes.map(quote => [quote.symbol, quote]));
+    const profiles = [];
+
+    // Profiles are fetched one at a time to stay within provider rate limits
+    for (const symbol of symbols) {
+        profiles.push(await marketData.fetchCompanyProfile(symbol, userId, options));
+    }
+
+    const series = symbols.map((symbol, i) => {
+        const bars = barSets[i].filter(bar => bar.date >= startDate);
+        const base = bars[0].close;
+
+        return {
+            symbol,
+            data: bars.map(bar => ({ date: bar.date, close: bar.close, value: round((bar.close / base) * 100) }))
+        };
+    });
+
+    const response = {
+        from: from || startDate,
+        to: to || series.reduce((latest, item) => {
+            const last = item.data[item.data.length - 1].date;
+            return last > latest ? last : latest;
+        }, startDate),
+        startDate,
+        series,
+        metrics: symbols.map((symbol, i) =>
+            buildMetrics(symbol, quotesBySymbol.get(symbol) || null, profiles[i], series[i].data))
+    };
+
+    if (histories.some(history => history.stale) || quotes.some(quote => quote.stale)) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    getComparison
+};
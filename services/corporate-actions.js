@@ -0,0 +1,339 @@
+/**
+ * Corporate Actions Service
+ * Stores dividend and stock split history per symbol, adjusts portfolio positions
+ * bought before a split and records dividend income received by positions
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+const cache = require('./cache');
+const tradingCalendar = require('./trading-calendar');
+
+/**
+ * Convert a stored date (epoch milliseconds, SQLite timestamp or ISO string) to YYYY-MM-DD
+ * @param {number|string|null} value - Stored date
+ * @returns {string|null} - Date string, or null when the value is not a date
+ */
+function toDateString(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether a symbol's dividends and splits should be refreshed
+ * Announcements are checked again after each market close
+ * @param {Object|null} sync - Last sync state for the symbol
+ * @returns {boolean} - True when the symbol should be synced
+ */
+function needsSync(sync) {
+    if (!sync) return true;
+    return tradingCalendar.getNextClose(sync.synced_at) <= Date.now();
+}
+
+/**
+ * Get the stored splits of a symbol that have taken effect, oldest first
+ * Announced splits are left out until their date
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Splits ({ date, numerator, denominator })
+ */
+async function getEffectiveSplits(symbol) {
+    const today = new Date().toISOString().slice(0, 10);
+    return (await storage.getStockSplits(symbol))
+        .filter(split => split.date <= today)
+        .reverse();
+}
+
+/**
+ * Apply stored splits to positions in a symbol that were bought before the split date
+ * Each split is applied to a position at most once, and announced splits only once they take effect
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<number>} - Number of adjustments made
+ */
+async function applySplitAdjustments(symbol) {
+    const splits = await getEffectiveSplits(symbol);
+    if (splits.length === 0) return 0;
+
+    const positions = await storage.getPositionsBySymbol(symbol);
+    let adjusted = 0;
+
+    for (const position of positions) {
+        const purchaseDate = toDateString(position.purchase_date);
+        if (!purchaseDate) continue;
+
+        for (const split of splits) {
+            if (purchaseDate >= split.date) continue;
+
+            if (await storage.applyPositionSplit(position.id, split.date, split.numerator / split.denominator)) {
+                console.log(`Applied ${split.numerator}:${split.denominator} split of ${symbol} on ${split.date} to position ${position.id}`);
+                adjusted++;
+            }
+        }
+    }
+
+    return adjusted;
+}
+
+/**
+ * Record income for paid dividends on positions held before the ex-dividend date
+ * Shares are converted back to the ex-date by undoing splits applied after it
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<number>} - Number of income records added
+ */
+async function recordDividendIncome(symbol) {
+    const today = new Date().toISOString().slice(0, 10);
+    const dividends = (await storage.getDividends(symbol))
+        .filter(dividend => (dividend.payment_date || dividend.ex_date) <= today);
+    if (dividends.length === 0) return 0;
+
+    const positions = await storage.getPositionsBySymbol(symbol);
+    let recorded = 0;
+
+    for (const position of positions) {
+        const purchaseDate = toDateString(position.purchase_date);
+        if (!purchaseDate) continue;
+
+        const adjustments = await storage.getPositionSplitAdjustments(position.id);
+
+        for (const dividend of dividends) {
+            if (purchaseDate >= dividend.ex_date) continue;
+
+            const shares = adjustments
+                .filter(adjustment => adjustment.split_date > dividend.ex_date)
+                .reduce((total, adjustment) => total / adjustment.ratio, position.shares);
+
+            const added = await storage.addDividendIncome({
+                position_id: position.id,
+                portfolio_id: position.portfolio_id,
+                symbol,
+                ex_date: dividend.ex_date,
+                payment_date: dividend.payment_date,
+                shares,
+                dividend: dividend.dividend,
+                amount: Math.round(shares * dividend.dividend * 100) / 100
+            });
+
+            if (added) recorded++;
+        }
+    }
+
+    return recorded;
+}
+
+/**
+ * Bring positions in a symbol up to date with the stored dividends and splits
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} - { splitAdjustments, dividendIncome } counts
+ */
+async function updatePositions(symbol) {
+    symbol = symbol.toUpperCase();
+
+    // Splits first, so dividend income uses the adjusted share counts
+    const splitAdjustments = await applySplitAdjustments(symbol);
+    const dividendIncome = await recordDividendIncome(symbol);
+
+    return { splitAdjustments, dividendIncome };
+}
+
+/**
+ * Update a position, keeping its split adjustments and dividend income consistent
+ * Shares and purchase price are split-adjusted, as positions are returned. When a new purchase
+ * date moves the position across a split, the split is applied or undone, and dividend income
+ * is recorded again from the stored dividends. The changes are made in one transaction and
+ * only use stored splits and dividends, so they don't depend on the provider.
+ * @param {number} positionId - Position ID
+ * @param {Object} changes - Changed fields ({ shares, purchase_price, purchase_date, notes, currency })
+ * @returns {Promise<Object>} - Updated position
+ */
+async function updatePosition(positionId, changes) {
+    return storage.transaction(async () => {
+        const position = await storage.getPosition(positionId);
+        const symbol = position.symbol.toUpperCase();
+
+        const applied = await storage.getPositionSplitAdjustments(positionId);
+        const purchaseDate = toDateString(changes.purchase_date ?? position.purchase_date);
+        const adjustments = purchaseDate
+            ? (await getEffectiveSplits(symbol))
+                .filter(split => purchaseDate < split.date)
+                .map(split => ({ split_date: split.date, ratio: split.numerator / split.denominator }))
+            : [];
+
+        // Ratio between the splits that apply now and the ones already applied
+        const product = list => list.reduce((total, adjustment) => total * adjustment.ratio, 1);
+        const rescale = product(adjustments) / product(applied);
+
+        await storage.updatePosition(positionId, {
+            ...changes,
+            shares: (changes.shares ?? position.shares) * rescale,
+            purchase_price: (changes.purchase_price ?? position.purchase_price) / rescale
+        });
+        await storage.replacePositionSplitAdjustments(positionId, adjustments);
+
+        if (changes.shares !== undefined || changes.purchase_date !== undefined) {
+            await storage.deletePositionDividendIncome(positionId);
+            await recordDividendIncome(symbol);
+        }
+
+        return storage.getPosition(positionId);
+    });
+}
+
+/**
+ * Fetch and store dividends and splits for a symbol, then update positions
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Object>} - Numbers of dividends and splits saved and position updates
+ */
+async function fetchCorporateActions(symbol, userId) {
+    const [dividends, splits] = await Promise.all([
+        marketData.fetchDividends(symbol, userId),
+        marketData.fetchSplits(symbol, userId)
+    ]);
+
+    const dividendsSaved = await storage.saveDividends(symbol, dividends
+        .filter(dividend => dividend.date && typeof dividend.dividend === 'number')
+        .map(dividend => ({
+            exDate: dividend.date,
+            dividend: dividend.dividend,
+            adjDividend: dividend.adjDividend ?? null,
+            recordDate: dividend.recordDate || null,
+            paymentDate: dividend.paymentDate || null,
+            declarationDate: dividend.declarationDate || null
+        })));
+
+    const splitsSaved = await storage.saveStockSplits(symbol, splits
+        .filter(split => split.date && split.numerator > 0 && split.denominator > 0));
+
+    await storage.saveCorporateActionsSync(symbol, Date.now());
+
+    return { dividendsSaved, splitsSaved, ...(await updatePositions(symbol)) };
+}
+
+/**
+ * Bring a symbol's stored dividends and splits up to date
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options
+ * @param {boolean} options.force - Sync even if the history is current
+ * @returns {Promise<Object>} - { synced, ...counts }
+ */
+async function syncCorporateActions(symbol, userId = null, { force = false } = {}) {
+    symbol = symbol.toUpperCase();
+
+    if (!force && !needsSync(await storage.getCorporateActionsSync(symbol))) {
+        return { synced: false };
+    }
+
+    const counts = await cache.dedupe(`corporate-actions:${symbol}`, () => fetchCorporateActions(symbol, userId));
+    return { synced: true, ...counts };
+}
+
+/**
+ * Sync dividends and splits for every symbol held in a set of positions and
+ * apply them to the positions, including ones added or changed since the last sync
+ * Sync failures are logged and the stored history is applied, so portfolios can still be shown
+ * @param {Array} positions - Portfolio positions
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<void>}
+ */
+async function syncPositions(positions, userId = null) {
+    const symbols = [...new Set(positions.map(position => position.symbol.toUpperCase()))];
+
+    for (const symbol of symbols) {
+        let result = { synced: false };
+
+        try {
+            result = await syncCorporateActions(symbol, userId);
+        } catch (error) {
+            console.error(`Failed to sync dividends and splits for ${symbol}:`, error.message);
+        }
+
+        // A sync already updates positions
+        if (!result.synced) {
+            await updatePositions(symbol);
+        }
+    }
+}
+
+/**
+ * Sync a symbol before reading its stored history, serving stored data when the provider is unavailable
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh } forces a sync)
+ * @returns {Promise<boolean>} - True when the stored data may be out of date
+ */
+async function syncBeforeRead(symbol, userId, { refresh = false } = {}) {
+    return cache.syncOrServeStored(
+        () => syncCorporateActions(symbol, userId, { force: refresh }),
+        async () => !!(await storage.getCorporateActionsSync(symbol)),
+        `dividends and splits for ${symbol}`
+    );
+}
+
+/**
+ * Get dividend history for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh })
+ * @returns {Promise<Object>} - { symbol, dividends } with dividends newest first
+ */
+async function getDividends(symbol, userId = null, options = {}) {
+    const stale = await syncBeforeRead(symbol, userId, options);
+
+    const response = {
+        symbol,
+        dividends: (await storage.getDividends(symbol)).map(dividend => ({
+            date: dividend.ex_date,
+            dividend: dividend.dividend,
+            adjDividend: dividend.adj_dividend,
+            recordDate: dividend.record_date,
+            paymentDate: dividend.payment_date,
+            declarationDate: dividend.declaration_date
+        }))
+    };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+/**
+ * Get stock split history for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh })
+ * @returns {Promise<Object>} - { symbol, splits } with splits newest first
+ */
+async function getSplits(symbol, userId = null, options = {}) {
+    const stale = await syncBeforeRead(symbol, userId, options);
+
+    const response = {
+        symbol,
+        splits: (await storage.getStockSplits(symbol)).map(split => ({
+            date: split.date,
+            numerator: split.numerator,
+            denominator: split.denominator,
+            ratio: split.numerator / split.denominator,
+            label: `${split.numerator}:${split.denominator}`
+        }))
+    };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    toDateString,
+    syncCorporateActions,
+    syncPositions,
+    updatePosition,
+    getDividends,
+    getSplits
+};
@@ -0,0 +1,148 @@
+/**
+ * Correlation Service
+ * Calculates pairwise daily return correlations between stocks and each stock's
+ * beta against a benchmark index from the stored price history
+ */
+
+const historical = require('./historical');
+
+const DEFAULT_BENCHMARK = '^GSPC';
+
+// Lookback window in daily returns: default (one trading year), minimum and maximum
+const DEFAULT_LOOKBACK = 252;
+const MIN_LOOKBACK = 20;
+const MAX_LOOKBACK = 1260;
+
+// Trading days per year, used to annualize volatility
+const TRADING_DAYS = 252;
+
+/**
+ * Round a value to 4 decimals, keeping nulls
+ * @param {number|null} value - Value to round
+ * @returns {number|null} - Rounded value
+ */
+function round(value) {
+    return value === null || !isFinite(value) ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Values
+ * @returns {number} - Mean
+ */
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample covariance of two equally long series
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series
+ * @returns {number} - Covariance
+ */
+function covariance(a, b) {
+    const meanA = mean(a);
+    const meanB = mean(b);
+    return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+
+/**
+ * Pearson correlation of two equally long series
+ * @param {Array<number>} a - First series
+ * @param {Array<number>} b - Second series
+ * @returns {number|null} - Correlation (-1 to 1), or null when a series doesn't move
+ */
+function correlation(a, b) {
+    const denominator = Math.sqrt(covariance(a, a) * covariance(b, b));
+    return denominator === 0 ? null : covariance(a, b) / denominator;
+}
+
+/**
+ * Calculate daily returns over the dates every series has a close for
+ * @param {Array<Array>} barSets - Daily bars per series, oldest first
+ * @param {number} lookback - Number of returns to keep
+ * @returns {Object} - { dates, returns } with one return series per bar set; dates are the return dates
+ */
+function alignReturns(barSets, lookback) {
+    const closesBySet = barSets.map(bars => new Map(bars.map(bar => [bar.date, bar.close])));
+    const dates = barSets[0]
+        .map(bar => bar.date)
+        .filter(date => closesBySet.every(closes => closes.has(date)))
+        .slice(-(lookback + 1));
+
+    return {
+        dates: dates.slice(1),
+        returns: closesBySet.map(closes => dates.slice(1).map((date, i) => {
+            const previous = closes.get(dates[i]);
+            return (closes.get(date) - previous) / previous;
+        }))
+    };
+}
+
+/**
+ * Calculate the return correlation matrix and betas for a set of stocks
+ * @param {Array<string>} symbols - Stock symbols
+ * @param {Object} params - Parameters
+ * @param {string} params.benchmark - Benchmark symbol (default ^GSPC)
+ * @param {number} params.lookback - Number of daily returns to use (default 252)
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh })
+ * @returns {Promise<Object>} - { benchmark, lookback, observations, from, to, symbols, matrix, betas },
+ *   { missing } when a symbol has no price history, or { insufficient } when the histories overlap too little
+ */
+async function getCorrelation(symbols, { benchmark = DEFAULT_BENCHMARK, lookback = DEFAULT_LOOKBACK } = {}, userId = null, options = {}) {
+    const allSymbols = [...symbols, benchmark];
+    const historiesBySymbol = new Map();
+
+    // Histories are synced one at a time to stay within provider rate limits
+    for (const symbol of new Set(allSymbols)) {
+        historiesBySymbol.set(symbol, await historical.getDailyBars(symbol, {}, userId, options));
+    }
+
+    const histories = allSymbols.map(symbol => historiesBySymbol.get(symbol));
+    const missing = [...historiesBySymbol.keys()].filter(symbol => historiesBySymbol.get(symbol).bars.length === 0);
+    if (missing.length > 0) {
+        return { missing };
+    }
+
+    // The benchmark's returns come last
+    const { dates, returns } = alignReturns(histories.map(history => history.bars), lookback);
+    if (dates.length < MIN_LOOKBACK) {
+        return { insufficient: dates.length };
+    }
+
+    const benchmarkReturns = returns[returns.length - 1];
+    const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+    const stockReturns = returns.slice(0, -1);
+
+    const response = {
+        benchmark,
+        lookback,
+        observations: dates.length,
+        from: dates[0],
+        to: dates[dates.length - 1],
+        symbols: symbols,
+        matrix: stockReturns.map((a, i) => stockReturns.map((b, j) => (i === j ? 1 : round(correlation(a, b))))),
+        betas: symbols.map((symbol, i) => ({
+            symbol,
+            beta: benchmarkVariance === 0 ? null : round(covariance(stockReturns[i], benchmarkReturns) / benchmarkVariance),
+            correlation: round(correlation(stockReturns[i], benchmarkReturns)),
+            volatility: round(Math.sqrt(covariance(stockReturns[i], stockReturns[i]) * TRADING_DAYS) * 100)
+        })),
+        benchmarkVolatility: round(Math.sqrt(benchmarkVariance * TRADING_DAYS) * 100)
+    };
+
+    if (histories.some(history => history.stale)) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    DEFAULT_BENCHMARK,
+    DEFAULT_LOOKBACK,
+    MIN_LOOKBACK,
+    MAX_LOOKBACK,
+    getCorrelation
+};
@@ -0,0 +1,104 @@
+/**
+ * Currency Helpers
+ * Works out the trading currency of a listing and handles currencies quoted in minor units,
+ * such as London listings priced in pence (GBp)
+ */
+
+// Currencies that can be used as a base currency and converted between
+const SUPPORTED_CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'JPY', 'CHF', 'AUD', 'HKD'];
+
+// Currencies quoted in hundredths of a supported currency
+const MINOR_UNITS = {
+    GBp: { currency: 'GBP', divisor: 100 },
+    GBX: { currency: 'GBP', divisor: 100 }
+};
+
+// Trading currency by exchange short name
+const EXCHANGE_CURRENCIES = {
+    NASDAQ: 'USD',
+    NYSE: 'USD',
+    AMEX: 'USD',
+    OTC: 'USD',
+    CBOE: 'USD',
+    TSX: 'CAD',
+    TSXV: 'CAD',
+    NEO: 'CAD',
+    CNQ: 'CAD',
+    LSE: 'GBp',
+    XETRA: 'EUR',
+    EURONEXT: 'EUR',
+    SIX: 'CHF',
+    JPX: 'JPY',
+    ASX: 'AUD',
+    HKSE: 'HKD'
+};
+
+// Trading currency by symbol suffix, for listings without a known exchange
+const SUFFIX_CURRENCIES = {
+    L: 'GBp',
+    TO: 'CAD',
+    V: 'CAD',
+    NE: 'CAD',
+    DE: 'EUR',
+    PA: 'EUR',
+    AS: 'EUR',
+    SW: 'CHF',
+    T: 'JPY',
+    AX: 'AUD',
+    HK: 'HKD'
+};
+
+/**
+ * Get the currency a listing trades in
+ * @param {string} symbol - Stock symbol, e.g. SHEL.L
+ * @param {string|null} exchange - Exchange short name, e.g. LSE
+ * @returns {string} - Currency code; US dollars when the listing is not recognised
+ */
+function getListingCurrency(symbol, exchange = null) {
+    const byExchange = exchange && EXCHANGE_CURRENCIES[exchange.toUpperCase()];
+    if (byExchange) return byExchange;
+
+    const suffix = (symbol || '').toUpperCase().split('.').slice(1).pop();
+    return (suffix && SUFFIX_CURRENCIES[suffix]) || 'USD';
+}
+
+/**
+ * Add the trading currency to a provider quote that doesn't include one
+ * @param {Object|null} quote - Provider quote
+ * @returns {Object|null} - Quote with currency
+ */
+function withCurrency(quote) {
+    if (!quote || quote.currency) return quote;
+    return { ...quote, currency: getListingCurrency(quote.symbol, quote.exchange) };
+}
+
+/**
+ * Check and normalize a currency code from user input
+ * @param {string} code - Currency code, e.g. eur or GBp
+ * @returns {string|null} - Normalized code, or null when the currency is not supported
+ */
+function normalizeCurrency(code) {
+    if (typeof code !== 'string') return null;
+    if (MINOR_UNITS[code]) return code;
+
+    const upper = code.toUpperCase();
+    if (MINOR_UNITS[upper]) return upper;
+    return SUPPORTED_CURRENCIES.includes(upper) ? upper : null;
+}
+
+/**
+ * Get the supported currency an amount should be converted from
+ * @param {string} code - Currency code, possibly in minor units
+ * @returns {Object} - { currency, divisor } to divide amounts by
+ */
+function toMajorUnits(code) {
+    return MINOR_UNITS[code] || { currency: code, divisor: 1 };
+}
+
+module.exports = {
+    SUPPORTED_CURRENCIES,
+    getListingCurrency,
+    withCurrency,
+    normalizeCurrency,
+    toMajorUnits
+};
@@ -0,0 +1,133 @@
+/**
+ * Earnings Calendar Service
+ * Stores upcoming and past earnings announcements, keeping reported EPS and revenue
+ * next to the estimates, and filters them to the symbols a user follows
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+const cache = require('./cache');
+
+// Symbol sets the calendar can be restricted to
+const SCOPES = ['all', 'watchlist', 'portfolio'];
+
+// Longest date range accepted by the calendar
+const MAX_RANGE_DAYS = 90;
+
+/**
+ * Round a value to a number of decimals, keeping nulls
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Number of decimals
+ * @returns {number|null} - Rounded value
+ */
+function round(value, decimals) {
+    if (value === null || value === undefined || !isFinite(value)) return null;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Fetch announcements in a date range from the provider and store them
+ * The cache entry only records when the range was last fetched; announcements are read from storage
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<boolean>} - True when the stored announcements may be out of date
+ */
+async function syncRange(from, to, userId, options) {
+    try {
+        const result = await cache.getOrFetch('earnings', `${marketData.getProviderName()}:${from}:${to}`, async () => {
+            const items = (await marketData.fetchEarningsCalendar(from, to, userId))
+                .filter(item => item && item.symbol && item.date);
+
+            return { fetchedAt: Date.now(), saved: await storage.saveEarnings(items) };
+        }, options);
+
+        return !!result.stale;
+    } catch (error) {
+        if (!cache.canServeStale(error)) {
+            throw error;
+        }
+
+        console.warn(`Serving stored earnings calendar for ${from} to ${to}: ${error.message}`);
+        return true;
+    }
+}
+
+/**
+ * Get the symbols a calendar scope is restricted to
+ * @param {string} scope - all, watchlist or portfolio
+ * @param {number|null} userId - User ID
+ * @returns {Promise<Array<string>|null>} - Symbols, or null for all symbols
+ */
+async function getScopeSymbols(scope, userId) {
+    if (scope === 'watchlist') {
+        return (await storage.getUserWatchlist(userId)).map(item => item.symbol.toUpperCase());
+    }
+    if (scope === 'portfolio') {
+        return (await storage.getUserPortfolioSymbols(userId)).map(symbol => symbol.toUpperCase());
+    }
+    return null;
+}
+
+/**
+ * Convert a stored announcement for output, adding the EPS surprise once reported
+ * @param {Object} row - Stored announcement
+ * @returns {Object} - Announcement
+ */
+function toAnnouncement(row) {
+    const reported = row.eps_actual !== null;
+    const surprise = reported && row.eps_estimated !== null ? row.eps_actual - row.eps_estimated : null;
+
+    return {
+        date: row.date,
+        symbol: row.symbol,
+        time: row.time,
+        fiscalDateEnding: row.fiscal_date_ending,
+        reported,
+        epsEstimated: row.eps_estimated,
+        epsActual: row.eps_actual,
+        epsSurprise: round(surprise, 4),
+        epsSurprisePercent: surprise !== null && row.eps_estimated !== 0
+            ? round((surprise / Math.abs(row.eps_estimated)) * 100, 2)
+            : null,
+        revenueEstimated: row.revenue_estimated,
+        revenueActual: row.revenue_actual,
+        reportedAt: row.reported_at ? new Date(row.reported_at).toISOString() : null
+    };
+}
+
+/**
+ * Get earnings announcements in a date range
+ * @param {Object} params - Query parameters
+ * @param {string} params.from - Start date (YYYY-MM-DD)
+ * @param {string} params.to - End date (YYYY-MM-DD)
+ * @param {string} params.scope - all (default), watchlist or portfolio
+ * @param {number|null} userId - User ID, used for the scope and logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { from, to, scope, earnings } with announcements ordered by date
+ */
+async function getEarningsCalendar({ from, to, scope = 'all' }, userId = null, options = {}) {
+    const stale = await syncRange(from, to, userId, options);
+    const symbols = await getScopeSymbols(scope, userId);
+
+    const response = {
+        from,
+        to,
+        scope,
+        earnings: (await storage.getEarnings(from, to, symbols)).map(toAnnouncement)
+    };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    SCOPES,
+    MAX_RANGE_DAYS,
+    getEarningsCalendar
+};
@@ -0,0 +1,224 @@
+/**
+ * Financial Statements Service
+ * Stores income statements, balance sheets and cash flow statements locally,
+ * checking the provider for new filings periodically, and derives year-over-year growth
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+const cache = require('./cache');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Supported statements and the line items growth is calculated for
+const STATEMENTS = {
+    'income-statement': {
+        growthFields: ['revenue', 'grossProfit', 'operatingIncome', 'ebitda', 'netIncome', 'eps', 'epsdiluted']
+    },
+    'balance-sheet': {
+        growthFields: ['cashAndCashEquivalents', 'totalAssets', 'totalLiabilities', 'totalStockholdersEquity', 'totalDebt']
+    },
+    'cash-flow': {
+        growthFields: ['operatingCashFlow', 'capitalExpenditure', 'freeCashFlow', 'dividendsPaid', 'commonStockRepurchased']
+    }
+};
+
+const PERIODS = ['annual', 'quarter'];
+
+/**
+ * Check whether stored statements should be refreshed from the provider
+ * @param {Object|null} sync - Last sync state
+ * @returns {Promise<boolean>} - True when the statements should be synced
+ */
+async function needsSync(sync) {
+    if (!sync) return true;
+
+    const refreshDays = await storage.getNumericAppSetting('financials_refresh_days', 7);
+    return Date.now() - sync.synced_at >= refreshDays * DAY;
+}
+
+/**
+ * Fetch statements from the provider and store them
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - Statement type
+ * @param {string} period - annual or quarter
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<number>} - Number of statements saved
+ */
+async function fetchStatements(symbol, statement, period, userId) {
+    const statements = (await marketData.fetchFinancialStatements(symbol, statement, period, userId))
+        .filter(item => item && item.date);
+
+    const saved = await storage.saveFinancialStatements(symbol, statement, period, statements);
+    await storage.saveFinancialStatementsSync(symbol, statement, period, Date.now());
+
+    return saved;
+}
+
+/**
+ * Bring a symbol's stored statements up to date
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - Statement type
+ * @param {string} period - annual or quarter
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options
+ * @param {boolean} options.force - Sync even if the stored statements are recent
+ * @returns {Promise<Object>} - { synced, statementsSaved }
+ */
+async function syncStatements(symbol, statement, period, userId = null, { force = false } = {}) {
+    symbol = symbol.toUpperCase();
+
+    if (!force && !(await needsSync(await storage.getFinancialStatementsSync(symbol, statement, period)))) {
+        return { synced: false, statementsSaved: 0 };
+    }
+
+    const statementsSaved = await cache.dedupe(`financials:${symbol}:${statement}:${period}`,
+        () => fetchStatements(symbol, statement, period, userId));
+    return { synced: true, statementsSaved };
+}
+
+/**
+ * Calculate the percentage change between two values
+ * @param {number} current - Current value
+ * @param {number} previous - Value a year earlier
+ * @returns {number|null} - Change in percent, or null when it can't be calculated
+ */
+function percentChange(current, previous) {
+    if (typeof current !== 'number' || typeof previous !== 'number' || previous === 0) return null;
+    return Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100;
+}
+
+/**
+ * Add year-over-year growth to statements
+ * Annual statements are compared with the previous fiscal year, quarterly
+ * statements with the same fiscal quarter a year earlier
+ * @param {Array} statements - Statements, newest first
+ * @param {Array<string>} fields - Line items to calculate growth for
+ * @returns {Array} - Statements with a growth object (percent, null when no comparison is available)
+ */
+function addGrowth(statements, fields) {
+    return statements.map(item => {
+        const previousYear = String(Number(item.calendarYear) - 1);
+        const previous = statements.find(other =>
+            other.calendarYear === previousYear && other.period === item.period);
+
+        const growth = {};
+        fields.forEach(field => {
+            growth[field] = previous ? percentChange(item[field], previous[field]) : null;
+        });
+
+        return { ...item, growth };
+    });
+}
+
+/**
+ * Get stored statements, syncing them first when they are due for a refresh
+ * When the provider is unavailable, stored statements are served and flagged as stale
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - Statement type
+ * @param {string} period - annual or quarter
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh } forces a sync)
+ * @returns {Promise<Object>} - { statements (newest first), stale }
+ */
+async function loadStatements(symbol, statement, period, userId, { refresh = false } = {}) {
+    const stale = await cache.syncOrServeStored(
+        () => syncStatements(symbol, statement, period, userId, { force: refresh }),
+        async () => (await storage.getFinancialStatements(symbol, statement, period, 1)).length > 0,
+        `${statement} for ${symbol}`
+    );
+
+    return {
+        statements: await storage.getFinancialStatements(symbol, statement, period),
+        stale
+    };
+}
+
+/**
+ * Get financial statements for a stock with year-over-year growth
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - income-statement, balance-sheet or cash-flow
+ * @param {Object} params - Query parameters
+ * @param {string} params.period - annual (default) or quarter
+ * @param {number} params.limit - Optional maximum number of statements
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh })
+ * @returns {Promise<Object|null>} - { symbol, statement, period, statements }, or null when none exist
+ */
+async function getStatements(symbol, statement, { period = 'annual', limit } = {}, userId = null, options = {}) {
+    const { statements, stale } = await loadStatements(symbol, statement, period, userId, options);
+    if (statements.length === 0) return null;
+
+    // Growth needs the full history, so the limit is applied afterwards
+    const withGrowth = addGrowth(statements, STATEMENTS[statement].growthFields);
+
+    const response = {
+        symbol,
+        statement,
+        period,
+        statements: limit ? withGrowth.slice(0, limit) : withGrowth
+    };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+/**
+ * Get year-over-year growth of key line items across all three statements
+ * @param {string} symbol - Stock symbol
+ * @param {Object} params - Query parameters
+ * @param {string} params.period - annual (default) or quarter
+ * @param {number} params.limit - Optional maximum number of periods
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh })
+ * @returns {Promise<Object|null>} - { symbol, period, growth } with one entry per reporting date, newest first
+ */
+async function getGrowth(symbol, { period = 'annual', limit } = {}, userId = null, options = {}) {
+    const byDate = new Map();
+    let stale = false;
+
+    for (const statement of Object.keys(STATEMENTS)) {
+        const result = await getStatements(symbol, statement, { period }, userId, options);
+        if (!result) continue;
+
+        stale = stale || !!result.stale;
+        result.statements.forEach(item => {
+            if (!byDate.has(item.date)) {
+                byDate.set(item.date, {
+                    date: item.date,
+                    calendarYear: item.calendarYear,
+                    period: item.period,
+                    growth: {}
+                });
+            }
+            Object.assign(byDate.get(item.date).growth, item.growth);
+        });
+    }
+
+    if (byDate.size === 0) return null;
+
+    const growth = [...byDate.values()].sort((a, b) => b.date.localeCompare(a.date));
+
+    const response = {
+        symbol,
+        period,
+        growth: limit ? growth.slice(0, limit) : growth
+    };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    STATEMENTS: Object.keys(STATEMENTS),
+    PERIODS,
+    syncStatements,
+    getStatements,
+    getGrowth
+};
@@ -0,0 +1,318 @@
+/**
+ * Fixture Market Data Provider
+ * Serves market data from local JSON fixtures so the app can run fully offline
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { withCurrency } = require('./currency');
+
+// Fixture directory, overridable for tests and demos
+const FIXTURES_DIR = process.env.MARKET_DATA_FIXTURES_DIR ||
+    path.join(__dirname, '..', 'fixtures', 'market-data');
+
+// Parsed fixture files, keyed by relative path
+const fixtureCache = new Map();
+
+/**
+ * Read and parse a fixture file, caching the result
+ * @param {string} relativePath - Path relative to the fixtures directory
+ * @param {any} fallback - Value returned when the fixture does not exist
+ * @returns {any} - Parsed fixture data
+ */
+function loadFixture(relativePath, fallback = null) {
+    if (fixtureCache.has(relativePath)) {
+        return fixtureCache.get(relativePath);
+    }
+
+    const filePath = path.join(FIXTURES_DIR, relativePath);
+    let data = fallback;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Invalid fixture file ${relativePath}: ${error.message}`);
+        }
+    }
+
+    fixtureCache.set(relativePath, data);
+    return data;
+}
+
+/**
+ * Find a fixture record by symbol
+ * @param {string} file - Fixture file containing an array of records
+ * @param {string} symbol - Stock symbol
+ * @returns {Object|null} - Matching record
+ */
+function findBySymbol(file, symbol) {
+    const records = loadFixture(file, []);
+    return records.find(record => record.symbol === symbol.toUpperCase()) || null;
+}
+
+/**
+ * Get a stock quote by symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} - Stock quote data
+ */
+async function fetchStockQuote(symbol) {
+    if (!symbol) return null;
+    return withCurrency(findBySymbol('quotes.json', symbol));
+}
+
+/**
+ * Get stock quotes for many symbols
+ * @param {Array<string>} symbols - Stock symbols
+ * @returns {Promise<Array>} - Stock quote data for the symbols that were found
+ */
+async function fetchQuotes(symbols) {
+    const wanted = new Set((symbols || []).filter(Boolean).map(symbol => symbol.toUpperCase()));
+    return loadFixture('quotes.json', [])
+        .filter(quote => wanted.has(quote.symbol))
+        .map(withCurrency);
+}
+
+/**
+ * Get company profile by symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} - Company profile data
+ */
+async function fetchCompanyProfile(symbol) {
+    if (!symbol) return null;
+    return findBySymbol('profiles.json', symbol);
+}
+
+/**
+ * Check whether a bar date falls within an optional date range
+ * @param {string} date - Bar date (YYYY-MM-DD, optionally followed by a time)
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {boolean} - True when the date is in range
+ */
+function inRange(date, from, to) {
+    const day = date.slice(0, 10);
+    return (!from || day >= from) && (!to || day <= to);
+}
+
+/**
+ * Get daily historical OHLCV data for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - Unused, for interface compatibility
+ * @param {Object} range - Optional date range ({ from, to })
+ * @returns {Promise<Object>} - Historical price data ({ symbol, historical })
+ */
+async function fetchHistoricalData(symbol, userId = null, { from, to } = {}) {
+    if (!symbol) return null;
+
+    const data = loadFixture(path.join('historical', `${symbol.toUpperCase()}.json`));
+    if (!data) return null;
+
+    return {
+        symbol: data.symbol,
+        historical: data.historical.filter(bar => inRange(bar.date, from, to))
+    };
+}
+
+/**
+ * Get intraday OHLCV bars for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {string} interval - Bar interval (1min, 5min, 1hour)
+ * @param {number|null} userId - Unused, for interface compatibility
+ * @param {Object} range - Optional date range ({ from, to })
+ * @returns {Promise<Array>} - Intraday bars, newest first
+ */
+async function fetchIntradayData(symbol, interval, userId = null, { from, to } = {}) {
+    if (!symbol) return [];
+
+    const bars = loadFixture(path.join('intraday', interval, `${symbol.toUpperCase()}.json`), []);
+    return bars.filter(bar => inRange(bar.date, from, to));
+}
+
+/**
+ * Get financial statements for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - income-statement, balance-sheet or cash-flow
+ * @param {string} period - annual or quarter
+ * @returns {Promise<Array>} - Statements, newest first
+ */
+async function fetchFinancialStatements(symbol, statement, period) {
+    if (!symbol) return [];
+
+    const data = loadFixture(path.join('statements', `${symbol.toUpperCase()}.json`));
+    return data?.[statement]?.[period] || [];
+}
+
+/**
+ * Get financial ratios for a stock
+ * Symbols without a ratios fixture return no ratios, like a provider that doesn't offer them
+ * @param {string} symbol - Stock symbol
+ * @param {string} period - annual or quarter
+ * @returns {Promise<Array>} - Ratios, newest first
+ */
+async function fetchFinancialRatios(symbol, period) {
+    if (!symbol) return [];
+
+    const data = loadFixture(path.join('ratios', `${symbol.toUpperCase()}.json`));
+    return data?.[period] || [];
+}
+
+/**
+ * Get dividend history for a stock
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Dividends by ex-date, newest first
+ */
+async function fetchDividends(symbol) {
+    if (!symbol) return [];
+
+    return loadFixture('dividends.json', [])
+        .filter(dividend => dividend.symbol === symbol.toUpperCase())
+        .map(({ symbol: _symbol, ...dividend }) => dividend);
+}
+
+/**
+ * Get stock split history for a stock
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} - Splits, newest first
+ */
+async function fetchSplits(symbol) {
+    if (!symbol) return [];
+
+    return loadFixture('splits.json', [])
+        .filter(split => split.symbol === symbol.toUpperCase())
+        .map(({ symbol: _symbol, ...split }) => split);
+}
+
+/**
+ * Get the earnings calendar for a date range
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Earnings announcements with estimated and, once reported, actual EPS
+ */
+async function fetchEarningsCalendar(from, to) {
+    return loadFixture('earnings-calendar.json', [])
+        .filter(item => inRange(item.date, from, to));
+}
+
+/**
+ * Search for stocks by query across fixture quotes and profiles
+ * @param {string} query - Search query
+ * @returns {Promise<Array>} - Search results
+ */
+async function searchStocks(query) {
+    if (!query || query.length < 2) return [];
+
+    const term = query.toLowerCase();
+    const profiles = loadFixture('profiles.json', []);
+
+    return loadFixture('quotes.json', [])
+        .filter(quote => quote.symbol.toLowerCase().includes(term) ||
+            (quote.name || '').toLowerCase().includes(term))
+        .slice(0, 10)
+        .map(quote => {
+            const profile = profiles.find(p => p.symbol === quote.symbol);
+            return {
+                symbol: quote.symbol,
+                name: quote.name,
+                currency: profile?.currency || 'USD',
+                stockExchange: profile?.exchange || quote.exchange,
+                exchangeShortName: quote.exchange
+            };
+        });
+}
+
+/**
+ * Get the full list of symbols covered by the fixtures
+ * @returns {Promise<Array>} - Symbols ({ symbol, name, exchange, exchangeShortName, type })
+ */
+async function fetchStockList() {
+    return loadFixture('stock-list.json', []);
+}
+
+/**
+ * Get current exchange rates for all currency pairs
+ * @returns {Promise<Array>} - Rates ({ ticker: 'EUR/USD', bid, ask, date })
+ */
+async function fetchFxRates() {
+    return loadFixture('fx.json', []);
+}
+
+/**
+ * Get market summary data (major indices)
+ * @returns {Promise<Array>} - Market summary data
+ */
+async function fetchMarketSummary() {
+    return loadFixture('quotes.json', []).filter(quote => quote.symbol.startsWith('^'));
+}
+
+/**
+ * Get today's biggest gainers, losers or most actively traded stocks from the fixture quotes
+ * @param {string} type - gainers, losers or actives
+ * @returns {Promise<Array>} - Movers ({ symbol, name, price, change, changesPercentage })
+ */
+async function fetchMarketMovers(type) {
+    const stocks = loadFixture('quotes.json', []).filter(quote => !quote.symbol.startsWith('^'));
+    const sorted = {
+        gainers: () => stocks.filter(quote => quote.changesPercentage > 0)
+            .sort((a, b) => b.changesPercentage - a.changesPercentage),
+        losers: () => stocks.filter(quote => quote.changesPercentage < 0)
+            .sort((a, b) => a.changesPercentage - b.changesPercentage),
+        actives: () => stocks.slice().sort((a, b) => b.volume - a.volume)
+    }[type]();
+
+    return sorted.map(({ symbol, name, price, change, changesPercentage }) =>
+        ({ symbol, name, price, change, changesPercentage }));
+}
+
+/**
+ * Get financial news
+ * @param {string|null} symbol - Optional stock symbol to filter news
+ * @returns {Promise<Array>} - Financial news data
+ */
+async function fetchFinancialNews(symbol = null) {
+    const news = loadFixture('news.json', [])
+        .slice()
+        .sort((a, b) => b.publishedDate.localeCompare(a.publishedDate));
+
+    if (symbol) {
+        return news.filter(item => item.symbol === symbol.toUpperCase()).slice(0, 10);
+    }
+
+    return news.slice(0, 20);
+}
+
+/**
+ * Get recent news for several symbols
+ * @param {Array<string>} symbols - Stock symbols
+ * @param {number} limit - Maximum number of articles
+ * @returns {Promise<Array>} - Financial news data
+ */
+async function fetchNewsForSymbols(symbols, limit) {
+    const wanted = new Set(symbols.map(symbol => symbol.toUpperCase()));
+
+    return loadFixture('news.json', [])
+        .filter(item => wanted.has(item.symbol))
+        .sort((a, b) => b.publishedDate.localeCompare(a.publishedDate))
+        .slice(0, limit);
+}
+
+module.exports = {
+    name: 'fixture',
+    fetchStockQuote,
+    fetchQuotes,
+    fetchCompanyProfile,
+    fetchHistoricalData,
+    fetchIntradayData,
+    fetchFinancialStatements,
+    fetchFinancialRatios,
+    fetchDividends,
+    fetchSplits,
+    fetchEarningsCalendar,
+    searchStocks,
+    fetchStockList,
+    fetchFxRates,
+    fetchMarketSummary,
+    fetchMarketMovers,
+    fetchFinancialNews,
+    fetchNewsForSymbols
+};
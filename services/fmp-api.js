@@ -1,18 +1,38 @@
 /**
  * Financial Modeling Prep API Service
- * Handles all external API calls to the Financial Modeling Prep API
+ * Market data provider adapter that handles all external API calls to the Financial Modeling Prep API
  */
 
 const axios = require('axios');
 const storage = require('../storage');
+const quota = require('./quota');
+const upstream = require('./upstream');
+const { withCurrency } = require('./currency');
 
 // Financial Modeling Prep API configuration
 const FMP_API_KEY = process.env.FMP_API_KEY || 'demo'; // Default to demo key if not provided
-const FMP_BASE_URL = 'https://financialmodelingprep.com/api/v3';
+const FMP_BASE_URL = process.env.FMP_BASE_URL || 'https://financialmodelingprep.com/api/v3';
+
+// Maximum number of symbols per batch quote request
+const QUOTE_BATCH_SIZE = 50;
+
+// FMP paths for each financial statement
+const STATEMENT_PATHS = {
+    'income-statement': 'income-statement',
+    'balance-sheet': 'balance-sheet-statement',
+    'cash-flow': 'cash-flow-statement'
+};
+
+// Number of statements requested per symbol, statement and period
+const STATEMENT_LIMIT = 20;
+
+// Requests taking longer than this are aborted and retried
+const REQUEST_TIMEOUT_MS = 10000;
 
 // Create an axios instance for FMP API requests
 const fmpClient = axios.create({
     baseURL: FMP_BASE_URL,
+    timeout: REQUEST_TIMEOUT_MS,
     params: {
         apikey: FMP_API_KEY
     }
@@ -41,6 +61,57 @@ async function logApiRequest(userId, endpoint, success, responseTime, errorMessa
     }
 }
 
+/**
+ * Make a GET request to the FMP API
+ * Every upstream call goes through here: quota check, retries with backoff,
+ * circuit breaking and logging of each attempt to api_logs
+ * @param {string} path - FMP API path
+ * @param {Object} options - Request options
+ * @param {number|null} options.userId - User ID for logging
+ * @param {string} options.endpoint - Endpoint name recorded in api_logs
+ * @param {string} options.description - Data description used in error messages
+ * @returns {Promise<any>} - Response data
+ */
+async function requestFmp(path, { userId = null, endpoint, description }) {
+    try {
+        return await upstream.call('fmp', async () => {
+            await quota.acquire();
+            const startTime = Date.now();
+
+            try {
+                const response = await fmpClient.get(path);
+
+                const responseTime = Date.now() - startTime;
+                await logApiRequest(userId, endpoint, true, responseTime);
+
+                return response.data;
+            } catch (error) {
+                const responseTime = Date.now() - startTime;
+                const errorMessage = error.response?.data?.error || error.message;
+                await logApiRequest(userId, endpoint, false, responseTime, errorMessage);
+
+                throw error;
+            }
+        });
+    } catch (error) {
+        // Quota and circuit breaker errors are passed on as-is so callers can serve stale data
+        if (error.code === 'QUOTA_EXCEEDED' || error.code === 'CIRCUIT_OPEN') {
+            throw error;
+        }
+
+        const errorMessage = error.response?.data?.error || error.message;
+
+        // Handle rate limit errors specially
+        if (error.response?.status === 429 || errorMessage?.includes('Limit Reach')) {
+            const rateLimitError = new Error('API rate limit reached. Please try again later.');
+            rateLimitError.status = 429;
+            throw rateLimitError;
+        }
+
+        throw new Error(`Error fetching ${description}: ${errorMessage}`);
+    }
+}
+
 /**
  * Get a stock quote by symbol
  * @param {string} symbol - Stock symbol
@@ -50,27 +121,39 @@ async function logApiRequest(userId, endpoint, success, responseTime, errorMessa
 async function fetchStockQuote(symbol, userId = null) {
     if (!symbol) return null;
 
-    const startTime = Date.now();
+    const data = await requestFmp(`/quote/${symbol}`, {
+        userId,
+        endpoint: `/api/stocks/quote/${symbol}`,
+        description: 'stock quote'
+    });
 
-    try {
-        const response = await fmpClient.get(`/quote/${symbol}`);
+    // FMP quotes don't include a currency, so it comes from the listing's exchange
+    return withCurrency(data[0] || null);
+}
 
-        const responseTime = Date.now() - startTime;
-        await logApiRequest(userId, `/api/stocks/quote/${symbol}`, true, responseTime);
+/**
+ * Get stock quotes for many symbols, batching them into comma-separated requests
+ * @param {Array<string>} symbols - Stock symbols
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Stock quote data for the symbols that were found
+ */
+async function fetchQuotes(symbols, userId = null) {
+    const uniqueSymbols = [...new Set((symbols || []).filter(Boolean).map(symbol => symbol.toUpperCase()))];
+    const quotes = [];
 
-        return response.data[0] || null;
-    } catch (error) {
-        const responseTime = Date.now() - startTime;
-        const errorMessage = error.response?.data?.error || error.message;
-        await logApiRequest(userId, `/api/stocks/quote/${symbol}`, false, responseTime, errorMessage);
+    for (let i = 0; i < uniqueSymbols.length; i += QUOTE_BATCH_SIZE) {
+        const batch = uniqueSymbols.slice(i, i + QUOTE_BATCH_SIZE).join(',');
 
-        // Handle rate limit errors specially
-        if (error.response?.status === 429 || errorMessage?.includes('Limit Reach')) {
-            throw new Error('API rate limit reached. Please try again later.');
-        }
+        const data = await requestFmp(`/quote/${batch}`, {
+            userId,
+            endpoint: `/api/stocks/quotes?symbols=${batch}`,
+            description: 'stock quotes'
+        });
 
-        throw new Error(`Error fetching stock quote: ${errorMessage}`);
+        quotes.push(...(data || []).map(withCurrency));
     }
+
+    return quotes;
 }
 
 /**
@@ -82,57 +165,165 @@ async function fetchStockQuote(symbol, userId = null) {
 async function fetchCompanyProfile(symbol, userId = null) {
     if (!symbol) return null;
 
-    const startTime = Date.now();
-
-    try {
-        const response = await fmpClient.get(`/profile/${symbol}`);
+    const data = await requestFmp(`/profile/${symbol}`, {
+        userId,
+        endpoint: `/api/stocks/profile/${symbol}`,
+        description: 'company profile'
+    });
 
-        const responseTime = Date.now() - startTime;
-        await logApiRequest(userId, `/api/stocks/profile/${symbol}`, true, responseTime);
-
-        return response.data[0] || null;
-    } catch (error) {
-        const responseTime = Date.now() - startTime;
-        const errorMessage = error.response?.data?.error || error.message;
-        await logApiRequest(userId, `/api/stocks/profile/${symbol}`, false, responseTime, errorMessage);
+    return data[0] || null;
+}
 
-        if (error.response?.status === 429 || errorMessage?.includes('Limit Reach')) {
-            throw new Error('API rate limit reached. Please try again later.');
+/**
+ * Build a query string from parameters, skipping empty values
+ * @param {Object} params - Query parameters
+ * @returns {string} - Query string including the leading '?', or an empty string
+ */
+function buildQuery(params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') {
+            query.append(key, value);
         }
+    });
 
-        throw new Error(`Error fetching company profile: ${errorMessage}`);
-    }
+    const queryString = query.toString();
+    return queryString ? `?${queryString}` : '';
 }
 
 /**
- * Get historical price data for a stock
+ * Get daily historical OHLCV data for a stock
  * @param {string} symbol - Stock symbol
  * @param {number|null} userId - User ID for logging
- * @returns {Promise<Object>} - Historical price data
+ * @param {Object} range - Optional date range
+ * @param {string} range.from - Start date (YYYY-MM-DD)
+ * @param {string} range.to - End date (YYYY-MM-DD)
+ * @returns {Promise<Object>} - Historical price data ({ symbol, historical })
  */
-async function fetchHistoricalData(symbol, userId = null) {
+async function fetchHistoricalData(symbol, userId = null, { from, to } = {}) {
     if (!symbol) return null;
 
-    const startTime = Date.now();
+    const data = await requestFmp(`/historical-price-full/${symbol}${buildQuery({ from, to })}`, {
+        userId,
+        endpoint: `/api/stocks/historical/${symbol}`,
+        description: 'historical data'
+    });
 
-    try {
-        const response = await fmpClient.get(`/historical-price-full/${symbol}?serietype=line`);
+    return data || null;
+}
+
+/**
+ * Get intraday OHLCV bars for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {string} interval - Bar interval (1min, 5min, 1hour)
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} range - Optional date range
+ * @param {string} range.from - Start date (YYYY-MM-DD)
+ * @param {string} range.to - End date (YYYY-MM-DD)
+ * @returns {Promise<Array>} - Intraday bars, newest first
+ */
+async function fetchIntradayData(symbol, interval, userId = null, { from, to } = {}) {
+    if (!symbol) return [];
 
-        const responseTime = Date.now() - startTime;
-        await logApiRequest(userId, `/api/stocks/historical/${symbol}`, true, responseTime);
+    const data = await requestFmp(`/historical-chart/${interval}/${symbol}${buildQuery({ from, to })}`, {
+        userId,
+        endpoint: `/api/stocks/historical/${symbol}?interval=${interval}`,
+        description: 'intraday data'
+    });
 
-        return response.data || null;
-    } catch (error) {
-        const responseTime = Date.now() - startTime;
-        const errorMessage = error.response?.data?.error || error.message;
-        await logApiRequest(userId, `/api/stocks/historical/${symbol}`, false, responseTime, errorMessage);
+    return data || [];
+}
 
-        if (error.response?.status === 429 || errorMessage?.includes('Limit Reach')) {
-            throw new Error('API rate limit reached. Please try again later.');
-        }
+/**
+ * Get financial statements for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - income-statement, balance-sheet or cash-flow
+ * @param {string} period - annual or quarter
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Statements, newest first
+ */
+async function fetchFinancialStatements(symbol, statement, period, userId = null) {
+    if (!symbol) return [];
 
-        throw new Error(`Error fetching historical data: ${errorMessage}`);
-    }
+    const data = await requestFmp(`/${STATEMENT_PATHS[statement]}/${symbol}${buildQuery({ period, limit: STATEMENT_LIMIT })}`, {
+        userId,
+        endpoint: `/api/stocks/financials/${symbol}/${statement}?period=${period}`,
+        description: `${statement.replace('-', ' ')} data`
+    });
+
+    return data || [];
+}
+
+/**
+ * Get financial ratios for a stock, one entry per reporting period
+ * @param {string} symbol - Stock symbol
+ * @param {string} period - annual or quarter
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Ratios, newest first
+ */
+async function fetchFinancialRatios(symbol, period, userId = null) {
+    if (!symbol) return [];
+
+    const data = await requestFmp(`/ratios/${symbol}${buildQuery({ period, limit: STATEMENT_LIMIT })}`, {
+        userId,
+        endpoint: `/api/stocks/metrics/${symbol}?period=${period}`,
+        description: 'financial ratios'
+    });
+
+    return data || [];
+}
+
+/**
+ * Get dividend history for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Dividends by ex-date, newest first
+ */
+async function fetchDividends(symbol, userId = null) {
+    if (!symbol) return [];
+
+    const data = await requestFmp(`/historical-price-full/stock_dividend/${symbol}`, {
+        userId,
+        endpoint: `/api/stocks/dividends/${symbol}`,
+        description: 'dividend history'
+    });
+
+    return data?.historical || [];
+}
+
+/**
+ * Get stock split history for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Splits, newest first
+ */
+async function fetchSplits(symbol, userId = null) {
+    if (!symbol) return [];
+
+    const data = await requestFmp(`/historical-price-full/stock_split/${symbol}`, {
+        userId,
+        endpoint: `/api/stocks/splits/${symbol}`,
+        description: 'stock split history'
+    });
+
+    return data?.historical || [];
+}
+
+/**
+ * Get the earnings calendar for a date range
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Earnings announcements with estimated and, once reported, actual EPS
+ */
+async function fetchEarningsCalendar(from, to, userId = null) {
+    const data = await requestFmp(`/earning_calendar${buildQuery({ from, to })}`, {
+        userId,
+        endpoint: `/api/stocks/earnings-calendar?from=${from}&to=${to}`,
+        description: 'earnings calendar'
+    });
+
+    return data || [];
 }
 
 /**
@@ -144,26 +335,43 @@ async function fetchHistoricalData(symbol, userId = null) {
 async function searchStocks(query, userId = null) {
     if (!query || query.length < 2) return [];
 
-    const startTime = Date.now();
+    const data = await requestFmp(`/search?query=${encodeURIComponent(query)}&limit=10`, {
+        userId,
+        endpoint: `/api/stocks/search?query=${query}`,
+        description: 'stock search results'
+    });
 
-    try {
-        const response = await fmpClient.get(`/search?query=${encodeURIComponent(query)}&limit=10`);
-
-        const responseTime = Date.now() - startTime;
-        await logApiRequest(userId, `/api/stocks/search?query=${query}`, true, responseTime);
-
-        return response.data || [];
-    } catch (error) {
-        const responseTime = Date.now() - startTime;
-        const errorMessage = error.response?.data?.error || error.message;
-        await logApiRequest(userId, `/api/stocks/search?query=${query}`, false, responseTime, errorMessage);
+    return data || [];
+}
 
-        if (error.response?.status === 429 || errorMessage?.includes('Limit Reach')) {
-            throw new Error('API rate limit reached. Please try again later.');
-        }
+/**
+ * Get the full list of symbols the provider covers
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Symbols ({ symbol, name, exchange, exchangeShortName, type })
+ */
+async function fetchStockList(userId = null) {
+    const data = await requestFmp('/stock/list', {
+        userId,
+        endpoint: '/api/stocks/search',
+        description: 'stock list'
+    });
+
+    return data || [];
+}
 
-        throw new Error(`Error searching stocks: ${errorMessage}`);
-    }
+/**
+ * Get current exchange rates for all currency pairs
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Rates ({ ticker: 'EUR/USD', bid, ask, date })
+ */
+async function fetchFxRates(userId = null) {
+    const data = await requestFmp('/fx', {
+        userId,
+        endpoint: '/api/stocks/fx/rates',
+        description: 'exchange rates'
+    });
+
+    return data || [];
 }
 
 /**
@@ -172,27 +380,38 @@ async function searchStocks(query, userId = null) {
  * @returns {Promise<Array>} - Market summary data
  */
 async function fetchMarketSummary(userId = null) {
-    const startTime = Date.now();
+    const indices = ['^GSPC', '^DJI', '^IXIC', '^RUT', '^VIX'];
 
-    try {
-        const indices = ['^GSPC', '^DJI', '^IXIC', '^RUT', '^VIX'];
-        const response = await fmpClient.get(`/quote/${indices.join(',')}`);
+    const data = await requestFmp(`/quote/${indices.join(',')}`, {
+        userId,
+        endpoint: '/api/stocks/market-summary',
+        description: 'market summary'
+    });
 
-        const responseTime = Date.now() - startTime;
-        await logApiRequest(userId, '/api/stocks/market-summary', true, responseTime);
-
-        return response.data || [];
-    } catch (error) {
-        const responseTime = Date.now() - startTime;
-        const errorMessage = error.response?.data?.error || error.message;
-        await logApiRequest(userId, '/api/stocks/market-summary', false, responseTime, errorMessage);
+    return data || [];
+}
 
-        if (error.response?.status === 429 || errorMessage?.includes('Limit Reach')) {
-            throw new Error('API rate limit reached. Please try again later.');
-        }
+// FMP endpoint per market movers list
+const MOVER_PATHS = {
+    gainers: '/stock_market/gainers',
+    losers: '/stock_market/losers',
+    actives: '/stock_market/actives'
+};
 
-        throw new Error(`Error fetching market summary: ${errorMessage}`);
-    }
+/**
+ * Get today's biggest gainers, losers or most actively traded stocks
+ * @param {string} type - gainers, losers or actives
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Movers ({ symbol, name, price, change, changesPercentage })
+ */
+async function fetchMarketMovers(type, userId = null) {
+    const data = await requestFmp(MOVER_PATHS[type], {
+        userId,
+        endpoint: `/api/stocks/movers?type=${type}`,
+        description: `market ${type}`
+    });
+
+    return data || [];
 }
 
 /**
@@ -202,38 +421,56 @@ async function fetchMarketSummary(userId = null) {
  * @returns {Promise<Array>} - Financial news data
  */
 async function fetchFinancialNews(symbol = null, userId = null) {
-    const startTime = Date.now();
-
-    try {
-        let endpoint = '/stock_news?limit=20';
-        if (symbol) {
-            endpoint = `/stock_news?tickers=${symbol.toUpperCase()}&limit=10`;
-        }
+    let path = '/stock_news?limit=20';
+    if (symbol) {
+        path = `/stock_news?tickers=${symbol.toUpperCase()}&limit=10`;
+    }
 
-        const response = await fmpClient.get(endpoint);
+    const data = await requestFmp(path, {
+        userId,
+        endpoint: `/api/news${symbol ? `?symbol=${symbol}` : ''}`,
+        description: 'financial news'
+    });
 
-        const responseTime = Date.now() - startTime;
-        await logApiRequest(userId, `/api/news${symbol ? `?symbol=${symbol}` : ''}`, true, responseTime);
+    return data || [];
+}
 
-        return response.data || [];
-    } catch (error) {
-        const responseTime = Date.now() - startTime;
-        const errorMessage = error.response?.data?.error || error.message;
-        await logApiRequest(userId, `/api/news${symbol ? `?symbol=${symbol}` : ''}`, false, responseTime, errorMessage);
+/**
+ * Get recent news for several symbols in one request
+ * @param {Array<string>} symbols - Stock symbols
+ * @param {number} limit - Maximum number of articles
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Financial news data
+ */
+async function fetchNewsForSymbols(symbols, limit, userId = null) {
+    const tickers = symbols.map(symbol => symbol.toUpperCase()).join(',');
 
-        if (error.response?.status === 429 || errorMessage?.includes('Limit Reach')) {
-            throw new Error('API rate limit reached. Please try again later.');
-        }
+    const data = await requestFmp(`/stock_news?tickers=${tickers}&limit=${limit}`, {
+        userId,
+        endpoint: `/api/news/feed?symbols=${tickers}`,
+        description: 'financial news'
+    });
 
-        throw new Error(`Error fetching financial news: ${errorMessage}`);
-    }
+    return data || [];
 }
 
 module.exports = {
+    name: 'fmp',
     fetchStockQuote,
+    fetchQuotes,
     fetchCompanyProfile,
     fetchHistoricalData,
+    fetchIntradayData,
+    fetchFinancialStatements,
+    fetchFinancialRatios,
+    fetchDividends,
+    fetchSplits,
+    fetchEarningsCalendar,
     searchStocks,
+    fetchStockList,
+    fetchFxRates,
     fetchMarketSummary,
-    fetchFinancialNews
+    fetchMarketMovers,
+    fetchFinancialNews,
+    fetchNewsForSymbols
 };
@@ -0,0 +1,287 @@
+/**
+ * Exchange Rate Service
+ * Converts amounts between currencies at current and historical daily rates.
+ * Rates are kept against the US dollar; the daily history of each currency is stored
+ * in the price history under its dollar pair, e.g. EURUSD.
+ */
+
+const marketData = require('./market-data');
+const historical = require('./historical');
+const currencies = require('./currency');
+
+// Days of history loaded before the earliest date a converter needs a rate for
+const HISTORY_LEAD_DAYS = 7;
+
+/**
+ * Add days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add, negative to subtract
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Round a rate to 6 decimals, keeping nulls
+ * @param {number|null} value - Rate to round
+ * @returns {number|null} - Rounded rate
+ */
+function round(value) {
+    return value === null || !isFinite(value) ? null : Math.round(value * 1000000) / 1000000;
+}
+
+/**
+ * Get the mid rate of a provider rate, falling back to whichever side is quoted
+ * @param {Object} quote - Provider rate ({ bid, ask })
+ * @returns {number|null} - Mid rate
+ */
+function getMidRate(quote) {
+    const bid = Number(quote.bid);
+    const ask = Number(quote.ask);
+
+    if (bid > 0 && ask > 0) return (bid + ask) / 2;
+    if (bid > 0) return bid;
+    return ask > 0 ? ask : null;
+}
+
+/**
+ * Get the current value of each currency in US dollars
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { rates, date, stale } with rates keyed by currency
+ */
+async function getDollarRates(userId = null, options = {}) {
+    const quotes = await marketData.fetchFxRates(userId, options);
+    const direct = { USD: 1 };
+    const inverted = {};
+    let date = null;
+
+    quotes.forEach(quote => {
+        const [base, counter] = (quote.ticker || '').toUpperCase().split('/');
+        const rate = getMidRate(quote);
+        if (!rate) return;
+
+        if (counter === 'USD') {
+            direct[base] = rate;
+        } else if (base === 'USD') {
+            inverted[counter] = 1 / rate;
+        }
+
+        if (quote.date && (!date || quote.date > date)) {
+            date = quote.date;
+        }
+    });
+
+    // Pairs quoted against the dollar take precedence over inverted ones
+    return {
+        rates: { ...inverted, ...direct },
+        date,
+        stale: quotes.some(quote => quote.stale)
+    };
+}
+
+/**
+ * Get the daily dollar value of a currency, oldest first
+ * @param {string} code - Currency code
+ * @param {Object} range - Optional date range ({ from, to })
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh })
+ * @returns {Promise<Object>} - { bars, stale }; the dollar has no bars
+ */
+async function getDollarHistory(code, range = {}, userId = null, options = {}) {
+    if (code === 'USD') {
+        return { bars: [], stale: false };
+    }
+
+    return historical.getDailyBars(`${code}USD`, range, userId, options);
+}
+
+/**
+ * Get current exchange rates for a base currency
+ * @param {string} base - Base currency
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object|null>} - { base, date, rates } where one unit of base buys rates[code],
+ *   or null when there is no rate for the base currency
+ */
+async function getRates(base = 'USD', userId = null, options = {}) {
+    const { rates: dollarRates, date, stale } = await getDollarRates(userId, options);
+    if (!dollarRates[base]) return null;
+
+    const rates = {};
+    currencies.SUPPORTED_CURRENCIES
+        .filter(code => dollarRates[code])
+        .forEach(code => { rates[code] = round(dollarRates[base] / dollarRates[code]); });
+
+    const response = { base, date, rates };
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+/**
+ * Get the daily value of a currency in a base currency
+ * @param {string} code - Currency to value
+ * @param {string} base - Base currency
+ * @param {Object} range - Optional date range ({ from, to })
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh })
+ * @returns {Promise<Object|null>} - { currency, base, from, to, rates } with rates oldest first,
+ *   or null when the currencies are the same or either has no history
+ */
+async function getRateHistory(code, base = 'USD', { from, to } = {}, userId = null, options = {}) {
+    if (code === base) return null;
+
+    // Histories are synced one at a time to stay within provider rate limits
+    const codeHistory = await getDollarHistory(code, { from, to }, userId, options);
+    const baseHistory = await getDollarHistory(base, { from, to }, userId, options);
+
+    // The dollar has no history of its own: its dollar value is always 1
+    const codeCloses = new Map(codeHistory.bars.map(bar => [bar.date, bar.close]));
+    const baseCloses = new Map(baseHistory.bars.map(bar => [bar.date, bar.close]));
+    if ((code !== 'USD' && codeCloses.size === 0) || (base !== 'USD' && baseCloses.size === 0)) {
+        return null;
+    }
+
+    const dates = [...(code === 'USD' ? baseCloses : codeCloses).keys()]
+        .filter(date => base === 'USD' || baseCloses.has(date))
+        .sort();
+
+    const response = {
+        currency: code,
+        base,
+        from: from || dates[0] || null,
+        to: to || dates[dates.length - 1] || null,
+        rates: dates.map(date => ({
+            date,
+            rate: round((codeCloses.get(date) ?? 1) / (baseCloses.get(date) ?? 1))
+        }))
+    };
+
+    if (codeHistory.stale || baseHistory.stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+/**
+ * Find the close on a date, or the latest one before it
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number|null} - Close, or null when the history doesn't reach back to the date
+ */
+function getCloseOn(bars, date) {
+    let close = null;
+    for (const bar of bars) {
+        if (bar.date > date) return close;
+        close = bar.close;
+    }
+    return close;
+}
+
+/**
+ * Create a converter into a base currency
+ * Current rates are loaded once, along with the daily history of every currency involved
+ * @param {string} base - Base currency
+ * @param {Array<string>} codes - Currencies that will be converted, possibly in minor units
+ * @param {Object} range - Optional range ({ from }) historical rates are needed for, e.g. the earliest purchase date
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { base, stale, getRate(code, date), convert(amount, code, date) };
+ *   without a date the current rate is used, and unknown rates give null, also for dates
+ *   before the stored history
+ */
+async function createConverter(base, codes, { from } = {}, userId = null, options = {}) {
+    const { rates: dollarRates, stale: ratesStale } = await getDollarRates(userId, options);
+    const histories = new Map();
+    let stale = ratesStale;
+
+    // Start a week early, so a date on a weekend or holiday still has an earlier close
+    const historyFrom = from ? addDays(from, -HISTORY_LEAD_DAYS) : undefined;
+
+    const majorCodes = new Set([base, ...codes.map(code => currencies.toMajorUnits(code).currency)]);
+    for (const code of majorCodes) {
+        try {
+            const history = await getDollarHistory(code, { from: historyFrom }, userId, options);
+            histories.set(code, history.bars);
+            stale = stale || history.stale;
+        } catch (error) {
+            // Conversions fall back to the current rate, so the result is flagged as stale
+            console.warn(`No exchange rate history for ${code}: ${error.message}`);
+            histories.set(code, null);
+            stale = true;
+        }
+    }
+
+    /**
+     * Get the dollar value of a currency on a date, or now
+     * @param {string} code - Currency code
+     * @param {string|null} date - Date (YYYY-MM-DD)
+     * @returns {number|null} - Dollar value
+     */
+    function getDollarRate(code, date) {
+        if (code === 'USD') return 1;
+
+        const history = histories.get(code);
+        if (date && history) {
+            return getCloseOn(history, date);
+        }
+        return dollarRates[code] ?? null;
+    }
+
+    /**
+     * Get the value of one unit of a currency in the base currency
+     * @param {string} code - Currency code, possibly in minor units
+     * @param {string|null} date - Date (YYYY-MM-DD), or null for the current rate
+     * @returns {number|null} - Rate
+     */
+    function getRate(code, date = null) {
+        const { currency, divisor } = currencies.toMajorUnits(code);
+        const codeRate = getDollarRate(currency, date);
+        const baseRate = getDollarRate(base, date);
+
+        return codeRate && baseRate ? codeRate / baseRate / divisor : null;
+    }
+
+    return {
+        base,
+        stale,
+        getRate,
+        convert(amount, code, date = null) {
+            const rate = getRate(code, date);
+            return amount === null || amount === undefined || rate === null ? null : amount * rate;
+        }
+    };
+}
+
+/**
+ * Get the currency a symbol trades in, from its quote or else from the listing
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<string>} - Currency code
+ */
+async function getSymbolCurrency(symbol, userId = null) {
+    try {
+        const quote = await marketData.fetchStockQuote(symbol, userId);
+        if (quote) {
+            return quote.currency || currencies.getListingCurrency(quote.symbol, quote.exchange);
+        }
+    } catch (error) {
+        console.warn(`Could not look up the currency of ${symbol}: ${error.message}`);
+    }
+
+    return currencies.getListingCurrency(symbol);
+}
+
+module.exports = {
+    getRates,
+    getRateHistory,
+    createConverter,
+    getSymbolCurrency
+};
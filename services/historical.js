@@ -0,0 +1,151 @@
+/**
+ * Historical Prices Service
+ * Returns OHLCV bars for a date range and interval in one consistent shape,
+ * resampling daily bars from the local price history into weekly and monthly bars
+ */
+
+const marketData = require('./market-data');
+const priceHistory = require('./price-history');
+
+const { normalizeBar } = priceHistory;
+
+// Intervals served directly by the provider's intraday endpoint
+const INTRADAY_INTERVALS = ['1min', '5min', '1hour'];
+
+// Intervals built from daily bars
+const DAILY_INTERVALS = ['daily', 'weekly', 'monthly'];
+
+const INTERVALS = [...INTRADAY_INTERVALS, ...DAILY_INTERVALS];
+
+/**
+ * Get the period a daily bar belongs to when resampling
+ * Weeks start on Monday; months are calendar months
+ * @param {string} date - Bar date (YYYY-MM-DD)
+ * @param {string} interval - weekly or monthly
+ * @returns {string} - Period key
+ */
+function getPeriodKey(date, interval) {
+    if (interval === 'monthly') {
+        return date.slice(0, 7);
+    }
+
+    const day = new Date(`${date}T00:00:00Z`);
+    const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+    day.setUTCDate(day.getUTCDate() - daysSinceMonday);
+    return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Resample daily bars into weekly or monthly bars
+ * Each resampled bar is dated with the first trading day of its period
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {string} interval - weekly or monthly
+ * @returns {Array} - Resampled bars, oldest first
+ */
+function resampleBars(bars, interval) {
+    const periods = [];
+    let current = null;
+
+    for (const bar of bars) {
+        const key = getPeriodKey(bar.date, interval);
+
+        if (!current || current.key !== key) {
+            current = { key, bar: { ...bar } };
+            periods.push(current);
+            continue;
+        }
+
+        current.bar.high = Math.max(current.bar.high, bar.high);
+        current.bar.low = Math.min(current.bar.low, bar.low);
+        current.bar.close = bar.close;
+        current.bar.volume = bar.volume === null || current.bar.volume === null
+            ? null
+            : current.bar.volume + bar.volume;
+    }
+
+    return periods.map(period => period.bar);
+}
+
+/**
+ * Get daily OHLCV bars for a stock, oldest first
+ * Daily bars are served from the local price history, which is synced incrementally
+ * @param {string} symbol - Stock symbol
+ * @param {Object} range - Optional date range ({ from, to })
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} cacheOptions - Cache options ({ refresh } forces a sync)
+ * @returns {Promise<Object>} - { bars, stale }
+ */
+async function getDailyBars(symbol, { from, to } = {}, userId = null, cacheOptions = {}) {
+    return priceHistory.getPriceHistory(symbol, { from, to }, userId, cacheOptions);
+}
+
+/**
+ * Get intraday OHLCV bars for a stock, oldest first
+ * @param {string} symbol - Stock symbol
+ * @param {string} interval - Intraday interval
+ * @param {Object} range - Optional date range ({ from, to })
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} cacheOptions - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { bars, stale }
+ */
+async function getIntradayBars(symbol, interval, { from, to } = {}, userId = null, cacheOptions = {}) {
+    const data = await marketData.fetchIntradayData(symbol, interval, userId, { ...cacheOptions, from, to });
+
+    return {
+        bars: data
+            .map(normalizeBar)
+            .sort((a, b) => a.date.localeCompare(b.date)),
+        stale: data.some(bar => bar.stale)
+    };
+}
+
+/**
+ * Get historical prices for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {Object} params - Query parameters
+ * @param {string} params.from - Start date (YYYY-MM-DD)
+ * @param {string} params.to - End date (YYYY-MM-DD)
+ * @param {string} params.interval - One of INTERVALS, defaults to daily
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} cacheOptions - Cache options ({ refresh })
+ * @returns {Promise<Object|null>} - { symbol, interval, from, to, historical } with bars newest first
+ */
+async function getHistoricalPrices(symbol, { from, to, interval = 'daily' } = {}, userId = null, cacheOptions = {}) {
+    if (!INTERVALS.includes(interval)) {
+        throw new Error(`Invalid interval: ${interval}`);
+    }
+
+    const { bars, stale } = INTRADAY_INTERVALS.includes(interval)
+        ? await getIntradayBars(symbol, interval, { from, to }, userId, cacheOptions)
+        : await getDailyBars(symbol, { from, to }, userId, cacheOptions);
+
+    if (bars.length === 0) return null;
+
+    const firstDate = bars[0].date.slice(0, 10);
+    const lastDate = bars[bars.length - 1].date.slice(0, 10);
+    const resampled = interval === 'weekly' || interval === 'monthly'
+        ? resampleBars(bars, interval)
+        : bars;
+
+    const response = {
+        symbol,
+        interval,
+        from: from || firstDate,
+        to: to || lastDate,
+        historical: resampled.reverse()
+    };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    INTERVALS,
+    normalizeBar,
+    resampleBars,
+    getDailyBars,
+    getHistoricalPrices
+};
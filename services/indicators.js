@@ -0,0 +1,332 @@
+/**
+ * Technical Indicators Service
+ * Calculates SMA, EMA, RSI, MACD, Bollinger Bands and ATR from daily price history
+ * and returns them aligned by date so they can be overlaid on price charts
+ */
+
+const historical = require('./historical');
+const cache = require('./cache');
+
+// Largest period accepted for any indicator parameter
+const MAX_PERIOD = 500;
+
+// Maximum number of indicators per request
+const MAX_INDICATORS = 10;
+
+/**
+ * Round an indicator value, keeping warm-up nulls
+ * @param {number|null} value - Value to round
+ * @returns {number|null} - Value rounded to 4 decimals
+ */
+function round(value) {
+    return value === null ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Simple moving average
+ * @param {Array<number|null>} values - Input series; leading nulls are skipped
+ * @param {number} period - Number of values averaged
+ * @returns {Array<number|null>} - Averages aligned with the input, null during warm-up
+ */
+function sma(values, period) {
+    const result = new Array(values.length).fill(null);
+    let sum = 0;
+    let count = 0;
+
+    values.forEach((value, i) => {
+        if (value === null) return;
+
+        sum += value;
+        count++;
+
+        if (count > period) {
+            sum -= values[i - period];
+        }
+        if (count >= period) {
+            result[i] = sum / period;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Exponential moving average, seeded with the simple average of the first period values
+ * @param {Array<number|null>} values - Input series; leading nulls are skipped
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} - Averages aligned with the input, null during warm-up
+ */
+function ema(values, period) {
+    const result = new Array(values.length).fill(null);
+    const start = values.findIndex(value => value !== null);
+    if (start === -1 || values.length - start < period) return result;
+
+    const multiplier = 2 / (period + 1);
+    let previous = values.slice(start, start + period).reduce((sum, value) => sum + value, 0) / period;
+    result[start + period - 1] = previous;
+
+    for (let i = start + period; i < values.length; i++) {
+        previous = (values[i] - previous) * multiplier + previous;
+        result[i] = previous;
+    }
+
+    return result;
+}
+
+/**
+ * Relative strength index using Wilder's smoothing
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} - RSI (0-100) aligned with the input, null during warm-up
+ */
+function rsi(closes, period) {
+    const result = new Array(closes.length).fill(null);
+    if (closes.length <= period) return result;
+
+    let avgGain = 0;
+    let avgLoss = 0;
+
+    for (let i = 1; i <= period; i++) {
+        const change = closes[i] - closes[i - 1];
+        avgGain += Math.max(change, 0);
+        avgLoss += Math.max(-change, 0);
+    }
+    avgGain /= period;
+    avgLoss /= period;
+
+    const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+    result[period] = toRsi();
+
+    for (let i = period + 1; i < closes.length; i++) {
+        const change = closes[i] - closes[i - 1];
+        avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+        avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+        result[i] = toRsi();
+    }
+
+    return result;
+}
+
+/**
+ * Moving average convergence divergence
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} fastPeriod - Fast EMA period
+ * @param {number} slowPeriod - Slow EMA period
+ * @param {number} signalPeriod - Signal line EMA period
+ * @returns {Array<Object|null>} - { macd, signal, histogram } aligned with the input, null during warm-up
+ */
+function macd(closes, fastPeriod, slowPeriod, signalPeriod) {
+    const fast = ema(closes, fastPeriod);
+    const slow = ema(closes, slowPeriod);
+    const line = closes.map((close, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+    const signal = ema(line, signalPeriod);
+
+    return line.map((value, i) => {
+        if (value === null) return null;
+        return {
+            macd: value,
+            signal: signal[i],
+            histogram: signal[i] === null ? null : value - signal[i]
+        };
+    });
+}
+
+/**
+ * Bollinger Bands: simple moving average with bands a number of standard deviations away
+ * @param {Array<number>} closes - Closing prices
+ * @param {number} period - Moving average period
+ * @param {number} multiplier - Number of (population) standard deviations
+ * @returns {Array<Object|null>} - { upper, middle, lower } aligned with the input, null during warm-up
+ */
+function bollinger(closes, period, multiplier) {
+    const middle = sma(closes, period);
+
+    return middle.map((average, i) => {
+        if (average === null) return null;
+
+        const window = closes.slice(i - period + 1, i + 1);
+        const variance = window.reduce((sum, close) => sum + Math.pow(close - average, 2), 0) / period;
+        const deviation = Math.sqrt(variance) * multiplier;
+
+        return { upper: average + deviation, middle: average, lower: average - deviation };
+    });
+}
+
+/**
+ * Average true range using Wilder's smoothing
+ * @param {Array<Object>} bars - OHLC bars, oldest first
+ * @param {number} period - Smoothing period
+ * @returns {Array<number|null>} - ATR aligned with the input, null during warm-up
+ */
+function atr(bars, period) {
+    const result = new Array(bars.length).fill(null);
+    if (bars.length < period) return result;
+
+    const trueRanges = bars.map((bar, i) => {
+        if (i === 0) return bar.high - bar.low;
+        const previousClose = bars[i - 1].close;
+        return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+    });
+
+    let previous = trueRanges.slice(0, period).reduce((sum, range) => sum + range, 0) / period;
+    result[period - 1] = previous;
+
+    for (let i = period; i < bars.length; i++) {
+        previous = (previous * (period - 1) + trueRanges[i]) / period;
+        result[i] = previous;
+    }
+
+    return result;
+}
+
+// Supported indicators with their default parameters
+const INDICATORS = {
+    sma: { defaults: [20], calculate: (bars, [period]) => sma(bars.map(bar => bar.close), period) },
+    ema: { defaults: [20], calculate: (bars, [period]) => ema(bars.map(bar => bar.close), period) },
+    rsi: { defaults: [14], calculate: (bars, [period]) => rsi(bars.map(bar => bar.close), period) },
+    macd: { defaults: [12, 26, 9], calculate: (bars, params) => macd(bars.map(bar => bar.close), ...params) },
+    bollinger: { defaults: [20, 2], calculate: (bars, params) => bollinger(bars.map(bar => bar.close), ...params) },
+    atr: { defaults: [14], calculate: (bars, [period]) => atr(bars, period) }
+};
+
+/**
+ * Create an error for an invalid indicator request
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 400 status
+ */
+function invalidIndicatorError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Parse requested indicators
+ * Each entry is a name with optional colon-separated parameters, e.g. "rsi", "sma:50" or "macd:12:26:9".
+ * A period given separately replaces the first default parameter of entries without parameters.
+ * @param {string} type - Comma-separated indicator list
+ * @param {string|number} period - Optional default period
+ * @returns {Array<Object>} - { key, type, params } per indicator, e.g. key "rsi(14)"
+ */
+function parseIndicators(type, period) {
+    const entries = String(type || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+
+    if (entries.length === 0) {
+        throw invalidIndicatorError(`An indicator type is required. Expected one of: ${Object.keys(INDICATORS).join(', ')}`);
+    }
+    if (entries.length > MAX_INDICATORS) {
+        throw invalidIndicatorError(`A maximum of ${MAX_INDICATORS} indicators can be requested at once`);
+    }
+
+    const specs = entries.map(entry => {
+        const [name, ...rawParams] = entry.split(':');
+        const indicator = INDICATORS[name];
+
+        if (!indicator) {
+            throw invalidIndicatorError(`Invalid indicator type: ${name}. Expected one of: ${Object.keys(INDICATORS).join(', ')}`);
+        }
+
+        const params = [...indicator.defaults];
+        if (rawParams.length > 0) {
+            rawParams.slice(0, params.length).forEach((param, i) => { params[i] = Number(param); });
+        } else if (period !== undefined && period !== '') {
+            params[0] = Number(period);
+        }
+
+        // Every parameter is a whole period except the Bollinger Band multiplier
+        params.forEach((param, i) => {
+            const isMultiplier = name === 'bollinger' && i === 1;
+            if (!(param > 0) || param > MAX_PERIOD || (!isMultiplier && !Number.isInteger(param))) {
+                throw invalidIndicatorError(`Invalid parameters for ${name}: periods must be whole numbers between 1 and ${MAX_PERIOD}`);
+            }
+        });
+
+        return { key: `${name}(${params.join(',')})`, type: name, params };
+    });
+
+    // Drop duplicates so each key appears once in the response
+    return specs.filter((spec, i) => specs.findIndex(other => other.key === spec.key) === i);
+}
+
+/**
+ * Round a calculated value, which is either a number or an object of numbers
+ * @param {number|Object|null} value - Calculated value
+ * @returns {number|Object|null} - Rounded value
+ */
+function roundValue(value) {
+    if (value === null || typeof value === 'number') return round(value);
+
+    const rounded = {};
+    Object.entries(value).forEach(([field, fieldValue]) => { rounded[field] = round(fieldValue); });
+    return rounded;
+}
+
+/**
+ * Calculate indicators for daily bars
+ * @param {Array<Object>} bars - Daily OHLCV bars, oldest first
+ * @param {Array<Object>} specs - Indicators from parseIndicators
+ * @returns {Array<Object>} - One row per bar, oldest first, with date, close and a value per indicator key
+ */
+function calculateIndicators(bars, specs) {
+    const series = specs.map(spec => INDICATORS[spec.type].calculate(bars, spec.params));
+
+    return bars.map((bar, i) => {
+        const row = { date: bar.date, close: bar.close };
+        specs.forEach((spec, j) => { row[spec.key] = roundValue(series[j][i]); });
+        return row;
+    });
+}
+
+/**
+ * Get technical indicators for a stock
+ * Indicators are calculated over the full stored history up to the end date, so
+ * values at the start of the range don't depend on the requested from date
+ * @param {string} symbol - Stock symbol
+ * @param {Object} params - Query parameters
+ * @param {string} params.type - Comma-separated indicator list (see parseIndicators)
+ * @param {string|number} params.period - Optional default period
+ * @param {string} params.from - Start date (YYYY-MM-DD)
+ * @param {string} params.to - End date (YYYY-MM-DD)
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} cacheOptions - Cache options ({ refresh })
+ * @returns {Promise<Object|null>} - { symbol, from, to, indicators, data } with rows newest first
+ */
+async function getIndicators(symbol, { type, period, from, to } = {}, userId = null, cacheOptions = {}) {
+    const specs = parseIndicators(type, period);
+    const keys = specs.map(spec => spec.key);
+
+    return cache.getOrFetch('indicators', `${symbol}:${keys.join(',')}:${from || ''}:${to || ''}`, async () => {
+        const { bars, stale } = await historical.getDailyBars(symbol, { to }, userId, cacheOptions);
+        if (bars.length === 0) return null;
+
+        const rows = calculateIndicators(bars, specs).filter(row => !from || row.date >= from);
+        if (rows.length === 0) return null;
+
+        const response = {
+            symbol,
+            from: from || rows[0].date,
+            to: to || rows[rows.length - 1].date,
+            indicators: keys,
+            data: rows.reverse()
+        };
+
+        if (stale) {
+            response.stale = true;
+        }
+
+        return response;
+    }, cacheOptions);
+}
+
+module.exports = {
+    INDICATORS: Object.keys(INDICATORS),
+    sma,
+    ema,
+    rsi,
+    macd,
+    bollinger,
+    atr,
+    parseIndicators,
+    calculateIndicators,
+    getIndicators
+};
@@ -0,0 +1,214 @@
+/**
+ * Background Jobs
+ * Built-in recurring jobs for data refresh and maintenance, run by the scheduler
+ */
+
+const storage = require('../storage');
+const scheduler = require('./scheduler');
+const marketData = require('./market-data');
+const priceHistory = require('./price-history');
+const corporateActions = require('./corporate-actions');
+const portfolioValuation = require('./portfolio-valuation');
+const tradingCalendar = require('./trading-calendar');
+const screener = require('./screener');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Run a task for each item one at a time, so upstream rate limits are respected
+ * Every item is attempted; the job fails afterwards if any of them failed
+ * @param {Array<string>} items - Items, e.g. symbols
+ * @param {Function} task - Async function receiving an item
+ * @returns {Promise<Array>} - Task results in item order
+ */
+async function runEach(items, task) {
+    const results = [];
+    const failures = [];
+
+    for (const item of items) {
+        try {
+            results.push(await task(item));
+        } catch (error) {
+            failures.push(`${item} (${error.message})`);
+        }
+    }
+
+    if (failures.length > 0) {
+        throw new Error(`Failed for ${failures.length} of ${items.length}: ${failures.join(', ')}`);
+    }
+
+    return results;
+}
+
+/**
+ * Refresh cached quotes for watched and held symbols whose market is open
+ * Only expired quotes are fetched, so quotes a request refreshed recently are kept;
+ * listings without a trading calendar are always included
+ * @returns {Promise<Object>} - Run summary
+ */
+async function refreshQuotes() {
+    const now = Date.now();
+    const symbols = await storage.getWatchedSymbols();
+
+    const open = symbols.filter(symbol => {
+        const calendarId = tradingCalendar.getListingCalendarId(symbol);
+        return !calendarId || tradingCalendar.isOpen(now, calendarId);
+    });
+
+    const quotes = open.length > 0 ? await marketData.fetchQuotes(open) : [];
+
+    return {
+        symbols: symbols.length,
+        upToDate: quotes.filter(quote => !quote.stale).length,
+        marketClosed: symbols.length - open.length
+    };
+}
+
+/**
+ * Sync the daily price history of watched and held symbols
+ * @returns {Promise<Object>} - Run summary
+ */
+async function syncPriceHistory() {
+    const symbols = await storage.getWatchedSymbols();
+    const results = await runEach(symbols, symbol => priceHistory.syncPriceHistory(symbol));
+
+    return {
+        symbols: symbols.length,
+        synced: results.filter(result => result.synced).length,
+        barsSaved: results.reduce((total, result) => total + result.barsSaved, 0)
+    };
+}
+
+/**
+ * Delete API logs and job runs older than the retention period
+ * @returns {Promise<Object>} - Run summary
+ */
+async function purgeLogs() {
+    const retentionDays = await storage.getNumericAppSetting('log_retention_days', 90);
+    const before = Date.now() - retentionDays * DAY;
+
+    return {
+        retentionDays,
+        apiLogsDeleted: await storage.deleteApiLogsBefore(before),
+        jobRunsDeleted: await storage.deleteJobRunsBefore(before)
+    };
+}
+
+/**
+ * Record the value of every portfolio at the last close, in its owner's base currency
+ * @returns {Promise<Object>} - Run summary
+ */
+async function snapshotPortfolios() {
+    const date = tradingCalendar.getLastSessionDate();
+    const portfolios = await storage.getAllPortfolios();
+    let snapshots = 0;
+
+    await runEach(portfolios.map(portfolio => portfolio.id), async (portfolioId) => {
+        const portfolio = portfolios.find(item => item.id === portfolioId);
+
+        // Positions are adjusted for splits first, as when the portfolio is viewed
+        await corporateActions.syncPositions(await storage.getPortfolioPositions(portfolioId));
+        const positions = await storage.getPortfolioPositions(portfolioId);
+        if (positions.length === 0) return;
+
+        const { totals } = await portfolioValuation.valuePositions(positions, null, {
+            baseCurrency: portfolio.base_currency || 'USD'
+        });
+
+        await storage.savePortfolioSnapshot({
+            portfolioId,
+            date,
+            currency: totals.currency,
+            costBasis: totals.costBasis,
+            marketValue: totals.marketValue,
+            gain: totals.gain,
+            dayChange: totals.dayChange,
+            unpricedPositions: totals.unpricedPositions
+        });
+        snapshots++;
+    });
+
+    return { date, portfolios: portfolios.length, snapshots };
+}
+
+/**
+ * Rerun every watched screen, recording which symbols entered or left each one
+ * Quotes stored before their market's last close are refreshed first, oldest first and
+ * at most watch_screens_max_quotes per run to spare the daily API budget; the rest are
+ * screened on their stored quotes and reported as skipped
+ * @returns {Promise<Object>} - Run summary
+ */
+async function runWatchedScreens() {
+    const screens = await storage.getWatchedScreens();
+    if (screens.length === 0) {
+        return { screens: 0, quotesRefreshed: 0, quotesSkipped: 0, changed: 0 };
+    }
+
+    const maxQuotes = await storage.getNumericAppSetting('watch_screens_max_quotes', 200);
+    const outdated = await screener.getOutdatedSymbols();
+    const toRefresh = outdated.slice(0, maxQuotes);
+    const skipped = outdated.slice(maxQuotes);
+
+    const quotes = toRefresh.length > 0 ? await marketData.fetchQuotes(toRefresh, null, { refresh: true }) : [];
+
+    const runs = await runEach(screens.map(screen => screen.id), screenId =>
+        screener.recordRun(screens.find(screen => screen.id === screenId)));
+
+    return {
+        screens: screens.length,
+        quotesRefreshed: quotes.filter(quote => !quote.stale).length,
+        quotesSkipped: skipped.length,
+        skippedSymbols: skipped,
+        changed: runs.filter(run => run.entered.length > 0 || run.left.length > 0).length
+    };
+}
+
+// Built-in jobs; schedules are defaults that admins can change
+const JOBS = [
+    {
+        name: 'refresh-quotes',
+        description: 'Refresh cached quotes for watched and held symbols while their market is open',
+        scheduleType: 'interval',
+        scheduleMinutes: 5,
+        run: refreshQuotes
+    },
+    {
+        name: 'sync-price-history',
+        description: 'Sync daily price history for watched and held symbols after the market close',
+        scheduleType: 'market-close',
+        scheduleMinutes: 30,
+        run: syncPriceHistory
+    },
+    {
+        name: 'watch-screens',
+        description: 'Rerun watched stock screens after the market close and notify owners of symbols that entered or left',
+        scheduleType: 'market-close',
+        scheduleMinutes: 45,
+        run: runWatchedScreens
+    },
+    {
+        name: 'portfolio-snapshots',
+        description: 'Record the daily value of every portfolio after the market close',
+        scheduleType: 'market-close',
+        scheduleMinutes: 60,
+        run: snapshotPortfolios
+    },
+    {
+        name: 'purge-logs',
+        description: 'Delete API logs and job run history older than log_retention_days',
+        scheduleType: 'interval',
+        scheduleMinutes: 24 * 60,
+        run: purgeLogs
+    }
+];
+
+/**
+ * Register the built-in jobs with the scheduler
+ */
+function registerJobs() {
+    JOBS.forEach(job => scheduler.registerJob(job));
+}
+
+module.exports = {
+    registerJobs
+};
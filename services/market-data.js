@@ -0,0 +1,358 @@
+/**
+ * Market Data Service
+ * Single entry point for market data; delegates to the configured provider
+ *
+ * Select the provider with the MARKET_DATA_PROVIDER environment variable:
+ *   fmp     - Financial Modeling Prep API (default)
+ *   fixture - local JSON fixtures, for offline development, demos and tests
+ *
+ * Responses are cached in SQLite (see ./cache); pass { refresh: true } to fetch fresh data
+ * or { cache: false } to skip the cache entirely.
+ */
+
+const fmpApi = require('./fmp-api');
+const fixtureApi = require('./fixture-api');
+const cache = require('./cache');
+const tradingCalendar = require('./trading-calendar');
+
+// Registered provider adapters, keyed by name
+const providers = {
+    fmp: fmpApi,
+    fixture: fixtureApi
+};
+
+// Methods every provider adapter must implement
+const PROVIDER_METHODS = [
+    'fetchStockQuote',
+    'fetchQuotes',
+    'fetchCompanyProfile',
+    'fetchHistoricalData',
+    'fetchIntradayData',
+    'fetchFinancialStatements',
+    'fetchFinancialRatios',
+    'fetchDividends',
+    'fetchSplits',
+    'fetchEarningsCalendar',
+    'searchStocks',
+    'fetchStockList',
+    'fetchFxRates',
+    'fetchMarketSummary',
+    'fetchMarketMovers',
+    'fetchFinancialNews',
+    'fetchNewsForSymbols'
+];
+
+/**
+ * Get the name of the configured provider
+ * @returns {string} - Provider name
+ */
+function getProviderName() {
+    return (process.env.MARKET_DATA_PROVIDER || 'fmp').toLowerCase();
+}
+
+/**
+ * Get the configured provider adapter
+ * @returns {Object} - Provider adapter
+ */
+function getProvider() {
+    const name = getProviderName();
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`Unknown market data provider: ${name}. Available providers: ${Object.keys(providers).join(', ')}`);
+    }
+
+    return provider;
+}
+
+/**
+ * Register an additional provider adapter
+ * @param {string} name - Provider name used in MARKET_DATA_PROVIDER
+ * @param {Object} provider - Adapter implementing all provider methods
+ */
+function registerProvider(name, provider) {
+    const missing = PROVIDER_METHODS.filter(method => typeof provider[method] !== 'function');
+
+    if (missing.length > 0) {
+        throw new Error(`Market data provider ${name} is missing methods: ${missing.join(', ')}`);
+    }
+
+    providers[name.toLowerCase()] = provider;
+}
+
+/**
+ * Fetch through the cache using the configured provider
+ * @param {string} category - Cache category
+ * @param {string} key - Cache key within the category
+ * @param {Function} fetch - Function receiving the provider and returning a promise of data
+ * @param {Object} options - Cache options ({ refresh, cache: false to skip the cache })
+ * @returns {Promise<any>} - Cached or fresh data
+ */
+function fetchCached(category, key, fetch, options = {}) {
+    const provider = getProvider();
+
+    // Callers that persist the data themselves can skip the cache
+    if (options.cache === false) {
+        return fetch(provider);
+    }
+
+    return cache.getOrFetch(category, `${provider.name}:${key}`, () => fetch(provider), options);
+}
+
+/**
+ * Get a stock quote by symbol
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - Stock quote data, with asOf and marketOpen
+ */
+async function fetchStockQuote(symbol, userId = null, options = {}) {
+    if (!symbol) return null;
+    const quote = await fetchCached('quote', symbol.toUpperCase(),
+        provider => provider.fetchStockQuote(symbol, userId), options);
+    return tradingCalendar.withMarketStatus(quote);
+}
+
+/**
+ * Get stock quotes for many symbols
+ * Cached quotes are reused; the rest are fetched from the provider in batches
+ * @param {Array<string>} symbols - Stock symbols
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Array>} - Quotes in the order requested, with asOf and marketOpen; unknown symbols are omitted
+ */
+async function fetchQuotes(symbols, userId = null, options = {}) {
+    const uniqueSymbols = [...new Set((symbols || []).filter(Boolean).map(symbol => symbol.toUpperCase()))];
+    if (uniqueSymbols.length === 0) return [];
+
+    const provider = getProvider();
+    const prefix = `${provider.name}:`;
+
+    const quotes = await cache.getOrFetchMany('quote', uniqueSymbols.map(symbol => prefix + symbol), async (keys) => {
+        const fetched = await provider.fetchQuotes(keys.map(key => key.slice(prefix.length)), userId);
+        return Object.fromEntries(fetched.map(quote => [prefix + quote.symbol, quote]));
+    }, options);
+
+    const now = Date.now();
+    return uniqueSymbols
+        .map(symbol => quotes[prefix + symbol])
+        .filter(Boolean)
+        .map(quote => tradingCalendar.withMarketStatus(quote, now));
+}
+
+/**
+ * Get company profile by symbol
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - Company profile data
+ */
+async function fetchCompanyProfile(symbol, userId = null, options = {}) {
+    if (!symbol) return null;
+    return fetchCached('profile', symbol.toUpperCase(),
+        provider => provider.fetchCompanyProfile(symbol, userId), options);
+}
+
+/**
+ * Get daily historical OHLCV data for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Date range and cache options ({ from, to, refresh })
+ * @returns {Promise<Object>} - Historical price data ({ symbol, historical })
+ */
+async function fetchHistoricalData(symbol, userId = null, options = {}) {
+    if (!symbol) return null;
+
+    const { from, to } = options;
+    return fetchCached('historical', `${symbol.toUpperCase()}:${from || ''}:${to || ''}`,
+        provider => provider.fetchHistoricalData(symbol, userId, { from, to }), options);
+}
+
+/**
+ * Get intraday OHLCV bars for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {string} interval - Bar interval (1min, 5min, 1hour)
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Date range and cache options ({ from, to, refresh })
+ * @returns {Promise<Array>} - Intraday bars, newest first
+ */
+async function fetchIntradayData(symbol, interval, userId = null, options = {}) {
+    if (!symbol) return [];
+
+    const { from, to } = options;
+    return fetchCached('intraday', `${symbol.toUpperCase()}:${interval}:${from || ''}:${to || ''}`,
+        provider => provider.fetchIntradayData(symbol, interval, userId, { from, to }), options);
+}
+
+/**
+ * Get financial statements for a stock
+ * Statements are stored by the financials service, so they are not cached here
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - income-statement, balance-sheet or cash-flow
+ * @param {string} period - annual or quarter
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Statements, newest first
+ */
+async function fetchFinancialStatements(symbol, statement, period, userId = null) {
+    if (!symbol) return [];
+    return getProvider().fetchFinancialStatements(symbol.toUpperCase(), statement, period, userId);
+}
+
+/**
+ * Get financial ratios for a stock, one entry per reporting period
+ * @param {string} symbol - Stock symbol
+ * @param {string} period - annual or quarter
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Array>} - Ratios, newest first
+ */
+async function fetchFinancialRatios(symbol, period, userId = null, options = {}) {
+    if (!symbol) return [];
+    return fetchCached('ratios', `${symbol.toUpperCase()}:${period}`,
+        provider => provider.fetchFinancialRatios(symbol.toUpperCase(), period, userId), options);
+}
+
+/**
+ * Get dividend history for a stock
+ * Dividends are stored by the corporate actions service, so they are not cached here
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Dividends by ex-date, newest first
+ */
+async function fetchDividends(symbol, userId = null) {
+    if (!symbol) return [];
+    return getProvider().fetchDividends(symbol.toUpperCase(), userId);
+}
+
+/**
+ * Get stock split history for a stock
+ * Splits are stored by the corporate actions service, so they are not cached here
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Splits, newest first
+ */
+async function fetchSplits(symbol, userId = null) {
+    if (!symbol) return [];
+    return getProvider().fetchSplits(symbol.toUpperCase(), userId);
+}
+
+/**
+ * Get the earnings calendar for a date range
+ * Announcements are stored and cached by the earnings service, so they are not cached here
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Earnings announcements with estimated and, once reported, actual EPS
+ */
+async function fetchEarningsCalendar(from, to, userId = null) {
+    return getProvider().fetchEarningsCalendar(from, to, userId);
+}
+
+/**
+ * Search for stocks by query
+ * @param {string} query - Search query
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Array>} - Search results
+ */
+async function searchStocks(query, userId = null, options = {}) {
+    if (!query) return [];
+    return fetchCached('search', query.toLowerCase(),
+        provider => provider.searchStocks(query, userId), options);
+}
+
+/**
+ * Get the full list of symbols the provider covers
+ * The list is stored in the local symbol directory, so it is not cached here
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<Array>} - Symbols ({ symbol, name, exchange, exchangeShortName, type })
+ */
+async function fetchStockList(userId = null) {
+    return getProvider().fetchStockList(userId);
+}
+
+/**
+ * Get current exchange rates for all currency pairs the provider quotes
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Array>} - Rates ({ ticker: 'EUR/USD', bid, ask, date })
+ */
+async function fetchFxRates(userId = null, options = {}) {
+    return fetchCached('fx', 'rates',
+        provider => provider.fetchFxRates(userId), options);
+}
+
+/**
+ * Get market summary data (major indices)
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Array>} - Market summary data, with asOf and marketOpen
+ */
+async function fetchMarketSummary(userId = null, options = {}) {
+    const indices = await fetchCached('market-summary', 'indices',
+        provider => provider.fetchMarketSummary(userId), options);
+
+    const now = Date.now();
+    return (indices || []).map(index => tradingCalendar.withMarketStatus(index, now));
+}
+
+/**
+ * Get today's biggest gainers, losers or most actively traded stocks
+ * @param {string} type - gainers, losers or actives
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Array>} - Movers ({ symbol, name, price, change, changesPercentage })
+ */
+async function fetchMarketMovers(type, userId = null, options = {}) {
+    return fetchCached('movers', type,
+        provider => provider.fetchMarketMovers(type, userId), options);
+}
+
+/**
+ * Get financial news
+ * @param {string|null} symbol - Optional stock symbol to filter news
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Array>} - Financial news data
+ */
+async function fetchFinancialNews(symbol = null, userId = null, options = {}) {
+    return fetchCached('news', symbol ? symbol.toUpperCase() : 'all',
+        provider => provider.fetchFinancialNews(symbol, userId), options);
+}
+
+/**
+ * Get recent news for several symbols in one request
+ * @param {Array<string>} symbols - Stock symbols
+ * @param {number} limit - Maximum number of articles
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh, cache })
+ * @returns {Promise<Array>} - Financial news data
+ */
+async function fetchNewsForSymbols(symbols, limit, userId = null, options = {}) {
+    const normalized = [...new Set(symbols.map(symbol => symbol.toUpperCase()))].sort();
+
+    return fetchCached('news', `${normalized.join(',')}:${limit}`,
+        provider => provider.fetchNewsForSymbols(normalized, limit, userId), options);
+}
+
+module.exports = {
+    getProviderName,
+    registerProvider,
+    fetchStockQuote,
+    fetchQuotes,
+    fetchCompanyProfile,
+    fetchHistoricalData,
+    fetchIntradayData,
+    fetchFinancialStatements,
+    fetchFinancialRatios,
+    fetchDividends,
+    fetchSplits,
+    fetchEarningsCalendar,
+    searchStocks,
+    fetchStockList,
+    fetchFxRates,
+    fetchMarketSummary,
+    fetchMarketMovers,
+    fetchFinancialNews,
+    fetchNewsForSymbols
+};
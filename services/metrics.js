@@ -0,0 +1,327 @@
+/**
+ * Key Metrics Service
+ * Returns profitability, leverage, liquidity and valuation ratios per reporting period.
+ * Annual ratios reported by the provider are used as-is; missing ones are calculated from
+ * the stored financial statements and price history. The provider's quarterly ratios cover
+ * a single quarter, so quarterly metrics are all calculated from trailing twelve month figures.
+ */
+
+const marketData = require('./market-data');
+const cache = require('./cache');
+const financials = require('./financials');
+const historical = require('./historical');
+
+// Income and cash flow items summed over four quarters for trailing twelve month figures
+const TTM_FIELDS = ['revenue', 'grossProfit', 'operatingIncome', 'ebitda', 'netIncome', 'eps', 'dividendsPaid'];
+
+/**
+ * Divide two values, returning null when the result is meaningless
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number|null} - Quotient
+ */
+function divide(numerator, denominator) {
+    if (typeof numerator !== 'number' || typeof denominator !== 'number' || denominator === 0) return null;
+    return numerator / denominator;
+}
+
+// Supported metrics: provider ratio field, whether it is shown in percent, whether it depends
+// on the share price, and how to calculate it from a period's figures
+const METRICS = {
+    grossMargin: {
+        providerField: 'grossProfitMargin',
+        percent: true,
+        calculate: f => divide(f.grossProfit, f.revenue)
+    },
+    operatingMargin: {
+        providerField: 'operatingProfitMargin',
+        percent: true,
+        calculate: f => divide(f.operatingIncome, f.revenue)
+    },
+    netMargin: {
+        providerField: 'netProfitMargin',
+        percent: true,
+        calculate: f => divide(f.netIncome, f.revenue)
+    },
+    returnOnEquity: {
+        providerField: 'returnOnEquity',
+        percent: true,
+        calculate: f => divide(f.netIncome, f.totalStockholdersEquity)
+    },
+    returnOnAssets: {
+        providerField: 'returnOnAssets',
+        percent: true,
+        calculate: f => divide(f.netIncome, f.totalAssets)
+    },
+    debtToEquity: {
+        providerField: 'debtEquityRatio',
+        calculate: f => divide(f.totalDebt, f.totalStockholdersEquity)
+    },
+    currentRatio: {
+        providerField: 'currentRatio',
+        calculate: f => divide(f.totalCurrentAssets, f.totalCurrentLiabilities)
+    },
+    priceToEarnings: {
+        providerField: 'priceEarningsRatio',
+        valuation: true,
+        calculate: f => (f.eps > 0 ? divide(f.price, f.eps) : null)
+    },
+    evToEbitda: {
+        providerField: 'enterpriseValueMultiple',
+        valuation: true,
+        calculate: f => (f.marketCap === null ? null
+            : divide(f.marketCap + (f.totalDebt || 0) - (f.cashAndCashEquivalents || 0), f.ebitda))
+    },
+    priceToBook: {
+        providerField: 'priceToBookRatio',
+        valuation: true,
+        calculate: f => divide(f.marketCap, f.totalStockholdersEquity)
+    },
+    priceToSales: {
+        providerField: 'priceToSalesRatio',
+        valuation: true,
+        calculate: f => divide(f.marketCap, f.revenue)
+    },
+    pegRatio: {
+        providerField: 'priceEarningsToGrowthRatio',
+        valuation: true,
+        calculate: f => {
+            const pe = f.eps > 0 ? divide(f.price, f.eps) : null;
+            return pe !== null && f.epsGrowth > 0 ? pe / f.epsGrowth : null;
+        }
+    },
+    dividendYield: {
+        providerField: 'dividendYield',
+        percent: true,
+        valuation: true,
+        calculate: f => divide(divide(Math.abs(f.dividendsPaid || 0), f.shares), f.price)
+    }
+};
+
+/**
+ * Round a metric value for output, converting fractions to percent where needed
+ * @param {number|null} value - Metric value as a fraction or multiple
+ * @param {boolean} percent - Whether the metric is shown in percent
+ * @returns {number|null} - Rounded value
+ */
+function formatMetric(value, percent) {
+    if (value === null || value === undefined || !isFinite(value)) return null;
+    return Math.round(value * (percent ? 10000 : 100)) / 100;
+}
+
+/**
+ * Sum income and cash flow items over the four quarters ending at each quarter
+ * @param {Array} periods - Quarterly figures, newest first
+ * @returns {Array} - Figures with trailing twelve month sums; null when fewer than four quarters are stored
+ */
+function toTrailingTwelveMonths(periods) {
+    return periods.map((period, i) => {
+        const quarters = periods.slice(i, i + 4);
+        const ttm = { ...period };
+
+        TTM_FIELDS.forEach(field => {
+            ttm[field] = quarters.length === 4 && quarters.every(quarter => typeof quarter[field] === 'number')
+                ? quarters.reduce((sum, quarter) => sum + quarter[field], 0)
+                : null;
+        });
+
+        return ttm;
+    });
+}
+
+/**
+ * Find the last close on or before a date
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number|null} - Closing price, or null when no bar is that old
+ */
+function getCloseOn(bars, date) {
+    let close = null;
+    for (const bar of bars) {
+        if (bar.date > date) break;
+        close = bar.close;
+    }
+    return close;
+}
+
+/**
+ * Combine the three statements into one set of figures per reporting date
+ * @param {Object} statements - Statements keyed by statement type, newest first
+ * @returns {Array} - Figures per reporting date, newest first
+ */
+function combineStatements(statements) {
+    const income = statements['income-statement'];
+    const balanceByDate = new Map(statements['balance-sheet'].map(item => [item.date, item]));
+    const cashFlowByDate = new Map(statements['cash-flow'].map(item => [item.date, item]));
+
+    return income.map(item => {
+        const balance = balanceByDate.get(item.date) || {};
+        const cashFlow = cashFlowByDate.get(item.date) || {};
+
+        return {
+            date: item.date,
+            calendarYear: item.calendarYear,
+            period: item.period,
+            revenue: item.revenue,
+            grossProfit: item.grossProfit,
+            operatingIncome: item.operatingIncome,
+            ebitda: item.ebitda,
+            netIncome: item.netIncome,
+            eps: item.epsdiluted ?? item.eps,
+            shares: item.weightedAverageShsOutDil ?? item.weightedAverageShsOut,
+            totalAssets: balance.totalAssets,
+            totalCurrentAssets: balance.totalCurrentAssets,
+            totalCurrentLiabilities: balance.totalCurrentLiabilities,
+            totalStockholdersEquity: balance.totalStockholdersEquity,
+            totalDebt: balance.totalDebt,
+            cashAndCashEquivalents: balance.cashAndCashEquivalents,
+            dividendsPaid: cashFlow.dividendsPaid
+        };
+    });
+}
+
+/**
+ * Add the year-over-year EPS growth (in percent) used for the PEG ratio
+ * @param {Array} periods - Figures per reporting date, newest first
+ * @returns {Array} - Figures with epsGrowth
+ */
+function addEpsGrowth(periods) {
+    return periods.map(item => {
+        const previous = periods.find(other =>
+            other.calendarYear === String(Number(item.calendarYear) - 1) && other.period === item.period);
+        const growth = previous && previous.eps > 0 ? divide(item.eps - previous.eps, previous.eps) : null;
+
+        return { ...item, epsGrowth: growth === null ? null : growth * 100 };
+    });
+}
+
+/**
+ * Calculate metrics for one reporting period, preferring provider ratios
+ * @param {Object} figures - Figures for the period, including price and marketCap
+ * @param {Object|null} providerRatios - Provider ratios for the same date
+ * @param {boolean} valuationFromProvider - Whether provider valuation ratios apply to this price
+ * @returns {Object} - { metrics, calculated } where calculated lists the metrics computed locally
+ */
+function calculateMetrics(figures, providerRatios, valuationFromProvider = true) {
+    const metrics = {};
+    const calculated = [];
+
+    Object.entries(METRICS).forEach(([key, metric]) => {
+        const reported = providerRatios?.[metric.providerField];
+        const useProvider = typeof reported === 'number' && (!metric.valuation || valuationFromProvider);
+
+        metrics[key] = formatMetric(useProvider ? reported : metric.calculate(figures), metric.percent);
+        if (!useProvider && metrics[key] !== null) {
+            calculated.push(key);
+        }
+    });
+
+    return { metrics, calculated };
+}
+
+/**
+ * Fetch provider data that calculated values can stand in for
+ * @param {Promise} request - Provider request
+ * @param {*} fallback - Value used when the provider is unavailable
+ * @param {string} description - What is fetched, for the log
+ * @returns {Promise<Object>} - { value, failed }
+ */
+async function fetchOptional(request, fallback, description) {
+    try {
+        return { value: await request, failed: false };
+    } catch (error) {
+        if (!cache.canServeStale(error)) {
+            throw error;
+        }
+
+        console.warn(`Calculating metrics without ${description}: ${error.message}`);
+        return { value: fallback, failed: true };
+    }
+}
+
+/**
+ * Get key ratios and valuation metrics for a stock, current and per reporting period
+ * Quarterly metrics use trailing twelve month income and cash flow figures only; when
+ * the provider is unavailable, calculated values are served and flagged as stale
+ * @param {string} symbol - Stock symbol
+ * @param {Object} params - Query parameters
+ * @param {string} params.period - annual (default) or quarter
+ * @param {number} params.limit - Optional maximum number of periods in the history
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache and sync options ({ refresh })
+ * @returns {Promise<Object|null>} - { symbol, period, current, history }, or null without statements
+ */
+async function getMetrics(symbol, { period = 'annual', limit } = {}, userId = null, options = {}) {
+    const statements = {};
+    let stale = false;
+
+    for (const statement of financials.STATEMENTS) {
+        const result = await financials.getStatements(symbol, statement, { period }, userId, options);
+        statements[statement] = result ? result.statements : [];
+        stale = stale || !!result?.stale;
+    }
+
+    if (statements['income-statement'].length === 0) return null;
+
+    const [ratiosResult, { bars }, quoteResult] = await Promise.all([
+        period === 'annual'
+            ? fetchOptional(marketData.fetchFinancialRatios(symbol, period, userId, options), [], `ratios for ${symbol}`)
+            : { value: [], failed: false },
+        historical.getDailyBars(symbol, {}, userId, options),
+        fetchOptional(marketData.fetchStockQuote(symbol, userId, options), null, `a quote for ${symbol}`)
+    ]);
+    const providerRatios = ratiosResult.value;
+    const quote = quoteResult.value;
+    stale = stale || ratiosResult.failed || quoteResult.failed;
+
+    let periods = combineStatements(statements);
+    if (period === 'quarter') {
+        periods = toTrailingTwelveMonths(periods);
+    }
+    periods = addEpsGrowth(periods);
+
+    const history = periods.map(figures => {
+        const price = getCloseOn(bars, figures.date);
+        const marketCap = price !== null && figures.shares ? price * figures.shares : null;
+        const ratios = providerRatios.find(item => item.date === figures.date) || null;
+
+        return {
+            date: figures.date,
+            calendarYear: figures.calendarYear,
+            period: figures.period,
+            price,
+            ...calculateMetrics({ ...figures, price, marketCap }, ratios)
+        };
+    });
+
+    // Current valuation uses the latest statements with today's price
+    const latest = periods[0];
+    const price = quote?.price ?? null;
+    const marketCap = quote?.marketCap ?? (price !== null && latest.shares ? price * latest.shares : null);
+    const latestRatios = providerRatios.find(item => item.date === latest.date) || null;
+    const current = {
+        asOf: latest.date,
+        price,
+        marketCap,
+        ...calculateMetrics({ ...latest, price, marketCap }, latestRatios, false)
+    };
+
+    const response = {
+        symbol,
+        period,
+        current,
+        history: limit ? history.slice(0, limit) : history
+    };
+
+    if (stale || quote?.stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    METRICS: Object.keys(METRICS),
+    calculateMetrics,
+    getMetrics
+};
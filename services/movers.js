@@ -0,0 +1,73 @@
+/**
+ * Market Movers Service
+ * Lists today's biggest gainers, losers and most actively traded stocks,
+ * leaving out restricted symbols and optionally filtering by exchange
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+
+// Supported lists and how they are ordered
+const MOVER_TYPES = {
+    gainers: (a, b) => b.changesPercentage - a.changesPercentage,
+    losers: (a, b) => a.changesPercentage - b.changesPercentage,
+    actives: (a, b) => (b.volume || 0) - (a.volume || 0)
+};
+
+/**
+ * Get today's movers of a type
+ * Movers are combined with their quotes for volume and exchange
+ * @param {Object} params - Query parameters
+ * @param {string} params.type - gainers, losers or actives
+ * @param {number} params.limit - Maximum number of movers
+ * @param {string} params.exchange - Optional exchange, e.g. NASDAQ or NYSE
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { type, exchange, movers }
+ */
+async function getMovers({ type, limit = 10, exchange = null }, userId = null, options = {}) {
+    const [movers, restrictedStocks] = await Promise.all([
+        marketData.fetchMarketMovers(type, userId, options),
+        storage.getRestrictedStocks()
+    ]);
+
+    const restricted = new Set(restrictedStocks.map(stock => stock.symbol.toUpperCase()));
+    const candidates = movers.filter(mover => mover.symbol && !restricted.has(mover.symbol.toUpperCase()));
+
+    const quotes = await marketData.fetchQuotes(candidates.map(mover => mover.symbol), userId, options);
+    const quotesBySymbol = new Map(quotes.map(quote => [quote.symbol, quote]));
+
+    const results = candidates
+        .map(mover => {
+            const quote = quotesBySymbol.get(mover.symbol.toUpperCase()) || {};
+            return {
+                symbol: mover.symbol,
+                name: mover.name || quote.name || null,
+                price: mover.price ?? quote.price ?? null,
+                change: mover.change ?? quote.change ?? null,
+                changesPercentage: mover.changesPercentage ?? quote.changesPercentage ?? null,
+                volume: quote.volume ?? null,
+                exchange: quote.exchange || null,
+                currency: quote.currency || null
+            };
+        })
+        .filter(mover => !exchange || (mover.exchange && mover.exchange.toUpperCase() === exchange.toUpperCase()))
+        .sort(MOVER_TYPES[type]);
+
+    const response = {
+        type,
+        exchange: exchange ? exchange.toUpperCase() : null,
+        movers: results.slice(0, limit)
+    };
+
+    if (movers.some(mover => mover.stale)) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    MOVER_TYPES: Object.keys(MOVER_TYPES),
+    getMovers
+};
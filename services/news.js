@@ -0,0 +1,476 @@
+/**
+ * News Service
+ * Keeps an archive of fetched news articles, deduplicated by URL, tagged with the symbols
+ * they are about and scored for sentiment, and serves symbol news, per-user feeds and
+ * daily sentiment trends from it
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+const cache = require('./cache');
+const sentiment = require('./sentiment');
+const priceHistory = require('./price-history');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// Default length of a sentiment trend, and the longest comparison period for sentiment shifts
+const DEFAULT_TREND_DAYS = 90;
+const MAX_SHIFT_DAYS = 90;
+
+// General market news is synced under an empty symbol
+const GENERAL_NEWS = '';
+
+// Symbols fetched per upstream request, and articles requested per symbol
+const SYNC_BATCH_SIZE = 20;
+const ARTICLES_PER_SYMBOL = 10;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Scoring of articles archived before they were scored on save, run once per process
+let scoringBacklog = null;
+
+/**
+ * Round a sentiment score
+ * @param {number|null} value - Score
+ * @returns {number|null} - Score rounded to 4 decimals
+ */
+function round(value) {
+    return value === null || value === undefined ? null : Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Convert a provider article into an archive article
+ * @param {Object} item - Provider article
+ * @returns {Object} - Article with url, title, text, site, image, publishedAt, sentiment and symbols
+ */
+function normalizeArticle(item) {
+    const { score, label } = sentiment.scoreArticle(item.title, item.text);
+
+    return {
+        url: item.url,
+        title: item.title,
+        text: item.text || null,
+        site: item.site || null,
+        image: item.image || null,
+        publishedAt: item.publishedDate,
+        sentimentScore: score,
+        sentimentLabel: label,
+        symbols: item.symbol ? [item.symbol.toUpperCase()] : []
+    };
+}
+
+/**
+ * Convert a stored article into the provider's article shape
+ * @param {Object} row - Stored article with a comma-separated symbols column
+ * @param {string|null} symbol - Symbol the article was requested for
+ * @returns {Object} - Article ({ symbol, symbols, publishedDate, title, image, site, text, url, sentiment, sentimentScore })
+ */
+function formatArticle(row, symbol = null) {
+    const symbols = row.symbols ? row.symbols.split(',').sort() : [];
+
+    return {
+        symbol: symbol && symbols.includes(symbol) ? symbol : (symbols[0] || null),
+        symbols,
+        publishedDate: row.published_at,
+        title: row.title,
+        image: row.image,
+        site: row.site,
+        text: row.text,
+        url: row.url,
+        sentiment: row.sentiment_label,
+        sentimentScore: row.sentiment_score
+    };
+}
+
+/**
+ * Score archived articles that have no sentiment yet
+ * Stops when a batch returns articles that were already scored, so a score the database
+ * doesn't keep can't make the backfill loop forever
+ * @returns {Promise<number>} - Number of articles scored
+ */
+async function scoreArchivedArticles() {
+    const seen = new Set();
+    let scored = 0;
+    let articles;
+
+    while ((articles = await storage.getUnscoredNewsArticles()).length > 0) {
+        const fresh = articles.filter(article => !seen.has(article.id));
+        if (fresh.length === 0) {
+            console.warn(`Could not save the sentiment of ${articles.length} archived news articles`);
+            break;
+        }
+
+        for (const article of fresh) {
+            const { score, label } = sentiment.scoreArticle(article.title, article.text);
+            await storage.saveNewsArticleSentiment(article.id, score, label);
+            seen.add(article.id);
+            scored++;
+        }
+    }
+
+    return scored;
+}
+
+/**
+ * Make sure every archived article has a sentiment score before it is filtered or aggregated
+ * @returns {Promise<void>}
+ */
+async function ensureScored() {
+    if (!scoringBacklog) {
+        scoringBacklog = scoreArchivedArticles()
+            .then(scored => {
+                if (scored > 0) console.log(`Scored sentiment of ${scored} archived news articles`);
+            })
+            .catch(error => {
+                scoringBacklog = null;
+                throw error;
+            });
+    }
+
+    return scoringBacklog;
+}
+
+/**
+ * Validate the page, limit and sentiment query parameters of news endpoints
+ * @param {Object} query - Query parameters ({ page, limit, sentiment })
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateNewsQuery({ page, limit, sentiment: label }) {
+    if (label !== undefined && !sentiment.LABELS.includes(label)) {
+        return `Invalid sentiment. Expected one of: ${sentiment.LABELS.join(', ')}`;
+    }
+
+    if (page !== undefined && !(Number.isInteger(Number(page)) && page >= 1)) {
+        return 'The page must be a whole number of at least 1';
+    }
+
+    if (limit !== undefined && !(Number.isInteger(Number(limit)) && limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+        return `The limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`;
+    }
+
+    return null;
+}
+
+/**
+ * Clamp pagination parameters
+ * @param {Object} options - Pagination options ({ page, limit })
+ * @returns {Object} - { page, limit, offset }
+ */
+function getPage({ page, limit } = {}) {
+    const size = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const number = Math.max(parseInt(page) || 1, 1);
+
+    return { page: number, limit: size, offset: (number - 1) * size };
+}
+
+/**
+ * Check whether a symbol's news should be fetched again
+ * @param {Object|null} sync - Last sync state for the symbol
+ * @param {number} ttlMinutes - How long synced news stays fresh
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True when the symbol should be synced
+ */
+function needsSync(sync, ttlMinutes, now = Date.now()) {
+    if (!sync) return true;
+    return sync.synced_at + ttlMinutes * MINUTE <= now;
+}
+
+/**
+ * Fetch and archive news for a batch of symbols, or general market news
+ * A batch shares one article limit, so when the provider fills it, busy symbols can crowd out
+ * the rest; only symbols that got articles back are then recorded as synced
+ * @param {Array<string>} symbols - Stock symbols, or [GENERAL_NEWS]
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<number>} - Number of new articles
+ */
+async function fetchNews(symbols, userId) {
+    const limit = symbols.length * ARTICLES_PER_SYMBOL;
+    const items = (symbols[0] === GENERAL_NEWS
+        ? await marketData.fetchFinancialNews(null, userId, { cache: false })
+        : await marketData.fetchNewsForSymbols(symbols, limit, userId, { cache: false })) || [];
+
+    const now = Date.now();
+    const articles = items
+        .filter(item => item.url && item.title && item.publishedDate)
+        .map(normalizeArticle);
+    const added = await storage.saveNewsArticles(articles, now);
+
+    let synced = symbols;
+    if (symbols[0] !== GENERAL_NEWS && items.length >= limit) {
+        const returned = new Set(articles.flatMap(article => article.symbols));
+        synced = symbols.filter(symbol => returned.has(symbol));
+    }
+    await storage.saveNewsSync(synced, now);
+
+    return added;
+}
+
+/**
+ * Bring the archived news for symbols up to date
+ * Symbols synced within cache_ttl_news_minutes are skipped
+ * @param {Array<string>} symbols - Stock symbols, or [GENERAL_NEWS]
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options
+ * @param {boolean} options.force - Sync even if the news is current
+ * @returns {Promise<Object>} - { synced, added } with the number of symbols synced and new articles
+ */
+async function syncNews(symbols, userId = null, { force = false } = {}) {
+    const ttlMinutes = await storage.getNumericAppSetting('cache_ttl_news_minutes', 15);
+    const due = [];
+
+    for (const symbol of symbols) {
+        if (force || needsSync(await storage.getNewsSync(symbol), ttlMinutes)) {
+            due.push(symbol);
+        }
+    }
+
+    let added = 0;
+
+    for (let i = 0; i < due.length; i += SYNC_BATCH_SIZE) {
+        const batch = due.slice(i, i + SYNC_BATCH_SIZE);
+        added += await cache.dedupe(`news:${batch.join(',')}`, () => fetchNews(batch, userId));
+    }
+
+    return { synced: due.length, added };
+}
+
+/**
+ * Sync news before reading the archive, serving archived news when the provider is unavailable
+ * @param {Array<string>} symbols - Stock symbols, or [GENERAL_NEWS]
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh } forces a sync)
+ * @returns {Promise<boolean>} - True when the archived news may be out of date
+ */
+async function syncBeforeRead(symbols, userId, { refresh = false } = {}) {
+    return cache.syncOrServeStored(
+        () => syncNews(symbols, userId, { force: refresh }),
+        async () => (await Promise.all(symbols.map(symbol => storage.getNewsSync(symbol)))).some(Boolean),
+        `news for ${symbols.join(', ') || 'the market'}`
+    );
+}
+
+/**
+ * Read a page of archived news
+ * @param {Array<string>|null} symbols - Only articles about one of these symbols, or all articles
+ * @param {Object} options - Pagination and filter options ({ page, limit, sentiment })
+ * @param {string|null} symbol - Symbol the articles were requested for
+ * @returns {Promise<Object>} - { page, limit, total, totalPages, articles }
+ */
+async function readNews(symbols, options, symbol = null) {
+    await ensureScored();
+
+    const { page, limit, offset } = getPage(options);
+    const filters = { symbols, sentiment: options.sentiment || null };
+    const [rows, total] = await Promise.all([
+        storage.getNewsArticles(filters, limit, offset),
+        storage.countNewsArticles(filters)
+    ]);
+
+    return {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        articles: rows.map(row => formatArticle(row, symbol))
+    };
+}
+
+/**
+ * Get archived news for a symbol, newest first
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Pagination, filter and sync options ({ page, limit, sentiment, refresh })
+ * @returns {Promise<Object>} - { symbol, page, limit, total, totalPages, articles, stale? }
+ */
+async function getSymbolNews(symbol, userId = null, options = {}) {
+    symbol = symbol.toUpperCase();
+
+    const stale = await syncBeforeRead([symbol], userId, options);
+    const response = { symbol, ...(await readNews([symbol], options, symbol)) };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+/**
+ * Get archived news about any symbol, newest first, after syncing general market news
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Pagination, filter and sync options ({ page, limit, sentiment, refresh })
+ * @returns {Promise<Object>} - { page, limit, total, totalPages, articles, stale? }
+ */
+async function getGeneralNews(userId = null, options = {}) {
+    const stale = await syncBeforeRead([GENERAL_NEWS], userId, options);
+    const response = await readNews(null, options);
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+/**
+ * Get the symbols in a user's watchlist and portfolios
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} - Sorted symbols
+ */
+async function getFollowedSymbols(userId) {
+    const watchlist = await storage.getUserWatchlist(userId);
+    const held = await storage.getUserPortfolioSymbols(userId);
+
+    return [...new Set([...watchlist.map(item => item.symbol), ...held]
+        .map(symbol => symbol.toUpperCase()))].sort();
+}
+
+/**
+ * Get a user's news feed: archived news for every symbol in their watchlist and portfolios
+ * @param {number} userId - User ID
+ * @param {Object} options - Pagination, filter and sync options ({ page, limit, sentiment, refresh })
+ * @returns {Promise<Object>} - { symbols, page, limit, total, totalPages, articles, stale? }
+ */
+async function getFeed(userId, options = {}) {
+    const symbols = await getFollowedSymbols(userId);
+
+    if (symbols.length === 0) {
+        const { page, limit } = getPage(options);
+        return { symbols, page, limit, total: 0, totalPages: 0, articles: [] };
+    }
+
+    const stale = await syncBeforeRead(symbols, userId, options);
+    const response = { symbols, ...(await readNews(symbols, options)) };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+/**
+ * Combine daily sentiment into one summary
+ * @param {Array} days - Days ({ articles, score, positive, negative, neutral })
+ * @returns {Object} - { articles, score, label, positive, negative, neutral }; score and label are null without articles
+ */
+function summarizeSentiment(days) {
+    const total = (field) => days.reduce((sum, day) => sum + day[field], 0);
+    const articles = total('articles');
+    const score = articles > 0
+        ? round(days.reduce((sum, day) => sum + day.score * day.articles, 0) / articles)
+        : null;
+
+    return {
+        articles,
+        score,
+        label: score === null ? null : sentiment.getLabel(score),
+        positive: total('positive'),
+        negative: total('negative'),
+        neutral: total('neutral')
+    };
+}
+
+/**
+ * Get the daily news sentiment of a symbol next to its closing prices
+ * Days with news but no trading (e.g. weekends) have a null close; trading days without news have a null score
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Range and sync options ({ from, to, refresh }); defaults to the last 90 days
+ * @returns {Promise<Object>} - { symbol, from, to, summary, series, stale? }
+ */
+async function getSentimentTrend(symbol, userId = null, { from, to, refresh = false } = {}) {
+    symbol = symbol.toUpperCase();
+    from = from || new Date(Date.now() - DEFAULT_TREND_DAYS * DAY).toISOString().slice(0, 10);
+    to = to || null;
+
+    const [stale, history] = await Promise.all([
+        syncBeforeRead([symbol], userId, { refresh }),
+        priceHistory.getPriceHistory(symbol, { from, to }, userId, { refresh })
+    ]);
+    await ensureScored();
+
+    const days = await storage.getDailyNewsSentiment(symbol, from, to);
+    const sentimentByDate = new Map(days.map(day => [day.date, day]));
+    const closeByDate = new Map(history.bars.map(bar => [bar.date, bar.close]));
+    const dates = [...new Set([...closeByDate.keys(), ...sentimentByDate.keys()])].sort();
+
+    const response = {
+        symbol,
+        from,
+        to,
+        summary: summarizeSentiment(days),
+        series: dates.map(date => {
+            const day = sentimentByDate.get(date);
+
+            return {
+                date,
+                close: closeByDate.get(date) ?? null,
+                articles: day ? day.articles : 0,
+                score: day ? round(day.score) : null,
+                positive: day ? day.positive : 0,
+                negative: day ? day.negative : 0,
+                neutral: day ? day.neutral : 0
+            };
+        })
+    };
+
+    if (stale || history.stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+/**
+ * Compare recent news sentiment with the period before it for every symbol a user follows
+ * Symbols are ordered by the size of the change, largest first; symbols without news in both periods come last
+ * @param {number} userId - User ID
+ * @param {Object} options - Options ({ days: length of each period, refresh })
+ * @returns {Promise<Object>} - { days, symbols: [{ symbol, recent, previous, change }], stale? }
+ */
+async function getSentimentShifts(userId, { days = 7, refresh = false } = {}) {
+    const symbols = await getFollowedSymbols(userId);
+    const stale = symbols.length > 0 && await syncBeforeRead(symbols, userId, { refresh });
+    await ensureScored();
+
+    const dateBefore = (count) => new Date(Date.now() - count * DAY).toISOString().slice(0, 10);
+    const recentFrom = dateBefore(days - 1);
+    const previousFrom = dateBefore(2 * days - 1);
+    const previousTo = dateBefore(days);
+
+    const shifts = [];
+    for (const symbol of symbols) {
+        const recent = summarizeSentiment(await storage.getDailyNewsSentiment(symbol, recentFrom, null));
+        const previous = summarizeSentiment(await storage.getDailyNewsSentiment(symbol, previousFrom, previousTo));
+        const change = recent.score !== null && previous.score !== null ? round(recent.score - previous.score) : null;
+
+        shifts.push({ symbol, recent, previous, change });
+    }
+
+    shifts.sort((a, b) => {
+        if (a.change === null || b.change === null) return (a.change === null) - (b.change === null);
+        return Math.abs(b.change) - Math.abs(a.change);
+    });
+
+    const response = { days, symbols: shifts };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    MAX_SHIFT_DAYS,
+    validateNewsQuery,
+    syncNews,
+    getSymbolNews,
+    getGeneralNews,
+    getFeed,
+    getSentimentTrend,
+    getSentimentShifts
+};
@@ -0,0 +1,176 @@
+/**
+ * Portfolio Valuation Service
+ * Values portfolio positions at current market prices, in each position's own currency
+ * and in the user's base currency
+ */
+
+const marketData = require('./market-data');
+const fx = require('./fx');
+const currencies = require('./currency');
+const { toDateString } = require('./corporate-actions');
+
+/**
+ * Round a number to a fixed number of decimals, keeping nulls
+ * @param {number|null} value - Value to round
+ * @param {number} decimals - Number of decimals
+ * @returns {number|null} - Rounded value
+ */
+function round(value, decimals = 2) {
+    if (value === null || value === undefined || isNaN(value)) return null;
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Value a list of portfolio positions using one batch quote lookup
+ * Cost basis is converted into the base currency at the rate on the purchase date,
+ * market value and day change at the current rate; positions bought before the stored
+ * exchange rate history have an unconverted cost basis and count as unpriced
+ * @param {Array} positions - Portfolio positions
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} params - Valuation parameters
+ * @param {string} params.baseCurrency - Currency for converted values and totals (default USD)
+ * @returns {Promise<Object>} - Valued positions and portfolio totals in the base currency
+ */
+async function valuePositions(positions, userId = null, { baseCurrency = 'USD' } = {}) {
+    const quotes = await marketData.fetchQuotes(positions.map(position => position.symbol), userId);
+    const quotesBySymbol = new Map(quotes.map(quote => [quote.symbol, quote]));
+
+    // Positions are valued in the currency they were bought in, defaulting to the listing's
+    const positionCurrencies = positions.map(position => {
+        const quote = quotesBySymbol.get(position.symbol);
+        return position.currency ||
+            (quote && quote.currency) ||
+            currencies.getListingCurrency(position.symbol, quote && quote.exchange);
+    });
+
+    // Purchase rates need the exchange rate history back to the earliest purchase
+    const purchaseDates = positions.map(position => toDateString(position.purchase_date)).filter(Boolean).sort();
+
+    const converter = await fx.createConverter(
+        baseCurrency,
+        [...positionCurrencies, ...quotes.map(quote => quote.currency).filter(Boolean)],
+        { from: purchaseDates[0] },
+        userId
+    );
+
+    const totals = {
+        costBasis: 0,
+        marketValue: 0,
+        currencyGain: 0,
+        dayChange: 0,
+        unpricedPositions: 0
+    };
+    let pricedCostBasis = 0;
+
+    const valuedPositions = positions.map((position, i) => {
+        const currency = positionCurrencies[i];
+        const quote = quotesBySymbol.get(position.symbol);
+        const purchaseDate = toDateString(position.purchase_date);
+        const costBasis = position.shares * position.purchase_price;
+
+        const purchaseRate = converter.getRate(currency, purchaseDate);
+        const currentRate = converter.getRate(currency);
+        const convertedCostBasis = purchaseRate === null ? null : costBasis * purchaseRate;
+        totals.costBasis += convertedCostBasis || 0;
+
+        // Quotes in another currency than the position, e.g. GBX and GBp, are converted at the current rate
+        const quoteCurrency = (quote && quote.currency) || currency;
+        const quoteRate = quoteCurrency === currency ? currentRate : converter.getRate(quoteCurrency);
+        const priceRate = quoteRate !== null && currentRate ? quoteRate / currentRate : null;
+        const price = quote && quote.price !== null && quote.price !== undefined && priceRate !== null
+            ? quote.price * priceRate
+            : null;
+
+        const converted = {
+            currency: baseCurrency,
+            // Without a rate on the purchase date the cost basis can't be converted
+            costBasisUnconverted: purchaseRate === null,
+            purchaseRate: round(purchaseRate, 6),
+            currentRate: round(currentRate, 6),
+            costBasis: round(convertedCostBasis),
+            marketValue: null,
+            gain: null,
+            gainPercent: null,
+            currencyGain: null,
+            dayChange: null
+        };
+
+        if (price === null || convertedCostBasis === null) {
+            totals.unpricedPositions++;
+            return {
+                ...position,
+                currency,
+                currentPrice: null,
+                costBasis: round(costBasis),
+                marketValue: null,
+                gain: null,
+                gainPercent: null,
+                dayChange: null,
+                converted
+            };
+        }
+
+        const marketValue = position.shares * price;
+        const gain = marketValue - costBasis;
+        const dayChange = position.shares * (quote.change || 0) * priceRate;
+
+        const convertedMarketValue = marketValue * currentRate;
+        const convertedGain = convertedMarketValue - convertedCostBasis;
+
+        // The part of the gain that comes from the exchange rate moving since the purchase
+        const currencyGain = costBasis * currentRate - convertedCostBasis;
+
+        totals.marketValue += convertedMarketValue;
+        totals.currencyGain += currencyGain;
+        totals.dayChange += dayChange * currentRate;
+        pricedCostBasis += convertedCostBasis;
+
+        return {
+            ...position,
+            currency,
+            name: quote.name,
+            currentPrice: round(price, 4),
+            costBasis: round(costBasis),
+            marketValue: round(marketValue),
+            gain: round(gain),
+            gainPercent: costBasis > 0 ? round(gain / costBasis * 100) : null,
+            dayChange: round(dayChange),
+            converted: {
+                ...converted,
+                marketValue: round(convertedMarketValue),
+                gain: round(convertedGain),
+                gainPercent: convertedCostBasis > 0 ? round(convertedGain / convertedCostBasis * 100) : null,
+                currencyGain: round(currencyGain),
+                dayChange: round(dayChange * currentRate)
+            }
+        };
+    });
+
+    // Gain is computed over priced positions only, so missing quotes don't show as losses
+    const gain = totals.marketValue - pricedCostBasis;
+
+    const response = {
+        positions: valuedPositions,
+        totals: {
+            currency: baseCurrency,
+            costBasis: round(totals.costBasis),
+            marketValue: round(totals.marketValue),
+            gain: round(gain),
+            gainPercent: pricedCostBasis > 0 ? round(gain / pricedCostBasis * 100) : null,
+            currencyGain: round(totals.currencyGain),
+            dayChange: round(totals.dayChange),
+            unpricedPositions: totals.unpricedPositions
+        }
+    };
+
+    if (converter.stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    valuePositions
+};
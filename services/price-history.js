@@ -0,0 +1,159 @@
+/**
+ * Price History Service
+ * Keeps daily OHLCV bars per symbol in the price_history table, fetching only
+ * bars newer than the last stored one from the market data provider, and older
+ * bars when a range starts before the first stored one
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+const cache = require('./cache');
+const tradingCalendar = require('./trading-calendar');
+
+/**
+ * Convert a provider bar into a plain OHLCV bar
+ * @param {Object} bar - Provider bar
+ * @returns {Object} - Bar with date, open, high, low, close and volume
+ */
+function normalizeBar(bar) {
+    return {
+        date: bar.date,
+        open: bar.open ?? bar.close,
+        high: bar.high ?? bar.close,
+        low: bar.low ?? bar.close,
+        close: bar.close,
+        volume: bar.volume ?? null
+    };
+}
+
+/**
+ * Check whether a symbol's stored history may be missing bars
+ * History is current until the first market close after the last sync
+ * @param {Object|null} sync - Last sync state for the symbol
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - True when the symbol should be synced
+ */
+function needsSync(sync, now = Date.now()) {
+    if (!sync) return true;
+    return tradingCalendar.getNextClose(sync.synced_at) <= now;
+}
+
+/**
+ * Fetch and store bars newer than the last stored bar for a symbol
+ * The last stored bar is fetched again in case it was saved before the close
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<number>} - Number of bars saved
+ */
+async function fetchNewBars(symbol, userId) {
+    const latestDate = await storage.getLatestPriceDate(symbol);
+
+    // Without stored bars the provider's full default history is fetched
+    const data = await marketData.fetchHistoricalData(symbol, userId, {
+        from: latestDate || undefined,
+        cache: false
+    });
+
+    const bars = (data && Array.isArray(data.historical) ? data.historical : [])
+        .filter(bar => bar.date && bar.close !== undefined && bar.close !== null)
+        .map(normalizeBar);
+
+    const saved = await storage.savePriceHistory(symbol, bars);
+    await storage.savePriceHistorySync(symbol, Date.now(), saved);
+
+    return saved;
+}
+
+/**
+ * Fetch and store bars older than the first stored bar for a symbol
+ * The start date is recorded, so a range the provider has no bars for is only requested once
+ * @param {string} symbol - Stock symbol
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<number>} - Number of bars saved
+ */
+async function fetchOlderBars(symbol, from, userId) {
+    const [earliestDate, sync] = await Promise.all([
+        storage.getEarliestPriceDate(symbol),
+        storage.getPriceHistorySync(symbol)
+    ]);
+
+    // Without stored bars there is nothing to extend; the next sync fetches the default history
+    const coveredFrom = (sync && sync.covered_from) || earliestDate;
+    if (!sync || !earliestDate || from >= coveredFrom) return 0;
+
+    const data = await marketData.fetchHistoricalData(symbol, userId, {
+        from,
+        to: earliestDate,
+        cache: false
+    });
+
+    const bars = (data && Array.isArray(data.historical) ? data.historical : [])
+        .filter(bar => bar.date && bar.date < earliestDate && bar.close !== undefined && bar.close !== null)
+        .map(normalizeBar);
+
+    const saved = await storage.savePriceHistory(symbol, bars);
+    await storage.savePriceHistoryCoveredFrom(symbol, from);
+
+    return saved;
+}
+
+/**
+ * Make sure a symbol's stored price history reaches back to a date
+ * @param {string} symbol - Stock symbol
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<number>} - Number of older bars saved
+ */
+async function backfillPriceHistory(symbol, from, userId = null) {
+    symbol = symbol.toUpperCase();
+    return cache.dedupe(`price-history-backfill:${symbol}:${from}`, () => fetchOlderBars(symbol, from, userId));
+}
+
+/**
+ * Bring a symbol's stored price history up to date
+ * @param {string} symbol - Stock symbol
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options
+ * @param {boolean} options.force - Sync even if the history is current
+ * @returns {Promise<Object>} - { synced, barsSaved }
+ */
+async function syncPriceHistory(symbol, userId = null, { force = false } = {}) {
+    symbol = symbol.toUpperCase();
+
+    if (!force && !needsSync(await storage.getPriceHistorySync(symbol))) {
+        return { synced: false, barsSaved: 0 };
+    }
+
+    const barsSaved = await cache.dedupe(`price-history:${symbol}`, () => fetchNewBars(symbol, userId));
+    return { synced: true, barsSaved };
+}
+
+/**
+ * Get stored daily bars for a stock, syncing new bars first and older bars when the
+ * range starts before the stored history
+ * When the provider is unavailable, stored bars are served and flagged as stale
+ * @param {string} symbol - Stock symbol
+ * @param {Object} range - Optional date range ({ from, to })
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Sync options ({ refresh } forces a sync)
+ * @returns {Promise<Object>} - { bars (oldest first), stale }
+ */
+async function getPriceHistory(symbol, { from, to } = {}, userId = null, { refresh = false } = {}) {
+    const stale = await cache.syncOrServeStored(async () => {
+        await syncPriceHistory(symbol, userId, { force: refresh });
+
+        if (from) {
+            await backfillPriceHistory(symbol, from, userId);
+        }
+    }, async () => !!(await storage.getLatestPriceDate(symbol)), `price history for ${symbol}`);
+
+    const bars = await storage.getPriceHistory(symbol, from || null, to || null);
+    return { bars, stale };
+}
+
+module.exports = {
+    normalizeBar,
+    syncPriceHistory,
+    getPriceHistory
+};
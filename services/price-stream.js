@@ -0,0 +1,119 @@
+/**
+ * Price Stream Service
+ * Pushes quote updates to connected clients from a single shared polling loop.
+ * Every poll reads the union of all subscribed symbols through the quote cache in one batch,
+ * so upstream requests don't grow with the number of connected users.
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+
+const SECOND = 1000;
+
+// Active subscriptions ({ symbols: Set, onQuotes })
+const subscribers = new Set();
+
+// Last pushed state per symbol, to only push quotes that changed
+const lastPushed = new Map();
+
+let looping = false;
+
+/**
+ * Get a comparable summary of the fields clients display
+ * @param {Object} quote - Stock quote
+ * @returns {string} - Signature that changes whenever a displayed field changes
+ */
+function getSignature(quote) {
+    return [quote.price, quote.change, quote.changesPercentage, quote.volume, quote.asOf, quote.marketOpen].join('|');
+}
+
+/**
+ * Fetch quotes for every subscribed symbol and push the changed ones to their subscribers
+ * @returns {Promise<number>} - Number of changed quotes
+ */
+async function poll() {
+    const symbols = new Set();
+    subscribers.forEach(subscriber => subscriber.symbols.forEach(symbol => symbols.add(symbol)));
+
+    // Forget symbols nobody is subscribed to any more
+    [...lastPushed.keys()]
+        .filter(symbol => !symbols.has(symbol))
+        .forEach(symbol => lastPushed.delete(symbol));
+
+    if (symbols.size === 0) return 0;
+
+    const quotes = await marketData.fetchQuotes([...symbols]);
+    const changed = quotes.filter(quote => {
+        const signature = getSignature(quote);
+        if (lastPushed.get(quote.symbol) === signature) return false;
+
+        lastPushed.set(quote.symbol, signature);
+        return true;
+    });
+
+    subscribers.forEach(subscriber => {
+        const updates = changed.filter(quote => subscriber.symbols.has(quote.symbol));
+        if (updates.length > 0) {
+            subscriber.onQuotes(updates);
+        }
+    });
+
+    return changed.length;
+}
+
+/**
+ * Poll while there are subscribers; the interval is read before each poll so changes apply straight away
+ */
+async function runLoop() {
+    looping = true;
+
+    try {
+        while (subscribers.size > 0) {
+            const seconds = await storage.getNumericAppSetting('stream_poll_seconds', 15);
+            await new Promise(resolve => setTimeout(resolve, Math.max(seconds, 1) * SECOND));
+
+            try {
+                await poll();
+            } catch (error) {
+                // Clients keep their last prices; the next poll tries again
+                console.error('Price stream poll failed:', error.message);
+            }
+        }
+    } finally {
+        // Let the next subscriber start polling again, also when the loop failed
+        looping = false;
+    }
+}
+
+/**
+ * Subscribe to quote updates for a set of symbols
+ * The current quotes are pushed straight away, then changed quotes after each poll
+ * @param {Array<string>} symbols - Stock symbols
+ * @param {Function} onQuotes - Called with an array of quotes
+ * @returns {Function} - Unsubscribe function
+ */
+function subscribe(symbols, onQuotes) {
+    const subscriber = {
+        symbols: new Set(symbols.map(symbol => symbol.toUpperCase())),
+        onQuotes
+    };
+    subscribers.add(subscriber);
+
+    marketData.fetchQuotes([...subscriber.symbols])
+        .then(quotes => {
+            if (subscribers.has(subscriber) && quotes.length > 0) {
+                onQuotes(quotes);
+            }
+        })
+        .catch(error => console.error('Failed to load initial stream quotes:', error.message));
+
+    if (!looping) {
+        runLoop().catch(error => console.error('Price stream stopped:', error.message));
+    }
+
+    return () => subscribers.delete(subscriber);
+}
+
+module.exports = {
+    subscribe
+};
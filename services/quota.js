@@ -0,0 +1,158 @@
+/**
+ * Outbound API Quota Service
+ * Enforces per-minute (token bucket) and per-day budgets on upstream market data calls
+ *
+ * Budgets are read from app_settings; daily usage is computed from api_logs,
+ * where every upstream call is recorded.
+ */
+
+const storage = require('../storage');
+
+const MINUTE = 60 * 1000;
+
+// Quota settings and their defaults
+const QUOTA_SETTINGS = {
+    perMinute: { key: 'api_quota_per_minute', defaultValue: 30 },
+    perDay: { key: 'api_quota_per_day', defaultValue: 250 },
+    maxWaitSeconds: { key: 'api_quota_max_wait_seconds', defaultValue: 10 }
+};
+
+// Token bucket state for the per-minute budget
+const bucket = {
+    tokens: null,
+    lastRefill: Date.now()
+};
+
+// Requests are granted in arrival order; each waits for the previous one
+let queueTail = Promise.resolve();
+let queued = 0;
+
+/**
+ * Create an error raised when the quota is used up
+ * Callers can degrade to cached data when they see code QUOTA_EXCEEDED
+ * @param {string} message - Error details
+ * @returns {Error} - Quota error with a 429 status
+ */
+function quotaError(message) {
+    const error = new Error(`API rate limit reached. ${message}`);
+    error.status = 429;
+    error.code = 'QUOTA_EXCEEDED';
+    return error;
+}
+
+/**
+ * Get the current quota settings
+ * @returns {Promise<Object>} - perMinute, perDay and maxWaitSeconds
+ */
+async function getLimits() {
+    const limits = {};
+    for (const [name, setting] of Object.entries(QUOTA_SETTINGS)) {
+        limits[name] = await storage.getNumericAppSetting(setting.key, setting.defaultValue);
+    }
+    return limits;
+}
+
+/**
+ * Get the start of the current quota day (midnight UTC)
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Start of day in milliseconds
+ */
+function getStartOfDay(now = Date.now()) {
+    const date = new Date(now);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Refill the token bucket for the time elapsed since the last refill
+ * @param {number} perMinute - Per-minute budget, also the bucket capacity
+ */
+function refillBucket(perMinute) {
+    const now = Date.now();
+
+    if (bucket.tokens === null) {
+        bucket.tokens = perMinute;
+    } else {
+        bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.lastRefill) * perMinute / MINUTE);
+    }
+
+    bucket.lastRefill = now;
+}
+
+/**
+ * Take one token for an upstream call, waiting for one to become available if needed
+ * @returns {Promise<void>}
+ */
+async function takeToken() {
+    const limits = await getLimits();
+
+    const usedToday = await storage.countApiLogsSince(getStartOfDay());
+    if (usedToday >= limits.perDay) {
+        throw quotaError(`The daily budget of ${limits.perDay} requests is used up.`);
+    }
+
+    refillBucket(limits.perMinute);
+
+    if (bucket.tokens < 1) {
+        const waitMs = Math.ceil((1 - bucket.tokens) * MINUTE / limits.perMinute);
+
+        if (waitMs > limits.maxWaitSeconds * 1000) {
+            throw quotaError(`The budget of ${limits.perMinute} requests per minute is used up.`);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        refillBucket(limits.perMinute);
+    }
+
+    bucket.tokens -= 1;
+}
+
+/**
+ * Acquire permission for one upstream call
+ * Queues behind earlier callers while the per-minute budget refills
+ * @returns {Promise<void>} - Resolves when the call may proceed; rejects with QUOTA_EXCEEDED otherwise
+ */
+function acquire() {
+    queued++;
+
+    const turn = queueTail.then(() => takeToken());
+    queueTail = turn.catch(() => {});
+
+    return turn.finally(() => {
+        queued--;
+    });
+}
+
+/**
+ * Get the current quota usage and remaining budgets
+ * @returns {Promise<Object>} - Quota status
+ */
+async function getStatus() {
+    const limits = await getLimits();
+    const now = Date.now();
+    const startOfDay = getStartOfDay(now);
+    const usedToday = await storage.countApiLogsSince(startOfDay);
+    const usedLastMinute = await storage.countApiLogsSince(now - MINUTE);
+
+    refillBucket(limits.perMinute);
+
+    return {
+        perMinute: {
+            limit: limits.perMinute,
+            used: usedLastMinute,
+            remaining: Math.max(0, Math.floor(bucket.tokens))
+        },
+        perDay: {
+            limit: limits.perDay,
+            used: usedToday,
+            remaining: Math.max(0, limits.perDay - usedToday),
+            resetsAt: new Date(startOfDay + 24 * 60 * MINUTE).toISOString()
+        },
+        maxWaitSeconds: limits.maxWaitSeconds,
+        queued
+    };
+}
+
+module.exports = {
+    acquire,
+    getStatus
+};
@@ -0,0 +1,264 @@
+/**
+ * Job Scheduler Service
+ * Runs registered background jobs in-process on their schedule. Job definitions and
+ * run history are persisted in SQLite, so schedules survive restarts and can be tuned by admins.
+ *
+ * Schedules:
+ *   interval     - every schedule_minutes
+ *   market-close - schedule_minutes after each market close
+ */
+
+const storage = require('../storage');
+const tradingCalendar = require('./trading-calendar');
+
+const MINUTE = 60 * 1000;
+
+// How often due jobs are checked for
+const TICK_INTERVAL = MINUTE;
+
+const SCHEDULE_TYPES = ['interval', 'market-close'];
+
+// Registered jobs, keyed by name ({ name, description, scheduleType, scheduleMinutes, run })
+const jobs = new Map();
+
+// Runs in progress, keyed by job name, so a job never runs twice at once
+const runningJobs = new Map();
+
+let timer = null;
+let ticking = false;
+
+/**
+ * Register a job; its definition is persisted when the scheduler starts
+ * @param {Object} job - Job definition
+ * @param {string} job.name - Unique job name
+ * @param {string} job.description - What the job does
+ * @param {string} job.scheduleType - interval or market-close
+ * @param {number} job.scheduleMinutes - Interval, or delay after the close, in minutes
+ * @param {Function} job.run - Async function returning a JSON-serializable summary of the run
+ */
+function registerJob(job) {
+    if (!SCHEDULE_TYPES.includes(job.scheduleType)) {
+        throw new Error(`Invalid schedule type for job ${job.name}: ${job.scheduleType}`);
+    }
+    jobs.set(job.name, job);
+}
+
+/**
+ * Get the next time a job is due
+ * @param {Object} schedule - Stored job definition ({ schedule_type, schedule_minutes })
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Next run time in milliseconds
+ */
+function getNextRunTime(schedule, now = Date.now()) {
+    const delay = schedule.schedule_minutes * MINUTE;
+
+    if (schedule.schedule_type === 'market-close') {
+        // The close the run follows may already have passed, as long as its run hasn't
+        return tradingCalendar.getNextClose(now - delay) + delay;
+    }
+
+    return now + delay;
+}
+
+/**
+ * Run a job now and record the run
+ * Concurrent requests to run the same job share the run in progress
+ * @param {string} name - Job name
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - What started the run: schedule or manual
+ * @param {number|null} options.triggeredBy - User ID of the admin who started a manual run
+ * @returns {Promise<Object>} - { run, done } where run is the started run and done resolves to the finished run
+ */
+async function startJob(name, { trigger = 'schedule', triggeredBy = null } = {}) {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (runningJobs.has(name)) {
+        return runningJobs.get(name);
+    }
+
+    const run = await storage.createJobRun({ jobName: name, trigger, startedAt: Date.now(), triggeredBy });
+
+    const done = (async () => {
+        let finished;
+        try {
+            const result = await job.run();
+            finished = await storage.finishJobRun(run.id, { status: 'success', finishedAt: Date.now(), result });
+        } catch (error) {
+            console.error(`Job ${name} failed:`, error);
+            finished = await storage.finishJobRun(run.id, {
+                status: 'failed',
+                finishedAt: Date.now(),
+                errorMessage: error.message
+            });
+        }
+
+        const schedule = await storage.getScheduledJob(name);
+        await storage.updateScheduledJob(name, {
+            last_run_at: finished.finished_at,
+            next_run_at: getNextRunTime(schedule, finished.finished_at)
+        });
+
+        return finished;
+    })().finally(() => runningJobs.delete(name));
+
+    // Manual runs aren't awaited, so failures to record the outcome are logged here
+    done.catch(error => console.error(`Failed to record run of job ${name}:`, error));
+
+    const started = { run, done };
+    runningJobs.set(name, started);
+    return started;
+}
+
+/**
+ * Run every enabled job that is due, one at a time
+ * @param {number} now - Current time in milliseconds
+ */
+async function runDueJobs(now = Date.now()) {
+    // A slow job may still be running from the previous tick
+    if (ticking) return;
+    ticking = true;
+
+    try {
+        const schedules = await storage.getScheduledJobs();
+        const due = schedules.filter(schedule =>
+            schedule.enabled && jobs.has(schedule.name) && schedule.next_run_at !== null && schedule.next_run_at <= now);
+
+        for (const schedule of due) {
+            const { done } = await startJob(schedule.name);
+            await done;
+        }
+    } catch (error) {
+        console.error('Error running scheduled jobs:', error);
+    } finally {
+        ticking = false;
+    }
+}
+
+/**
+ * Persist registered job definitions and start checking for due jobs
+ * New jobs first run at their next scheduled time rather than at startup
+ */
+async function start() {
+    if (timer) return;
+
+    const now = Date.now();
+    for (const job of jobs.values()) {
+        const schedule = { schedule_type: job.scheduleType, schedule_minutes: job.scheduleMinutes };
+        await storage.createScheduledJob({
+            name: job.name,
+            description: job.description,
+            ...schedule,
+            next_run_at: getNextRunTime(schedule, now)
+        });
+    }
+
+    const interrupted = await storage.failUnfinishedJobRuns(now);
+    if (interrupted > 0) {
+        console.warn(`Marked ${interrupted} interrupted job runs as failed`);
+    }
+
+    timer = setInterval(() => runDueJobs(), TICK_INTERVAL);
+
+    // Don't keep the process alive just for the scheduler
+    timer.unref();
+    console.log(`Job scheduler started with ${jobs.size} jobs`);
+}
+
+/**
+ * Stop checking for due jobs; runs in progress finish on their own
+ */
+function stop() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+/**
+ * Get all jobs with their schedule, state and latest run
+ * @returns {Promise<Array>} - Jobs
+ */
+async function listJobs() {
+    const schedules = await storage.getScheduledJobs();
+    const latestRuns = new Map((await storage.getLatestJobRuns()).map(run => [run.job_name, run]));
+
+    return schedules.map(schedule => formatJob(schedule, latestRuns.get(schedule.name) || null));
+}
+
+/**
+ * Format a stored job definition for API responses
+ * @param {Object} schedule - Stored job definition
+ * @param {Object|null} lastRun - Latest run of the job
+ * @returns {Object} - Job
+ */
+function formatJob(schedule, lastRun = null) {
+    const toIso = time => (time === null || time === undefined ? null : new Date(time).toISOString());
+
+    return {
+        name: schedule.name,
+        description: schedule.description,
+        scheduleType: schedule.schedule_type,
+        scheduleMinutes: schedule.schedule_minutes,
+        enabled: !!schedule.enabled,
+        // Jobs removed from the code keep their definition and history but can't run
+        registered: jobs.has(schedule.name),
+        running: runningJobs.has(schedule.name),
+        lastRunAt: toIso(schedule.last_run_at),
+        nextRunAt: schedule.enabled ? toIso(schedule.next_run_at) : null,
+        lastRun
+    };
+}
+
+/**
+ * Get a job with its schedule, state and latest run
+ * @param {string} name - Job name
+ * @returns {Promise<Object|null>} - Job, or null when it doesn't exist
+ */
+async function getJob(name) {
+    const schedule = await storage.getScheduledJob(name);
+    if (!schedule) return null;
+
+    const [lastRun] = await storage.getJobRuns({ jobName: name }, 1);
+    return formatJob(schedule, lastRun || null);
+}
+
+/**
+ * Enable or disable a job, or change its schedule
+ * @param {string} name - Job name
+ * @param {Object} changes - Changes ({ enabled, scheduleMinutes })
+ * @returns {Promise<Object|null>} - Updated job, or null when it doesn't exist
+ */
+async function updateJob(name, { enabled, scheduleMinutes } = {}) {
+    const schedule = await storage.getScheduledJob(name);
+    if (!schedule) return null;
+
+    const updated = { ...schedule };
+    if (scheduleMinutes !== undefined) updated.schedule_minutes = scheduleMinutes;
+
+    // The next run is counted from the last run, so shortening an interval takes effect straight away
+    const from = updated.schedule_type === 'interval' && updated.last_run_at ? updated.last_run_at : Date.now();
+
+    await storage.updateScheduledJob(name, {
+        enabled,
+        schedule_minutes: scheduleMinutes,
+        next_run_at: getNextRunTime(updated, from)
+    });
+
+    return getJob(name);
+}
+
+module.exports = {
+    SCHEDULE_TYPES,
+    registerJob,
+    getNextRunTime,
+    startJob,
+    runDueJobs,
+    start,
+    stop,
+    listJobs,
+    getJob,
+    updateJob
+};
@@ -0,0 +1,395 @@
+/**
+ * Stock Screener Service
+ * Evaluates screen criteria against locally stored data: cached quotes and company profiles,
+ * and sectors from the symbol directory. Screens never call the market data provider, so
+ * only symbols that have been quoted before can match.
+ *
+ * Criteria format:
+ *   {
+ *     "filter": { "all": [
+ *       { "field": "marketCap", "min": 100000000000 },
+ *       { "any": [
+ *         { "field": "sector", "in": ["Technology", "Financial Services"] },
+ *         { "field": "dividendYield", "min": 2 }
+ *       ] }
+ *     ] },
+ *     "sort": { "field": "pe", "order": "asc" }
+ *   }
+ * Groups combine conditions with AND (all) or OR (any) and can be nested; numeric conditions
+ * take min and/or max (inclusive), text conditions take a list of values to match (in).
+ *
+ * Watched screens are rerun by the watch-screens job; each run is recorded with the symbols
+ * that entered or left the screen since the previous run, and the owner is notified of changes.
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+const tradingCalendar = require('./trading-calendar');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Fields screens can filter and sort on
+const FIELDS = {
+    price: 'number',
+    marketCap: 'number',
+    pe: 'number',
+    dividendYield: 'number',
+    volume: 'number',
+    sector: 'text'
+};
+
+// Limits that keep criteria evaluation cheap
+const MAX_DEPTH = 4;
+const MAX_CONDITIONS = 50;
+const MAX_SORT_KEYS = 3;
+
+const DEFAULT_SORT = [{ field: 'marketCap', order: 'desc' }];
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Check that a value is a plain object
+ * @param {any} value - Value
+ * @returns {boolean} - True for objects that are not arrays or null
+ */
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a filter group or condition
+ * @param {Object} node - Group ({ all } or { any }) or condition ({ field, min, max } or { field, in })
+ * @param {string} path - Location of the node in the criteria, for error messages
+ * @param {number} depth - Nesting depth of the node
+ * @param {Object} counter - Running count of conditions ({ conditions })
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateNode(node, path, depth, counter) {
+    if (!isObject(node)) {
+        return `${path} must be an object`;
+    }
+
+    const groupType = ['all', 'any'].find(type => node[type] !== undefined);
+    if (groupType) {
+        const children = node[groupType];
+
+        if (depth >= MAX_DEPTH) {
+            return `${path} is nested too deeply (at most ${MAX_DEPTH} levels)`;
+        }
+        if (!Array.isArray(children) || children.length === 0) {
+            return `${path}.${groupType} must be a non-empty array`;
+        }
+
+        for (let i = 0; i < children.length; i++) {
+            const error = validateNode(children[i], `${path}.${groupType}[${i}]`, depth + 1, counter);
+            if (error) return error;
+        }
+        return null;
+    }
+
+    const type = FIELDS[node.field];
+    if (!type) {
+        return `${path}.field must be one of: ${Object.keys(FIELDS).join(', ')}`;
+    }
+
+    if (++counter.conditions > MAX_CONDITIONS) {
+        return `Criteria may have at most ${MAX_CONDITIONS} conditions`;
+    }
+
+    if (type === 'number') {
+        const bounds = ['min', 'max'].filter(bound => node[bound] !== undefined);
+
+        if (bounds.length === 0) {
+            return `${path} needs a min or max`;
+        }
+        const invalid = bounds.find(bound => typeof node[bound] !== 'number' || !isFinite(node[bound]));
+        if (invalid) {
+            return `${path}.${invalid} must be a number`;
+        }
+        if (bounds.length === 2 && node.min > node.max) {
+            return `${path}.min must not be greater than max`;
+        }
+        return null;
+    }
+
+    if (!Array.isArray(node.in) || node.in.length === 0 || node.in.some(value => typeof value !== 'string')) {
+        return `${path}.in must be a non-empty array of strings`;
+    }
+    return null;
+}
+
+/**
+ * Validate screen criteria
+ * @param {Object} criteria - Criteria ({ filter, sort })
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateCriteria(criteria) {
+    if (!isObject(criteria)) {
+        return 'Criteria must be an object';
+    }
+
+    if (criteria.filter !== undefined) {
+        const error = validateNode(criteria.filter, 'filter', 0, { conditions: 0 });
+        if (error) return error;
+    }
+
+    if (criteria.sort !== undefined) {
+        const sortKeys = Array.isArray(criteria.sort) ? criteria.sort : [criteria.sort];
+
+        if (sortKeys.length === 0 || sortKeys.length > MAX_SORT_KEYS) {
+            return `sort must have between 1 and ${MAX_SORT_KEYS} keys`;
+        }
+
+        for (const key of sortKeys) {
+            if (!isObject(key) || !FIELDS[key.field]) {
+                return `sort.field must be one of: ${Object.keys(FIELDS).join(', ')}`;
+            }
+            if (key.order !== undefined && !['asc', 'desc'].includes(key.order)) {
+                return 'sort.order must be asc or desc';
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Validate the page and limit query parameters of screen runs
+ * @param {Object} query - Query parameters ({ page, limit })
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validatePageQuery({ page, limit }) {
+    if (page !== undefined && !(Number.isInteger(Number(page)) && page >= 1)) {
+        return 'The page must be a whole number of at least 1';
+    }
+
+    if (limit !== undefined && !(Number.isInteger(Number(limit)) && limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+        return `The limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a stock matches a filter group or condition
+ * Stocks without a value for a field never match conditions on it
+ * @param {Object} node - Validated group or condition
+ * @param {Object} stock - Screened stock
+ * @returns {boolean} - True when the stock matches
+ */
+function matches(node, stock) {
+    if (node.all) return node.all.every(child => matches(child, stock));
+    if (node.any) return node.any.some(child => matches(child, stock));
+
+    const value = stock[node.field];
+    if (value === null || value === undefined) return false;
+
+    if (FIELDS[node.field] === 'number') {
+        return (node.min === undefined || value >= node.min) && (node.max === undefined || value <= node.max);
+    }
+
+    return node.in.some(item => item.toLowerCase() === String(value).toLowerCase());
+}
+
+/**
+ * Compare two stocks by the criteria's sort keys; missing values sort last in either order
+ * @param {Array} sortKeys - Sort keys ({ field, order })
+ * @returns {Function} - Comparator
+ */
+function compareBy(sortKeys) {
+    return (a, b) => {
+        for (const { field, order = 'asc' } of sortKeys) {
+            const x = a[field];
+            const y = b[field];
+            const xMissing = x === null || x === undefined;
+            const yMissing = y === null || y === undefined;
+
+            if (xMissing || yMissing) {
+                if (xMissing !== yMissing) return xMissing ? 1 : -1;
+                continue;
+            }
+
+            const difference = typeof x === 'number' ? x - y : String(x).localeCompare(String(y));
+            if (difference !== 0) return order === 'desc' ? -difference : difference;
+        }
+
+        return a.symbol.localeCompare(b.symbol);
+    };
+}
+
+/**
+ * Round a value to 2 decimals, keeping nulls
+ * @param {number|null} value - Value
+ * @returns {number|null} - Rounded value
+ */
+function round(value) {
+    return value === null || !isFinite(value) ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Build the screenable stocks from cached quotes and profiles of the configured provider
+ * Restricted symbols are left out
+ * @returns {Promise<Array>} - Stocks ({ symbol, name, exchange, sector, industry, price, marketCap, pe, dividendYield, volume, changesPercentage, quotedAt })
+ */
+async function loadStocks() {
+    const provider = marketData.getProviderName();
+    const [quotes, profiles, directory, restricted] = await Promise.all([
+        storage.getCacheEntriesByPrefix(`quote:${provider}:`),
+        storage.getCacheEntriesByPrefix(`profile:${provider}:`),
+        storage.getSymbolsWithSector(),
+        storage.getRestrictedStocks()
+    ]);
+
+    const profilesBySymbol = new Map(profiles
+        .filter(entry => isObject(entry.data) && entry.data.symbol)
+        .map(entry => [entry.data.symbol.toUpperCase(), entry.data]));
+    const sectorsBySymbol = new Map(directory.map(row => [row.symbol, row.sector]));
+    const restrictedSymbols = new Set(restricted.map(stock => stock.symbol.toUpperCase()));
+
+    return quotes
+        .filter(entry => isObject(entry.data) && entry.data.symbol && typeof entry.data.price === 'number')
+        .filter(entry => !restrictedSymbols.has(entry.data.symbol.toUpperCase()))
+        .map(({ data: quote, fetched_at: fetchedAt }) => {
+            const symbol = quote.symbol.toUpperCase();
+            const profile = profilesBySymbol.get(symbol) || null;
+            const lastDividend = profile && typeof profile.lastDiv === 'number' ? profile.lastDiv : null;
+
+            return {
+                symbol,
+                name: quote.name || profile?.companyName || null,
+                exchange: quote.exchange || profile?.exchangeShortName || null,
+                sector: profile?.sector || sectorsBySymbol.get(symbol) || null,
+                industry: profile?.industry || null,
+                price: quote.price,
+                marketCap: quote.marketCap ?? profile?.mktCap ?? null,
+                pe: quote.pe ?? null,
+                dividendYield: lastDividend !== null && quote.price > 0 ? round(lastDividend / quote.price * 100) : null,
+                volume: quote.volume ?? null,
+                changesPercentage: quote.changesPercentage ?? null,
+                quotedAt: new Date(fetchedAt).toISOString()
+            };
+        });
+}
+
+/**
+ * Find every stored stock that matches screen criteria
+ * @param {Object} criteria - Validated criteria ({ filter, sort })
+ * @returns {Promise<Object>} - { universe, stocks } with the number of stocks screened and the sorted matches
+ */
+async function screen(criteria) {
+    const stocks = await loadStocks();
+    const sortKeys = criteria.sort ? [].concat(criteria.sort) : DEFAULT_SORT;
+
+    const matching = stocks
+        .filter(stock => !criteria.filter || matches(criteria.filter, stock))
+        .sort(compareBy(sortKeys));
+
+    return { universe: stocks.length, stocks: matching };
+}
+
+/**
+ * Run a screen and return one page of matching stocks
+ * @param {Object} criteria - Validated criteria ({ filter, sort })
+ * @param {Object} options - Pagination options ({ page, limit })
+ * @returns {Promise<Object>} - { universe, total, page, limit, totalPages, results }
+ */
+async function runScreen(criteria, { page, limit } = {}) {
+    const size = parseInt(limit) || DEFAULT_PAGE_SIZE;
+    const number = parseInt(page) || 1;
+    const { universe, stocks } = await screen(criteria);
+
+    return {
+        universe,
+        total: stocks.length,
+        page: number,
+        limit: size,
+        totalPages: Math.ceil(stocks.length / size),
+        results: stocks.slice((number - 1) * size, number * size)
+    };
+}
+
+/**
+ * Get the screened symbols whose stored quote predates their market's last close, oldest first
+ * Listings without a trading calendar are outdated once their quote is a day old
+ * @param {number} now - Time in milliseconds
+ * @returns {Promise<Array<string>>} - Symbols
+ */
+async function getOutdatedSymbols(now = Date.now()) {
+    return (await loadStocks())
+        .map(stock => {
+            const calendarId = tradingCalendar.getListingCalendarId(stock.symbol, stock.exchange);
+            return {
+                symbol: stock.symbol,
+                quotedAt: Date.parse(stock.quotedAt),
+                close: calendarId ? tradingCalendar.getPreviousClose(now, calendarId) : now - DAY
+            };
+        })
+        .filter(stock => stock.quotedAt < stock.close)
+        .sort((a, b) => a.quotedAt - b.quotedAt)
+        .map(stock => stock.symbol);
+}
+
+/**
+ * Describe the symbols that entered and left a screen
+ * @param {Array<string>} entered - Symbols that started matching
+ * @param {Array<string>} left - Symbols that stopped matching
+ * @returns {string} - Notification message
+ */
+function describeChanges(entered, left) {
+    const changes = [];
+    if (entered.length > 0) changes.push(`Entered: ${entered.join(', ')}`);
+    if (left.length > 0) changes.push(`Left: ${left.join(', ')}`);
+    return changes.join('. ');
+}
+
+/**
+ * Run a saved screen, record the run and notify the owner of symbols that entered or left it
+ * The first run of a screen is its baseline, so nothing enters or leaves. Any stock with a stored
+ * quote is screened, so a matching symbol also enters when it is quoted for the first time.
+ * @param {Object} savedScreen - Saved screen ({ id, user_id, name, criteria })
+ * @param {Object} options - Run options ({ trigger: schedule or manual })
+ * @returns {Promise<Object>} - Recorded run ({ id, screen_id, trigger, run_at, universe, symbols, entered, left })
+ */
+async function recordRun(savedScreen, { trigger = 'schedule' } = {}) {
+    const { universe, stocks } = await screen(savedScreen.criteria);
+    const symbols = stocks.map(stock => stock.symbol).sort();
+    const previous = await storage.getLatestScreenRun(savedScreen.id);
+
+    const before = new Set(previous ? previous.symbols : symbols);
+    const after = new Set(symbols);
+    const entered = symbols.filter(symbol => !before.has(symbol));
+    const left = previous ? previous.symbols.filter(symbol => !after.has(symbol)) : [];
+
+    const run = await storage.createScreenRun({
+        screenId: savedScreen.id,
+        trigger,
+        runAt: Date.now(),
+        universe,
+        symbols,
+        entered,
+        left
+    });
+
+    if (entered.length > 0 || left.length > 0) {
+        await storage.createNotification({
+            userId: savedScreen.user_id,
+            type: 'screen',
+            title: `Changes in screen "${savedScreen.name}"`,
+            message: describeChanges(entered, left),
+            data: { screenId: savedScreen.id, runId: run.id, entered, left }
+        });
+    }
+
+    return run;
+}
+
+module.exports = {
+    FIELDS,
+    validateCriteria,
+    validatePageQuery,
+    screen,
+    runScreen,
+    getOutdatedSymbols,
+    recordRun
+};
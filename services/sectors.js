@@ -0,0 +1,292 @@
+/**
+ * Sector Performance Service
+ * Groups a universe of stocks by the sector and industry in their company profiles
+ * and calculates market cap weighted performance over several periods
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+const historical = require('./historical');
+const cache = require('./cache');
+const symbolDirectory = require('./symbols');
+
+// Stocks tracked when the sector_universe setting is not set
+const DEFAULT_UNIVERSE = [
+    'AAPL', 'MSFT', 'NVDA', 'AVGO', 'ORCL', 'CRM', 'ADBE', 'AMD',
+    'GOOGL', 'META', 'NFLX', 'DIS', 'TMUS',
+    'AMZN', 'TSLA', 'HD', 'MCD', 'NKE',
+    'WMT', 'PG', 'KO', 'PEP', 'COST',
+    'JPM', 'V', 'MA', 'BAC', 'GS',
+    'UNH', 'JNJ', 'LLY', 'MRK', 'ABBV',
+    'CAT', 'GE', 'HON', 'UNP', 'BA',
+    'XOM', 'CVX', 'COP',
+    'NEE', 'DUK', 'SO',
+    'PLD', 'AMT', 'EQIX',
+    'LIN', 'SHW', 'APD'
+];
+
+// Supported performance periods and how far back each one starts
+const PERIODS = {
+    '1D': null,
+    '1W': { days: 7 },
+    '1M': { months: 1 },
+    '3M': { months: 3 },
+    '6M': { months: 6 },
+    'YTD': { yearStart: true },
+    '1Y': { months: 12 }
+};
+
+const GROUP_BY = ['sector', 'industry'];
+
+/**
+ * Round a percentage to 2 decimals, keeping nulls
+ * @param {number|null} value - Percentage
+ * @returns {number|null} - Rounded percentage
+ */
+function round(value) {
+    return value === null || !isFinite(value) ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Round a market cap weight to 4 decimals
+ * @param {number} value - Weight as a fraction
+ * @returns {number} - Rounded weight
+ */
+function roundWeight(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Get the stocks performance is calculated for
+ * The sector_universe setting holds a comma-separated symbol list; restricted symbols are left out
+ * @returns {Promise<Array<string>>} - Symbols
+ */
+async function getUniverse() {
+    const setting = await storage.getAppSettingByKey('sector_universe');
+    const configured = setting && setting.setting_value
+        ? setting.setting_value.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean)
+        : DEFAULT_UNIVERSE;
+
+    const restricted = new Set((await storage.getRestrictedStocks()).map(stock => stock.symbol.toUpperCase()));
+    return [...new Set(configured)].filter(symbol => !restricted.has(symbol));
+}
+
+/**
+ * Get the date a period's performance is measured from
+ * @param {Object} period - Period definition
+ * @param {Date} now - Current time
+ * @returns {string} - Start date (YYYY-MM-DD); the last close on or before it is the base price
+ */
+function getStartDate(period, now) {
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+    if (period.yearStart) {
+        // Performance since the last close of the previous year
+        return `${date.getUTCFullYear() - 1}-12-31`;
+    }
+    if (period.days) {
+        date.setUTCDate(date.getUTCDate() - period.days);
+    }
+    if (period.months) {
+        date.setUTCMonth(date.getUTCMonth() - period.months);
+    }
+
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the last close on or before a date
+ * @param {Array} bars - Daily bars, oldest first
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number|null} - Closing price, or null when no bar is that old
+ */
+function getCloseOn(bars, date) {
+    let close = null;
+    for (const bar of bars) {
+        if (bar.date > date) break;
+        close = bar.close;
+    }
+    return close;
+}
+
+/**
+ * Load profile, market cap and performance for every stock in the universe
+ * Stocks without a profile sector are skipped
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { updatedAt, constituents, stale }
+ */
+async function loadConstituents(userId, options) {
+    const now = new Date();
+    const symbols = await getUniverse();
+    const quotes = await marketData.fetchQuotes(symbols, userId, options);
+    const constituents = [];
+    let stale = quotes.some(quote => quote.stale);
+
+    // Profiles are fetched one at a time to stay within provider rate limits
+    for (const quote of quotes) {
+        const profile = await marketData.fetchCompanyProfile(quote.symbol, userId, options);
+        if (!profile || !profile.sector) continue;
+        await symbolDirectory.recordProfile(profile);
+
+        const performance = { '1D': round(quote.changesPercentage ?? null) };
+        const { bars, stale: barsStale } = await historical.getDailyBars(quote.symbol, {}, userId, options);
+        stale = stale || barsStale || !!profile.stale;
+
+        Object.entries(PERIODS).forEach(([key, period]) => {
+            if (!period) return;
+            const base = getCloseOn(bars, getStartDate(period, now));
+            performance[key] = base ? round(((quote.price - base) / base) * 100) : null;
+        });
+
+        constituents.push({
+            symbol: quote.symbol,
+            name: quote.name || profile.companyName,
+            sector: profile.sector,
+            industry: profile.industry || null,
+            price: quote.price,
+            marketCap: quote.marketCap || profile.mktCap || null,
+            performance
+        });
+    }
+
+    return { updatedAt: now.toISOString(), constituents, stale };
+}
+
+/**
+ * Get the universe's constituents, cached briefly as every stock needs a quote, profile and price history
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { updatedAt, constituents, stale }
+ */
+async function getConstituents(userId, options) {
+    return cache.getOrFetch('sectors', `${marketData.getProviderName()}:constituents`,
+        () => loadConstituents(userId, options), options);
+}
+
+/**
+ * Calculate the market cap weighted performance of a group of stocks
+ * Stocks without a value for a period are left out of that period's average
+ * @param {Array} stocks - Constituents
+ * @param {string} period - Period key
+ * @returns {number|null} - Weighted performance in percent
+ */
+function weightedPerformance(stocks, period) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    stocks.forEach(stock => {
+        const value = stock.performance[period];
+        if (value === null || value === undefined || !stock.marketCap) return;
+        weightedSum += value * stock.marketCap;
+        totalWeight += stock.marketCap;
+    });
+
+    return totalWeight > 0 ? round(weightedSum / totalWeight) : null;
+}
+
+/**
+ * Group constituents by a profile field
+ * @param {Array} constituents - Constituents
+ * @param {string} field - sector or industry
+ * @returns {Array<Array>} - [name, stocks] pairs
+ */
+function groupBy(constituents, field) {
+    const groups = new Map();
+    constituents.forEach(stock => {
+        const name = stock[field] || 'Other';
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(stock);
+    });
+    return [...groups.entries()];
+}
+
+/**
+ * Get sector or industry performance over every supported period
+ * @param {Object} params - Query parameters
+ * @param {string} params.groupBy - sector (default) or industry
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { updatedAt, groupBy, periods, groups } with groups ordered by daily performance
+ */
+async function getPerformance({ groupBy: field = 'sector' } = {}, userId = null, options = {}) {
+    const { updatedAt, constituents, stale } = await getConstituents(userId, options);
+    const periods = Object.keys(PERIODS);
+
+    const groups = groupBy(constituents, field).map(([name, stocks]) => {
+        const performance = {};
+        periods.forEach(period => { performance[period] = weightedPerformance(stocks, period); });
+
+        const group = {
+            name,
+            constituents: stocks.length,
+            marketCap: stocks.reduce((sum, stock) => sum + (stock.marketCap || 0), 0),
+            performance
+        };
+
+        if (field === 'industry') {
+            group.sector = stocks[0].sector;
+        }
+
+        return group;
+    }).sort((a, b) => (b.performance['1D'] ?? -Infinity) - (a.performance['1D'] ?? -Infinity));
+
+    const response = { updatedAt, groupBy: field, periods, groups };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+/**
+ * Get heatmap data: constituents grouped by sector with their market cap weights
+ * @param {Object} params - Query parameters
+ * @param {string} params.period - Performance period (default 1D)
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh })
+ * @returns {Promise<Object>} - { updatedAt, period, marketCap, sectors } with sectors and constituents
+ *   ordered by market cap; weights are fractions of the total and of the sector
+ */
+async function getHeatmap({ period = '1D' } = {}, userId = null, options = {}) {
+    const { updatedAt, constituents, stale } = await getConstituents(userId, options);
+    const totalMarketCap = constituents.reduce((sum, stock) => sum + (stock.marketCap || 0), 0);
+
+    const sectors = groupBy(constituents, 'sector').map(([name, stocks]) => {
+        const marketCap = stocks.reduce((sum, stock) => sum + (stock.marketCap || 0), 0);
+
+        return {
+            name,
+            marketCap,
+            weight: totalMarketCap > 0 ? roundWeight(marketCap / totalMarketCap) : null,
+            performance: weightedPerformance(stocks, period),
+            constituents: stocks
+                .map(stock => ({
+                    symbol: stock.symbol,
+                    name: stock.name,
+                    industry: stock.industry,
+                    price: stock.price,
+                    marketCap: stock.marketCap,
+                    weight: marketCap > 0 && stock.marketCap ? roundWeight(stock.marketCap / marketCap) : null,
+                    performance: stock.performance[period]
+                }))
+                .sort((a, b) => (b.marketCap || 0) - (a.marketCap || 0))
+        };
+    }).sort((a, b) => b.marketCap - a.marketCap);
+
+    const response = { updatedAt, period, marketCap: totalMarketCap, sectors };
+
+    if (stale) {
+        response.stale = true;
+    }
+
+    return response;
+}
+
+module.exports = {
+    PERIODS: Object.keys(PERIODS),
+    GROUP_BY,
+    getPerformance,
+    getHeatmap
+};
@@ -0,0 +1,161 @@
+/**
+ * Sentiment Service
+ * Scores financial news offline with a word lexicon: each known word adds its weight,
+ * a negation within the three preceding words flips it, and headline words count double.
+ * The sum is scaled to a score between -1 and 1 the way VADER normalizes its compound score.
+ */
+
+// Words and their weights; strong words count double. Kept in a Map so that words like
+// "constructor" don't find Object.prototype properties
+const LEXICON = new Map(Object.entries({
+    // Positive
+    accelerate: 1, accelerated: 1, accelerates: 1, accelerating: 1,
+    advance: 1, advanced: 1, advances: 1,
+    approval: 1, approved: 1, approves: 1,
+    beat: 2, beating: 2, beats: 2,
+    boost: 1, boosted: 1, boosting: 1, boosts: 1,
+    breakthrough: 2,
+    bullish: 2,
+    buyback: 1, buybacks: 1,
+    climb: 1, climbed: 1, climbing: 1, climbs: 1,
+    confidence: 1, confident: 1,
+    expand: 1, expanded: 1, expanding: 1, expands: 1, expansion: 1,
+    gain: 1, gained: 1, gaining: 1, gains: 1,
+    growth: 1,
+    improve: 1, improved: 1, improvement: 1, improves: 1, improving: 1,
+    increase: 1, increased: 1, increases: 1,
+    jump: 1, jumped: 1, jumps: 1,
+    optimism: 1, optimistic: 1,
+    outpace: 1, outpaced: 1, outpaces: 1,
+    outperform: 2, outperformed: 2, outperforms: 2,
+    profit: 1, profitable: 1, profits: 1,
+    raise: 1, raised: 1, raises: 1, raising: 1,
+    rally: 2, rallied: 2, rallies: 2,
+    rebound: 1, rebounded: 1, rebounds: 1,
+    record: 1,
+    resilient: 1,
+    rise: 1, rises: 1, rising: 1, rose: 1,
+    robust: 1,
+    soar: 2, soared: 2, soaring: 2, soars: 2,
+    solid: 1,
+    steady: 1,
+    strength: 1, strong: 1, stronger: 1,
+    success: 1, successful: 1,
+    surge: 2, surged: 2, surges: 2, surging: 2,
+    upgrade: 2, upgraded: 2, upgrades: 2,
+
+    // Negative
+    antitrust: -1,
+    bankruptcy: -2,
+    bearish: -2,
+    concern: -1, concerned: -1, concerns: -1,
+    cut: -1, cuts: -1, cutting: -1,
+    decline: -1, declined: -1, declines: -1, declining: -1,
+    default: -2, defaults: -2,
+    delay: -1, delayed: -1, delays: -1,
+    disappoint: -2, disappointed: -2, disappointing: -2, disappoints: -2,
+    downgrade: -2, downgraded: -2, downgrades: -2,
+    drop: -1, dropped: -1, drops: -1,
+    fall: -1, falling: -1, falls: -1, fell: -1,
+    fraud: -2,
+    investigation: -1, inquiry: -1, probe: -1,
+    lawsuit: -1, lawsuits: -1,
+    layoff: -1, layoffs: -1,
+    loss: -1, losses: -1,
+    miss: -2, missed: -2, misses: -2,
+    plunge: -2, plunged: -2, plunges: -2,
+    pressure: -1, pressures: -1,
+    recall: -1, recalls: -1,
+    recession: -2,
+    risk: -1, risks: -1,
+    scrutiny: -1,
+    shortage: -1, shortages: -1,
+    slow: -1, slowed: -1, slowing: -1, slows: -1, slowdown: -1,
+    slump: -2, slumped: -2, slumps: -2,
+    tumble: -2, tumbled: -2, tumbles: -2,
+    underperform: -2, underperformed: -2, underperforms: -2,
+    volatile: -1, volatility: -1,
+    warn: -1, warned: -1, warning: -1, warns: -1,
+    weak: -1, weaken: -1, weakened: -1, weaker: -1, weakness: -1
+}));
+
+// Words that flip the sentiment of the words following them
+const NEGATIONS = new Set(['not', 'no', 'never', 'without', 'failed', 'fails', 'fail', 'cannot', 'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'wont']);
+
+// How many preceding words a negation reaches
+const NEGATION_WINDOW = 3;
+
+// Weight of headline words relative to words in the article text
+const TITLE_WEIGHT = 2;
+
+// Normalization constant: larger values need more sentiment words to approach -1 or 1
+const ALPHA = 15;
+
+// Scores within this distance of zero are neutral
+const NEUTRAL_THRESHOLD = 0.05;
+
+const LABELS = ['positive', 'negative', 'neutral'];
+
+/**
+ * Split text into lowercase words, joining contractions (didn't -> didnt)
+ * @param {string} text - Text
+ * @returns {Array<string>} - Words
+ */
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .split(/[^a-z]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Sum the lexicon weights of a text's words, flipping negated words
+ * @param {string} text - Text
+ * @returns {number} - Raw sentiment sum
+ */
+function sumWeights(text) {
+    const words = tokenize(text);
+
+    return words.reduce((sum, word, i) => {
+        const weight = LEXICON.get(word);
+        if (!weight) return sum;
+
+        const negated = words
+            .slice(Math.max(i - NEGATION_WINDOW, 0), i)
+            .some(previous => NEGATIONS.has(previous));
+
+        return sum + (negated ? -weight : weight);
+    }, 0);
+}
+
+/**
+ * Get the label of a sentiment score
+ * @param {number} score - Score between -1 and 1
+ * @returns {string} - positive, negative or neutral
+ */
+function getLabel(score) {
+    if (score >= NEUTRAL_THRESHOLD) return 'positive';
+    if (score <= -NEUTRAL_THRESHOLD) return 'negative';
+    return 'neutral';
+}
+
+/**
+ * Score a news article
+ * @param {string} title - Headline
+ * @param {string|null} text - Article text or summary
+ * @returns {Object} - { score, label } with score between -1 (negative) and 1 (positive); 0 when the text can't be scored
+ */
+function scoreArticle(title, text = null) {
+    const sum = TITLE_WEIGHT * sumWeights(title) + sumWeights(text);
+    const normalized = Math.round(sum / Math.sqrt(sum * sum + ALPHA) * 10000) / 10000;
+    const score = Number.isFinite(normalized) ? normalized : 0;
+
+    return { score, label: getLabel(score) };
+}
+
+module.exports = {
+    LABELS,
+    getLabel,
+    scoreArticle
+};
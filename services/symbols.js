@@ -0,0 +1,237 @@
+/**
+ * Symbol Directory Service
+ * Keeps a local copy of the provider's stock list, refreshed periodically, and searches it
+ * with SQLite full-text indexes so search doesn't need an API call per keystroke
+ */
+
+const storage = require('../storage');
+const marketData = require('./market-data');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Candidates checked for fuzzy matches, and the queries long enough to get them
+const FUZZY_CANDIDATES = 200;
+const FUZZY_MIN_LENGTH = 3;
+
+// Refresh in progress, so concurrent searches share one stock list download
+let pendingRefresh = null;
+
+/**
+ * Split a query into lowercase words
+ * @param {string} query - Search query
+ * @returns {Array<string>} - Words
+ */
+function tokenize(query) {
+    return query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Optimal string alignment distance: edits, including swapping adjacent characters, between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of edits
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+
+    return d[a.length][b.length];
+}
+
+/**
+ * Check whether the directory is due for a refresh
+ * @param {Object|null} sync - Last refresh state
+ * @returns {Promise<boolean>} - True when the directory should be refreshed
+ */
+async function needsRefresh(sync) {
+    if (!sync) return true;
+
+    const refreshDays = await storage.getNumericAppSetting('symbols_refresh_days', 7);
+    return Date.now() - sync.synced_at >= refreshDays * DAY;
+}
+
+/**
+ * Download the provider's stock list into the directory, removing symbols no longer listed
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<number>} - Number of symbols received
+ */
+async function refreshDirectory(userId = null) {
+    if (!pendingRefresh) {
+        pendingRefresh = (async () => {
+            const startedAt = Date.now();
+            const symbols = (await marketData.fetchStockList(userId))
+                .filter(item => item && item.symbol && item.name);
+
+            await storage.saveSymbols(symbols, startedAt);
+
+            // An empty list is more likely a provider problem than every stock being delisted
+            if (symbols.length > 0) {
+                await storage.deleteSymbolsBefore(startedAt);
+            }
+
+            await storage.saveSymbolsSync(marketData.getProviderName(), startedAt, symbols.length);
+            console.log(`Symbol directory refreshed with ${symbols.length} symbols`);
+            return symbols.length;
+        })().finally(() => { pendingRefresh = null; });
+    }
+
+    return pendingRefresh;
+}
+
+/**
+ * Make sure the directory can be searched
+ * An empty directory is filled before searching; an outdated one is refreshed in the background
+ * @param {number|null} userId - User ID for logging
+ * @returns {Promise<void>}
+ */
+async function ensureDirectory(userId) {
+    const sync = await storage.getSymbolsSync(marketData.getProviderName());
+    if (!(await needsRefresh(sync))) return;
+
+    const refresh = refreshDirectory(userId).catch(error => {
+        console.error('Failed to refresh the symbol directory:', error.message);
+    });
+
+    if (!sync || (await storage.countSymbols()) === 0) {
+        await refresh;
+    }
+}
+
+/**
+ * Find symbols within a small number of edits of the query, for misspelled searches
+ * @param {string} query - Search query
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} - Matching symbols, closest first
+ */
+async function searchFuzzy(query, limit) {
+    const words = tokenize(query);
+    const term = words.join(' ');
+    const trigrams = new Set();
+
+    words.forEach(word => {
+        for (let i = 0; i + 3 <= word.length; i++) {
+            trigrams.add(word.slice(i, i + 3));
+        }
+    });
+    if (trigrams.size === 0) return [];
+
+    const candidates = await storage.searchSymbolsByTrigram(
+        [...trigrams].map(trigram => `"${trigram}"`).join(' OR '),
+        FUZZY_CANDIDATES
+    );
+
+    // Longer queries tolerate more typos
+    const maxDistance = term.length <= 4 ? 1 : 2;
+
+    return candidates
+        .map(row => {
+            const name = (row.name || '').toLowerCase();
+            const targets = [row.symbol.toLowerCase(), name.slice(0, term.length), ...tokenize(name)];
+            return { row, distance: Math.min(...targets.map(target => editDistance(term, target))) };
+        })
+        .filter(candidate => candidate.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, limit)
+        .map(candidate => candidate.row);
+}
+
+/**
+ * Convert a directory row to a search result
+ * @param {Object} row - Stored symbol
+ * @returns {Object} - Search result
+ */
+function toResult(row) {
+    return {
+        symbol: row.symbol,
+        name: row.name,
+        stockExchange: row.exchange,
+        exchangeShortName: row.exchange_short_name,
+        type: row.type,
+        sector: row.sector
+    };
+}
+
+/**
+ * Search for stocks by symbol or company name
+ * Prefix matches come first, followed by fuzzy matches for misspelled queries. The provider
+ * is only searched when the directory has no match, and what it finds is added to the directory.
+ * @param {string} query - Search query (one character or more)
+ * @param {Object} params - Search parameters
+ * @param {number} params.limit - Maximum number of results
+ * @param {number|null} userId - User ID for logging
+ * @param {Object} options - Cache options ({ refresh }) for the provider search
+ * @returns {Promise<Array>} - Search results, best first; provider results only have a sector when it reports one
+ */
+async function searchSymbols(query, { limit = 10 } = {}, userId = null, options = {}) {
+    query = query.trim();
+    const words = tokenize(query);
+    if (words.length === 0) return [];
+
+    await ensureDirectory(userId);
+
+    const results = await storage.searchSymbols(words.map(word => `"${word}"*`).join(' '), query, limit);
+
+    if (results.length < limit && query.length >= FUZZY_MIN_LENGTH) {
+        const found = new Set(results.map(row => row.symbol));
+        const fuzzy = await searchFuzzy(query, limit);
+        results.push(...fuzzy.filter(row => !found.has(row.symbol)).slice(0, limit - results.length));
+    }
+
+    if (results.length > 0) {
+        return results.map(toResult);
+    }
+
+    const providerResults = (await marketData.searchStocks(query, userId, options)).slice(0, limit);
+    await storage.saveSymbols(providerResults
+        .filter(item => item.symbol)
+        .map(item => ({
+            symbol: item.symbol,
+            name: item.name,
+            exchange: item.stockExchange,
+            exchangeShortName: item.exchangeShortName
+        })));
+
+    // Sectors the provider doesn't report are filled in from company profiles later
+    for (const item of providerResults) {
+        if (item.symbol && item.sector) {
+            await storage.updateSymbolSector(item.symbol, item.sector);
+        }
+    }
+
+    return providerResults.map(item => ({
+        symbol: item.symbol,
+        name: item.name,
+        stockExchange: item.stockExchange || null,
+        exchangeShortName: item.exchangeShortName || null,
+        type: null,
+        ...(item.sector ? { sector: item.sector } : {})
+    }));
+}
+
+/**
+ * Record the sector from a company profile in the directory
+ * @param {Object|null} profile - Company profile
+ * @returns {Promise<void>}
+ */
+async function recordProfile(profile) {
+    if (profile && profile.symbol && profile.sector) {
+        await storage.updateSymbolSector(profile.symbol, profile.sector);
+    }
+}
+
+module.exports = {
+    refreshDirectory,
+    searchSymbols,
+    recordProfile
+};
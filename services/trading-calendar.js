@@ -0,0 +1,432 @@
+/**
+ * Trading Calendar Service
+ * Knows when exchanges are open: regular hours, early closes and holidays.
+ * Calendars are keyed by id; add an entry to CALENDARS to support another market.
+ */
+
+const { getListingCurrency } = require('./currency');
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const DAY = 24 * 60 * MINUTE;
+
+// How far to look for the next or previous session; the longest market closures are a few days
+const MAX_SEARCH_DAYS = 14;
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {string} - Date string
+ */
+function formatDate(year, month, day) {
+    return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weekday of a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {number} - Weekday (0 = Sunday)
+ */
+function getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Add days to a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} - Date string
+ */
+function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Find the nth weekday of a month, e.g. the third Monday of January
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - Weekday (0 = Sunday)
+ * @param {number} n - Occurrence, or -1 for the last one
+ * @returns {string} - Date string
+ */
+function nthWeekday(year, month, weekday, n) {
+    if (n === -1) {
+        const last = new Date(Date.UTC(year, month, 0));
+        const day = last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+        return formatDate(year, month, day);
+    }
+
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return formatDate(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+}
+
+/**
+ * Get the date of Easter Sunday (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {string} - Date string
+ */
+function getEaster(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return formatDate(year, month, day);
+}
+
+/**
+ * Move a fixed-date holiday falling on a weekend to the nearest weekday
+ * @param {string} date - Holiday date (YYYY-MM-DD)
+ * @returns {string} - Observed date
+ */
+function observed(date) {
+    const weekday = getWeekday(date);
+    if (weekday === 6) return addDays(date, -1);
+    if (weekday === 0) return addDays(date, 1);
+    return date;
+}
+
+/**
+ * Get the NYSE and Nasdaq holidays and early closes for a year
+ * @param {number} year - Year
+ * @returns {Array} - Days ({ date, name, earlyClose }); full closures have earlyClose false
+ */
+function getUsHolidays(year) {
+    const days = [];
+    const close = (date, name) => days.push({ date, name, earlyClose: false });
+    const early = (date, name) => {
+        const weekday = getWeekday(date);
+        if (weekday >= 1 && weekday <= 4) days.push({ date, name, earlyClose: true });
+    };
+
+    // New Year's Day on a Saturday isn't observed on the Friday before, which ends the previous year
+    const newYear = formatDate(year, 1, 1);
+    if (getWeekday(newYear) !== 6) close(observed(newYear), "New Year's Day");
+
+    close(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+    close(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+    close(addDays(getEaster(year), -2), 'Good Friday');
+    close(nthWeekday(year, 5, 1, -1), 'Memorial Day');
+    if (year >= 2022) close(observed(formatDate(year, 6, 19)), 'Juneteenth');
+    close(observed(formatDate(year, 7, 4)), 'Independence Day');
+    close(nthWeekday(year, 9, 1, 1), 'Labor Day');
+    close(nthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+    close(observed(formatDate(year, 12, 25)), 'Christmas Day');
+
+    // Early closes are only held on Monday to Thursday, as a Friday before a holiday is itself a holiday
+    early(formatDate(year, 7, 3), 'Independence Day');
+    early(formatDate(year, 12, 24), 'Christmas Eve');
+    days.push({ date: addDays(nthWeekday(year, 11, 4, 4), 1), name: 'Day after Thanksgiving', earlyClose: true });
+
+    return days;
+}
+
+// Trading calendars by id
+const CALENDARS = {
+    US: {
+        name: 'US equity markets',
+        exchanges: ['NYSE', 'NASDAQ', 'AMEX', 'NYSEARCA', 'CBOE', 'BATS'],
+        timezone: 'America/New_York',
+        open: '09:30',
+        close: '16:00',
+        earlyClose: '13:00',
+        getHolidays: getUsHolidays,
+        // One-off closures that don't follow a rule
+        closures: [
+            { date: '2025-01-09', name: 'National Day of Mourning for President Jimmy Carter', earlyClose: false }
+        ]
+    }
+};
+
+const DEFAULT_CALENDAR = 'US';
+
+// Holidays and early closes by calendar and year, keyed by date
+const holidayCache = new Map();
+
+/**
+ * Get a calendar's holidays and early closes for a year
+ * @param {string} calendarId - Calendar ID
+ * @param {number} year - Year
+ * @returns {Map} - Days keyed by date
+ */
+function getSpecialDays(calendarId, year) {
+    const cacheKey = `${calendarId}:${year}`;
+
+    if (!holidayCache.has(cacheKey)) {
+        const calendar = CALENDARS[calendarId];
+        const days = [
+            ...calendar.getHolidays(year),
+            ...calendar.closures.filter(day => day.date.startsWith(`${year}-`))
+        ];
+
+        // Full closures win over early closes on the same day
+        days.sort((a, b) => Number(b.earlyClose) - Number(a.earlyClose));
+        holidayCache.set(cacheKey, new Map(days.map(day => [day.date, day])));
+    }
+
+    return holidayCache.get(cacheKey);
+}
+
+/**
+ * Get the wall-clock time in a timezone for a given instant
+ * @param {number} timestamp - Time in milliseconds
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { date (YYYY-MM-DD), offset } where offset is local time minus UTC in milliseconds
+ */
+function getLocalTime(timestamp, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(new Date(timestamp));
+
+    const values = {};
+    parts.forEach(part => {
+        if (part.type !== 'literal') values[part.type] = parseInt(part.value);
+    });
+
+    const localAsUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+    return {
+        date: formatDate(values.year, values.month, values.day),
+        offset: localAsUtc - Math.floor(timestamp / SECOND) * SECOND
+    };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM)
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Time in milliseconds
+ */
+function toInstant(date, time, timezone) {
+    const localAsUtc = Date.parse(`${date}T${time}:00Z`);
+
+    // Checking the offset again at the result handles days when clocks change
+    const guess = localAsUtc - getLocalTime(localAsUtc, timezone).offset;
+    return localAsUtc - getLocalTime(guess, timezone).offset;
+}
+
+/**
+ * Get the trading session on a date
+ * @param {string} date - Date in the exchange's timezone (YYYY-MM-DD)
+ * @param {string} calendarId - Calendar ID
+ * @returns {Object} - { date, open, close, earlyClose, holiday }; open and close are null when the market is closed
+ */
+function getSession(date, calendarId = DEFAULT_CALENDAR) {
+    const calendar = CALENDARS[calendarId];
+    const special = getSpecialDays(calendarId, parseInt(date.slice(0, 4))).get(date) || null;
+    const weekday = getWeekday(date);
+
+    if (weekday === 0 || weekday === 6 || (special && !special.earlyClose)) {
+        return { date, open: null, close: null, earlyClose: false, holiday: special ? special.name : null };
+    }
+
+    return {
+        date,
+        open: toInstant(date, calendar.open, calendar.timezone),
+        close: toInstant(date, special ? calendar.earlyClose : calendar.close, calendar.timezone),
+        earlyClose: !!special,
+        holiday: special ? special.name : null
+    };
+}
+
+/**
+ * Find the first session boundary after or before an instant
+ * @param {number} now - Time in milliseconds
+ * @param {string} calendarId - Calendar ID
+ * @param {string} boundary - open or close
+ * @param {number} direction - 1 for the next boundary, -1 for the previous one
+ * @returns {number} - Time of the boundary in milliseconds
+ */
+function findBoundary(now, calendarId, boundary, direction) {
+    let date = getLocalTime(now, CALENDARS[calendarId].timezone).date;
+
+    for (let i = 0; i <= MAX_SEARCH_DAYS; i++) {
+        const time = getSession(date, calendarId)[boundary];
+        if (time !== null && (direction > 0 ? time > now : time <= now)) {
+            return time;
+        }
+        date = addDays(date, direction);
+    }
+
+    throw new Error(`No trading session found within ${MAX_SEARCH_DAYS} days`);
+}
+
+/**
+ * Get the next market close after an instant
+ * @param {number} now - Time in milliseconds
+ * @param {string} calendarId - Calendar ID
+ * @returns {number} - Time in milliseconds
+ */
+function getNextClose(now = Date.now(), calendarId = DEFAULT_CALENDAR) {
+    return findBoundary(now, calendarId, 'close', 1);
+}
+
+/**
+ * Get the next market open after an instant
+ * @param {number} now - Time in milliseconds
+ * @param {string} calendarId - Calendar ID
+ * @returns {number} - Time in milliseconds
+ */
+function getNextOpen(now = Date.now(), calendarId = DEFAULT_CALENDAR) {
+    return findBoundary(now, calendarId, 'open', 1);
+}
+
+/**
+ * Get the last market close at or before an instant
+ * @param {number} now - Time in milliseconds
+ * @param {string} calendarId - Calendar ID
+ * @returns {number} - Time in milliseconds
+ */
+function getPreviousClose(now = Date.now(), calendarId = DEFAULT_CALENDAR) {
+    return findBoundary(now, calendarId, 'close', -1);
+}
+
+/**
+ * Get the date of the last completed trading session, in the exchange's timezone
+ * @param {number} now - Time in milliseconds
+ * @param {string} calendarId - Calendar ID
+ * @returns {string} - Date (YYYY-MM-DD)
+ */
+function getLastSessionDate(now = Date.now(), calendarId = DEFAULT_CALENDAR) {
+    return getLocalTime(getPreviousClose(now, calendarId), CALENDARS[calendarId].timezone).date;
+}
+
+/**
+ * Check whether the market is in its regular session
+ * @param {number} now - Time in milliseconds
+ * @param {string} calendarId - Calendar ID
+ * @returns {boolean} - True when the market is open
+ */
+function isOpen(now = Date.now(), calendarId = DEFAULT_CALENDAR) {
+    const session = getSession(getLocalTime(now, CALENDARS[calendarId].timezone).date, calendarId);
+    return session.open !== null && now >= session.open && now < session.close;
+}
+
+/**
+ * Find the calendar for an exchange or calendar ID
+ * @param {string} exchange - Exchange short name (e.g. NASDAQ) or calendar ID (e.g. US)
+ * @returns {string|null} - Calendar ID, or null when no calendar covers the exchange
+ */
+function getCalendarId(exchange) {
+    const name = (exchange || '').toUpperCase();
+    if (CALENDARS[name]) return name;
+    return Object.keys(CALENDARS).find(id => CALENDARS[id].exchanges.includes(name)) || null;
+}
+
+/**
+ * Find the calendar a listing trades on
+ * Listings on unknown exchanges that trade in dollars, such as indices, use the US calendar
+ * @param {string} symbol - Stock symbol
+ * @param {string|null} exchange - Exchange short name
+ * @returns {string|null} - Calendar ID, or null when no calendar covers the listing
+ */
+function getListingCalendarId(symbol, exchange = null) {
+    const calendarId = getCalendarId(exchange);
+    if (calendarId) return calendarId;
+    return getListingCurrency(symbol, exchange) === 'USD' ? DEFAULT_CALENDAR : null;
+}
+
+/**
+ * Get the current status of a market
+ * @param {string} calendarId - Calendar ID
+ * @param {number} now - Time in milliseconds
+ * @returns {Object} - Status with today's session, the next open and close, and upcoming holidays
+ */
+function getMarketStatus(calendarId = DEFAULT_CALENDAR, now = Date.now()) {
+    const calendar = CALENDARS[calendarId];
+    const today = getLocalTime(now, calendar.timezone).date;
+    const session = getSession(today, calendarId);
+    const toIso = time => (time === null ? null : new Date(time).toISOString());
+
+    let state = 'closed';
+    if (session.open !== null) {
+        if (now < session.open) state = 'pre-market';
+        else if (now < session.close) state = 'open';
+        else state = 'after-hours';
+    }
+
+    const year = parseInt(today.slice(0, 4));
+    const upcomingHolidays = [...getSpecialDays(calendarId, year).values(), ...getSpecialDays(calendarId, year + 1).values()]
+        .filter(day => day.date >= today)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .slice(0, 5);
+
+    return {
+        calendar: calendarId,
+        name: calendar.name,
+        exchanges: calendar.exchanges,
+        timezone: calendar.timezone,
+        isOpen: state === 'open',
+        state,
+        asOf: toIso(now),
+        session: {
+            date: session.date,
+            open: toIso(session.open),
+            close: toIso(session.close),
+            earlyClose: session.earlyClose,
+            holiday: session.holiday
+        },
+        nextOpen: toIso(getNextOpen(now, calendarId)),
+        nextClose: toIso(getNextClose(now, calendarId)),
+        previousClose: toIso(getPreviousClose(now, calendarId)),
+        upcomingHolidays
+    };
+}
+
+/**
+ * Add market status to a quote: whether its market is open, and when its price is from
+ * Prices can't be newer than the last close while the market is closed
+ * @param {Object|null} quote - Stock quote
+ * @param {number} now - Time in milliseconds
+ * @returns {Object|null} - Quote with asOf and marketOpen; marketOpen is null when no calendar covers the listing
+ */
+function withMarketStatus(quote, now = Date.now()) {
+    if (!quote) return quote;
+
+    const calendarId = getListingCalendarId(quote.symbol, quote.exchange);
+    const marketOpen = calendarId ? isOpen(now, calendarId) : null;
+
+    let asOf = quote.timestamp ? quote.timestamp * SECOND : null;
+    if (asOf === null && marketOpen === false) {
+        asOf = getPreviousClose(now, calendarId);
+    }
+
+    return {
+        ...quote,
+        asOf: asOf === null ? null : new Date(asOf).toISOString(),
+        marketOpen
+    };
+}
+
+module.exports = {
+    CALENDARS,
+    DEFAULT_CALENDAR,
+    getSession,
+    getNextClose,
+    getNextOpen,
+    getPreviousClose,
+    getLastSessionDate,
+    isOpen,
+    getCalendarId,
+    getListingCalendarId,
+    getMarketStatus,
+    withMarketStatus
+};
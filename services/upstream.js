@@ -0,0 +1,199 @@
+/**
+ * Upstream Call Service
+ * Wraps calls to external data providers with bounded retries, jittered
+ * exponential backoff and a circuit breaker per upstream
+ */
+
+// Retry policy for transient failures (5xx, timeouts, network errors)
+const MAX_RETRIES = 2;
+const BACKOFF_BASE_MS = 300;
+const BACKOFF_MAX_MS = 4000;
+
+// Circuit breaker policy
+const FAILURE_THRESHOLD = 5;
+const OPEN_DURATION_MS = 30 * 1000;
+
+// Circuit breaker state per upstream, keyed by name
+const breakers = {};
+
+/**
+ * Get or create the breaker for an upstream
+ * @param {string} name - Upstream name
+ * @returns {Object} - Breaker state
+ */
+function getBreaker(name) {
+    if (!breakers[name]) {
+        breakers[name] = {
+            state: 'closed',
+            consecutiveFailures: 0,
+            openedAt: null,
+            lastFailureAt: null,
+            lastError: null,
+            trialInProgress: false
+        };
+    }
+    return breakers[name];
+}
+
+/**
+ * Check whether an error is transient and worth retrying
+ * @param {Error} error - Error from an upstream call
+ * @returns {boolean} - True for 5xx responses, timeouts and network errors
+ */
+function isRetryable(error) {
+    if (error.code === 'QUOTA_EXCEEDED') return false;
+    if (!error.response) return true;
+    return error.response.status >= 500;
+}
+
+/**
+ * Get the backoff delay before a retry, with full jitter
+ * @param {number} attempt - Retry number, starting at 0
+ * @returns {number} - Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+    const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempt));
+    return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Create the error raised while a breaker is open
+ * Callers can serve stale cached data when they see code CIRCUIT_OPEN
+ * @param {string} name - Upstream name
+ * @returns {Error} - Circuit open error with a 503 status
+ */
+function circuitOpenError(name) {
+    const error = new Error(`Market data service ${name} is temporarily unavailable. Please try again later.`);
+    error.status = 503;
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+}
+
+/**
+ * Let a call through the breaker, moving an open breaker to half-open once it has cooled down
+ * @param {string} name - Upstream name
+ * @param {Object} breaker - Breaker state
+ */
+function checkBreaker(name, breaker) {
+    if (breaker.state === 'closed') return;
+
+    if (breaker.state === 'open' && Date.now() - breaker.openedAt >= OPEN_DURATION_MS) {
+        breaker.state = 'half-open';
+    }
+
+    // In half-open state a single trial call decides whether to close the breaker
+    if (breaker.state === 'half-open' && !breaker.trialInProgress) {
+        breaker.trialInProgress = true;
+        return;
+    }
+
+    throw circuitOpenError(name);
+}
+
+/**
+ * Record the outcome of a call on the breaker
+ * @param {string} name - Upstream name
+ * @param {Object} breaker - Breaker state
+ * @param {Error|null} error - Error from a failed call, or null on success
+ */
+function recordOutcome(name, breaker, error) {
+    breaker.trialInProgress = false;
+
+    if (!error) {
+        if (breaker.state !== 'closed') {
+            console.log(`Circuit breaker for ${name} closed`);
+        }
+        breaker.state = 'closed';
+        breaker.consecutiveFailures = 0;
+        breaker.openedAt = null;
+        return;
+    }
+
+    breaker.consecutiveFailures++;
+    breaker.lastFailureAt = new Date().toISOString();
+    breaker.lastError = error.message;
+
+    if (breaker.state === 'half-open' || breaker.consecutiveFailures >= FAILURE_THRESHOLD) {
+        if (breaker.state !== 'open') {
+            console.error(`Circuit breaker for ${name} opened after ${breaker.consecutiveFailures} failures: ${error.message}`);
+        }
+        breaker.state = 'open';
+        breaker.openedAt = Date.now();
+    }
+}
+
+/**
+ * Call an upstream with retries and circuit breaking
+ * @param {string} name - Upstream name, one breaker per name
+ * @param {Function} attempt - Async function performing a single upstream request
+ * @returns {Promise<any>} - Result of the first successful attempt
+ */
+async function call(name, attempt) {
+    const breaker = getBreaker(name);
+    checkBreaker(name, breaker);
+
+    for (let retry = 0; ; retry++) {
+        try {
+            const result = await attempt();
+            recordOutcome(name, breaker, null);
+            return result;
+        } catch (error) {
+            if (!isRetryable(error)) {
+                // The upstream answered, so it is healthy even if the request was rejected
+                if (error.response) {
+                    recordOutcome(name, breaker, null);
+                } else {
+                    breaker.trialInProgress = false;
+                }
+                throw error;
+            }
+
+            if (retry >= MAX_RETRIES) {
+                recordOutcome(name, breaker, error);
+                throw error;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, getBackoffDelay(retry)));
+        }
+    }
+}
+
+/**
+ * Get the state of every circuit breaker
+ * @returns {Object} - Breaker state keyed by upstream name
+ */
+function getBreakerStates() {
+    const states = {};
+
+    for (const [name, breaker] of Object.entries(breakers)) {
+        states[name] = {
+            state: breaker.state,
+            consecutiveFailures: breaker.consecutiveFailures,
+            failureThreshold: FAILURE_THRESHOLD,
+            openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+            retryAt: breaker.state === 'open' ? new Date(breaker.openedAt + OPEN_DURATION_MS).toISOString() : null,
+            lastFailureAt: breaker.lastFailureAt,
+            lastError: breaker.lastError
+        };
+    }
+
+    return states;
+}
+
+/**
+ * Manually close a circuit breaker
+ * @param {string} name - Upstream name
+ * @returns {boolean} - False if no breaker exists with that name
+ */
+function resetBreaker(name) {
+    if (!breakers[name]) return false;
+
+    delete breakers[name];
+    return true;
+}
+
+module.exports = {
+    call,
+    getBreakerStates,
+    resetBreaker
+};
@@ -26,6 +26,15 @@ const dbRun = async (sql, params) => dbModule.update(sql, params);
 const dbGet = async (sql, params) => dbModule.getOne(sql, params);
 const dbAll = async (sql, params) => dbModule.query(sql, params);
 
+/**
+ * Run storage operations in a transaction, committed together or not at all
+ * @param {Function} fn - Async function calling storage operations
+ * @returns {Promise<any>} Result of the function
+ */
+async function transaction(fn) {
+  return dbModule.transaction(fn);
+}
+
 // User operations
 
 /**
@@ -136,6 +145,11 @@ async function updateUser(id, userData) {
     updateValues.push(userData.dark_mode ? 1 : 0);
   }
 
+  if (userData.base_currency !== undefined) {
+    updateFields.push('base_currency = ?');
+    updateValues.push(userData.base_currency);
+  }
+
   if (userData.google_id !== undefined) {
     updateFields.push('google_id = ?');
     updateValues.push(userData.google_id);
@@ -172,7 +186,7 @@ async function deleteUser(id) {
  * @returns {Promise<Array>} Array of user objects
  */
 async function getAllUsers() {
-  return dbAll('SELECT id, username, email, full_name, role, avatar, address, dark_mode, created_at, last_login FROM users');
+  return dbAll('SELECT id, username, email, full_name, role, avatar, address, dark_mode, base_currency, created_at, last_login FROM users');
 }
 
 /**
@@ -252,6 +266,20 @@ async function isInWatchlist(userId, symbol) {
   return !!item;
 }
 
+/**
+ * Get the distinct symbols on any user's watchlist or held in any portfolio
+ * @returns {Promise<Array<string>>} Symbols
+ */
+async function getWatchedSymbols() {
+  const rows = await dbAll(
+    `SELECT symbol FROM user_watchlist
+     UNION
+     SELECT symbol FROM portfolio_positions
+     ORDER BY symbol`
+  );
+  return rows.map(row => row.symbol);
+}
+
 // Portfolio operations
 
 /**
@@ -263,6 +291,18 @@ async function getUserPortfolios(userId) {
   return dbAll('SELECT * FROM portfolio WHERE user_id = ?', [userId]);
 }
 
+/**
+ * Get all portfolios with the base currency of their owner
+ * @returns {Promise<Array>} Portfolios
+ */
+async function getAllPortfolios() {
+  return dbAll(
+    `SELECT p.*, u.base_currency FROM portfolio p
+     JOIN users u ON u.id = p.user_id
+     ORDER BY p.id`
+  );
+}
+
 /**
  * Get portfolio by ID
  * @param {number} id - Portfolio ID
@@ -360,15 +400,16 @@ async function getPosition(id) {
 async function addPosition(positionData) {
   const result = await dbRun(
     `INSERT INTO portfolio_positions (
-      portfolio_id, symbol, shares, purchase_price, purchase_date, notes
-    ) VALUES (?, ?, ?, ?, ?, ?)`,
+      portfolio_id, symbol, shares, purchase_price, purchase_date, notes, currency
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
     [
       positionData.portfolio_id,
       positionData.symbol.toUpperCase(),
       positionData.shares,
       positionData.purchase_price,
       positionData.purchase_date || new Date(),
-      positionData.notes || null
+      positionData.notes || null,
+      positionData.currency || null
     ]
   );
 
@@ -405,6 +446,11 @@ async function updatePosition(id, positionData) {
     updateValues.push(positionData.notes);
   }
 
+  if (positionData.currency !== undefined) {
+    updateFields.push('currency = ?');
+    updateValues.push(positionData.currency);
+  }
+
   // If no update fields, return the current position
   if (updateFields.length === 0) {
     return getPosition(id);
@@ -431,6 +477,31 @@ async function deletePosition(id) {
   return true;
 }
 
+/**
+ * Get the distinct symbols held across all of a user's portfolios
+ * @param {number} userId - User ID
+ * @returns {Promise<Array<string>>} Symbols
+ */
+async function getUserPortfolioSymbols(userId) {
+  const rows = await dbAll(
+    `SELECT DISTINCT pp.symbol FROM portfolio_positions pp
+     JOIN portfolio p ON p.id = pp.portfolio_id
+     WHERE p.user_id = ?
+     ORDER BY pp.symbol`,
+    [userId]
+  );
+  return rows.map(row => row.symbol);
+}
+
+/**
+ * Get all positions in a symbol across portfolios
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} Portfolio positions
+ */
+async function getPositionsBySymbol(symbol) {
+  return dbAll('SELECT * FROM portfolio_positions WHERE symbol = ?', [symbol.toUpperCase()]);
+}
+
 // API logging operations
 
 /**
@@ -473,6 +544,32 @@ async function getApiLogs(userId = null, limit = 100) {
   return dbAll('SELECT * FROM api_logs ORDER BY request_time DESC LIMIT ?', [limit]);
 }
 
+/**
+ * Count API requests logged since a point in time
+ * @param {Date|number} since - Start time
+ * @returns {Promise<number>} Number of logged requests
+ */
+async function countApiLogsSince(since) {
+  const row = await dbGet(
+    'SELECT COUNT(*) AS count FROM api_logs WHERE request_time >= ?',
+    [since instanceof Date ? since.getTime() : since]
+  );
+  return row.count;
+}
+
+/**
+ * Delete API logs older than a point in time
+ * @param {Date|number} before - Cutoff time
+ * @returns {Promise<number>} Number of deleted logs
+ */
+async function deleteApiLogsBefore(before) {
+  const result = await dbRun(
+    'DELETE FROM api_logs WHERE request_time < ?',
+    [before instanceof Date ? before.getTime() : before]
+  );
+  return result.changes;
+}
+
 // Admin operations - App settings
 
 /**
@@ -532,155 +629,1548 @@ async function saveAppSetting(settingData) {
   return getAppSettingByKey(settingData.setting_key);
 }
 
-// Admin operations - Restricted stocks
-
 /**
- * Get all restricted stocks
- * @returns {Promise<Array>} Restricted stocks
+ * Get a numeric application setting value, falling back to a default
+ * @param {string} key - Setting key
+ * @param {number} defaultValue - Value used when the setting is missing or not a number
+ * @returns {Promise<number>} Setting value
  */
-async function getRestrictedStocks() {
-  return dbAll('SELECT * FROM restricted_stocks');
+async function getNumericAppSetting(key, defaultValue) {
+  const setting = await getAppSettingByKey(key);
+  const value = setting ? parseFloat(setting.setting_value) : NaN;
+  return isNaN(value) ? defaultValue : value;
 }
 
+// Market data cache operations
+
 /**
- * Add a restricted stock
- * @param {object} stockData - Stock data
- * @returns {Promise<object>} Created restricted stock
+ * Get a cached market data entry
+ * @param {string} cacheKey - Cache key
+ * @returns {Promise<object>} Cache entry with parsed data, or undefined
  */
-async function addRestrictedStock(stockData) {
-  const result = await dbRun(
-    'INSERT INTO restricted_stocks (symbol, reason, added_by) VALUES (?, ?, ?)',
-    [stockData.symbol.toUpperCase(), stockData.reason || null, stockData.added_by]
-  );
+async function getCacheEntry(cacheKey) {
+  const entry = await dbGet('SELECT * FROM market_data_cache WHERE cache_key = ?', [cacheKey]);
+  if (!entry) return entry;
 
   return {
-    id: result.lastID,
-    symbol: stockData.symbol.toUpperCase(),
-    reason: stockData.reason,
-    added_by: stockData.added_by,
-    added_at: new Date()
+    ...entry,
+    data: JSON.parse(entry.data)
   };
 }
 
 /**
- * Remove a restricted stock
- * @param {number} id - Restricted stock ID
+ * Get every cached market data entry whose key starts with a prefix, fresh or expired
+ * @param {string} prefix - Cache key prefix, e.g. quote:fmp:
+ * @returns {Promise<Array>} Cache entries with parsed data
+ */
+async function getCacheEntriesByPrefix(prefix) {
+  const entries = await dbAll(
+    'SELECT * FROM market_data_cache WHERE substr(cache_key, 1, ?) = ?',
+    [prefix.length, prefix]
+  );
+
+  return entries.map(entry => ({
+    ...entry,
+    data: JSON.parse(entry.data)
+  }));
+}
+
+/**
+ * Create or replace a cached market data entry
+ * @param {object} entryData - Cache entry data
  * @returns {Promise<boolean>} Success status
  */
-async function removeRestrictedStock(id) {
-  await dbRun('DELETE FROM restricted_stocks WHERE id = ?', [id]);
+async function saveCacheEntry(entryData) {
+  await dbRun(
+    `INSERT OR REPLACE INTO market_data_cache (
+      cache_key, category, data, fetched_at, expires_at
+    ) VALUES (?, ?, ?, ?, ?)`,
+    [
+      entryData.cacheKey,
+      entryData.category,
+      JSON.stringify(entryData.data),
+      entryData.fetchedAt,
+      entryData.expiresAt
+    ]
+  );
   return true;
 }
 
-// Admin operations - Featured stocks
+/**
+ * Delete cached market data entries
+ * @param {string|null} category - Optional category filter
+ * @returns {Promise<number>} Number of deleted entries
+ */
+async function clearCacheEntries(category = null) {
+  const result = category
+    ? await dbRun('DELETE FROM market_data_cache WHERE category = ?', [category])
+    : await dbRun('DELETE FROM market_data_cache');
+  return result.changes;
+}
 
 /**
- * Get all featured stocks
- * @returns {Promise<Array>} Featured stocks
+ * Get cache entry counts per category
+ * @param {number} now - Current time in milliseconds, used to count expired entries
+ * @returns {Promise<Array>} Entry counts per category
  */
-async function getFeaturedStocks() {
-  const now = new Date();
+async function getCacheSummary(now = Date.now()) {
   return dbAll(
-    'SELECT * FROM featured_stocks WHERE end_date IS NULL OR end_date > ?',
+    `SELECT category, COUNT(*) AS entries,
+      SUM(CASE WHEN expires_at <= ? THEN 1 ELSE 0 END) AS expired
+     FROM market_data_cache GROUP BY category`,
     [now]
   );
 }
 
+// Price history operations
+
 /**
- * Add a featured stock
- * @param {object} stockData - Stock data
- * @returns {Promise<object>} Created featured stock
+ * Get stored daily bars for a symbol, oldest first
+ * @param {string} symbol - Stock symbol
+ * @param {string|null} from - Optional start date (YYYY-MM-DD)
+ * @param {string|null} to - Optional end date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Daily bars
  */
-async function addFeaturedStock(stockData) {
-  const result = await dbRun(
-    `INSERT INTO featured_stocks (
-      symbol, title, description, start_date, end_date, added_by
-    ) VALUES (?, ?, ?, ?, ?, ?)`,
-    [
-      stockData.symbol.toUpperCase(),
-      stockData.title,
-      stockData.description || null,
-      stockData.start_date || new Date(),
-      stockData.end_date || null,
-      stockData.added_by
-    ]
+async function getPriceHistory(symbol, from = null, to = null) {
+  return dbAll(
+    `SELECT date, open, high, low, close, volume FROM price_history
+     WHERE symbol = ? AND (? IS NULL OR date >= ?) AND (? IS NULL OR date <= ?)
+     ORDER BY date ASC`,
+    [symbol.toUpperCase(), from, from, to, to]
   );
+}
 
-  return dbGet('SELECT * FROM featured_stocks WHERE id = ?', [result.lastID]);
+/**
+ * Get the date of the latest stored bar for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<string|null>} Latest bar date (YYYY-MM-DD)
+ */
+async function getLatestPriceDate(symbol) {
+  const row = await dbGet(
+    'SELECT MAX(date) AS latest FROM price_history WHERE symbol = ?',
+    [symbol.toUpperCase()]
+  );
+  return row ? row.latest : null;
 }
 
 /**
- * Update a featured stock
- * @param {number} id - Featured stock ID
- * @param {object} stockData - Updated stock data
- * @returns {Promise<object>} Updated featured stock
+ * Get the date of the earliest stored bar for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<string|null>} Earliest bar date (YYYY-MM-DD)
  */
-async function updateFeaturedStock(id, stockData) {
-  const updateFields = [];
-  const updateValues = [];
+async function getEarliestPriceDate(symbol) {
+  const row = await dbGet(
+    'SELECT MIN(date) AS earliest FROM price_history WHERE symbol = ?',
+    [symbol.toUpperCase()]
+  );
+  return row ? row.earliest : null;
+}
 
-  if (stockData.symbol !== undefined) {
-    updateFields.push('symbol = ?');
-    updateValues.push(stockData.symbol.toUpperCase());
-  }
+/**
+ * Insert or replace daily bars for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {Array} bars - Daily bars ({ date, open, high, low, close, volume })
+ * @returns {Promise<number>} Number of saved bars
+ */
+async function savePriceHistory(symbol, bars) {
+  // Insert in chunks to stay below SQLite's bound parameter limit
+  const CHUNK_SIZE = 100;
 
-  if (stockData.title !== undefined) {
-    updateFields.push('title = ?');
-    updateValues.push(stockData.title);
-  }
+  for (let i = 0; i < bars.length; i += CHUNK_SIZE) {
+    const chunk = bars.slice(i, i + CHUNK_SIZE);
+    const values = [];
 
-  if (stockData.description !== undefined) {
-    updateFields.push('description = ?');
-    updateValues.push(stockData.description);
-  }
+    chunk.forEach(bar => {
+      values.push(symbol.toUpperCase(), bar.date, bar.open, bar.high, bar.low, bar.close, bar.volume);
+    });
 
-  if (stockData.start_date !== undefined) {
-    updateFields.push('start_date = ?');
-    updateValues.push(stockData.start_date);
+    await dbRun(
+      `INSERT OR REPLACE INTO price_history (symbol, date, open, high, low, close, volume)
+       VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+      values
+    );
   }
 
-  if (stockData.end_date !== undefined) {
-    updateFields.push('end_date = ?');
-    updateValues.push(stockData.end_date);
-  }
+  return bars.length;
+}
 
-  // If no update fields, return the current featured stock
-  if (updateFields.length === 0) {
-    return dbGet('SELECT * FROM featured_stocks WHERE id = ?', [id]);
+/**
+ * Get the last price history sync for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<object>} Sync state
+ */
+async function getPriceHistorySync(symbol) {
+  return dbGet('SELECT * FROM price_history_sync WHERE symbol = ?', [symbol.toUpperCase()]);
+}
+
+/**
+ * Record a price history sync for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {number} syncedAt - Sync time in milliseconds
+ * @param {number} barsAdded - Number of new bars stored
+ * @returns {Promise<boolean>} Success status
+ */
+async function savePriceHistorySync(symbol, syncedAt, barsAdded) {
+  await dbRun(
+    `INSERT INTO price_history_sync (symbol, synced_at, bars_added) VALUES (?, ?, ?)
+     ON CONFLICT (symbol) DO UPDATE SET synced_at = excluded.synced_at, bars_added = excluded.bars_added`,
+    [symbol.toUpperCase(), syncedAt, barsAdded]
+  );
+  return true;
+}
+
+/**
+ * Record the earliest date a symbol's stored history has been fetched from, so older
+ * ranges the provider has no bars for aren't requested again
+ * @param {string} symbol - Stock symbol
+ * @param {string} coveredFrom - Date (YYYY-MM-DD)
+ * @returns {Promise<boolean>} Success status
+ */
+async function savePriceHistoryCoveredFrom(symbol, coveredFrom) {
+  await dbRun(
+    'UPDATE price_history_sync SET covered_from = ? WHERE symbol = ?',
+    [coveredFrom, symbol.toUpperCase()]
+  );
+  return true;
+}
+
+// Financial statement operations
+
+/**
+ * Get stored financial statements for a symbol, newest first
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - Statement type
+ * @param {string} periodType - annual or quarter
+ * @param {number|null} limit - Optional maximum number of statements
+ * @returns {Promise<Array>} Statements as reported by the provider
+ */
+async function getFinancialStatements(symbol, statement, periodType, limit = null) {
+  const rows = await dbAll(
+    `SELECT data FROM financial_statements
+     WHERE symbol = ? AND statement = ? AND period_type = ?
+     ORDER BY date DESC
+     LIMIT ?`,
+    [symbol.toUpperCase(), statement, periodType, limit || -1]
+  );
+  return rows.map(row => JSON.parse(row.data));
+}
+
+/**
+ * Insert or replace financial statements for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - Statement type
+ * @param {string} periodType - annual or quarter
+ * @param {Array} statements - Statements as reported by the provider
+ * @returns {Promise<number>} Number of saved statements
+ */
+async function saveFinancialStatements(symbol, statement, periodType, statements) {
+  for (const item of statements) {
+    await dbRun(
+      `INSERT OR REPLACE INTO financial_statements (symbol, statement, period_type, date, calendar_year, period, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [symbol.toUpperCase(), statement, periodType, item.date, item.calendarYear, item.period, JSON.stringify(item)]
+    );
   }
+  return statements.length;
+}
 
-  // Add featured stock ID to update values
-  updateValues.push(id);
+/**
+ * Get the last financial statements sync for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - Statement type
+ * @param {string} periodType - annual or quarter
+ * @returns {Promise<object>} Sync state
+ */
+async function getFinancialStatementsSync(symbol, statement, periodType) {
+  return dbGet(
+    'SELECT * FROM financial_statements_sync WHERE symbol = ? AND statement = ? AND period_type = ?',
+    [symbol.toUpperCase(), statement, periodType]
+  );
+}
 
+/**
+ * Record a financial statements sync for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {string} statement - Statement type
+ * @param {string} periodType - annual or quarter
+ * @param {number} syncedAt - Sync time in milliseconds
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveFinancialStatementsSync(symbol, statement, periodType, syncedAt) {
   await dbRun(
-    `UPDATE featured_stocks SET ${updateFields.join(', ')} WHERE id = ?`,
-    updateValues
+    `INSERT OR REPLACE INTO financial_statements_sync (symbol, statement, period_type, synced_at)
+     VALUES (?, ?, ?, ?)`,
+    [symbol.toUpperCase(), statement, periodType, syncedAt]
   );
+  return true;
+}
 
-  return dbGet('SELECT * FROM featured_stocks WHERE id = ?', [id]);
+// Dividend and split operations
+
+/**
+ * Get stored dividends for a symbol, newest first
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} Dividends
+ */
+async function getDividends(symbol) {
+  return dbAll(
+    `SELECT ex_date, dividend, adj_dividend, record_date, payment_date, declaration_date
+     FROM dividends WHERE symbol = ? ORDER BY ex_date DESC`,
+    [symbol.toUpperCase()]
+  );
 }
 
 /**
- * Remove a featured stock
- * @param {number} id - Featured stock ID
+ * Insert or replace dividends for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {Array} dividends - Dividends ({ exDate, dividend, adjDividend, recordDate, paymentDate, declarationDate })
+ * @returns {Promise<number>} Number of saved dividends
+ */
+async function saveDividends(symbol, dividends) {
+  for (const item of dividends) {
+    await dbRun(
+      `INSERT OR REPLACE INTO dividends (
+        symbol, ex_date, dividend, adj_dividend, record_date, payment_date, declaration_date
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        symbol.toUpperCase(),
+        item.exDate,
+        item.dividend,
+        item.adjDividend,
+        item.recordDate,
+        item.paymentDate,
+        item.declarationDate
+      ]
+    );
+  }
+  return dividends.length;
+}
+
+/**
+ * Get stored stock splits for a symbol, newest first
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Array>} Splits
+ */
+async function getStockSplits(symbol) {
+  return dbAll(
+    'SELECT date, numerator, denominator FROM stock_splits WHERE symbol = ? ORDER BY date DESC',
+    [symbol.toUpperCase()]
+  );
+}
+
+/**
+ * Insert or replace stock splits for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {Array} splits - Splits ({ date, numerator, denominator })
+ * @returns {Promise<number>} Number of saved splits
+ */
+async function saveStockSplits(symbol, splits) {
+  for (const split of splits) {
+    await dbRun(
+      'INSERT OR REPLACE INTO stock_splits (symbol, date, numerator, denominator) VALUES (?, ?, ?, ?)',
+      [symbol.toUpperCase(), split.date, split.numerator, split.denominator]
+    );
+  }
+  return splits.length;
+}
+
+/**
+ * Get the last dividend and split sync for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<object>} Sync state
+ */
+async function getCorporateActionsSync(symbol) {
+  return dbGet('SELECT * FROM corporate_actions_sync WHERE symbol = ?', [symbol.toUpperCase()]);
+}
+
+/**
+ * Record a dividend and split sync for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {number} syncedAt - Sync time in milliseconds
  * @returns {Promise<boolean>} Success status
  */
-async function removeFeaturedStock(id) {
-  await dbRun('DELETE FROM featured_stocks WHERE id = ?', [id]);
+async function saveCorporateActionsSync(symbol, syncedAt) {
+  await dbRun(
+    'INSERT OR REPLACE INTO corporate_actions_sync (symbol, synced_at) VALUES (?, ?)',
+    [symbol.toUpperCase(), syncedAt]
+  );
   return true;
 }
 
 /**
- * Get user by Google ID
- * @param {string} googleId - Google ID
- * @returns {Promise<object>} User object
+ * Get the splits already applied to a position
+ * @param {number} positionId - Position ID
+ * @returns {Promise<Array>} Applied splits ({ split_date, ratio })
  */
-async function getUserByGoogleId(googleId) {
-  return dbGet('SELECT * FROM users WHERE google_id = ?', [googleId]);
+async function getPositionSplitAdjustments(positionId) {
+  return dbAll(
+    'SELECT split_date, ratio FROM position_split_adjustments WHERE position_id = ? ORDER BY split_date',
+    [positionId]
+  );
 }
 
-// Export all storage functions
-module.exports = {
+/**
+ * Apply a split to a position: shares are multiplied and the purchase price divided by the ratio
+ * @param {number} positionId - Position ID
+ * @param {string} splitDate - Split date (YYYY-MM-DD)
+ * @param {number} ratio - Split ratio (numerator / denominator)
+ * @returns {Promise<boolean>} False if the split was already applied
+ */
+async function applyPositionSplit(positionId, splitDate, ratio) {
+  const result = await dbRun(
+    'INSERT OR IGNORE INTO position_split_adjustments (position_id, split_date, ratio) VALUES (?, ?, ?)',
+    [positionId, splitDate, ratio]
+  );
+
+  if (result.changes === 0) {
+    return false;
+  }
+
+  await dbRun(
+    'UPDATE portfolio_positions SET shares = shares * ?, purchase_price = purchase_price / ? WHERE id = ?',
+    [ratio, ratio, positionId]
+  );
+  return true;
+}
+
+/**
+ * Replace the record of splits applied to a position
+ * @param {number} positionId - Position ID
+ * @param {Array} adjustments - Applied splits ({ split_date, ratio })
+ * @returns {Promise<number>} Number of recorded splits
+ */
+async function replacePositionSplitAdjustments(positionId, adjustments) {
+  await dbRun('DELETE FROM position_split_adjustments WHERE position_id = ?', [positionId]);
+
+  for (const adjustment of adjustments) {
+    await dbRun(
+      'INSERT INTO position_split_adjustments (position_id, split_date, ratio) VALUES (?, ?, ?)',
+      [positionId, adjustment.split_date, adjustment.ratio]
+    );
+  }
+  return adjustments.length;
+}
+
+/**
+ * Delete the dividend income recorded for a position, so it can be recorded again
+ * @param {number} positionId - Position ID
+ * @returns {Promise<number>} Number of deleted income records
+ */
+async function deletePositionDividendIncome(positionId) {
+  const result = await dbRun('DELETE FROM dividend_income WHERE position_id = ?', [positionId]);
+  return result.changes;
+}
+
+/**
+ * Record dividend income for a position, once per ex-dividend date
+ * @param {object} incomeData - Income data
+ * @returns {Promise<boolean>} False if the income was already recorded
+ */
+async function addDividendIncome(incomeData) {
+  const result = await dbRun(
+    `INSERT OR IGNORE INTO dividend_income (
+      position_id, portfolio_id, symbol, ex_date, payment_date, shares, dividend, amount
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      incomeData.position_id,
+      incomeData.portfolio_id,
+      incomeData.symbol.toUpperCase(),
+      incomeData.ex_date,
+      incomeData.payment_date,
+      incomeData.shares,
+      incomeData.dividend,
+      incomeData.amount
+    ]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Get dividend income recorded for a portfolio, newest first
+ * @param {number} portfolioId - Portfolio ID
+ * @returns {Promise<Array>} Dividend income records
+ */
+async function getPortfolioDividendIncome(portfolioId) {
+  return dbAll(
+    'SELECT * FROM dividend_income WHERE portfolio_id = ? ORDER BY ex_date DESC, symbol',
+    [portfolioId]
+  );
+}
+
+// Earnings operations
+
+/**
+ * Insert or update earnings announcements
+ * Reported figures are never overwritten with empty values and estimates are kept as they
+ * were when the results came out. Unreported announcements superseded by a newer date
+ * for the same fiscal period are removed
+ * @param {Array} items - Announcements ({ symbol, date, time, epsEstimated, eps, revenueEstimated, revenue, fiscalDateEnding })
+ * @param {number} updatedAt - Fetch time in milliseconds
+ * @returns {Promise<number>} Number of saved announcements
+ */
+async function saveEarnings(items, updatedAt = Date.now()) {
+  // Insert in chunks to stay below SQLite's bound parameter limit
+  const CHUNK_SIZE = 100;
+
+  for (let i = 0; i < items.length; i += CHUNK_SIZE) {
+    const chunk = items.slice(i, i + CHUNK_SIZE);
+    const values = [];
+
+    chunk.forEach(item => {
+      values.push(
+        item.symbol.toUpperCase(),
+        item.date,
+        item.time || null,
+        item.epsEstimated ?? null,
+        item.eps ?? null,
+        item.revenueEstimated ?? null,
+        item.revenue ?? null,
+        item.fiscalDateEnding || null,
+        updatedAt,
+        item.eps === null || item.eps === undefined ? null : updatedAt
+      );
+    });
+
+    await dbRun(
+      `INSERT INTO earnings (
+        symbol, date, time, eps_estimated, eps_actual, revenue_estimated, revenue_actual,
+        fiscal_date_ending, updated_at, reported_at
+      ) VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+      ON CONFLICT (symbol, date) DO UPDATE SET
+        time = COALESCE(excluded.time, earnings.time),
+        eps_estimated = CASE WHEN earnings.eps_actual IS NULL
+          THEN COALESCE(excluded.eps_estimated, earnings.eps_estimated) ELSE earnings.eps_estimated END,
+        eps_actual = COALESCE(excluded.eps_actual, earnings.eps_actual),
+        revenue_estimated = CASE WHEN earnings.eps_actual IS NULL
+          THEN COALESCE(excluded.revenue_estimated, earnings.revenue_estimated) ELSE earnings.revenue_estimated END,
+        revenue_actual = COALESCE(excluded.revenue_actual, earnings.revenue_actual),
+        fiscal_date_ending = COALESCE(excluded.fiscal_date_ending, earnings.fiscal_date_ending),
+        updated_at = excluded.updated_at,
+        reported_at = COALESCE(earnings.reported_at, excluded.reported_at)`,
+      values
+    );
+  }
+
+  // Drop announcements that were rescheduled before being reported
+  await dbRun(
+    `DELETE FROM earnings
+     WHERE eps_actual IS NULL AND fiscal_date_ending IS NOT NULL
+       AND EXISTS (
+         SELECT 1 FROM earnings AS newer
+         WHERE newer.symbol = earnings.symbol
+           AND newer.fiscal_date_ending = earnings.fiscal_date_ending
+           AND newer.date <> earnings.date
+           AND newer.updated_at > earnings.updated_at
+       )`
+  );
+
+  return items.length;
+}
+
+/**
+ * Get stored earnings announcements in a date range
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @param {Array<string>|null} symbols - Optional symbols to restrict the results to
+ * @returns {Promise<Array>} Announcements ordered by date and symbol
+ */
+async function getEarnings(from, to, symbols = null) {
+  if (symbols && symbols.length === 0) {
+    return [];
+  }
+
+  const symbolFilter = symbols ? `AND symbol IN (${symbols.map(() => '?').join(', ')})` : '';
+
+  return dbAll(
+    `SELECT * FROM earnings
+     WHERE date >= ? AND date <= ? ${symbolFilter}
+     ORDER BY date, symbol`,
+    [from, to, ...(symbols || []).map(symbol => symbol.toUpperCase())]
+  );
+}
+
+// Symbol directory operations
+
+/**
+ * Insert or update symbols in the local directory
+ * Sectors are kept, as they come from company profiles rather than the stock list
+ * @param {Array} symbols - Symbols ({ symbol, name, exchange, exchangeShortName, type })
+ * @param {number} updatedAt - Refresh time in milliseconds
+ * @returns {Promise<number>} Number of saved symbols
+ */
+async function saveSymbols(symbols, updatedAt = Date.now()) {
+  // Insert in chunks to stay below SQLite's bound parameter limit
+  const CHUNK_SIZE = 100;
+
+  for (let i = 0; i < symbols.length; i += CHUNK_SIZE) {
+    const chunk = symbols.slice(i, i + CHUNK_SIZE);
+    const values = [];
+
+    chunk.forEach(item => {
+      values.push(
+        item.symbol.toUpperCase(),
+        item.name || null,
+        item.exchange || null,
+        item.exchangeShortName || null,
+        item.type || null,
+        updatedAt
+      );
+    });
+
+    await dbRun(
+      `INSERT INTO symbols (symbol, name, exchange, exchange_short_name, type, updated_at)
+       VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}
+       ON CONFLICT (symbol) DO UPDATE SET
+         name = COALESCE(excluded.name, symbols.name),
+         exchange = COALESCE(excluded.exchange, symbols.exchange),
+         exchange_short_name = COALESCE(excluded.exchange_short_name, symbols.exchange_short_name),
+         type = COALESCE(excluded.type, symbols.type),
+         updated_at = excluded.updated_at`,
+      values
+    );
+  }
+
+  return symbols.length;
+}
+
+/**
+ * Remove symbols not seen since a refresh, e.g. delisted stocks
+ * @param {number} updatedAt - Refresh time in milliseconds
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteSymbolsBefore(updatedAt) {
+  await dbRun('DELETE FROM symbols WHERE updated_at < ?', [updatedAt]);
+  return true;
+}
+
+/**
+ * Set the sector of a symbol in the directory
+ * @param {string} symbol - Stock symbol
+ * @param {string} sector - Sector from the company profile
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateSymbolSector(symbol, sector) {
+  await dbRun('UPDATE symbols SET sector = ? WHERE symbol = ?', [sector, symbol.toUpperCase()]);
+  return true;
+}
+
+/**
+ * Get the directory symbols whose sector is known
+ * @returns {Promise<Array>} Symbols ({ symbol, name, exchange_short_name, sector })
+ */
+async function getSymbolsWithSector() {
+  return dbAll('SELECT symbol, name, exchange_short_name, sector FROM symbols WHERE sector IS NOT NULL');
+}
+
+/**
+ * Count the symbols in the directory
+ * @returns {Promise<number>} Number of symbols
+ */
+async function countSymbols() {
+  const row = await dbGet('SELECT COUNT(*) AS count FROM symbols');
+  return row.count;
+}
+
+/**
+ * Search the directory by word prefixes
+ * Exact symbol matches rank first, then symbol and name prefixes, then listings on major US exchanges
+ * @param {string} match - FTS5 query on the word index
+ * @param {string} query - Raw search query, used for ranking
+ * @param {number} limit - Maximum number of results
+ * @returns {Promise<Array>} Matching symbols, best first
+ */
+async function searchSymbols(match, query, limit) {
+  const prefix = query.toUpperCase().replace(/[\\%_]/g, '\\$&') + '%';
+
+  return dbAll(
+    `SELECT s.* FROM symbols_fts
+     JOIN symbols s ON s.rowid = symbols_fts.rowid
+     WHERE symbols_fts MATCH ?
+     ORDER BY
+       CASE
+         WHEN s.symbol = ? THEN 0
+         WHEN s.symbol LIKE ? ESCAPE '\\' THEN 1
+         WHEN UPPER(s.name) LIKE ? ESCAPE '\\' THEN 2
+         ELSE 3
+       END,
+       CASE WHEN s.exchange_short_name IN ('NASDAQ', 'NYSE', 'AMEX') THEN 0 ELSE 1 END,
+       bm25(symbols_fts, 10.0, 1.0),
+       LENGTH(s.symbol),
+       s.symbol
+     LIMIT ?`,
+    [match, query.toUpperCase(), prefix, prefix, limit]
+  );
+}
+
+/**
+ * Find fuzzy match candidates in the directory by shared trigrams
+ * @param {string} match - FTS5 query on the trigram index
+ * @param {number} limit - Maximum number of candidates
+ * @returns {Promise<Array>} Candidate symbols, most shared trigrams first
+ */
+async function searchSymbolsByTrigram(match, limit) {
+  return dbAll(
+    `SELECT s.* FROM symbols_trigram
+     JOIN symbols s ON s.rowid = symbols_trigram.rowid
+     WHERE symbols_trigram MATCH ?
+     ORDER BY bm25(symbols_trigram)
+     LIMIT ?`,
+    [match, limit]
+  );
+}
+
+/**
+ * Get the last symbol directory refresh for a provider
+ * @param {string} provider - Market data provider name
+ * @returns {Promise<object>} Sync state
+ */
+async function getSymbolsSync(provider) {
+  return dbGet('SELECT * FROM symbols_sync WHERE provider = ?', [provider]);
+}
+
+/**
+ * Record a symbol directory refresh
+ * @param {string} provider - Market data provider name
+ * @param {number} syncedAt - Refresh time in milliseconds
+ * @param {number} symbolCount - Number of symbols received
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveSymbolsSync(provider, syncedAt, symbolCount) {
+  await dbRun(
+    'INSERT OR REPLACE INTO symbols_sync (provider, synced_at, symbol_count) VALUES (?, ?, ?)',
+    [provider, syncedAt, symbolCount]
+  );
+  return true;
+}
+
+// News operations
+
+/**
+ * Save news articles, skipping URLs already stored, and tag them with their symbols
+ * @param {Array} articles - Articles ({ url, title, text, site, image, publishedAt, sentimentScore, sentimentLabel, symbols })
+ * @param {number} fetchedAt - Fetch time in milliseconds
+ * @returns {Promise<number>} Number of new articles
+ */
+async function saveNewsArticles(articles, fetchedAt = Date.now()) {
+  let added = 0;
+
+  for (const article of articles) {
+    const result = await dbRun(
+      `INSERT OR IGNORE INTO news_articles
+       (url, title, text, site, image, published_at, fetched_at, sentiment_score, sentiment_label)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        article.url,
+        article.title,
+        article.text || null,
+        article.site || null,
+        article.image || null,
+        article.publishedAt,
+        fetchedAt,
+        article.sentimentScore ?? null,
+        article.sentimentLabel || null
+      ]
+    );
+    added += result.changes;
+
+    const { id } = await dbGet('SELECT id FROM news_articles WHERE url = ?', [article.url]);
+    for (const symbol of article.symbols || []) {
+      await dbRun(
+        'INSERT OR IGNORE INTO news_article_symbols (article_id, symbol) VALUES (?, ?)',
+        [id, symbol.toUpperCase()]
+      );
+    }
+  }
+
+  return added;
+}
+
+/**
+ * Build the filter for news queries
+ * @param {object} filters - Filters
+ * @param {Array<string>|null} filters.symbols - Only articles about one of these symbols
+ * @param {string|null} filters.sentiment - Only articles with this sentiment label
+ * @returns {object} SQL condition and values
+ */
+function buildNewsFilter({ symbols = null, sentiment = null } = {}) {
+  const conditions = [];
+  const values = [];
+
+  if (symbols) {
+    conditions.push(`a.id IN (
+      SELECT article_id FROM news_article_symbols WHERE symbol IN (${symbols.map(() => '?').join(', ') || 'NULL'})
+    )`);
+    values.push(...symbols.map(symbol => symbol.toUpperCase()));
+  }
+
+  if (sentiment) {
+    conditions.push('a.sentiment_label = ?');
+    values.push(sentiment);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values
+  };
+}
+
+/**
+ * Get stored news articles, newest first, with the symbols each is about
+ * @param {object} filters - Filters ({ symbols, sentiment }, see buildNewsFilter)
+ * @param {number} limit - Maximum number of articles to return
+ * @param {number} offset - Number of articles to skip
+ * @returns {Promise<Array>} Articles with a comma-separated symbols column
+ */
+async function getNewsArticles(filters = {}, limit = 20, offset = 0) {
+  const filter = buildNewsFilter(filters);
+
+  return dbAll(
+    `SELECT a.*, GROUP_CONCAT(s.symbol) AS symbols FROM news_articles a
+     LEFT JOIN news_article_symbols s ON s.article_id = a.id
+     ${filter.where}
+     GROUP BY a.id
+     ORDER BY a.published_at DESC, a.id DESC
+     LIMIT ? OFFSET ?`,
+    [...filter.values, limit, offset]
+  );
+}
+
+/**
+ * Count stored news articles
+ * @param {object} filters - Filters ({ symbols, sentiment }, see buildNewsFilter)
+ * @returns {Promise<number>} Number of articles
+ */
+async function countNewsArticles(filters = {}) {
+  const filter = buildNewsFilter(filters);
+  const row = await dbGet(`SELECT COUNT(*) AS count FROM news_articles a ${filter.where}`, filter.values);
+  return row.count;
+}
+
+/**
+ * Get stored news articles that have not been scored for sentiment
+ * @param {number} limit - Maximum number of articles to return
+ * @returns {Promise<Array>} Articles ({ id, title, text })
+ */
+async function getUnscoredNewsArticles(limit = 500) {
+  return dbAll(
+    'SELECT id, title, text FROM news_articles WHERE sentiment_score IS NULL LIMIT ?',
+    [limit]
+  );
+}
+
+/**
+ * Save the sentiment of a stored news article
+ * @param {number} id - Article ID
+ * @param {number} score - Sentiment score between -1 and 1
+ * @param {string} label - positive, negative or neutral
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveNewsArticleSentiment(id, score, label) {
+  const result = await dbRun(
+    'UPDATE news_articles SET sentiment_score = ?, sentiment_label = ? WHERE id = ?',
+    [score, label, id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Get the daily news sentiment of a symbol, by the date articles were published
+ * @param {string} symbol - Stock symbol
+ * @param {string|null} from - Optional start date (YYYY-MM-DD)
+ * @param {string|null} to - Optional end date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Days ({ date, articles, score, positive, negative, neutral }), oldest first
+ */
+async function getDailyNewsSentiment(symbol, from = null, to = null) {
+  return dbAll(
+    `SELECT substr(a.published_at, 1, 10) AS date,
+            COUNT(*) AS articles,
+            AVG(a.sentiment_score) AS score,
+            SUM(a.sentiment_label = 'positive') AS positive,
+            SUM(a.sentiment_label = 'negative') AS negative,
+            SUM(a.sentiment_label = 'neutral') AS neutral
+     FROM news_articles a
+     JOIN news_article_symbols s ON s.article_id = a.id
+     WHERE s.symbol = ? AND a.sentiment_score IS NOT NULL
+       AND (? IS NULL OR substr(a.published_at, 1, 10) >= ?)
+       AND (? IS NULL OR substr(a.published_at, 1, 10) <= ?)
+     GROUP BY date
+     ORDER BY date ASC`,
+    [symbol.toUpperCase(), from, from, to, to]
+  );
+}
+
+/**
+ * Get the last news sync for a symbol
+ * @param {string} symbol - Stock symbol, or an empty string for general market news
+ * @returns {Promise<object>} Sync state
+ */
+async function getNewsSync(symbol) {
+  return dbGet('SELECT * FROM news_sync WHERE symbol = ?', [symbol.toUpperCase()]);
+}
+
+/**
+ * Record a news sync for symbols
+ * @param {Array<string>} symbols - Stock symbols, or an empty string for general market news
+ * @param {number} syncedAt - Sync time in milliseconds
+ * @returns {Promise<boolean>} Success status
+ */
+async function saveNewsSync(symbols, syncedAt) {
+  for (const symbol of symbols) {
+    await dbRun(
+      'INSERT OR REPLACE INTO news_sync (symbol, synced_at) VALUES (?, ?)',
+      [symbol.toUpperCase(), syncedAt]
+    );
+  }
+  return true;
+}
+
+// Background job operations
+
+/**
+ * Get all background job definitions
+ * @returns {Promise<Array>} Jobs
+ */
+async function getScheduledJobs() {
+  return dbAll('SELECT * FROM scheduled_jobs ORDER BY name');
+}
+
+/**
+ * Get a background job definition
+ * @param {string} name - Job name
+ * @returns {Promise<object>} Job
+ */
+async function getScheduledJob(name) {
+  return dbGet('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+}
+
+/**
+ * Create a background job definition unless it already exists, keeping any changed schedule
+ * @param {object} jobData - Job data
+ * @returns {Promise<boolean>} True if the job was created
+ */
+async function createScheduledJob(jobData) {
+  const result = await dbRun(
+    `INSERT OR IGNORE INTO scheduled_jobs (
+      name, description, schedule_type, schedule_minutes, enabled, next_run_at
+    ) VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      jobData.name,
+      jobData.description || null,
+      jobData.schedule_type,
+      jobData.schedule_minutes,
+      jobData.enabled === false ? 0 : 1,
+      jobData.next_run_at || null
+    ]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Update a background job definition
+ * @param {string} name - Job name
+ * @param {object} jobData - Updated job data (enabled, schedule_minutes, last_run_at, next_run_at)
+ * @returns {Promise<object>} Updated job
+ */
+async function updateScheduledJob(name, jobData) {
+  const updateFields = [];
+  const updateValues = [];
+
+  // Only update fields that are provided
+  if (jobData.enabled !== undefined) {
+    updateFields.push('enabled = ?');
+    updateValues.push(jobData.enabled ? 1 : 0);
+  }
+
+  if (jobData.schedule_minutes !== undefined) {
+    updateFields.push('schedule_minutes = ?');
+    updateValues.push(jobData.schedule_minutes);
+  }
+
+  if (jobData.last_run_at !== undefined) {
+    updateFields.push('last_run_at = ?');
+    updateValues.push(jobData.last_run_at);
+  }
+
+  if (jobData.next_run_at !== undefined) {
+    updateFields.push('next_run_at = ?');
+    updateValues.push(jobData.next_run_at);
+  }
+
+  if (updateFields.length > 0) {
+    updateFields.push('updated_at = CURRENT_TIMESTAMP');
+    updateValues.push(name);
+
+    await dbRun(
+      `UPDATE scheduled_jobs SET ${updateFields.join(', ')} WHERE name = ?`,
+      updateValues
+    );
+  }
+
+  return getScheduledJob(name);
+}
+
+/**
+ * Parse the stored result of a job run
+ * @param {object} run - Job run row
+ * @returns {object} Job run with parsed result
+ */
+function parseJobRun(run) {
+  if (!run) return run;
+  return { ...run, result: run.result ? JSON.parse(run.result) : null };
+}
+
+/**
+ * Record the start of a job run
+ * @param {object} runData - Run data (jobName, trigger, startedAt, triggeredBy)
+ * @returns {Promise<object>} Created job run
+ */
+async function createJobRun(runData) {
+  const result = await dbRun(
+    `INSERT INTO job_runs (job_name, trigger, status, started_at, triggered_by)
+     VALUES (?, ?, 'running', ?, ?)`,
+    [runData.jobName, runData.trigger, runData.startedAt, runData.triggeredBy || null]
+  );
+
+  return getJobRun(result.lastID);
+}
+
+/**
+ * Record the outcome of a job run
+ * @param {number} id - Job run ID
+ * @param {object} runData - Outcome (status, finishedAt, result, errorMessage)
+ * @returns {Promise<object>} Updated job run
+ */
+async function finishJobRun(id, runData) {
+  await dbRun(
+    'UPDATE job_runs SET status = ?, finished_at = ?, result = ?, error_message = ? WHERE id = ?',
+    [
+      runData.status,
+      runData.finishedAt,
+      runData.result === undefined || runData.result === null ? null : JSON.stringify(runData.result),
+      runData.errorMessage || null,
+      id
+    ]
+  );
+
+  return getJobRun(id);
+}
+
+/**
+ * Get a job run by ID
+ * @param {number} id - Job run ID
+ * @returns {Promise<object>} Job run
+ */
+async function getJobRun(id) {
+  return parseJobRun(await dbGet('SELECT * FROM job_runs WHERE id = ?', [id]));
+}
+
+/**
+ * Get job runs, newest first
+ * @param {object} filters - Optional filters (jobName, status)
+ * @param {number} limit - Maximum number of runs to return
+ * @returns {Promise<Array>} Job runs
+ */
+async function getJobRuns({ jobName = null, status = null } = {}, limit = 50) {
+  const conditions = [];
+  const values = [];
+
+  if (jobName) {
+    conditions.push('job_name = ?');
+    values.push(jobName);
+  }
+
+  if (status) {
+    conditions.push('status = ?');
+    values.push(status);
+  }
+
+  const rows = await dbAll(
+    `SELECT * FROM job_runs
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY started_at DESC, id DESC LIMIT ?`,
+    [...values, limit]
+  );
+  return rows.map(parseJobRun);
+}
+
+/**
+ * Get the latest run of each job
+ * @returns {Promise<Array>} Job runs
+ */
+async function getLatestJobRuns() {
+  const rows = await dbAll(
+    `SELECT r.* FROM job_runs r
+     WHERE r.id = (
+       SELECT id FROM job_runs WHERE job_name = r.job_name ORDER BY started_at DESC, id DESC LIMIT 1
+     )`
+  );
+  return rows.map(parseJobRun);
+}
+
+/**
+ * Mark runs that never finished, e.g. because the server stopped, as failed
+ * @param {number} finishedAt - Time in milliseconds
+ * @returns {Promise<number>} Number of updated runs
+ */
+async function failUnfinishedJobRuns(finishedAt) {
+  const result = await dbRun(
+    `UPDATE job_runs SET status = 'failed', finished_at = ?, error_message = 'Interrupted by a server restart'
+     WHERE status = 'running'`,
+    [finishedAt]
+  );
+  return result.changes;
+}
+
+/**
+ * Delete job runs started before a point in time
+ * @param {number} before - Cutoff time in milliseconds
+ * @returns {Promise<number>} Number of deleted runs
+ */
+async function deleteJobRunsBefore(before) {
+  const result = await dbRun('DELETE FROM job_runs WHERE started_at < ?', [before]);
+  return result.changes;
+}
+
+// Portfolio snapshot operations
+
+/**
+ * Create or replace a portfolio's snapshot for a date
+ * @param {object} snapshotData - Snapshot data
+ * @returns {Promise<boolean>} Success status
+ */
+async function savePortfolioSnapshot(snapshotData) {
+  await dbRun(
+    `INSERT OR REPLACE INTO portfolio_snapshots (
+      portfolio_id, date, currency, cost_basis, market_value, gain, day_change,
+      unpriced_positions, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      snapshotData.portfolioId,
+      snapshotData.date,
+      snapshotData.currency,
+      snapshotData.costBasis,
+      snapshotData.marketValue,
+      snapshotData.gain,
+      snapshotData.dayChange,
+      snapshotData.unpricedPositions || 0,
+      snapshotData.createdAt || Date.now()
+    ]
+  );
+  return true;
+}
+
+/**
+ * Get a portfolio's snapshots within an optional date range, oldest first
+ * @param {number} portfolioId - Portfolio ID
+ * @param {string|null} from - Start date (YYYY-MM-DD), inclusive
+ * @param {string|null} to - End date (YYYY-MM-DD), inclusive
+ * @returns {Promise<Array>} Snapshots
+ */
+async function getPortfolioSnapshots(portfolioId, from = null, to = null) {
+  return dbAll(
+    `SELECT * FROM portfolio_snapshots
+     WHERE portfolio_id = ? AND (? IS NULL OR date >= ?) AND (? IS NULL OR date <= ?)
+     ORDER BY date`,
+    [portfolioId, from, from, to, to]
+  );
+}
+
+// Stock screen operations
+
+/**
+ * Parse the stored criteria and watch flag of a stock screen
+ * @param {object|undefined} screen - Stored screen
+ * @returns {object|undefined} Screen with parsed criteria
+ */
+function parseScreen(screen) {
+  if (!screen) return screen;
+  return { ...screen, criteria: JSON.parse(screen.criteria), watch: !!screen.watch };
+}
+
+/**
+ * Get a user's saved stock screens
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Screens, oldest first
+ */
+async function getUserScreens(userId) {
+  const screens = await dbAll(
+    'SELECT * FROM screening_criteria WHERE user_id = ? ORDER BY created_at ASC, id ASC',
+    [userId]
+  );
+  return screens.map(parseScreen);
+}
+
+/**
+ * Get a stock screen by ID
+ * @param {number} id - Screen ID
+ * @returns {Promise<object>} Screen with parsed criteria
+ */
+async function getScreen(id) {
+  return parseScreen(await dbGet('SELECT * FROM screening_criteria WHERE id = ?', [id]));
+}
+
+/**
+ * Get every watched stock screen, across users
+ * @returns {Promise<Array>} Screens with parsed criteria
+ */
+async function getWatchedScreens() {
+  const screens = await dbAll('SELECT * FROM screening_criteria WHERE watch = 1 ORDER BY id ASC');
+  return screens.map(parseScreen);
+}
+
+/**
+ * Create a stock screen
+ * @param {object} screenData - Screen data (user_id, name, criteria, watch)
+ * @returns {Promise<object>} Created screen
+ */
+async function createScreen(screenData) {
+  const result = await dbRun(
+    'INSERT INTO screening_criteria (user_id, name, criteria, watch) VALUES (?, ?, ?, ?)',
+    [screenData.user_id, screenData.name, JSON.stringify(screenData.criteria), screenData.watch ? 1 : 0]
+  );
+
+  return getScreen(result.lastID);
+}
+
+/**
+ * Update a stock screen
+ * @param {number} id - Screen ID
+ * @param {object} screenData - Updated screen data (name, criteria, watch)
+ * @returns {Promise<object>} Updated screen
+ */
+async function updateScreen(id, screenData) {
+  const updateFields = [];
+  const updateValues = [];
+
+  if (screenData.name !== undefined) {
+    updateFields.push('name = ?');
+    updateValues.push(screenData.name);
+  }
+
+  if (screenData.criteria !== undefined) {
+    updateFields.push('criteria = ?');
+    updateValues.push(JSON.stringify(screenData.criteria));
+  }
+
+  if (screenData.watch !== undefined) {
+    updateFields.push('watch = ?');
+    updateValues.push(screenData.watch ? 1 : 0);
+  }
+
+  if (updateFields.length > 0) {
+    updateValues.push(id);
+    await dbRun(`UPDATE screening_criteria SET ${updateFields.join(', ')} WHERE id = ?`, updateValues);
+  }
+
+  return getScreen(id);
+}
+
+/**
+ * Delete a stock screen
+ * @param {number} id - Screen ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteScreen(id) {
+  await dbRun('DELETE FROM screening_criteria WHERE id = ?', [id]);
+  return true;
+}
+
+/**
+ * Parse the stored symbol lists of a screen run
+ * @param {object|undefined} run - Stored screen run
+ * @returns {object|undefined} Screen run with symbol arrays
+ */
+function parseScreenRun(run) {
+  if (!run) return run;
+  const { symbols_entered: entered, symbols_left: left, ...rest } = run;
+  return {
+    ...rest,
+    symbols: JSON.parse(run.symbols),
+    entered: JSON.parse(entered),
+    left: JSON.parse(left)
+  };
+}
+
+/**
+ * Record a run of a stock screen
+ * @param {object} runData - Run data (screenId, trigger, runAt, universe, symbols, entered, left)
+ * @returns {Promise<object>} Created screen run
+ */
+async function createScreenRun(runData) {
+  const result = await dbRun(
+    `INSERT INTO screen_runs (screen_id, trigger, run_at, universe, symbols, symbols_entered, symbols_left)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      runData.screenId,
+      runData.trigger,
+      runData.runAt,
+      runData.universe,
+      JSON.stringify(runData.symbols),
+      JSON.stringify(runData.entered),
+      JSON.stringify(runData.left)
+    ]
+  );
+
+  return parseScreenRun(await dbGet('SELECT * FROM screen_runs WHERE id = ?', [result.lastID]));
+}
+
+/**
+ * Get the most recent run of a stock screen
+ * @param {number} screenId - Screen ID
+ * @returns {Promise<object>} Screen run with symbol arrays
+ */
+async function getLatestScreenRun(screenId) {
+  return parseScreenRun(await dbGet(
+    'SELECT * FROM screen_runs WHERE screen_id = ? ORDER BY run_at DESC, id DESC LIMIT 1',
+    [screenId]
+  ));
+}
+
+/**
+ * Get the run history of a stock screen, newest first
+ * @param {number} screenId - Screen ID
+ * @param {number} limit - Maximum number of runs to return
+ * @returns {Promise<Array>} Screen runs with symbol arrays
+ */
+async function getScreenRuns(screenId, limit = 50) {
+  const runs = await dbAll(
+    'SELECT * FROM screen_runs WHERE screen_id = ? ORDER BY run_at DESC, id DESC LIMIT ?',
+    [screenId, limit]
+  );
+  return runs.map(parseScreenRun);
+}
+
+// Notification operations
+
+/**
+ * Parse the stored data of a notification
+ * @param {object|undefined} notification - Stored notification
+ * @returns {object|undefined} Notification with parsed data
+ */
+function parseNotification(notification) {
+  if (!notification) return notification;
+  return { ...notification, data: notification.data ? JSON.parse(notification.data) : null };
+}
+
+/**
+ * Create a notification for a user
+ * @param {object} notificationData - Notification data (userId, type, title, message, data)
+ * @returns {Promise<object>} Created notification
+ */
+async function createNotification(notificationData) {
+  const result = await dbRun(
+    `INSERT INTO notifications (user_id, type, title, message, data, created_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      notificationData.userId,
+      notificationData.type,
+      notificationData.title,
+      notificationData.message,
+      notificationData.data ? JSON.stringify(notificationData.data) : null,
+      notificationData.createdAt || Date.now()
+    ]
+  );
+
+  return parseNotification(await dbGet('SELECT * FROM notifications WHERE id = ?', [result.lastID]));
+}
+
+/**
+ * Get a user's notifications, newest first
+ * @param {number} userId - User ID
+ * @param {object} filters - Filters ({ unread: only notifications not yet read })
+ * @param {number} limit - Maximum number of notifications to return
+ * @returns {Promise<Array>} Notifications with parsed data
+ */
+async function getUserNotifications(userId, { unread = false } = {}, limit = 50) {
+  const notifications = await dbAll(
+    `SELECT * FROM notifications
+     WHERE user_id = ? ${unread ? 'AND read_at IS NULL' : ''}
+     ORDER BY created_at DESC, id DESC LIMIT ?`,
+    [userId, limit]
+  );
+  return notifications.map(parseNotification);
+}
+
+/**
+ * Count a user's unread notifications
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of unread notifications
+ */
+async function countUnreadNotifications(userId) {
+  const row = await dbGet(
+    'SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL',
+    [userId]
+  );
+  return row.count;
+}
+
+/**
+ * Mark a user's notifications as read
+ * @param {number} userId - User ID
+ * @param {number|null} id - Notification ID, or null for all of the user's notifications
+ * @param {number} readAt - Read time in milliseconds
+ * @returns {Promise<number>} Number of notifications marked
+ */
+async function markNotificationsRead(userId, id = null, readAt = Date.now()) {
+  const result = await dbRun(
+    `UPDATE notifications SET read_at = ?
+     WHERE user_id = ? AND read_at IS NULL ${id !== null ? 'AND id = ?' : ''}`,
+    id !== null ? [readAt, userId, id] : [readAt, userId]
+  );
+  return result.changes;
+}
+
+// Admin operations - Restricted stocks
+
+/**
+ * Get all restricted stocks
+ * @returns {Promise<Array>} Restricted stocks
+ */
+async function getRestrictedStocks() {
+  return dbAll('SELECT * FROM restricted_stocks');
+}
+
+/**
+ * Add a restricted stock
+ * @param {object} stockData - Stock data
+ * @returns {Promise<object>} Created restricted stock
+ */
+async function addRestrictedStock(stockData) {
+  const result = await dbRun(
+    'INSERT INTO restricted_stocks (symbol, reason, added_by) VALUES (?, ?, ?)',
+    [stockData.symbol.toUpperCase(), stockData.reason || null, stockData.added_by]
+  );
+
+  return {
+    id: result.lastID,
+    symbol: stockData.symbol.toUpperCase(),
+    reason: stockData.reason,
+    added_by: stockData.added_by,
+    added_at: new Date()
+  };
+}
+
+/**
+ * Remove a restricted stock
+ * @param {number} id - Restricted stock ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function removeRestrictedStock(id) {
+  await dbRun('DELETE FROM restricted_stocks WHERE id = ?', [id]);
+  return true;
+}
+
+// Admin operations - Featured stocks
+
+/**
+ * Get all featured stocks
+ * @returns {Promise<Array>} Featured stocks
+ */
+async function getFeaturedStocks() {
+  const now = new Date();
+  return dbAll(
+    'SELECT * FROM featured_stocks WHERE end_date IS NULL OR end_date > ?',
+    [now]
+  );
+}
+
+/**
+ * Add a featured stock
+ * @param {object} stockData - Stock data
+ * @returns {Promise<object>} Created featured stock
+ */
+async function addFeaturedStock(stockData) {
+  const result = await dbRun(
+    `INSERT INTO featured_stocks (
+      symbol, title, description, start_date, end_date, added_by
+    ) VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      stockData.symbol.toUpperCase(),
+      stockData.title,
+      stockData.description || null,
+      stockData.start_date || new Date(),
+      stockData.end_date || null,
+      stockData.added_by
+    ]
+  );
+
+  return dbGet('SELECT * FROM featured_stocks WHERE id = ?', [result.lastID]);
+}
+
+/**
+ * Update a featured stock
+ * @param {number} id - Featured stock ID
+ * @param {object} stockData - Updated stock data
+ * @returns {Promise<object>} Updated featured stock
+ */
+async function updateFeaturedStock(id, stockData) {
+  const updateFields = [];
+  const updateValues = [];
+
+  if (stockData.symbol !== undefined) {
+    updateFields.push('symbol = ?');
+    updateValues.push(stockData.symbol.toUpperCase());
+  }
+
+  if (stockData.title !== undefined) {
+    updateFields.push('title = ?');
+    updateValues.push(stockData.title);
+  }
+
+  if (stockData.description !== undefined) {
+    updateFields.push('description = ?');
+    updateValues.push(stockData.description);
+  }
+
+  if (stockData.start_date !== undefined) {
+    updateFields.push('start_date = ?');
+    updateValues.push(stockData.start_date);
+  }
+
+  if (stockData.end_date !== undefined) {
+    updateFields.push('end_date = ?');
+    updateValues.push(stockData.end_date);
+  }
+
+  // If no update fields, return the current featured stock
+  if (updateFields.length === 0) {
+    return dbGet('SELECT * FROM featured_stocks WHERE id = ?', [id]);
+  }
+
+  // Add featured stock ID to update values
+  updateValues.push(id);
+
+  await dbRun(
+    `UPDATE featured_stocks SET ${updateFields.join(', ')} WHERE id = ?`,
+    updateValues
+  );
+
+  return dbGet('SELECT * FROM featured_stocks WHERE id = ?', [id]);
+}
+
+/**
+ * Remove a featured stock
+ * @param {number} id - Featured stock ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function removeFeaturedStock(id) {
+  await dbRun('DELETE FROM featured_stocks WHERE id = ?', [id]);
+  return true;
+}
+
+/**
+ * Get user by Google ID
+ * @param {string} googleId - Google ID
+ * @returns {Promise<object>} User object
+ */
+async function getUserByGoogleId(googleId) {
+  return dbGet('SELECT * FROM users WHERE google_id = ?', [googleId]);
+}
+
+// Export all storage functions
+module.exports = {
+  transaction,
+
   // User operations
   getUser,
   getUserByUsername,
@@ -697,9 +2187,11 @@ module.exports = {
   addToWatchlist,
   removeFromWatchlist,
   isInWatchlist,
+  getWatchedSymbols,
 
   // Portfolio operations
   getUserPortfolios,
+  getAllPortfolios,
   getPortfolio,
   createPortfolio,
   updatePortfolio,
@@ -711,15 +2203,115 @@ module.exports = {
   addPosition,
   updatePosition,
   deletePosition,
+  getPositionsBySymbol,
+  getUserPortfolioSymbols,
 
   // API logging operations
   logApiRequest,
   getApiLogs,
+  countApiLogsSince,
+  deleteApiLogsBefore,
 
   // Admin operations - App settings
   getAppSettings,
   getAppSettingByKey,
   saveAppSetting,
+  getNumericAppSetting,
+
+  // Market data cache operations
+  getCacheEntry,
+  getCacheEntriesByPrefix,
+  saveCacheEntry,
+  clearCacheEntries,
+  getCacheSummary,
+
+  // Price history operations
+  getPriceHistory,
+  getLatestPriceDate,
+  getEarliestPriceDate,
+  savePriceHistory,
+  getPriceHistorySync,
+  savePriceHistorySync,
+  savePriceHistoryCoveredFrom,
+
+  // Financial statement operations
+  getFinancialStatements,
+  saveFinancialStatements,
+  getFinancialStatementsSync,
+  saveFinancialStatementsSync,
+
+  // Dividend and split operations
+  getDividends,
+  saveDividends,
+  getStockSplits,
+  saveStockSplits,
+  getCorporateActionsSync,
+  saveCorporateActionsSync,
+  getPositionSplitAdjustments,
+  applyPositionSplit,
+  replacePositionSplitAdjustments,
+  deletePositionDividendIncome,
+  addDividendIncome,
+  getPortfolioDividendIncome,
+
+  // Earnings operations
+  saveEarnings,
+  getEarnings,
+
+  // Symbol directory operations
+  saveSymbols,
+  deleteSymbolsBefore,
+  updateSymbolSector,
+  getSymbolsWithSector,
+  countSymbols,
+  searchSymbols,
+  searchSymbolsByTrigram,
+  getSymbolsSync,
+  saveSymbolsSync,
+
+  // News operations
+  saveNewsArticles,
+  getNewsArticles,
+  countNewsArticles,
+  getUnscoredNewsArticles,
+  saveNewsArticleSentiment,
+  getDailyNewsSentiment,
+  getNewsSync,
+  saveNewsSync,
+
+  // Background job operations
+  getScheduledJobs,
+  getScheduledJob,
+  createScheduledJob,
+  updateScheduledJob,
+  createJobRun,
+  finishJobRun,
+  getJobRun,
+  getJobRuns,
+  getLatestJobRuns,
+  failUnfinishedJobRuns,
+  deleteJobRunsBefore,
+
+  // Portfolio snapshot operations
+  savePortfolioSnapshot,
+  getPortfolioSnapshots,
+
+  // Stock screen operations
+  getUserScreens,
+  getScreen,
+  getWatchedScreens,
+  createScreen,
+  updateScreen,
+  deleteScreen,
+  createScreenRun,
+  getLatestScreenRun,
+  getScreenRuns,
+
+  // Notification operations
+  createNotification,
+  getUserNotifications,
+  countUnreadNotifications,
+  markNotificationsRead,
 
   // Admin operations - Restricted stocks
   getRestrictedStocks,
@@ -84,6 +84,16 @@ async function runTests() {
             logError(`Failed to get quote: ${quoteResponse.status} ${JSON.stringify(quoteResponse.data)}`);
         }
 
+        // 4b. Test Batch Quote API
+        logInfo('Testing batch quote API...');
+        const batchQuoteResponse = await authRequest.get('/api/stocks/quotes?symbols=AAPL,MSFT,GOOGL');
+
+        if (batchQuoteResponse.status === 200 && Array.isArray(batchQuoteResponse.data)) {
+            logSuccess(`Got ${batchQuoteResponse.data.length} quotes in one request`);
+        } else {
+            logError(`Failed to get batch quotes: ${batchQuoteResponse.status} ${JSON.stringify(batchQuoteResponse.data)}`);
+        }
+
         // 5. Test Profile API
         logInfo('Testing profile API...');
         const profileResponse = await authRequest.get('/api/stocks/profile/MSFT');
@@ -104,6 +114,162 @@ async function runTests() {
             logError(`Failed to get historical data: ${historicalResponse.status} ${JSON.stringify(historicalResponse.data)}`);
         }
 
+        // 6b. Test Technical Indicators API
+        logInfo('Testing technical indicators API...');
+        const indicatorsResponse = await authRequest.get('/api/stocks/indicators/TSLA?type=sma:20,rsi:14,macd');
+
+        if (indicatorsResponse.status === 200 && Array.isArray(indicatorsResponse.data.data)) {
+            logSuccess(`Got ${indicatorsResponse.data.indicators.join(', ')} for ${indicatorsResponse.data.data.length} dates`);
+        } else {
+            logError(`Failed to get technical indicators: ${indicatorsResponse.status} ${JSON.stringify(indicatorsResponse.data)}`);
+        }
+
+        // 6c. Test Financial Statements API
+        logInfo('Testing financial statements API...');
+        const statementsResponse = await authRequest.get('/api/stocks/financials/MSFT/income-statement?period=annual');
+
+        if (statementsResponse.status === 200 && Array.isArray(statementsResponse.data.statements)) {
+            logSuccess(`Got ${statementsResponse.data.statements.length} annual income statements`);
+        } else {
+            logError(`Failed to get financial statements: ${statementsResponse.status} ${JSON.stringify(statementsResponse.data)}`);
+        }
+
+        // 6d. Test Key Metrics API
+        logInfo('Testing key metrics API...');
+        const metricsResponse = await authRequest.get('/api/stocks/metrics/MSFT');
+
+        if (metricsResponse.status === 200 && metricsResponse.data.current) {
+            logSuccess(`Got key metrics with ${metricsResponse.data.history.length} periods of history`);
+        } else {
+            logError(`Failed to get key metrics: ${metricsResponse.status} ${JSON.stringify(metricsResponse.data)}`);
+        }
+
+        // 6e. Test Dividends API
+        logInfo('Testing dividends API...');
+        const dividendsResponse = await authRequest.get('/api/stocks/dividends/KO');
+
+        if (dividendsResponse.status === 200 && Array.isArray(dividendsResponse.data.dividends)) {
+            logSuccess(`Got ${dividendsResponse.data.dividends.length} dividends`);
+        } else {
+            logError(`Failed to get dividends: ${dividendsResponse.status} ${JSON.stringify(dividendsResponse.data)}`);
+        }
+
+        // 6f. Test Earnings Calendar API
+        logInfo('Testing earnings calendar API...');
+        const earningsResponse = await authRequest.get('/api/stocks/earnings-calendar');
+
+        if (earningsResponse.status === 200 && Array.isArray(earningsResponse.data.earnings)) {
+            logSuccess(`Got ${earningsResponse.data.earnings.length} earnings announcements`);
+        } else {
+            logError(`Failed to get earnings calendar: ${earningsResponse.status} ${JSON.stringify(earningsResponse.data)}`);
+        }
+
+        // 6g. Test Market Movers API
+        logInfo('Testing market movers API...');
+        const moversResponse = await authRequest.get('/api/stocks/movers?type=gainers&limit=5');
+
+        if (moversResponse.status === 200 && Array.isArray(moversResponse.data.movers)) {
+            logSuccess(`Got ${moversResponse.data.movers.length} top gainers`);
+        } else {
+            logError(`Failed to get market movers: ${moversResponse.status} ${JSON.stringify(moversResponse.data)}`);
+        }
+
+        // 6h. Test Sector Performance API
+        logInfo('Testing sector performance API...');
+        const sectorsResponse = await authRequest.get('/api/stocks/sectors');
+
+        if (sectorsResponse.status === 200 && Array.isArray(sectorsResponse.data.groups)) {
+            logSuccess(`Got performance for ${sectorsResponse.data.groups.length} sectors`);
+        } else {
+            logError(`Failed to get sector performance: ${sectorsResponse.status} ${JSON.stringify(sectorsResponse.data)}`);
+        }
+
+        // 6i. Test Compare API
+        logInfo('Testing compare API...');
+        const compareResponse = await authRequest.get('/api/stocks/compare?symbols=AAPL,MSFT,GOOGL');
+
+        if (compareResponse.status === 200 && Array.isArray(compareResponse.data.series)) {
+            logSuccess(`Compared ${compareResponse.data.series.length} stocks from ${compareResponse.data.startDate}`);
+        } else {
+            logError(`Failed to compare stocks: ${compareResponse.status} ${JSON.stringify(compareResponse.data)}`);
+        }
+
+        // 6j. Test Correlation API
+        logInfo('Testing correlation API...');
+        const correlationResponse = await authRequest.get('/api/stocks/correlation?symbols=AAPL,MSFT,KO&lookback=60');
+
+        if (correlationResponse.status === 200 && Array.isArray(correlationResponse.data.matrix)) {
+            logSuccess(`Got correlations over ${correlationResponse.data.observations} days against ${correlationResponse.data.benchmark}`);
+        } else {
+            logError(`Failed to get correlations: ${correlationResponse.status} ${JSON.stringify(correlationResponse.data)}`);
+        }
+
+        // 6k. Test Exchange Rates API
+        logInfo('Testing exchange rates API...');
+        const fxResponse = await authRequest.get('/api/stocks/fx/rates?base=USD');
+
+        if (fxResponse.status === 200 && fxResponse.data.rates) {
+            logSuccess(`Got ${Object.keys(fxResponse.data.rates).length} exchange rates for ${fxResponse.data.base}`);
+        } else {
+            logError(`Failed to get exchange rates: ${fxResponse.status} ${JSON.stringify(fxResponse.data)}`);
+        }
+
+        // 6l. Test Market Status API
+        logInfo('Testing market status API...');
+        const marketStatusResponse = await authRequest.get('/api/stocks/market-status?exchange=NASDAQ');
+
+        if (marketStatusResponse.status === 200 && typeof marketStatusResponse.data.isOpen === 'boolean') {
+            logSuccess(`Market is ${marketStatusResponse.data.state}, next open ${marketStatusResponse.data.nextOpen}`);
+        } else {
+            logError(`Failed to get market status: ${marketStatusResponse.status} ${JSON.stringify(marketStatusResponse.data)}`);
+        }
+
+        // 6m. Test Price Stream
+        logInfo('Testing price stream...');
+        const streamResponse = await authRequest.get('/api/stocks/stream?symbols=AAPL,MSFT', { responseType: 'stream' });
+
+        if (streamResponse.status === 200) {
+            // Read until the first quotes event, then close the stream
+            let timeout;
+            const firstEvent = await new Promise((resolve, reject) => {
+                let buffer = '';
+                streamResponse.data.on('data', chunk => {
+                    buffer += chunk.toString();
+                    const match = buffer.match(/event: quotes\ndata: (.*)\n\n/);
+                    if (match) resolve(JSON.parse(match[1]));
+                });
+                streamResponse.data.on('error', reject);
+                timeout = setTimeout(() => reject(new Error('No quotes received within 10 seconds')), 10000);
+            }).finally(() => {
+                clearTimeout(timeout);
+                streamResponse.data.destroy();
+            });
+
+            logSuccess(`Streamed ${firstEvent.length} quotes`);
+        } else {
+            logError(`Failed to open price stream: ${streamResponse.status}`);
+        }
+
+        // 6n. Test News Feed API
+        logInfo('Testing news feed API...');
+        const newsFeedResponse = await authRequest.get('/api/news/feed?limit=5');
+
+        if (newsFeedResponse.status === 200 && Array.isArray(newsFeedResponse.data.articles)) {
+            logSuccess(`Retrieved ${newsFeedResponse.data.articles.length} of ${newsFeedResponse.data.total} articles for ${newsFeedResponse.data.symbols.length} followed symbols`);
+        } else {
+            logError(`Failed to get news feed: ${newsFeedResponse.status} ${JSON.stringify(newsFeedResponse.data)}`);
+        }
+
+        // 6o. Test News Sentiment API
+        logInfo('Testing news sentiment API...');
+        const sentimentResponse = await authRequest.get('/api/stocks/sentiment/AAPL');
+
+        if (sentimentResponse.status === 200 && Array.isArray(sentimentResponse.data.series)) {
+            logSuccess(`AAPL sentiment over ${sentimentResponse.data.summary.articles} articles: ${sentimentResponse.data.summary.label || 'no news'}`);
+        } else {
+            logError(`Failed to get news sentiment: ${sentimentResponse.status} ${JSON.stringify(sentimentResponse.data)}`);
+        }
+
         // 7. Test Search API
         logInfo('Testing search API...');
         const searchResponse = await authRequest.get('/api/stocks/search?query=apple');
@@ -114,6 +280,16 @@ async function runTests() {
             logError(`Failed to search: ${searchResponse.status} ${JSON.stringify(searchResponse.data)}`);
         }
 
+        // 7b. Test Single Character Search
+        logInfo('Testing single character search...');
+        const shortSearchResponse = await authRequest.get('/api/stocks/search?query=a&limit=5');
+
+        if (shortSearchResponse.status === 200 && Array.isArray(shortSearchResponse.data)) {
+            logSuccess(`Single character search returned ${shortSearchResponse.data.length} results`);
+        } else {
+            logError(`Failed single character search: ${shortSearchResponse.status} ${JSON.stringify(shortSearchResponse.data)}`);
+        }
+
         logSection('WATCHLIST TESTS');
 
         // 8. Test Get Watchlist
@@ -176,6 +352,42 @@ async function runTests() {
             logError(`Failed to get portfolios: ${portfoliosResponse.status} ${JSON.stringify(portfoliosResponse.data)}`);
         }
 
+        // 11b. Test Stock Screener
+        logInfo('Testing stock screener...');
+        const screenResponse = await authRequest.post('/api/screens', {
+            name: 'Test Screen',
+            criteria: {
+                filter: { all: [{ field: 'marketCap', min: 100000000000 }, { field: 'pe', max: 40 }] },
+                sort: { field: 'marketCap', order: 'desc' }
+            }
+        });
+
+        if (screenResponse.status === 201) {
+            const screenRunResponse = await authRequest.get(`/api/screens/${screenResponse.data.id}/run?limit=10`);
+
+            if (screenRunResponse.status === 200 && Array.isArray(screenRunResponse.data.results)) {
+                logSuccess(`Screen matched ${screenRunResponse.data.total} of ${screenRunResponse.data.universe} stored stocks`);
+            } else {
+                logError(`Failed to run screen: ${screenRunResponse.status} ${JSON.stringify(screenRunResponse.data)}`);
+            }
+
+            // 11c. Test Screen Run History and Notifications
+            logInfo('Testing screen run history...');
+            await authRequest.put(`/api/screens/${screenResponse.data.id}`, { watch: true });
+            const recordRunResponse = await authRequest.post(`/api/screens/${screenResponse.data.id}/runs`);
+            const notificationsResponse = await authRequest.get('/api/notifications?limit=5');
+
+            if (recordRunResponse.status === 201 && notificationsResponse.status === 200) {
+                logSuccess(`Recorded screen run with ${recordRunResponse.data.symbols.length} symbols; ${notificationsResponse.data.unread} unread notifications`);
+            } else {
+                logError(`Failed to record screen run: ${recordRunResponse.status} ${JSON.stringify(recordRunResponse.data)}`);
+            }
+
+            await authRequest.delete(`/api/screens/${screenResponse.data.id}`);
+        } else {
+            logError(`Failed to create screen: ${screenResponse.status} ${JSON.stringify(screenResponse.data)}`);
+        }
+
         logSection('ADMIN TESTS');
 
         // 12. Test Admin API Access
@@ -188,6 +400,16 @@ async function runTests() {
             logInfo(`Admin API denied as expected for non-admin user: ${adminUsersResponse.status}`);
         }
 
+        // 12b. Test Background Jobs API
+        logInfo('Testing background jobs API (may fail for regular users)...');
+        const jobsResponse = await authRequest.get('/api/admin/jobs');
+
+        if (jobsResponse.status === 200 && Array.isArray(jobsResponse.data)) {
+            logSuccess(`Got ${jobsResponse.data.length} background jobs`);
+        } else {
+            logInfo(`Background jobs API denied as expected for non-admin user: ${jobsResponse.status}`);
+        }
+
         logSection('TEST SUMMARY');
         console.log('All tests completed.');
 
@@ -0,0 +1,232 @@
+/**
+ * Market data cache tests
+ * Covers the TTL policies, including market hours, and when expired entries are served as stale.
+ * Cache entries and settings are kept in memory instead of SQLite.
+ * Run with: npm test
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../storage');
+const cache = require('../services/cache');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Wednesday 2026-10-14 10:00 in New York, during the regular session
+const MARKET_OPEN = Date.UTC(2026, 9, 14, 14, 0);
+// Saturday 2026-10-17 10:00 in New York; the market next opens on Monday at 09:30
+const WEEKEND = Date.UTC(2026, 9, 17, 14, 0);
+const NEXT_OPEN = Date.UTC(2026, 9, 19, 13, 30);
+
+const AAPL = { symbol: 'AAPL', exchange: 'NASDAQ', price: 247.2 };
+
+let entries;
+
+/**
+ * Create an error like the quota and breaker errors of the upstream services
+ * @param {string} code - Error code
+ * @returns {Error} - Error with the code
+ */
+function upstreamError(code) {
+    const error = new Error(code);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Store a cache entry that expires relative to now
+ * @param {string} cacheKey - Cache key including the category
+ * @param {any} data - Cached data
+ * @param {number} expiresIn - Milliseconds until the entry expires; negative for expired entries
+ */
+function storeEntry(cacheKey, data, expiresIn) {
+    const now = Date.now();
+    entries.set(cacheKey, { cache_key: cacheKey, data, fetched_at: now - HOUR, expires_at: now + expiresIn });
+}
+
+beforeEach(() => {
+    entries = new Map();
+    mock.restoreAll();
+    mock.method(storage, 'getNumericAppSetting', async (key, defaultValue) => defaultValue);
+    mock.method(storage, 'getCacheEntry', async cacheKey => entries.get(cacheKey));
+    mock.method(storage, 'saveCacheEntry', async entry => {
+        entries.set(entry.cacheKey, {
+            cache_key: entry.cacheKey,
+            data: entry.data,
+            fetched_at: entry.fetchedAt,
+            expires_at: entry.expiresAt
+        });
+        return true;
+    });
+    mock.method(console, 'warn', () => {});
+});
+
+describe('getTtl', () => {
+    it('uses the configured TTL of the category', async () => {
+        assert.equal(await cache.getTtl('profile', MARKET_OPEN), 7 * DAY);
+        assert.equal(await cache.getTtl('news', MARKET_OPEN), 15 * MINUTE);
+    });
+
+    it('keeps quotes for their TTL while the market is open', async () => {
+        assert.equal(await cache.getTtl('quote', MARKET_OPEN, AAPL), 60 * 1000);
+    });
+
+    it('keeps quotes until the market opens again while it is closed', async () => {
+        assert.equal(await cache.getTtl('quote', WEEKEND, AAPL), NEXT_OPEN - WEEKEND);
+    });
+
+    it('keeps daily data until the next close', async () => {
+        assert.equal(await cache.getTtl('historical', MARKET_OPEN), 6 * HOUR);
+    });
+
+    it('rejects unknown categories', async () => {
+        await assert.rejects(cache.getTtl('unknown', MARKET_OPEN), /Unknown cache category/);
+    });
+});
+
+describe('getOrFetch', () => {
+    it('serves fresh entries without fetching', async () => {
+        storeEntry('profile:AAPL', { symbol: 'AAPL' }, HOUR);
+        const fetcher = mock.fn(async () => ({ symbol: 'AAPL', fresh: true }));
+
+        assert.deepEqual(await cache.getOrFetch('profile', 'AAPL', fetcher), { symbol: 'AAPL' });
+        assert.equal(fetcher.mock.callCount(), 0);
+    });
+
+    it('fetches and stores expired entries', async () => {
+        storeEntry('profile:AAPL', { symbol: 'AAPL' }, -HOUR);
+
+        const data = await cache.getOrFetch('profile', 'AAPL', async () => ({ symbol: 'AAPL', fresh: true }));
+
+        assert.deepEqual(data, { symbol: 'AAPL', fresh: true });
+        assert.deepEqual(entries.get('profile:AAPL').data, data);
+        assert.ok(entries.get('profile:AAPL').expires_at > Date.now() + 6 * DAY);
+    });
+
+    it('does not store empty responses', async () => {
+        assert.deepEqual(await cache.getOrFetch('search', 'XYZ', async () => []), []);
+        assert.equal(entries.has('search:XYZ'), false);
+    });
+
+    for (const code of ['QUOTA_EXCEEDED', 'CIRCUIT_OPEN']) {
+        it(`serves expired entries as stale when the fetch fails with ${code}`, async () => {
+            storeEntry('profile:AAPL', { symbol: 'AAPL' }, -HOUR);
+            const fetchedAt = entries.get('profile:AAPL').fetched_at;
+
+            const data = await cache.getOrFetch('profile', 'AAPL', async () => {
+                throw upstreamError(code);
+            });
+
+            assert.deepEqual(data, { symbol: 'AAPL', stale: true, cachedAt: new Date(fetchedAt).toISOString() });
+        });
+    }
+
+    it('marks each item of a stale list', async () => {
+        storeEntry('news:general', [{ title: 'a' }, { title: 'b' }], -HOUR);
+
+        const data = await cache.getOrFetch('news', 'general', async () => {
+            throw upstreamError('QUOTA_EXCEEDED');
+        });
+
+        assert.deepEqual(data.map(item => item.stale), [true, true]);
+    });
+
+    it('rethrows other errors even when an expired entry exists', async () => {
+        storeEntry('profile:AAPL', { symbol: 'AAPL' }, -HOUR);
+
+        await assert.rejects(cache.getOrFetch('profile', 'AAPL', async () => {
+            throw new Error('Bad request');
+        }), /Bad request/);
+    });
+
+    it('rethrows quota errors when nothing is cached', async () => {
+        await assert.rejects(cache.getOrFetch('profile', 'AAPL', async () => {
+            throw upstreamError('QUOTA_EXCEEDED');
+        }), { code: 'QUOTA_EXCEEDED' });
+    });
+
+    it('fetches fresh entries on refresh', async () => {
+        storeEntry('profile:AAPL', { symbol: 'AAPL' }, HOUR);
+
+        const data = await cache.getOrFetch('profile', 'AAPL', async () => ({ symbol: 'AAPL', fresh: true }),
+            { refresh: true });
+
+        assert.equal(data.fresh, true);
+    });
+});
+
+describe('getOrFetchMany', () => {
+    it('fetches only missing and expired keys in one call', async () => {
+        storeEntry('quote:fixture:AAPL', AAPL, HOUR);
+        storeEntry('quote:fixture:MSFT', { symbol: 'MSFT', price: 1 }, -HOUR);
+        const fetcher = mock.fn(async keys => Object.fromEntries(keys.map(key => [key, { symbol: key, price: 2 }])));
+
+        const data = await cache.getOrFetchMany('quote', ['fixture:AAPL', 'fixture:MSFT', 'fixture:NVDA'], fetcher);
+
+        assert.deepEqual(fetcher.mock.calls[0].arguments[0], ['fixture:MSFT', 'fixture:NVDA']);
+        assert.deepEqual(Object.keys(data).sort(), ['fixture:AAPL', 'fixture:MSFT', 'fixture:NVDA']);
+        assert.equal(data['fixture:MSFT'].price, 2);
+    });
+
+    it('serves expired keys as stale and leaves out keys that were never cached', async () => {
+        storeEntry('quote:fixture:AAPL', AAPL, HOUR);
+        storeEntry('quote:fixture:MSFT', { symbol: 'MSFT', price: 1 }, -HOUR);
+
+        const data = await cache.getOrFetchMany('quote', ['fixture:AAPL', 'fixture:MSFT', 'fixture:NVDA'], async () => {
+            throw upstreamError('CIRCUIT_OPEN');
+        });
+
+        assert.deepEqual(data['fixture:AAPL'], AAPL);
+        assert.equal(data['fixture:MSFT'].stale, true);
+        assert.equal('fixture:NVDA' in data, false);
+    });
+
+    it('rethrows when no requested key has an expired entry', async () => {
+        await assert.rejects(cache.getOrFetchMany('quote', ['fixture:NVDA'], async () => {
+            throw upstreamError('QUOTA_EXCEEDED');
+        }), { code: 'QUOTA_EXCEEDED' });
+    });
+});
+
+describe('dedupe', () => {
+    it('shares one call between concurrent callers and starts a new one afterwards', async () => {
+        let calls = 0;
+        const fn = () => new Promise(resolve => setTimeout(() => resolve(++calls), 10));
+
+        assert.deepEqual(await Promise.all([cache.dedupe('test:a', fn), cache.dedupe('test:a', fn)]), [1, 1]);
+        assert.equal(await cache.dedupe('test:a', fn), 2);
+    });
+
+    it('forgets failed calls', async () => {
+        await assert.rejects(cache.dedupe('test:b', async () => {
+            throw new Error('failed');
+        }), /failed/);
+        assert.equal(await cache.dedupe('test:b', async () => 'retried'), 'retried');
+    });
+});
+
+describe('syncOrServeStored', () => {
+    it('reports fresh data when the sync succeeds', async () => {
+        assert.equal(await cache.syncOrServeStored(async () => {}, async () => true, 'test data'), false);
+    });
+
+    it('serves stored data as stale when the provider is unavailable', async () => {
+        const stale = await cache.syncOrServeStored(async () => {
+            throw upstreamError('QUOTA_EXCEEDED');
+        }, async () => true, 'test data');
+
+        assert.equal(stale, true);
+    });
+
+    it('rethrows when nothing is stored or the error is not a provider outage', async () => {
+        await assert.rejects(cache.syncOrServeStored(async () => {
+            throw upstreamError('QUOTA_EXCEEDED');
+        }, async () => false, 'test data'), { code: 'QUOTA_EXCEEDED' });
+
+        await assert.rejects(cache.syncOrServeStored(async () => {
+            throw new Error('Bad request');
+        }, async () => true, 'test data'), /Bad request/);
+    });
+});
@@ -0,0 +1,93 @@
+/**
+ * Historical price tests
+ * Covers resampling daily bars into weekly and monthly bars
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const historical = require('../services/historical');
+
+/**
+ * Build a daily bar
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} open - Open
+ * @param {number} high - High
+ * @param {number} low - Low
+ * @param {number} close - Close
+ * @param {number|null} volume - Volume
+ * @returns {Object} - Bar
+ */
+function bar(date, open, high, low, close, volume = 100) {
+    return { date, open, high, low, close, volume };
+}
+
+// Thursday 2026-08-27 to Wednesday 2026-09-09; Monday 2026-09-07 is Labor Day
+const DAILY = [
+    bar('2026-08-27', 10, 12, 9, 11),
+    bar('2026-08-28', 11, 13, 10, 12),
+    bar('2026-08-31', 12, 14, 11, 13),
+    bar('2026-09-01', 13, 15, 8, 14),
+    bar('2026-09-02', 14, 20, 13, 15),
+    bar('2026-09-03', 15, 16, 14, 16),
+    bar('2026-09-04', 16, 17, 15, 15.5),
+    bar('2026-09-08', 15, 16, 12, 13),
+    bar('2026-09-09', 13, 18, 12, 17)
+];
+
+describe('resampleBars', () => {
+    it('builds weekly bars starting on Monday', () => {
+        assert.deepEqual(historical.resampleBars(DAILY, 'weekly'), [
+            bar('2026-08-27', 10, 13, 9, 12, 200),
+            bar('2026-08-31', 12, 20, 8, 15.5, 500),
+            bar('2026-09-08', 15, 18, 12, 17, 200)
+        ]);
+    });
+
+    it('builds monthly bars for calendar months', () => {
+        assert.deepEqual(historical.resampleBars(DAILY, 'monthly'), [
+            bar('2026-08-27', 10, 14, 9, 13, 300),
+            bar('2026-09-01', 13, 20, 8, 17, 600)
+        ]);
+    });
+
+    it('dates a bar with the first trading day of its period', () => {
+        const weeks = historical.resampleBars(DAILY, 'weekly');
+
+        // The week of Labor Day starts on Tuesday
+        assert.equal(weeks[2].date, '2026-09-08');
+    });
+
+    it('groups weeks that span a year end', () => {
+        const weeks = historical.resampleBars([
+            bar('2026-12-31', 10, 11, 9, 10),
+            bar('2027-01-04', 10, 11, 9, 10)
+        ], 'weekly');
+
+        assert.deepEqual(weeks.map(week => week.date), ['2026-12-31', '2027-01-04']);
+        assert.equal(historical.resampleBars([
+            bar('2026-12-28', 10, 11, 9, 10),
+            bar('2027-01-01', 10, 11, 9, 10)
+        ], 'weekly').length, 1);
+    });
+
+    it('leaves the volume empty when a day has no volume', () => {
+        const weeks = historical.resampleBars([
+            bar('2026-09-01', 10, 11, 9, 10),
+            bar('2026-09-02', 10, 11, 9, 10, null)
+        ], 'weekly');
+
+        assert.equal(weeks[0].volume, null);
+    });
+
+    it('does not change the daily bars', () => {
+        const daily = DAILY.map(item => ({ ...item }));
+        historical.resampleBars(daily, 'monthly');
+
+        assert.deepEqual(daily, DAILY);
+    });
+
+    it('returns no bars for no input', () => {
+        assert.deepEqual(historical.resampleBars([], 'weekly'), []);
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * Technical indicator tests
+ * Checks the calculations against the worked examples published in StockCharts ChartSchool,
+ * which list values rounded to two decimals
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const indicators = require('../services/indicators');
+
+/**
+ * Check a calculated series against reference values
+ * @param {Array<number|null>} actual - Calculated series
+ * @param {Array<number>} expected - Reference values, starting at the first value after warm-up
+ * @param {number} tolerance - Largest allowed difference
+ */
+function assertSeries(actual, expected, tolerance) {
+    const warmUp = actual.length - expected.length;
+
+    actual.slice(0, warmUp).forEach((value, i) => {
+        assert.equal(value, null, `expected null during warm-up at index ${i}`);
+    });
+
+    expected.forEach((value, i) => {
+        const index = warmUp + i;
+        assert.ok(
+            Math.abs(actual[index] - value) <= tolerance,
+            `index ${index}: expected ${value}, got ${actual[index]}`
+        );
+    });
+}
+
+// Published values are rounded to two decimals
+const TOLERANCE = 0.011;
+
+// ChartSchool "Moving Averages - Simple and Exponential" example, 10-day averages
+const MA_CLOSES = [
+    22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+    22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+    23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+const SMA_10 = [
+    22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21,
+    23.38, 23.53, 23.65, 23.71, 23.69, 23.61, 23.51, 23.43, 23.28, 23.13
+];
+const EMA_10 = [
+    22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+    23.43, 23.51, 23.53, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+];
+
+// ChartSchool "Relative Strength Index (RSI)" example, 14-day RSI with Wilder's smoothing
+const RSI_CLOSES = [
+    44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89,
+    46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25,
+    45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13
+];
+const RSI_14 = [
+    70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+    54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77
+];
+
+// ChartSchool "Bollinger Bands" example, 20-day bands at 2 standard deviations
+const BOLLINGER_CLOSES = [
+    86.16, 89.09, 88.78, 90.32, 89.07, 91.15, 89.44, 89.18, 86.93, 87.68, 86.96,
+    89.43, 89.32, 88.72, 87.45, 87.26, 89.50, 87.90, 89.13, 90.70, 92.90, 92.98,
+    91.80, 92.66, 92.68, 92.30, 92.77, 92.54, 92.95, 93.20, 91.07, 89.83, 89.74,
+    90.40, 90.74, 88.02, 88.09, 88.84, 90.78, 90.54, 91.39, 90.65
+];
+const BOLLINGER_MIDDLE = [
+    88.71, 89.05, 89.24, 89.39, 89.51, 89.69, 89.75, 89.91, 90.08, 90.38, 90.66, 90.86,
+    90.88, 90.91, 90.99, 91.15, 91.19, 91.12, 91.17, 91.25, 91.24, 91.17, 91.05
+];
+const BOLLINGER_UPPER = [
+    91.29, 91.95, 92.61, 92.93, 93.31, 93.73, 93.90, 94.27, 94.57, 94.79, 95.04, 94.91,
+    94.90, 94.90, 94.86, 94.67, 94.56, 94.68, 94.58, 94.53, 94.53, 94.37, 94.15
+];
+const BOLLINGER_LOWER = [
+    86.12, 86.14, 85.87, 85.85, 85.70, 85.65, 85.59, 85.55, 85.60, 85.98, 86.27, 86.82,
+    86.87, 86.91, 87.12, 87.63, 87.83, 87.56, 87.76, 87.97, 87.95, 87.96, 87.95
+];
+
+// ChartSchool "Average True Range (ATR)" example, 14-day ATR with Wilder's smoothing
+const ATR_HIGHS = [
+    48.70, 48.72, 48.90, 48.87, 48.82, 49.05, 49.20, 49.35, 49.92, 50.19,
+    50.12, 49.66, 49.88, 50.19, 50.36, 50.57, 50.65, 50.43, 49.63, 50.33,
+    50.29, 50.17, 49.32, 48.50, 48.32, 46.80, 47.80, 48.39, 48.66, 48.79
+];
+const ATR_LOWS = [
+    47.79, 48.14, 48.39, 48.37, 48.24, 48.64, 48.94, 48.86, 49.50, 49.87,
+    49.20, 48.90, 49.43, 49.73, 49.26, 50.09, 50.30, 49.21, 48.98, 49.61,
+    49.20, 49.43, 48.08, 47.64, 41.55, 44.28, 47.31, 47.20, 47.90, 47.73
+];
+const ATR_CLOSES = [
+    48.16, 48.61, 48.75, 48.63, 48.74, 49.03, 49.07, 49.32, 49.91, 50.13,
+    49.53, 49.50, 49.75, 50.03, 50.31, 50.52, 50.41, 49.34, 49.37, 50.23,
+    49.24, 49.93, 48.43, 48.18, 46.57, 45.41, 47.77, 47.72, 48.62, 47.85
+];
+const ATR_14 = [
+    0.55, 0.59, 0.59, 0.57, 0.62, 0.62, 0.64, 0.67, 0.69,
+    0.78, 0.78, 1.21, 1.30, 1.38, 1.37, 1.34, 1.32
+];
+
+describe('sma', () => {
+    it('matches the 10-day reference averages', () => {
+        assertSeries(indicators.sma(MA_CLOSES, 10), SMA_10, TOLERANCE);
+    });
+
+    it('skips leading nulls', () => {
+        assert.deepEqual(indicators.sma([null, null, 1, 2, 3, 4], 2), [null, null, null, 1.5, 2.5, 3.5]);
+    });
+});
+
+describe('ema', () => {
+    it('matches the 10-day reference averages', () => {
+        assertSeries(indicators.ema(MA_CLOSES, 10), EMA_10, TOLERANCE);
+    });
+
+    it('returns only nulls when the series is shorter than the period', () => {
+        assert.deepEqual(indicators.ema([1, 2, 3], 5), [null, null, null]);
+    });
+});
+
+describe('rsi', () => {
+    it('matches the 14-day reference RSI', () => {
+        // The published worksheet rounds the running averages to two decimals, which moves RSI by up to 0.07
+        assertSeries(indicators.rsi(RSI_CLOSES, 14), RSI_14, 0.1);
+    });
+
+    it('is 100 when prices only rise', () => {
+        assert.deepEqual(indicators.rsi([1, 2, 3, 4], 2), [null, null, 100, 100]);
+    });
+});
+
+describe('macd', () => {
+    it('matches values worked out by hand', () => {
+        // Fast EMA(2): -, 10.5, 11.5, 11.1667, 12.3889; slow EMA(3): -, -, 11, 11, 12
+        const result = indicators.macd([10, 11, 12, 11, 13], 2, 3, 2);
+
+        assert.equal(result[0], null);
+        assert.equal(result[1], null);
+        assert.deepEqual(result[2], { macd: 0.5, signal: null, histogram: null });
+        assert.ok(Math.abs(result[3].macd - 1 / 6) < 1e-9);
+        assert.ok(Math.abs(result[3].signal - 1 / 3) < 1e-9);
+        assert.ok(Math.abs(result[4].macd - 7 / 18) < 1e-9);
+        assert.ok(Math.abs(result[4].signal - 10 / 27) < 1e-9);
+        assert.ok(Math.abs(result[4].histogram - 1 / 54) < 1e-9);
+    });
+
+    it('is the difference of the fast and slow EMAs, with the signal line an EMA of it', () => {
+        const fast = indicators.ema(BOLLINGER_CLOSES, 12);
+        const slow = indicators.ema(BOLLINGER_CLOSES, 26);
+        const result = indicators.macd(BOLLINGER_CLOSES, 12, 26, 9);
+        const line = result.map(value => (value === null ? null : value.macd));
+        const signal = indicators.ema(line, 9);
+
+        result.forEach((value, i) => {
+            if (i < 25) {
+                assert.equal(value, null);
+                return;
+            }
+            assert.ok(Math.abs(value.macd - (fast[i] - slow[i])) < 1e-9);
+            assert.equal(value.signal, signal[i]);
+        });
+        assert.equal(result[32].signal, null);
+        assert.notEqual(result[33].signal, null);
+    });
+});
+
+describe('bollinger', () => {
+    it('matches the 20-day reference bands', () => {
+        const result = indicators.bollinger(BOLLINGER_CLOSES, 20, 2);
+
+        assertSeries(result.map(band => band && band.middle), BOLLINGER_MIDDLE, TOLERANCE);
+        // The published bands add up the rounded average and the rounded deviation
+        assertSeries(result.map(band => band && band.upper), BOLLINGER_UPPER, 0.02);
+        assertSeries(result.map(band => band && band.lower), BOLLINGER_LOWER, 0.02);
+    });
+});
+
+describe('atr', () => {
+    it('matches the 14-day reference ATR', () => {
+        const bars = ATR_CLOSES.map((close, i) => ({ high: ATR_HIGHS[i], low: ATR_LOWS[i], close }));
+        assertSeries(indicators.atr(bars, 14), ATR_14, TOLERANCE);
+    });
+});
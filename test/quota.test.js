@@ -0,0 +1,87 @@
+/**
+ * Outbound API quota tests
+ * Covers the per-minute token bucket and the daily budget. Settings and the API log
+ * count are kept in memory instead of SQLite; the tests share one bucket, so they run in order.
+ * Run with: npm test
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../storage');
+const quota = require('../services/quota');
+
+let settings;
+let usedToday;
+
+beforeEach(() => {
+    settings = { api_quota_per_minute: 3, api_quota_per_day: 250, api_quota_max_wait_seconds: 0 };
+    usedToday = 0;
+
+    mock.restoreAll();
+    mock.method(storage, 'getNumericAppSetting', async (key, defaultValue) => settings[key] ?? defaultValue);
+    mock.method(storage, 'countApiLogsSince', async () => usedToday);
+});
+
+describe('daily budget', () => {
+    it('rejects calls once the day\'s requests are used up', async () => {
+        usedToday = 250;
+
+        await assert.rejects(quota.acquire(), {
+            code: 'QUOTA_EXCEEDED',
+            status: 429,
+            message: /daily budget of 250 requests/
+        });
+    });
+
+    it('counts requests since midnight UTC', async () => {
+        await quota.getStatus();
+
+        const now = new Date();
+        const since = storage.countApiLogsSince.mock.calls[0].arguments[0];
+        assert.equal(since, Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    });
+
+    it('reports the remaining budget', async () => {
+        usedToday = 40;
+
+        const status = await quota.getStatus();
+
+        assert.equal(status.perDay.used, 40);
+        assert.equal(status.perDay.remaining, 210);
+    });
+});
+
+describe('token bucket', () => {
+    it('allows a burst of the per-minute budget and then rejects calls that would wait too long', async () => {
+        await quota.acquire();
+        await quota.acquire();
+        await quota.acquire();
+
+        await assert.rejects(quota.acquire(), {
+            code: 'QUOTA_EXCEEDED',
+            message: /budget of 3 requests per minute/
+        });
+        assert.equal((await quota.getStatus()).perMinute.remaining, 0);
+    });
+
+    it('queues calls until a token is refilled when the wait is short enough', async () => {
+        // Two tokens per second, so the next one is about half a second away
+        settings.api_quota_per_minute = 120;
+        settings.api_quota_max_wait_seconds = 1;
+
+        const start = Date.now();
+        await quota.acquire();
+
+        assert.ok(Date.now() - start >= 400, `waited ${Date.now() - start}ms`);
+    });
+
+    it('grants queued calls in arrival order', async () => {
+        settings.api_quota_per_minute = 600;
+        settings.api_quota_max_wait_seconds = 1;
+        const order = [];
+
+        await Promise.all([1, 2, 3].map(i => quota.acquire().then(() => order.push(i))));
+
+        assert.deepEqual(order, [1, 2, 3]);
+    });
+});
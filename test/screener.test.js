@@ -0,0 +1,164 @@
+/**
+ * Stock screener tests
+ * Covers criteria validation and AND/OR matching. Screened stocks are built from
+ * quotes, profiles and sectors kept in memory instead of SQLite.
+ * Run with: npm test
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../storage');
+const marketData = require('../services/market-data');
+const screener = require('../services/screener');
+
+const QUOTES = [
+    { symbol: 'AAPL', price: 247, marketCap: 3700e9, pe: 38, volume: 50e6 },
+    { symbol: 'JPM', price: 300, marketCap: 820e9, pe: 15, volume: 9e6 },
+    { symbol: 'XOM', price: 110, marketCap: 470e9, pe: 14, volume: 15e6 },
+    { symbol: 'TSLA', price: 430, marketCap: 1400e9, pe: null, volume: 90e6 },
+    { symbol: 'SMALL', price: 4, marketCap: 200e6, pe: 9, volume: 1e5 }
+];
+
+const PROFILES = [
+    { symbol: 'AAPL', sector: 'Technology', lastDiv: 1.04 },
+    { symbol: 'JPM', sector: 'Financial Services', lastDiv: 6 },
+    { symbol: 'XOM', sector: 'Energy', lastDiv: 4 }
+];
+
+// Sectors from the symbol directory, used when there is no profile
+const DIRECTORY = [{ symbol: 'TSLA', sector: 'Consumer Cyclical' }];
+
+let restricted;
+
+/**
+ * Run criteria and return the matching symbols in order
+ * @param {Object} criteria - Screen criteria
+ * @returns {Promise<Array<string>>} - Symbols
+ */
+async function matchingSymbols(criteria) {
+    assert.equal(screener.validateCriteria(criteria), null);
+    return (await screener.screen(criteria)).stocks.map(stock => stock.symbol);
+}
+
+beforeEach(() => {
+    restricted = [];
+
+    mock.restoreAll();
+    mock.method(marketData, 'getProviderName', () => 'fixture');
+    mock.method(storage, 'getCacheEntriesByPrefix', async prefix => {
+        const items = prefix.startsWith('quote:') ? QUOTES : PROFILES;
+        return items.map(data => ({ data, fetched_at: Date.UTC(2026, 9, 16, 20, 0) }));
+    });
+    mock.method(storage, 'getSymbolsWithSector', async () => DIRECTORY);
+    mock.method(storage, 'getRestrictedStocks', async () => restricted);
+});
+
+describe('validateCriteria', () => {
+    it('accepts nested groups, ranges and text conditions', () => {
+        assert.equal(screener.validateCriteria({
+            filter: { all: [
+                { field: 'marketCap', min: 1e9 },
+                { any: [{ field: 'sector', in: ['Technology'] }, { field: 'pe', min: 5, max: 20 }] }
+            ] },
+            sort: [{ field: 'pe', order: 'asc' }, { field: 'price' }]
+        }), null);
+        assert.equal(screener.validateCriteria({}), null);
+    });
+
+    it('rejects criteria that are not objects', () => {
+        assert.equal(screener.validateCriteria(null), 'Criteria must be an object');
+        assert.equal(screener.validateCriteria([]), 'Criteria must be an object');
+    });
+
+    it('rejects unknown fields with their location', () => {
+        assert.match(screener.validateCriteria({ filter: { all: [{ field: 'beta', min: 1 }] } }),
+            /^filter\.all\[0\]\.field must be one of: price, marketCap/);
+    });
+
+    it('rejects numeric conditions without a valid range', () => {
+        assert.equal(screener.validateCriteria({ filter: { field: 'pe' } }), 'filter needs a min or max');
+        assert.equal(screener.validateCriteria({ filter: { field: 'pe', min: '5' } }), 'filter.min must be a number');
+        assert.equal(screener.validateCriteria({ filter: { field: 'pe', max: Infinity } }), 'filter.max must be a number');
+        assert.equal(screener.validateCriteria({ filter: { field: 'pe', min: 20, max: 10 } }),
+            'filter.min must not be greater than max');
+    });
+
+    it('rejects text conditions without a list of values', () => {
+        assert.equal(screener.validateCriteria({ filter: { field: 'sector', in: 'Energy' } }),
+            'filter.in must be a non-empty array of strings');
+        assert.equal(screener.validateCriteria({ filter: { field: 'sector', in: [] } }),
+            'filter.in must be a non-empty array of strings');
+    });
+
+    it('rejects empty groups', () => {
+        assert.equal(screener.validateCriteria({ filter: { any: [] } }), 'filter.any must be a non-empty array');
+    });
+
+    it('limits nesting and the number of conditions', () => {
+        let filter = { field: 'pe', min: 1 };
+        for (let i = 0; i < 5; i++) filter = { all: [filter] };
+        assert.match(screener.validateCriteria({ filter }), /nested too deeply/);
+
+        const conditions = Array.from({ length: 51 }, () => ({ field: 'pe', min: 1 }));
+        assert.equal(screener.validateCriteria({ filter: { all: conditions } }), 'Criteria may have at most 50 conditions');
+    });
+
+    it('rejects invalid sort keys', () => {
+        assert.match(screener.validateCriteria({ sort: { field: 'beta' } }), /^sort\.field must be one of/);
+        assert.equal(screener.validateCriteria({ sort: { field: 'pe', order: 'up' } }), 'sort.order must be asc or desc');
+        assert.equal(screener.validateCriteria({ sort: [] }), 'sort must have between 1 and 3 keys');
+    });
+});
+
+describe('screen', () => {
+    it('returns every stock by market cap without a filter', async () => {
+        assert.deepEqual(await matchingSymbols({}), ['AAPL', 'TSLA', 'JPM', 'XOM', 'SMALL']);
+    });
+
+    it('matches all conditions of an all group', async () => {
+        assert.deepEqual(await matchingSymbols({
+            filter: { all: [{ field: 'marketCap', min: 400e9 }, { field: 'pe', max: 20 }] }
+        }), ['JPM', 'XOM']);
+    });
+
+    it('matches any condition of an any group', async () => {
+        assert.deepEqual(await matchingSymbols({
+            filter: { any: [{ field: 'sector', in: ['energy'] }, { field: 'price', max: 5 }] }
+        }), ['XOM', 'SMALL']);
+    });
+
+    it('combines nested groups', async () => {
+        assert.deepEqual(await matchingSymbols({
+            filter: { all: [
+                { field: 'marketCap', min: 400e9 },
+                { any: [{ field: 'sector', in: ['Technology', 'Consumer Cyclical'] }, { field: 'dividendYield', min: 3 }] }
+            ] }
+        }), ['AAPL', 'TSLA', 'XOM']);
+    });
+
+    it('includes range bounds', async () => {
+        assert.deepEqual(await matchingSymbols({ filter: { field: 'pe', min: 14, max: 15 } }), ['JPM', 'XOM']);
+    });
+
+    it('never matches stocks without a value for the field', async () => {
+        assert.deepEqual(await matchingSymbols({ filter: { field: 'pe', min: 0 } }), ['AAPL', 'JPM', 'XOM', 'SMALL']);
+        assert.deepEqual(await matchingSymbols({ filter: { field: 'sector', in: ['Technology', 'Energy'] } }),
+            ['AAPL', 'XOM']);
+    });
+
+    it('sorts by the sort keys with missing values last', async () => {
+        assert.deepEqual(await matchingSymbols({ sort: { field: 'pe', order: 'asc' } }),
+            ['SMALL', 'XOM', 'JPM', 'AAPL', 'TSLA']);
+        assert.deepEqual(await matchingSymbols({ sort: { field: 'pe', order: 'desc' } }),
+            ['AAPL', 'JPM', 'XOM', 'SMALL', 'TSLA']);
+    });
+
+    it('leaves out restricted stocks', async () => {
+        restricted = [{ symbol: 'aapl' }];
+
+        const result = await screener.screen({});
+
+        assert.equal(result.universe, 4);
+        assert.equal(result.stocks.some(stock => stock.symbol === 'AAPL'), false);
+    });
+});
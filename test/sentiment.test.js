@@ -0,0 +1,78 @@
+/**
+ * Sentiment scoring tests
+ * Covers lexicon scoring, headline weighting, negation and labels
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sentiment = require('../services/sentiment');
+
+/**
+ * Normalize a raw sum the way the service does, to 4 decimals
+ * @param {number} sum - Weighted sum
+ * @returns {number} - Score
+ */
+function normalize(sum) {
+    return Math.round(sum / Math.sqrt(sum * sum + 15) * 10000) / 10000;
+}
+
+describe('scoreArticle', () => {
+    it('scores headline words double', () => {
+        // beats weighs 2
+        assert.equal(sentiment.scoreArticle('Apple beats estimates').score, normalize(4));
+        assert.equal(sentiment.scoreArticle('', 'Apple beats estimates').score, normalize(2));
+        assert.equal(sentiment.scoreArticle('Apple beats estimates', 'Shares rose').score, normalize(5));
+    });
+
+    it('adds up positive and negative words', () => {
+        // surge weighs 2, lawsuit -1
+        assert.equal(sentiment.scoreArticle('Shares surge despite lawsuit').score, normalize(2));
+        assert.equal(sentiment.scoreArticle('Lawsuit and downgrade weigh on shares').score, normalize(-6));
+    });
+
+    it('flips words negated within the three preceding words', () => {
+        assert.equal(sentiment.scoreArticle('Apple did not beat estimates').score, normalize(-4));
+        assert.equal(sentiment.scoreArticle('Apple is not expected to beat estimates').score, normalize(-4));
+        assert.equal(sentiment.scoreArticle('Not what analysts had expected, Apple beats').score, normalize(4));
+    });
+
+    it('recognizes negated contractions', () => {
+        assert.equal(sentiment.scoreArticle('Apple didn\'t miss estimates').score, normalize(4));
+        assert.equal(sentiment.scoreArticle('Apple didn’t miss estimates').score, normalize(4));
+    });
+
+    it('turns negated negative words positive', () => {
+        assert.equal(sentiment.scoreArticle('', 'Sales never declined').label, 'positive');
+    });
+
+    it('ignores case and punctuation', () => {
+        assert.equal(sentiment.scoreArticle('BEATS!').score, sentiment.scoreArticle('beats').score);
+    });
+
+    it('scores between -1 and 1', () => {
+        const text = 'surge '.repeat(50);
+
+        assert.ok(sentiment.scoreArticle(text, text).score <= 1);
+        assert.ok(sentiment.scoreArticle('plunge '.repeat(50)).score >= -1);
+    });
+
+    it('scores text without known words as neutral', () => {
+        assert.deepEqual(sentiment.scoreArticle('Apple to hold annual meeting on Tuesday'), { score: 0, label: 'neutral' });
+        assert.deepEqual(sentiment.scoreArticle(null, null), { score: 0, label: 'neutral' });
+    });
+
+    it('does not match object prototype properties', () => {
+        assert.deepEqual(sentiment.scoreArticle('constructor toString hasOwnProperty __proto__'),
+            { score: 0, label: 'neutral' });
+    });
+});
+
+describe('getLabel', () => {
+    it('labels scores at the 0.05 thresholds', () => {
+        assert.equal(sentiment.getLabel(0.05), 'positive');
+        assert.equal(sentiment.getLabel(0.0499), 'neutral');
+        assert.equal(sentiment.getLabel(-0.0499), 'neutral');
+        assert.equal(sentiment.getLabel(-0.05), 'negative');
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Trading calendar tests
+ * Checks US holidays, observed dates and early closes against the published NYSE schedule,
+ * and session boundaries around them
+ * Run with: npm test
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const tradingCalendar = require('../services/trading-calendar');
+
+/**
+ * Get a UTC instant
+ * @param {string} iso - ISO date and time in UTC, e.g. 2026-10-14T13:30
+ * @returns {number} - Time in milliseconds
+ */
+function utc(iso) {
+    return Date.parse(`${iso}:00Z`);
+}
+
+/**
+ * Assert that the market is closed all day
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string|null} holiday - Expected holiday name
+ */
+function assertClosed(date, holiday) {
+    const session = tradingCalendar.getSession(date);
+
+    assert.equal(session.open, null, `${date} should be closed`);
+    assert.equal(session.close, null);
+    assert.equal(session.holiday, holiday);
+}
+
+describe('holidays', () => {
+    it('closes on the 2026 NYSE holidays', () => {
+        assertClosed('2026-01-01', "New Year's Day");
+        assertClosed('2026-01-19', 'Martin Luther King Jr. Day');
+        assertClosed('2026-02-16', "Washington's Birthday");
+        assertClosed('2026-04-03', 'Good Friday');
+        assertClosed('2026-05-25', 'Memorial Day');
+        assertClosed('2026-06-19', 'Juneteenth');
+        assertClosed('2026-09-07', 'Labor Day');
+        assertClosed('2026-11-26', 'Thanksgiving Day');
+        assertClosed('2026-12-25', 'Christmas Day');
+    });
+
+    it('observes Saturday holidays on Friday and Sunday holidays on Monday', () => {
+        assertClosed('2026-07-03', 'Independence Day');
+        assertClosed('2027-07-05', 'Independence Day');
+        assertClosed('2027-12-24', 'Christmas Day');
+    });
+
+    it('does not observe a Saturday New Year\'s Day in the previous year', () => {
+        assert.notEqual(tradingCalendar.getSession('2021-12-31').open, null);
+    });
+
+    it('includes one-off closures', () => {
+        assertClosed('2025-01-09', 'National Day of Mourning for President Jimmy Carter');
+    });
+
+    it('is closed on weekends', () => {
+        assertClosed('2026-10-17', null);
+        assertClosed('2026-10-18', null);
+    });
+});
+
+describe('sessions', () => {
+    it('opens at 09:30 and closes at 16:00 New York time', () => {
+        const summer = tradingCalendar.getSession('2026-10-14');
+        const winter = tradingCalendar.getSession('2026-11-02');
+
+        assert.equal(summer.open, utc('2026-10-14T13:30'));
+        assert.equal(summer.close, utc('2026-10-14T20:00'));
+        assert.equal(winter.open, utc('2026-11-02T14:30'));
+        assert.equal(winter.close, utc('2026-11-02T21:00'));
+    });
+
+    it('closes at 13:00 on early close days', () => {
+        for (const [date, name] of [['2026-11-27', 'Day after Thanksgiving'], ['2026-12-24', 'Christmas Eve']]) {
+            const session = tradingCalendar.getSession(date);
+
+            assert.equal(session.earlyClose, true);
+            assert.equal(session.holiday, name);
+            assert.equal(session.close, utc(`${date}T18:00`));
+        }
+    });
+
+    it('closes early on July 3 only when it is a Monday to Thursday', () => {
+        assert.equal(tradingCalendar.getSession('2025-07-03').earlyClose, true);
+        assert.equal(tradingCalendar.getSession('2026-07-03').open, null);
+    });
+
+    it('is not open after an early close', () => {
+        assert.equal(tradingCalendar.isOpen(utc('2026-11-27T17:59')), true);
+        assert.equal(tradingCalendar.isOpen(utc('2026-11-27T18:00')), false);
+    });
+});
+
+describe('session boundaries', () => {
+    it('skips weekends and holidays to find the next open', () => {
+        // After the close on the Friday before Labor Day
+        assert.equal(tradingCalendar.getNextOpen(utc('2026-09-04T21:00')), utc('2026-09-08T13:30'));
+    });
+
+    it('finds the previous close before Monday\'s open', () => {
+        assert.equal(tradingCalendar.getPreviousClose(utc('2026-10-19T12:00')), utc('2026-10-16T20:00'));
+        assert.equal(tradingCalendar.getLastSessionDate(utc('2026-10-19T12:00')), '2026-10-16');
+    });
+
+    it('finds an early close as the next close', () => {
+        assert.equal(tradingCalendar.getNextClose(utc('2026-11-27T15:00')), utc('2026-11-27T18:00'));
+    });
+
+    it('reports the market state', () => {
+        assert.equal(tradingCalendar.getMarketStatus('US', utc('2026-10-14T12:00')).state, 'pre-market');
+        assert.equal(tradingCalendar.getMarketStatus('US', utc('2026-10-14T15:00')).state, 'open');
+        assert.equal(tradingCalendar.getMarketStatus('US', utc('2026-10-14T21:00')).state, 'after-hours');
+        assert.equal(tradingCalendar.getMarketStatus('US', utc('2026-11-26T15:00')).state, 'closed');
+    });
+});
@@ -0,0 +1,131 @@
+/**
+ * Upstream call tests
+ * Covers the circuit breaker: opening after repeated failures, the half-open trial call
+ * and closing or reopening on its outcome. Retries run without backoff delays and time is
+ * moved forward by replacing Date.now.
+ * Run with: npm test
+ */
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const upstream = require('../services/upstream');
+
+const FAILURE_THRESHOLD = 5;
+const OPEN_DURATION_MS = 30 * 1000;
+
+let now;
+
+/**
+ * Fail like a network error, which is retried and counts against the breaker
+ */
+async function networkFailure() {
+    throw new Error('socket hang up');
+}
+
+/**
+ * Open a breaker by failing enough calls in a row
+ * @param {string} name - Upstream name
+ */
+async function openBreaker(name) {
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+        await assert.rejects(upstream.call(name, networkFailure));
+    }
+}
+
+beforeEach(() => {
+    now = Date.UTC(2026, 9, 14, 14, 0);
+
+    mock.restoreAll();
+    mock.method(Date, 'now', () => now);
+    mock.method(Math, 'random', () => 0);
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+
+    Object.keys(upstream.getBreakerStates()).forEach(name => upstream.resetBreaker(name));
+});
+
+describe('circuit breaker', () => {
+    it('retries transient failures before counting them', async () => {
+        const attempt = mock.fn(networkFailure);
+
+        await assert.rejects(upstream.call('test', attempt), /socket hang up/);
+
+        assert.equal(attempt.mock.callCount(), 3);
+        assert.equal(upstream.getBreakerStates().test.consecutiveFailures, 1);
+    });
+
+    it('opens after consecutive failures and rejects calls without trying them', async () => {
+        await openBreaker('test');
+        const attempt = mock.fn(async () => 'ok');
+
+        await assert.rejects(upstream.call('test', attempt), { code: 'CIRCUIT_OPEN', status: 503 });
+
+        assert.equal(attempt.mock.callCount(), 0);
+        assert.equal(upstream.getBreakerStates().test.state, 'open');
+        assert.equal(upstream.getBreakerStates().test.retryAt, new Date(now + OPEN_DURATION_MS).toISOString());
+    });
+
+    it('stays open until the open duration has passed', async () => {
+        await openBreaker('test');
+        now += OPEN_DURATION_MS - 1;
+
+        await assert.rejects(upstream.call('test', async () => 'ok'), { code: 'CIRCUIT_OPEN' });
+    });
+
+    it('lets a single trial call through once half-open', async () => {
+        await openBreaker('test');
+        now += OPEN_DURATION_MS;
+
+        let finishTrial;
+        const trial = upstream.call('test', () => new Promise(resolve => {
+            finishTrial = resolve;
+        }));
+
+        assert.equal(upstream.getBreakerStates().test.state, 'half-open');
+        await assert.rejects(upstream.call('test', async () => 'ok'), { code: 'CIRCUIT_OPEN' });
+
+        finishTrial('ok');
+        assert.equal(await trial, 'ok');
+    });
+
+    it('closes when the trial call succeeds', async () => {
+        await openBreaker('test');
+        now += OPEN_DURATION_MS;
+
+        assert.equal(await upstream.call('test', async () => 'ok'), 'ok');
+
+        const state = upstream.getBreakerStates().test;
+        assert.equal(state.state, 'closed');
+        assert.equal(state.consecutiveFailures, 0);
+        assert.equal(await upstream.call('test', async () => 'again'), 'again');
+    });
+
+    it('reopens after a single failed trial call', async () => {
+        await openBreaker('test');
+        now += OPEN_DURATION_MS;
+
+        await assert.rejects(upstream.call('test', networkFailure), /socket hang up/);
+
+        const state = upstream.getBreakerStates().test;
+        assert.equal(state.state, 'open');
+        assert.equal(state.openedAt, new Date(now).toISOString());
+        await assert.rejects(upstream.call('test', async () => 'ok'), { code: 'CIRCUIT_OPEN' });
+    });
+
+    it('treats rejected requests as a healthy upstream', async () => {
+        const badRequest = Object.assign(new Error('Bad request'), { response: { status: 400 } });
+
+        await assert.rejects(upstream.call('test', networkFailure));
+        await assert.rejects(upstream.call('test', async () => {
+            throw badRequest;
+        }), /Bad request/);
+
+        assert.equal(upstream.getBreakerStates().test.consecutiveFailures, 0);
+    });
+
+    it('keeps a breaker per upstream', async () => {
+        await openBreaker('test');
+
+        assert.equal(await upstream.call('other', async () => 'ok'), 'ok');
+    });
+});